@@ -7,21 +7,30 @@
 
 const axios = require('axios');
 
-const API_URL = 'http://localhost:3024/api/chat';
+const BASE_URL = 'http://localhost:3024/api';
+const API_URL = `${BASE_URL}/chat`;
 const DOMAIN = 'mi-tienda.com';
-const USER_ID = 'test-user-123';
+// Token con scope "stats" (opcional, los tokens de visitante no lo tienen)
+const STATS_TOKEN = process.env.STATS_TOKEN;
 
 async function testChat() {
   try {
     console.log('🧪 Testing Smart Chat Agent...\n');
 
+    // Test 0: Obtener token de visitante (el userId sale del token)
+    console.log('📝 Test 0: Token de visitante');
+    const tokenResponse = await axios.post(`${BASE_URL}/auth/token`, { domain: DOMAIN });
+    const { token, userId: USER_ID } = tokenResponse.data.data;
+    const headers = { Authorization: `Bearer ${token}` };
+    console.log('✅ Visitor:', USER_ID);
+    console.log('');
+
     // Test 1: Primer mensaje (crea conversación y memoriza system prompt)
     console.log('📝 Test 1: Primer mensaje');
     const response1 = await axios.post(`${API_URL}/message`, {
       userMessage: 'Hola, busco zapatillas deportivas',
       domain: DOMAIN,
-      userId: USER_ID,
-    });
+    }, { headers });
 
     console.log('✅ Response:', {
       message: response1.data.data.message,
@@ -36,8 +45,7 @@ async function testChat() {
     const response2 = await axios.post(`${API_URL}/message`, {
       userMessage: 'Muéstrame las opciones',
       domain: DOMAIN,
-      userId: USER_ID,
-    });
+    }, { headers });
 
     console.log('✅ Response:', {
       message: response2.data.data.message,
@@ -49,7 +57,7 @@ async function testChat() {
 
     // Test 3: Obtener historial
     console.log('📝 Test 3: Obtener historial');
-    const history = await axios.get(`${API_URL}/history/${USER_ID}?domain=${DOMAIN}`);
+    const history = await axios.get(`${API_URL}/history/${USER_ID}?domain=${DOMAIN}`, { headers });
     
     console.log('✅ Historial:', {
       totalMessages: history.data.data.messages.length,
@@ -58,12 +66,16 @@ async function testChat() {
     });
     console.log('');
 
-    // Test 4: Estadísticas
-    console.log('📝 Test 4: Estadísticas');
-    const stats = await axios.get(`${API_URL}/stats?domain=${DOMAIN}`);
-    
-    console.log('✅ Stats:', stats.data.data);
-    console.log('');
+    // Test 4: Estadísticas (requiere un token con scope "stats")
+    if (STATS_TOKEN) {
+      console.log('📝 Test 4: Estadísticas');
+      const stats = await axios.get(`${API_URL}/stats?domain=${DOMAIN}`, {
+        headers: { Authorization: `Bearer ${STATS_TOKEN}` },
+      });
+      
+      console.log('✅ Stats:', stats.data.data);
+      console.log('');
+    }
 
     console.log('✅ All tests completed!');
 
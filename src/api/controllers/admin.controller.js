@@ -0,0 +1,128 @@
+/**
+ * ============================================
+ * ADMIN CONTROLLER
+ * ============================================
+ * Administración de API keys de los tenants
+ */
+
+const ApiKeyService = require('../../services/api-key.service');
+const AuthService = require('../../services/auth.service');
+const ResponseUtil = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+class AdminController {
+  /**
+   * Busca una key y verifica que pertenezca a los dominios del admin
+   */
+  async findManageableKey(req, res) {
+    const key = await ApiKeyService.getKey(req.params.keyId);
+
+    if (!key || !AuthService.canManageDomains(req.auth, key.domains)) {
+      ResponseUtil.notFound(res, 'API key not found');
+      return null;
+    }
+
+    return key;
+  }
+
+  /**
+   * GET /api/admin/api-keys
+   * Lista las API keys de los dominios del admin
+   */
+  async listApiKeys(req, res) {
+    try {
+      const { domain } = req.query;
+
+      let domains = req.auth.domains.includes('*') ? null : req.auth.domains;
+      if (domain) {
+        domains = [AuthService.resolveDomain(req.auth, domain)];
+      }
+
+      const keys = await ApiKeyService.listKeys(domains);
+
+      return ResponseUtil.success(res, keys, 'API keys retrieved successfully');
+
+    } catch (error) {
+      if (error.name === 'ForbiddenError') {
+        return ResponseUtil.forbidden(res, error.message);
+      }
+      logger.error('[Admin] Error in listApiKeys:', error);
+      return ResponseUtil.serverError(res, 'Failed to list API keys');
+    }
+  }
+
+  /**
+   * POST /api/admin/api-keys
+   * Crea una API key (la key en texto plano solo se devuelve aquí)
+   */
+  async createApiKey(req, res) {
+    try {
+      // Body validado por el middleware (adminSchemas.createApiKey)
+      const { name, domains, scopes, expiresAt } = req.body;
+
+      if (!AuthService.canManageDomains(req.auth, domains)) {
+        return ResponseUtil.forbidden(res, 'Cannot create keys for domains outside your credentials');
+      }
+
+      const created = await ApiKeyService.createKey({
+        name,
+        domains,
+        scopes,
+        expiresAt: expiresAt || null,
+        createdBy: req.auth.keyId || req.auth.userId,
+      });
+
+      return ResponseUtil.success(res, created, 'API key created successfully');
+
+    } catch (error) {
+      logger.error('[Admin] Error in createApiKey:', error);
+      return ResponseUtil.serverError(res, 'Failed to create API key');
+    }
+  }
+
+  /**
+   * POST /api/admin/api-keys/:keyId/rotate
+   * Rota una API key: la anterior sigue válida durante el periodo de gracia
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const key = await this.findManageableKey(req, res);
+      if (!key) return undefined;
+
+      const rotated = await ApiKeyService.rotateKey(key.keyId, req.auth.keyId || req.auth.userId);
+      if (!rotated) {
+        return ResponseUtil.badRequest(res, 'Only active API keys can be rotated');
+      }
+
+      return ResponseUtil.success(res, rotated, 'API key rotated successfully');
+
+    } catch (error) {
+      logger.error('[Admin] Error in rotateApiKey:', error);
+      return ResponseUtil.serverError(res, 'Failed to rotate API key');
+    }
+  }
+
+  /**
+   * POST /api/admin/api-keys/:keyId/revoke
+   * Revoca una API key inmediatamente
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const key = await this.findManageableKey(req, res);
+      if (!key) return undefined;
+
+      const revoked = await ApiKeyService.revokeKey(key.keyId);
+      if (!revoked) {
+        return ResponseUtil.badRequest(res, 'API key already revoked');
+      }
+
+      return ResponseUtil.success(res, revoked, 'API key revoked successfully');
+
+    } catch (error) {
+      logger.error('[Admin] Error in revokeApiKey:', error);
+      return ResponseUtil.serverError(res, 'Failed to revoke API key');
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * AUTH CONTROLLER
+ * ============================================
+ * Emite tokens para los visitantes de la tienda
+ */
+
+const AuthService = require('../../services/auth.service');
+const ResponseUtil = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+class AuthController {
+  /**
+   * POST /api/auth/token
+   * Emite un token de visitante anónimo para un dominio
+   * Si se envía un token válido del mismo dominio, se conserva su userId
+   */
+  async issueToken(req, res, next) {
+    try {
+      const { domain } = req.body;
+
+      // Renovación: conservar el userId solo si viene de un token válido
+      let userId = null;
+      const currentToken = AuthService.extractBearerToken(req.headers.authorization);
+      if (currentToken) {
+        const auth = AuthService.verifyToken(currentToken);
+        if (auth.anonymous && auth.domains.includes(domain)) {
+          userId = auth.userId;
+        }
+      }
+
+      const tokenData = AuthService.issueVisitorToken(domain, userId);
+
+      return ResponseUtil.success(res, tokenData, 'Token issued successfully');
+
+    } catch (error) {
+      logger.error('[Auth] Error in issueToken:', error);
+      return next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
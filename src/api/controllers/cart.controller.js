@@ -0,0 +1,122 @@
+/**
+ * ============================================
+ * CART CONTROLLER
+ * ============================================
+ * Carrito del servidor por usuario y dominio
+ */
+
+const CartService = require('../../services/cart.service');
+const ResponseUtil = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+class CartController {
+  /**
+   * Respuesta de error según el tipo (producto inexistente, sin stock...)
+   */
+  handleError(res, error, action) {
+    if (error.name === 'NotFoundError') {
+      return ResponseUtil.notFound(res, error.message);
+    }
+    if (error.name === 'ValidationError') {
+      return ResponseUtil.badRequest(res, error.message);
+    }
+    logger.error(`[Cart] Error in ${action}:`, error);
+    return ResponseUtil.serverError(res, 'Failed to update cart');
+  }
+
+  /**
+   * GET /api/cart
+   * Carrito del usuario
+   */
+  async getCart(req, res) {
+    try {
+      const { domain, userId } = req.query;
+      const cart = await CartService.getCart(domain, userId);
+      return ResponseUtil.success(res, cart, 'Cart retrieved successfully');
+
+    } catch (error) {
+      logger.error('[Cart] Error in getCart:', error);
+      return ResponseUtil.serverError(res, 'Failed to retrieve cart');
+    }
+  }
+
+  /**
+   * PUT /api/cart
+   * Reemplaza el carrito con el de la tienda (los productos no disponibles se omiten)
+   */
+  async replaceCart(req, res) {
+    try {
+      // Body validado por el middleware (cartSchemas.replaceCart)
+      const { domain, userId, items } = req.body;
+      const result = await CartService.replaceItems(domain, userId, items);
+      return ResponseUtil.success(res, result, 'Cart synced successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'replaceCart');
+    }
+  }
+
+  /**
+   * DELETE /api/cart
+   * Vacía el carrito
+   */
+  async clearCart(req, res) {
+    try {
+      const { domain, userId } = req.query;
+      const cart = await CartService.clear(domain, userId);
+      return ResponseUtil.success(res, cart, 'Cart cleared successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'clearCart');
+    }
+  }
+
+  /**
+   * POST /api/cart/items
+   * Agrega un producto (si ya está, suma la cantidad)
+   */
+  async addItem(req, res) {
+    try {
+      const { domain, userId, productId, sku, quantity } = req.body;
+      const { cart } = await CartService.addItem(domain, userId, { productId, sku, quantity });
+      return ResponseUtil.success(res, cart, 'Item added successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'addItem');
+    }
+  }
+
+  /**
+   * PATCH /api/cart/items/:productId
+   * Cambia la cantidad de un producto (0 lo quita); sku elige la variante
+   */
+  async updateItem(req, res) {
+    try {
+      const { productId } = req.params;
+      const { domain, userId, sku, quantity } = req.body;
+      const { cart } = await CartService.updateQuantity(domain, userId, sku ? { sku } : { productId }, quantity);
+      return ResponseUtil.success(res, cart, 'Item updated successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'updateItem');
+    }
+  }
+
+  /**
+   * DELETE /api/cart/items/:productId
+   * Quita un producto; sku elige la variante
+   */
+  async removeItem(req, res) {
+    try {
+      const { productId } = req.params;
+      const { domain, userId, sku } = req.query;
+      const { cart } = await CartService.removeItem(domain, userId, sku ? { sku } : { productId });
+      return ResponseUtil.success(res, cart, 'Item removed successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'removeItem');
+    }
+  }
+}
+
+module.exports = new CartController();
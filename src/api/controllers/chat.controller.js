@@ -6,7 +6,9 @@
  */
 
 const ChatOrchestratorService = require('../../services/chat-orchestrator.service');
+const ChatSessionService = require('../../services/chat-session.service');
 const ResponseUtil = require('../../utils/response');
+const { createSSEStream } = require('../../utils/sse');
 const logger = require('../../utils/logger');
 
 class ChatController {
@@ -20,23 +22,9 @@ class ChatController {
    */
   async sendMessage(req, res) {
     try {
+      // Body validado por el middleware (chatSchemas.sendMessage)
       const { userMessage, domain, userId, forceModel } = req.body;
 
-      // Validaciones básicas
-      if (!userMessage || !domain || !userId) {
-        return ResponseUtil.badRequest(
-          res,
-          'Missing required fields: userMessage, domain, userId'
-        );
-      }
-
-      if (userMessage.length > 2000) {
-        return ResponseUtil.badRequest(
-          res,
-          'Message too long (max 2000 characters)'
-        );
-      }
-
       logger.info(`[Chat] Processing message from user ${userId} on domain ${domain}`);
 
       // Procesar mensaje
@@ -55,6 +43,40 @@ class ChatController {
     }
   }
 
+  /**
+   * POST /api/chat/message/stream
+   * Procesa un mensaje del usuario respondiendo con Server-Sent Events
+   * 
+   * Eventos: tool_call_start, tool_call_end, message (texto incremental),
+   * reset (descartar texto por fallback o reparación), done (respuesta final validada) y error
+   */
+  async streamMessage(req, res) {
+    // Body validado por el middleware antes de abrir el stream (400 normal)
+    const { userMessage, domain, userId, forceModel } = req.body;
+
+    logger.info(`[Chat] Streaming message from user ${userId} on domain ${domain}`);
+
+    const stream = createSSEStream(res);
+
+    try {
+      const response = await this.orchestrator.processMessage({
+        userMessage,
+        userId,
+        domain,
+        forceModel,
+        onEvent: (event, data) => stream.send(event, data),
+        endpoint: '/api/chat/message/stream',
+      });
+
+      stream.send('done', response);
+    } catch (error) {
+      logger.error('[Chat] Error in streamMessage:', error);
+      stream.send('error', { message: 'Failed to process message' });
+    } finally {
+      stream.close();
+    }
+  }
+
   /**
    * GET /api/chat/history/:userId
    * Obtiene el historial de conversación
@@ -64,10 +86,6 @@ class ChatController {
       const { userId } = req.params;
       const { domain } = req.query;
 
-      if (!domain) {
-        return ResponseUtil.badRequest(res, 'Missing domain query parameter');
-      }
-
       const getConversationModel = require('../../models/Conversation');
       const Conversation = getConversationModel();
       
@@ -102,7 +120,16 @@ class ChatController {
     try {
       const { conversationId } = req.params;
 
-      await this.orchestrator.closeConversation(conversationId);
+      // Solo conversaciones del usuario del token (admin: cualquiera de sus dominios)
+      const owner = {
+        domains: req.auth.domains,
+        userId: req.auth.scopes.includes('admin') ? null : req.auth.userId,
+      };
+
+      const closed = await this.orchestrator.closeConversation(conversationId, owner);
+      if (!closed) {
+        return ResponseUtil.notFound(res, 'Conversation not found');
+      }
 
       return ResponseUtil.success(res, null, 'Conversation closed successfully');
 
@@ -112,20 +139,38 @@ class ChatController {
     }
   }
 
+  /**
+   * POST /api/chat/notify
+   * Envía un evento iniciado por el servidor a las sesiones WebSocket
+   * (a un usuario si se indica userId, o a todo el dominio)
+   */
+  async notify(req, res) {
+    try {
+      const { domain, userId, type, payload } = req.body;
+
+      const delivered = userId
+        ? ChatSessionService.pushToUser(domain, userId, type, payload)
+        : ChatSessionService.pushToDomain(domain, type, payload);
+
+      return ResponseUtil.success(res, { delivered }, 'Notification processed successfully');
+
+    } catch (error) {
+      logger.error('[Chat] Error in notify:', error);
+      return ResponseUtil.serverError(res, 'Failed to send notification');
+    }
+  }
+
   /**
    * GET /api/chat/stats
    * Obtiene estadísticas de uso
    */
   async getStats(req, res) {
     try {
+      // Fechas ya convertidas a Date por el middleware de validación
       const { domain, startDate, endDate } = req.query;
 
-      if (!domain) {
-        return ResponseUtil.badRequest(res, 'Missing domain query parameter');
-      }
-
-      const start = startDate ? new Date(startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      const end = endDate || new Date();
 
       const stats = await this.orchestrator.getUsageStats(domain, start, end);
 
@@ -136,6 +181,27 @@ class ChatController {
       return ResponseUtil.serverError(res, 'Failed to retrieve stats');
     }
   }
+
+  /**
+   * GET /api/chat/stats/tools
+   * Latencia de los tools ejecutados por los modelos
+   */
+  async getToolStats(req, res) {
+    try {
+      const { domain, startDate, endDate } = req.query;
+
+      const start = startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      const end = endDate || new Date();
+
+      const stats = await this.orchestrator.getToolLatencyStats(domain, start, end);
+
+      return ResponseUtil.success(res, stats, 'Tool stats retrieved successfully');
+
+    } catch (error) {
+      logger.error('[Chat] Error in getToolStats:', error);
+      return ResponseUtil.serverError(res, 'Failed to retrieve tool stats');
+    }
+  }
 }
 
 module.exports = new ChatController();
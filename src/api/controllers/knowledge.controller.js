@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * KNOWLEDGE CONTROLLER
+ * ============================================
+ * Base de conocimiento de la tienda (FAQ y políticas que usa el bot)
+ */
+
+const KnowledgeBaseService = require('../../services/knowledge-base.service');
+const ResponseUtil = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+class KnowledgeController {
+  /**
+   * Respuesta de error según el tipo (artículo inexistente, slug inválido...)
+   */
+  handleError(res, error, action) {
+    if (error.name === 'NotFoundError') {
+      return ResponseUtil.notFound(res, error.message);
+    }
+    if (error.name === 'ValidationError') {
+      return ResponseUtil.badRequest(res, error.message);
+    }
+    logger.error(`[Knowledge] Error in ${action}:`, error);
+    return ResponseUtil.serverError(res, 'Failed to update knowledge base');
+  }
+
+  /**
+   * GET /api/knowledge
+   * Artículos del dominio (filtrables por idioma y tag)
+   */
+  async listArticles(req, res) {
+    try {
+      const { domain, locale, tag } = req.query;
+      const articles = await KnowledgeBaseService.listArticles(domain, { locale, tag });
+      return ResponseUtil.success(res, articles, 'Articles retrieved successfully');
+
+    } catch (error) {
+      logger.error('[Knowledge] Error in listArticles:', error);
+      return ResponseUtil.serverError(res, 'Failed to retrieve articles');
+    }
+  }
+
+  /**
+   * POST /api/knowledge
+   * Ingesta de artículos (crea o actualiza por slug + locale)
+   */
+  async ingestArticles(req, res) {
+    try {
+      // Body validado por el middleware (knowledgeSchemas.ingestArticles)
+      const { domain, articles } = req.body;
+      const result = await KnowledgeBaseService.upsertArticles(domain, articles);
+      return ResponseUtil.success(res, result, 'Articles ingested successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'ingestArticles');
+    }
+  }
+
+  /**
+   * PUT /api/knowledge/:slug
+   * Crea o reemplaza un artículo
+   */
+  async upsertArticle(req, res) {
+    try {
+      const { slug } = req.params;
+      const { domain, ...article } = req.body;
+      const result = await KnowledgeBaseService.upsertArticle(domain, { ...article, slug });
+      return ResponseUtil.success(res, result, `Article ${result.created ? 'created' : 'updated'} successfully`);
+
+    } catch (error) {
+      return this.handleError(res, error, 'upsertArticle');
+    }
+  }
+
+  /**
+   * DELETE /api/knowledge/:slug
+   * Elimina un artículo (sin locale, en todos los idiomas)
+   */
+  async deleteArticle(req, res) {
+    try {
+      const { slug } = req.params;
+      const { domain, locale } = req.query;
+      const result = await KnowledgeBaseService.deleteArticle(domain, slug, locale);
+      return ResponseUtil.success(res, result, 'Article deleted successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'deleteArticle');
+    }
+  }
+}
+
+module.exports = new KnowledgeController();
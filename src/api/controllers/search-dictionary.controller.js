@@ -0,0 +1,90 @@
+/**
+ * ============================================
+ * SEARCH DICTIONARY CONTROLLER
+ * ============================================
+ * Sinónimos, expansiones y stopWords de la búsqueda de productos
+ */
+
+const SearchDictionaryService = require('../../services/search-dictionary.service');
+const ProductCatalogService = require('../../services/product-catalog.service');
+const ResponseUtil = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+class SearchDictionaryController {
+  /**
+   * Respuesta de error según el tipo (diccionario inexistente, regla inválida...)
+   */
+  handleError(res, error, action) {
+    if (error.name === 'NotFoundError') {
+      return ResponseUtil.notFound(res, error.message);
+    }
+    if (error.name === 'ValidationError') {
+      return ResponseUtil.badRequest(res, error.message);
+    }
+    logger.error(`[SearchDictionary] Error in ${action}:`, error);
+    return ResponseUtil.serverError(res, 'Failed to update search dictionary');
+  }
+
+  /**
+   * GET /api/search-dictionary
+   * Diccionario del dominio (vacío si no tiene)
+   */
+  async getDictionary(req, res) {
+    try {
+      const dictionary = await SearchDictionaryService.getDictionary(req.query.domain);
+      return ResponseUtil.success(res, dictionary, 'Search dictionary retrieved successfully');
+
+    } catch (error) {
+      logger.error('[SearchDictionary] Error in getDictionary:', error);
+      return ResponseUtil.serverError(res, 'Failed to retrieve search dictionary');
+    }
+  }
+
+  /**
+   * PUT /api/search-dictionary
+   * Crea o reemplaza el diccionario del dominio
+   */
+  async updateDictionary(req, res) {
+    try {
+      // Body validado por el middleware (searchDictionarySchemas.updateDictionary)
+      const { domain, ...dictionary } = req.body;
+      const result = await SearchDictionaryService.updateDictionary(domain, dictionary);
+      return ResponseUtil.success(res, result, `Search dictionary ${result.created ? 'created' : 'updated'} successfully`);
+
+    } catch (error) {
+      return this.handleError(res, error, 'updateDictionary');
+    }
+  }
+
+  /**
+   * DELETE /api/search-dictionary
+   * Elimina el diccionario (la búsqueda queda sin sinónimos)
+   */
+  async deleteDictionary(req, res) {
+    try {
+      const result = await SearchDictionaryService.deleteDictionary(req.query.domain);
+      return ResponseUtil.success(res, result, 'Search dictionary deleted successfully');
+
+    } catch (error) {
+      return this.handleError(res, error, 'deleteDictionary');
+    }
+  }
+
+  /**
+   * GET /api/search-dictionary/preview
+   * Palabras clave con las que se buscaría una consulta (con sinónimos y correcciones)
+   */
+  async previewQuery(req, res) {
+    try {
+      const { domain, query, locale } = req.query;
+      const terms = await ProductCatalogService.buildSearchTerms(query, domain, { locale });
+      return ResponseUtil.success(res, { query, terms }, 'Search terms retrieved successfully');
+
+    } catch (error) {
+      logger.error('[SearchDictionary] Error in previewQuery:', error);
+      return ResponseUtil.serverError(res, 'Failed to preview search terms');
+    }
+  }
+}
+
+module.exports = new SearchDictionaryController();
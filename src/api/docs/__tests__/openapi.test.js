@@ -0,0 +1,33 @@
+/**
+ * Cobertura de la especificación OpenAPI: cada ruta montada tiene su entrada
+ * en routes.docs.js (y cada entrada, su ruta)
+ */
+
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost/test';
+process.env.MONGO_URI_CLIENTS = process.env.MONGO_URI_CLIENTS || 'mongodb://localhost/test-clients';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const apiRoutes = require('../../routes');
+const { checkRoutesCoverage, buildOpenApiSpec } = require('../openapi');
+
+describe('OpenAPI routes coverage', () => {
+  it('documents every mounted API route', () => {
+    const { undocumented } = checkRoutesCoverage(apiRoutes);
+
+    expect(undocumented).toEqual([]);
+  });
+
+  it('has no documented API route without a router', () => {
+    const { stale } = checkRoutesCoverage(apiRoutes);
+
+    // /health se monta directo en la app (server.js)
+    expect(stale).toEqual(['get /health']);
+  });
+
+  it('builds a spec with every documented path', () => {
+    const spec = buildOpenApiSpec();
+
+    expect(spec.openapi).toMatch(/^3\./);
+    expect(Object.keys(spec.paths)).toContain('/api/chat/message');
+  });
+});
@@ -0,0 +1,498 @@
+/**
+ * ============================================
+ * OPENAPI COMPONENTS
+ * ============================================
+ * Schemas de respuesta y esquemas de seguridad
+ * (reflejan ResponseUtil y los controladores)
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = schema => ({ ...schema, nullable: true });
+
+/**
+ * Envelope de éxito de ResponseUtil con un schema en data
+ */
+function successEnvelope(dataSchema) {
+  return {
+    type: 'object',
+    required: ['success', 'message', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      message: { type: 'string' },
+      data: dataSchema,
+    },
+  };
+}
+
+const tokens = {
+  type: 'object',
+  properties: {
+    input: { type: 'integer' },
+    output: { type: 'integer' },
+    thinking: { type: 'integer' },
+    cached: { type: 'integer' },
+    total: { type: 'integer' },
+  },
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+    },
+  },
+
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'message', 'errors'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string', example: 'Validation failed' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', example: 'body.userMessage' },
+            message: { type: 'string' },
+            type: { type: 'string', example: 'string.max' },
+          },
+        },
+      },
+    },
+  },
+
+  Action: {
+    type: 'object',
+    description: 'Acción validada que el frontend debe ejecutar',
+    properties: {
+      type: { type: 'string', enum: ['none', 'add_to_cart', 'show_product', 'go_to_url'] },
+      productId: nullable({ type: 'string' }),
+      quantity: nullable({ type: 'integer' }),
+      url: nullable({ type: 'string' }),
+      price_sale: nullable({ type: 'number' }),
+      title: nullable({ type: 'string' }),
+      price_regular: nullable({ type: 'number' }),
+      image: nullable({ type: 'string' }),
+      slug: nullable({ type: 'string' }),
+      sku: nullable({ type: 'string', description: 'SKU de la variante (productos con talla/color)' }),
+    },
+  },
+
+  Tokens: tokens,
+
+  Cost: {
+    type: 'object',
+    properties: {
+      input: { type: 'number' },
+      output: { type: 'number' },
+      cached: { type: 'number' },
+      compute: { type: 'number', description: 'Costo por hora de cómputo (modelos autoalojados)' },
+      total: { type: 'number' },
+      currency: { type: 'string', example: 'USD' },
+    },
+  },
+
+  CircuitState: {
+    type: 'object',
+    properties: {
+      state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+      requests: { type: 'integer', description: 'Llamadas en la ventana de medición' },
+      failures: { type: 'integer' },
+      slowCalls: { type: 'integer' },
+      errorRate: { type: 'number' },
+      slowCallRate: { type: 'number' },
+      avgLatencyMs: { type: 'integer' },
+      openedAt: nullable({ type: 'string', format: 'date-time' }),
+      retryAt: nullable({ type: 'string', format: 'date-time' }),
+      lastError: nullable({
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          at: { type: 'string', format: 'date-time' },
+        },
+      }),
+    },
+  },
+
+  ChatResponse: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      audio_description: { type: 'string' },
+      action: ref('Action'),
+      model_used: { type: 'string', example: 'gemini' },
+      thinking_used: { type: 'boolean' },
+      thinking: nullable({ type: 'string' }),
+      fallback_used: { type: 'boolean' },
+      tokens: ref('Tokens'),
+      cost: ref('Cost'),
+      response_time_ms: { type: 'integer' },
+      conversation_id: { type: 'string' },
+      system_prompt_memorized: { type: 'boolean' },
+      intent_interpreted: nullable({
+        type: 'object',
+        properties: {
+          intent: { type: 'string' },
+          confidence: { type: 'number' },
+          method: { type: 'string' },
+        },
+      }),
+      tool_executed: nullable({
+        type: 'object',
+        properties: {
+          tool: { type: 'string' },
+          data_count: { type: 'integer' },
+        },
+      }),
+    },
+  },
+
+  ConversationMessage: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ['system', 'user', 'assistant'] },
+      content: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      metadata: {
+        type: 'object',
+        properties: {
+          model: { type: 'string' },
+          tokens: ref('Tokens'),
+          thinkingUsed: { type: 'boolean' },
+          action: ref('Action'),
+          sources: {
+            type: 'array',
+            description: 'Artículos de la base de conocimiento en los que se basa la respuesta',
+            items: ref('KnowledgeSource'),
+          },
+        },
+      },
+    },
+  },
+
+  KnowledgeSource: {
+    type: 'object',
+    properties: {
+      articleId: { type: 'string' },
+      slug: { type: 'string' },
+      title: { type: 'string' },
+    },
+  },
+
+  History: {
+    type: 'object',
+    description: 'Sin conversación activa solo se devuelve messages vacío',
+    properties: {
+      conversationId: { type: 'string' },
+      messages: { type: 'array', items: ref('ConversationMessage') },
+      metadata: {
+        type: 'object',
+        properties: {
+          totalMessages: { type: 'integer' },
+          totalTokens: { type: 'integer' },
+          cachedTokens: { type: 'integer' },
+          averageResponseTime: { type: 'number' },
+          modelsUsed: { type: 'object', additionalProperties: { type: 'integer' } },
+          checkout: nullable(ref('CheckoutState')),
+        },
+      },
+      systemPromptMemorized: { type: 'boolean' },
+    },
+  },
+
+  CheckoutState: {
+    type: 'object',
+    description: 'Checkout conversacional de la conversación',
+    properties: {
+      status: { type: 'string', enum: ['active', 'completed', 'cancelled'] },
+      step: { type: 'string', enum: ['shipping_address', 'shipping_zone', 'payment_method', 'confirm', 'completed'] },
+      shippingAddress: {
+        type: 'object',
+        properties: {
+          recipient: { type: 'string' },
+          street: { type: 'string' },
+          city: { type: 'string' },
+          reference: { type: 'string' },
+          phone: { type: 'string' },
+        },
+      },
+      shippingZone: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          cost: nullable({ type: 'number' }),
+        },
+      },
+      paymentMethod: { type: 'string' },
+      couponCode: { type: 'string', description: 'Cupón del pedido (acción set_coupon del tool checkout)' },
+      order: {
+        type: 'object',
+        description: 'Borrador enviado al webhook de pedidos',
+        properties: {
+          orderId: { type: 'string' },
+          total: { type: 'number' },
+          submittedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      startedAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+
+  StatsRow: {
+    type: 'object',
+    description: 'Uso agregado por proveedor',
+    properties: {
+      _id: { type: 'string', description: 'Proveedor', example: 'openai' },
+      totalTokens: { type: 'integer' },
+      totalCachedTokens: { type: 'integer' },
+      totalCost: { type: 'number' },
+      count: { type: 'integer' },
+      avgResponseTime: nullable({ type: 'number' }),
+      contractFailures: { type: 'integer', description: 'Salidas del modelo que no cumplieron el contrato de respuesta' },
+      contractUnrepaired: { type: 'integer', description: 'Respuestas que siguieron sin cumplir el contrato tras la reparación' },
+    },
+  },
+
+  ToolStatsRow: {
+    type: 'object',
+    description: 'Latencia agregada por tool',
+    properties: {
+      _id: { type: 'string', description: 'Tool', example: 'search_products' },
+      calls: { type: 'integer', description: 'Ejecuciones (sin contar llamadas repetidas)' },
+      repeatedCalls: { type: 'integer', description: 'Llamadas repetidas que reutilizaron un resultado' },
+      totalMs: { type: 'integer' },
+      avgMs: nullable({ type: 'number' }),
+      maxMs: nullable({ type: 'integer' }),
+    },
+  },
+
+  CartItem: {
+    type: 'object',
+    properties: {
+      position: { type: 'integer', description: 'Posición en el carrito (desde 1)' },
+      productId: { type: 'string' },
+      title: { type: 'string' },
+      slug: { type: 'string' },
+      image: { type: 'string' },
+      sku: nullable({ type: 'string', description: 'SKU de la variante' }),
+      variant: nullable({ type: 'object', additionalProperties: { type: 'string' }, example: { size: 'M', color: 'negro' } }),
+      price: {
+        type: 'object',
+        properties: {
+          regular: { type: 'number' },
+          sale: { type: 'number' },
+        },
+      },
+      quantity: { type: 'integer' },
+      subtotal: { type: 'number' },
+    },
+  },
+
+  Cart: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: ref('CartItem') },
+      itemCount: { type: 'integer', description: 'Unidades en total' },
+      total: { type: 'number' },
+      updatedAt: nullable({ type: 'string', format: 'date-time' }),
+    },
+  },
+
+  CartSync: {
+    type: 'object',
+    properties: {
+      cart: ref('Cart'),
+      skipped: {
+        type: 'array',
+        description: 'Productos omitidos (no disponibles o sin stock suficiente)',
+        items: {
+          type: 'object',
+          properties: {
+            productId: { type: 'string' },
+            sku: { type: 'string' },
+            reason: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+
+  NotifyResult: {
+    type: 'object',
+    properties: {
+      delivered: { type: 'integer', description: 'Sesiones que recibieron el evento' },
+    },
+  },
+
+  VisitorToken: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      tokenType: { type: 'string', example: 'Bearer' },
+      expiresIn: { type: 'string', example: '7d' },
+      userId: { type: 'string' },
+      domain: { type: 'string' },
+    },
+  },
+
+  ApiKey: {
+    type: 'object',
+    properties: {
+      keyId: { type: 'string' },
+      name: { type: 'string' },
+      domains: { type: 'array', items: { type: 'string' } },
+      scopes: { type: 'array', items: { type: 'string' } },
+      status: { type: 'string', enum: ['active', 'revoked'] },
+      expiresAt: nullable({ type: 'string', format: 'date-time' }),
+      lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+      revokedAt: nullable({ type: 'string', format: 'date-time' }),
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+
+  ApiKeyCreated: {
+    type: 'object',
+    properties: {
+      apiKey: { type: 'string', description: 'Key en texto plano (solo se devuelve una vez)' },
+      key: ref('ApiKey'),
+    },
+  },
+
+  ApiKeyRotated: {
+    type: 'object',
+    properties: {
+      apiKey: { type: 'string' },
+      key: ref('ApiKey'),
+      previousKey: ref('ApiKey'),
+    },
+  },
+
+  KnowledgeArticle: {
+    type: 'object',
+    properties: {
+      articleId: { type: 'string' },
+      slug: { type: 'string' },
+      locale: { type: 'string', enum: ['es', 'en', 'pt'] },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      isActive: { type: 'boolean' },
+      chunks: { type: 'integer', description: 'Fragmentos en los que se partió el body para la búsqueda' },
+      updatedAt: nullable({ type: 'string', format: 'date-time' }),
+    },
+  },
+
+  KnowledgeIngest: {
+    type: 'object',
+    properties: {
+      created: { type: 'integer' },
+      updated: { type: 'integer' },
+      articles: { type: 'array', items: ref('KnowledgeArticle') },
+    },
+  },
+
+  KnowledgeUpsert: {
+    type: 'object',
+    properties: {
+      created: { type: 'boolean', description: 'false = se actualizó un artículo existente' },
+      article: ref('KnowledgeArticle'),
+    },
+  },
+
+  KnowledgeDelete: {
+    type: 'object',
+    properties: {
+      slug: { type: 'string' },
+      deleted: { type: 'integer', description: 'Artículos eliminados (uno por idioma)' },
+    },
+  },
+
+  SearchDictionary: {
+    type: 'object',
+    properties: {
+      domain: { type: 'string' },
+      synonyms: { type: 'array', items: { type: 'array', items: { type: 'string' } } },
+      expansions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            term: { type: 'string' },
+            expandsTo: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      stopWords: {
+        type: 'object',
+        properties: {
+          es: { type: 'array', items: { type: 'string' } },
+          en: { type: 'array', items: { type: 'string' } },
+          pt: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      updatedAt: nullable({ type: 'string', format: 'date-time' }),
+    },
+  },
+
+  SearchDictionaryUpdate: {
+    type: 'object',
+    properties: {
+      created: { type: 'boolean', description: 'false = se reemplazó el diccionario existente' },
+      dictionary: ref('SearchDictionary'),
+    },
+  },
+
+  SearchDictionaryDelete: {
+    type: 'object',
+    properties: {
+      domain: { type: 'string' },
+      deleted: { type: 'boolean' },
+    },
+  },
+
+  SearchTermsPreview: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      terms: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            keyword: { type: 'string' },
+            variants: { type: 'array', items: { type: 'string' }, description: 'La palabra clave, sus sinónimos y expansiones y las correcciones de tipeo' },
+          },
+        },
+      },
+    },
+  },
+};
+
+const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Token de visitante (POST /api/auth/token)',
+  },
+  apiKeyAuth: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-API-Key',
+    description: 'API key del tenant (servidor a servidor)',
+  },
+};
+
+module.exports = {
+  schemas,
+  securitySchemes,
+  ref,
+  nullable,
+  successEnvelope,
+};
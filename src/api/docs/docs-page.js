@@ -0,0 +1,131 @@
+/**
+ * ============================================
+ * DOCS PAGE
+ * ============================================
+ * Página HTML navegable generada desde la especificación
+ * OpenAPI (sin dependencias ni scripts externos)
+ */
+
+const METHOD_COLORS = {
+  get: '#2f7d32',
+  post: '#1565c0',
+  put: '#ef6c00',
+  patch: '#6a1b9a',
+  delete: '#c62828',
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON formateado con los $ref convertidos en enlaces a su schema
+ */
+function renderJson(value) {
+  return escapeHtml(JSON.stringify(value, null, 2))
+    .replace(/&quot;#\/components\/schemas\/(\w+)&quot;/g, '<a href="#schema-$1">&quot;$1&quot;</a>');
+}
+
+function renderParameters(parameters = []) {
+  if (parameters.length === 0) return '';
+
+  const rows = parameters.map(parameter => `
+        <tr>
+          <td><code>${escapeHtml(parameter.name)}</code></td>
+          <td>${parameter.in}</td>
+          <td>${parameter.required ? 'sí' : 'no'}</td>
+          <td><code>${escapeHtml(JSON.stringify(parameter.schema))}</code></td>
+          <td>${escapeHtml(parameter.description || '')}</td>
+        </tr>`).join('');
+
+  return `
+      <h4>Parámetros</h4>
+      <table>
+        <tr><th>Nombre</th><th>En</th><th>Requerido</th><th>Schema</th><th>Descripción</th></tr>${rows}
+      </table>`;
+}
+
+function renderOperation(path, method, operation) {
+  const requestBody = operation.requestBody
+    ? `
+      <h4>Body</h4>
+      <pre>${renderJson(operation.requestBody.content['application/json'].schema)}</pre>`
+    : '';
+
+  const responses = Object.entries(operation.responses).map(([code, response]) => {
+    const [contentType, media] = Object.entries(response.content || {})[0] || [];
+    return `
+      <details>
+        <summary><strong>${code}</strong> ${escapeHtml(response.description)}${contentType ? ` <small>(${contentType})</small>` : ''}</summary>
+        ${media ? `<pre>${renderJson(media.schema)}</pre>` : ''}
+      </details>`;
+  }).join('');
+
+  return `
+    <section class="operation">
+      <h3><span class="method" style="background:${METHOD_COLORS[method] || '#555'}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+      <p>${escapeHtml(operation.summary || '')}</p>
+      ${operation.description ? `<p class="description">${escapeHtml(operation.description)}</p>` : ''}
+      ${operation.security ? '<p class="auth">🔒 Bearer JWT o X-API-Key</p>' : ''}
+      ${renderParameters(operation.parameters)}${requestBody}
+      <h4>Respuestas</h4>${responses}
+    </section>`;
+}
+
+/**
+ * Genera la página HTML de la documentación
+ * @param {Object} spec - Especificación OpenAPI
+ * @param {string} specUrl - URL del JSON de la especificación
+ * @returns {string}
+ */
+function renderDocsPage(spec, specUrl) {
+  const sections = spec.tags.map(({ name }) => {
+    const operations = [];
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        if (operation.tags.includes(name)) {
+          operations.push(renderOperation(path, method, operation));
+        }
+      }
+    }
+    return `
+  <h2>${escapeHtml(name)}</h2>${operations.join('')}`;
+  }).join('');
+
+  const schemaSections = Object.entries(spec.components.schemas).map(([name, schema]) => `
+    <section class="schema" id="schema-${name}">
+      <h3>${escapeHtml(name)}</h3>
+      <pre>${renderJson(schema)}</pre>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(spec.info.title)} v${escapeHtml(spec.info.version)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 1000px; margin: 0 auto; padding: 24px; color: #222; }
+    h2 { border-bottom: 2px solid #ddd; padding-bottom: 4px; margin-top: 40px; }
+    .operation, .schema { border: 1px solid #e0e0e0; border-radius: 6px; padding: 12px 16px; margin: 16px 0; }
+    .method { color: #fff; border-radius: 4px; padding: 2px 8px; font-size: 0.8em; }
+    .description, .auth { color: #555; }
+    pre { background: #f6f8fa; padding: 12px; overflow-x: auto; font-size: 0.85em; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { border: 1px solid #e0e0e0; padding: 4px 8px; text-align: left; vertical-align: top; }
+    details { margin: 4px 0; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(spec.info.title)} <small>v${escapeHtml(spec.info.version)}</small></h1>
+  <p>${escapeHtml(spec.info.description)}</p>
+  <p>Especificación OpenAPI: <a href="${escapeHtml(specUrl)}"><code>${escapeHtml(specUrl)}</code></a></p>${sections}
+  <h2>Schemas</h2>${schemaSections}
+</body>
+</html>`;
+}
+
+module.exports = { renderDocsPage };
@@ -0,0 +1,166 @@
+/**
+ * ============================================
+ * JOI → OPENAPI
+ * ============================================
+ * Convierte los schemas Joi de los validadores en
+ * schemas y parámetros de OpenAPI 3
+ */
+
+/**
+ * Convierte un schema Joi en un schema OpenAPI
+ * @param {Object} schema - Schema Joi
+ * @returns {Object}
+ */
+function joiToSchema(schema) {
+  return convertDescription(schema.describe());
+}
+
+function getRule(description, name) {
+  return (description.rules || []).find(rule => rule.name === name);
+}
+
+function convertDescription(description) {
+  const flags = description.flags || {};
+  let schema;
+
+  switch (description.type) {
+    case 'object':
+      schema = convertObject(description);
+      break;
+
+    case 'array':
+      schema = convertArray(description);
+      break;
+
+    case 'alternatives':
+      schema = {
+        anyOf: (description.matches || []).map(match => convertDescription(match.schema)),
+      };
+      break;
+
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+
+    case 'number':
+      schema = convertNumber(description);
+      break;
+
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+
+    case 'string':
+      schema = convertString(description);
+      break;
+
+    default:
+      schema = {};
+  }
+
+  if (description.allow && description.allow.length > 0 && flags.only) {
+    schema.enum = description.allow;
+  }
+
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+
+  return schema;
+}
+
+function convertObject(description) {
+  const schema = { type: 'object' };
+  const keys = description.keys || {};
+  const required = [];
+
+  if (Object.keys(keys).length > 0) {
+    schema.properties = {};
+    for (const [key, child] of Object.entries(keys)) {
+      schema.properties[key] = convertDescription(child);
+      if (child.flags && child.flags.presence === 'required') {
+        required.push(key);
+      }
+    }
+  }
+
+  if (required.length > 0) schema.required = required;
+
+  return schema;
+}
+
+function convertArray(description) {
+  const schema = { type: 'array' };
+  const items = description.items || [];
+
+  if (items.length === 1) {
+    schema.items = convertDescription(items[0]);
+  } else if (items.length > 1) {
+    schema.items = { anyOf: items.map(convertDescription) };
+  }
+
+  const min = getRule(description, 'min');
+  const max = getRule(description, 'max');
+  if (min) schema.minItems = min.args.limit;
+  if (max) schema.maxItems = max.args.limit;
+  if (getRule(description, 'unique')) schema.uniqueItems = true;
+
+  return schema;
+}
+
+function convertString(description) {
+  const schema = { type: 'string' };
+
+  const min = getRule(description, 'min');
+  const max = getRule(description, 'max');
+  const length = getRule(description, 'length');
+  if (min) schema.minLength = min.args.limit;
+  if (max) schema.maxLength = max.args.limit;
+  if (length) {
+    schema.minLength = length.args.limit;
+    schema.maxLength = length.args.limit;
+  }
+
+  if (getRule(description, 'hex')) schema.pattern = '^[a-fA-F0-9]+$';
+  if (getRule(description, 'hostname')) schema.format = 'hostname';
+
+  return schema;
+}
+
+function convertNumber(description) {
+  const schema = { type: getRule(description, 'integer') ? 'integer' : 'number' };
+
+  const min = getRule(description, 'min');
+  const max = getRule(description, 'max');
+  if (min) schema.minimum = min.args.limit;
+  if (max) schema.maximum = max.args.limit;
+
+  return schema;
+}
+
+/**
+ * Convierte un schema Joi de params o query en parámetros OpenAPI
+ * @param {Object} schema - Schema Joi (objeto)
+ * @param {string} location - path | query
+ * @returns {Array<Object>}
+ */
+function joiToParameters(schema, location) {
+  const converted = joiToSchema(schema);
+  const required = converted.required || [];
+
+  return Object.entries(converted.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      schema: propertySchema,
+    };
+    if (description) parameter.description = description;
+    return parameter;
+  });
+}
+
+module.exports = {
+  joiToSchema,
+  joiToParameters,
+};
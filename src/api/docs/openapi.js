@@ -0,0 +1,158 @@
+/**
+ * ============================================
+ * OPENAPI
+ * ============================================
+ * Genera la especificación OpenAPI 3 a partir de las rutas
+ * documentadas y los schemas de validación, y verifica que
+ * todas las rutas montadas tengan su entrada
+ */
+
+const { version } = require('../../../package.json');
+const routesDocs = require('./routes.docs');
+const { schemas, securitySchemes, ref, successEnvelope } = require('./components');
+const { joiToSchema, joiToParameters } = require('./joi-to-openapi');
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+
+const ERROR_RESPONSES = {
+  400: { description: 'Validation failed', content: jsonContent(ref('ValidationError')) },
+  401: { description: 'Credenciales ausentes o inválidas', content: jsonContent(ref('Error')) },
+  403: { description: 'Sin scope o dominio no permitido', content: jsonContent(ref('Error')) },
+  404: { description: 'No encontrado', content: jsonContent(ref('Error')) },
+  429: { description: 'Too Many Requests', content: jsonContent(ref('Error')) },
+  500: { description: 'Internal Server Error', content: jsonContent(ref('Error')) },
+};
+
+/**
+ * Construye la operación OpenAPI de una ruta documentada
+ */
+function buildOperation(doc) {
+  const operation = {
+    tags: [doc.tag],
+    summary: doc.summary,
+    responses: {},
+  };
+
+  const descriptions = [];
+  if (doc.description) descriptions.push(doc.description);
+  if (doc.scope) descriptions.push(`Requiere scope \`${doc.scope}\`.`);
+  if (descriptions.length > 0) operation.description = descriptions.join('\n\n');
+
+  if (!doc.public) {
+    operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+  }
+
+  const validation = doc.validation || {};
+  const parameters = [
+    ...(validation.params ? joiToParameters(validation.params, 'path') : []),
+    ...(validation.query ? joiToParameters(validation.query, 'query') : []),
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (validation.body) {
+    operation.requestBody = {
+      required: true,
+      content: jsonContent(joiToSchema(validation.body)),
+    };
+  }
+
+  if (doc.stream) {
+    operation.responses[200] = {
+      description: 'Stream de Server-Sent Events',
+      content: { 'text/event-stream': { schema: { type: 'string' } } },
+    };
+  } else {
+    operation.responses[200] = {
+      description: 'OK',
+      content: doc.contentType
+        ? { [doc.contentType]: { schema: doc.response } }
+        : jsonContent(doc.raw ? doc.response : successEnvelope(doc.response)),
+    };
+  }
+
+  const errorCodes = [];
+  if (doc.validation) errorCodes.push(400);
+  if (!doc.public) errorCodes.push(401, 403);
+  if (doc.notFound) errorCodes.push(404);
+  if (!doc.raw) errorCodes.push(429, 500); // Rutas del API (con rate limiting)
+
+  for (const code of errorCodes) {
+    operation.responses[code] = ERROR_RESPONSES[code];
+  }
+
+  return operation;
+}
+
+/**
+ * Genera la especificación OpenAPI 3
+ * @returns {Object}
+ */
+function buildOpenApiSpec() {
+  const paths = {};
+
+  for (const doc of routesDocs) {
+    paths[doc.path] = paths[doc.path] || {};
+    paths[doc.path][doc.method] = buildOperation(doc);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Smart Chat Agent API',
+      version,
+      description: 'API del agente conversacional. El WebSocket del chat (/api/chat/ws) se describe en docs/API.md.',
+    },
+    tags: [...new Set(routesDocs.map(doc => doc.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes,
+    },
+  };
+}
+
+/**
+ * Lista las rutas registradas en los routers montados
+ * @param {Array<Object>} mounts - [{ path, router }] (path '' = app)
+ * @returns {Array<string>} - ['post /api/chat/message', ...] con params como {param}
+ */
+function listMountedRoutes(mounts) {
+  const routes = [];
+
+  for (const { path: basePath, router } of mounts) {
+    const stack = router.stack || (router._router && router._router.stack) || [];
+
+    for (const layer of stack) {
+      if (!layer.route || typeof layer.route.path !== 'string') continue;
+
+      const path = `${basePath}${layer.route.path}`
+        .replace(/:(\w+)/g, '{$1}')
+        .replace(/(.)\/$/, '$1'); // '/api/docs/' → '/api/docs'
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push(`${method} ${path}`);
+      }
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Compara las rutas montadas con las documentadas
+ * @returns {Object} - { undocumented: rutas sin entrada, stale: entradas sin ruta }
+ */
+function checkRoutesCoverage(mounts) {
+  const mounted = listMountedRoutes(mounts);
+  const documented = routesDocs.map(doc => `${doc.method} ${doc.path}`);
+
+  return {
+    undocumented: mounted.filter(route => !documented.includes(route)),
+    stale: documented.filter(route => !mounted.includes(route)),
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  listMountedRoutes,
+  checkRoutesCoverage,
+};
@@ -0,0 +1,321 @@
+/**
+ * ============================================
+ * ROUTES DOCS
+ * ============================================
+ * Entrada de la especificación OpenAPI por cada ruta montada
+ * 
+ * IMPORTANTE: al agregar una ruta, agregar aquí su entrada.
+ * El servidor no arranca (fuera de producción) si hay rutas sin documentar.
+ */
+
+const { chat: chatSchemas, auth: authSchemas, admin: adminSchemas, cart: cartSchemas, knowledge: knowledgeSchemas, searchDictionary: searchDictionarySchemas } = require('../validators');
+const { ref, nullable } = require('./components');
+
+const routesDocs = [
+  // Servicio
+  {
+    method: 'get',
+    path: '/health',
+    tag: 'Service',
+    summary: 'Estado del servicio',
+    public: true,
+    raw: true,
+    response: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ok', 'degraded'] },
+        timestamp: { type: 'string', format: 'date-time' },
+        service: { type: 'string' },
+        providers: {
+          type: 'object',
+          description: 'Disponibilidad y circuit breaker de cada proveedor registrado',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              available: { type: 'boolean' },
+              circuit: nullable({ allOf: [ref('CircuitState')] }),
+            },
+          },
+        },
+      },
+    },
+  },
+
+  {
+    method: 'get',
+    path: '/api/docs',
+    tag: 'Service',
+    summary: 'Documentación navegable (HTML)',
+    public: true,
+    raw: true,
+    contentType: 'text/html',
+    response: { type: 'string' },
+  },
+  {
+    method: 'get',
+    path: '/api/docs/openapi.json',
+    tag: 'Service',
+    summary: 'Especificación OpenAPI 3 (JSON)',
+    public: true,
+    raw: true,
+    response: { type: 'object' },
+  },
+
+  // Auth
+  {
+    method: 'post',
+    path: '/api/auth/token',
+    tag: 'Auth',
+    summary: 'Emite un token de visitante anónimo para un dominio',
+    description: 'Si se envía un token válido del mismo dominio (Authorization), se conserva su userId.',
+    public: true,
+    validation: authSchemas.issueToken,
+    response: ref('VisitorToken'),
+  },
+
+  // Chat
+  {
+    method: 'post',
+    path: '/api/chat/message',
+    tag: 'Chat',
+    summary: 'Procesa un mensaje del usuario',
+    scope: 'chat',
+    validation: chatSchemas.sendMessage,
+    response: ref('ChatResponse'),
+  },
+  {
+    method: 'post',
+    path: '/api/chat/message/stream',
+    tag: 'Chat',
+    summary: 'Procesa un mensaje respondiendo con Server-Sent Events',
+    description: 'Eventos: tool_call_start, tool_call_end, message, reset, done (data = ChatResponse) y error.',
+    scope: 'chat',
+    validation: chatSchemas.streamMessage,
+    stream: true,
+  },
+  {
+    method: 'get',
+    path: '/api/chat/history/{userId}',
+    tag: 'Chat',
+    summary: 'Historial de la conversación activa del usuario',
+    scope: 'history',
+    validation: chatSchemas.getHistory,
+    response: ref('History'),
+  },
+  {
+    method: 'post',
+    path: '/api/chat/close/{conversationId}',
+    tag: 'Chat',
+    summary: 'Cierra una conversación',
+    scope: 'chat',
+    validation: chatSchemas.closeConversation,
+    response: { nullable: true },
+    notFound: true,
+  },
+  {
+    method: 'get',
+    path: '/api/chat/stats',
+    tag: 'Chat',
+    summary: 'Estadísticas de uso por proveedor',
+    scope: 'stats',
+    validation: chatSchemas.getStats,
+    response: { type: 'array', items: ref('StatsRow') },
+  },
+  {
+    method: 'get',
+    path: '/api/chat/stats/tools',
+    tag: 'Chat',
+    summary: 'Latencia de los tools ejecutados por los modelos (mayor tiempo total primero)',
+    scope: 'stats',
+    validation: chatSchemas.getToolStats,
+    response: { type: 'array', items: ref('ToolStatsRow') },
+  },
+  {
+    method: 'post',
+    path: '/api/chat/notify',
+    tag: 'Chat',
+    summary: 'Envía un evento del servidor a las sesiones WebSocket',
+    scope: 'admin',
+    validation: chatSchemas.notify,
+    response: ref('NotifyResult'),
+  },
+
+  // Admin
+  {
+    method: 'get',
+    path: '/api/admin/api-keys',
+    tag: 'Admin',
+    summary: 'Lista las API keys de los dominios del admin',
+    scope: 'admin',
+    validation: adminSchemas.listApiKeys,
+    response: { type: 'array', items: ref('ApiKey') },
+  },
+  {
+    method: 'post',
+    path: '/api/admin/api-keys',
+    tag: 'Admin',
+    summary: 'Crea una API key',
+    scope: 'admin',
+    validation: adminSchemas.createApiKey,
+    response: ref('ApiKeyCreated'),
+  },
+  {
+    method: 'post',
+    path: '/api/admin/api-keys/{keyId}/rotate',
+    tag: 'Admin',
+    summary: 'Rota una API key (la anterior sigue válida durante el periodo de gracia)',
+    scope: 'admin',
+    validation: adminSchemas.rotateApiKey,
+    response: ref('ApiKeyRotated'),
+    notFound: true,
+  },
+  {
+    method: 'post',
+    path: '/api/admin/api-keys/{keyId}/revoke',
+    tag: 'Admin',
+    summary: 'Revoca una API key inmediatamente',
+    scope: 'admin',
+    validation: adminSchemas.revokeApiKey,
+    response: ref('ApiKey'),
+    notFound: true,
+  },
+
+  // Carrito
+  {
+    method: 'get',
+    path: '/api/cart',
+    tag: 'Cart',
+    summary: 'Carrito del usuario (el mismo que gestionan los tools del bot)',
+    scope: 'chat',
+    validation: cartSchemas.getCart,
+    response: ref('Cart'),
+  },
+  {
+    method: 'put',
+    path: '/api/cart',
+    tag: 'Cart',
+    summary: 'Reemplaza el carrito con el de la tienda (sincronización)',
+    scope: 'chat',
+    validation: cartSchemas.replaceCart,
+    response: ref('CartSync'),
+  },
+  {
+    method: 'delete',
+    path: '/api/cart',
+    tag: 'Cart',
+    summary: 'Vacía el carrito',
+    scope: 'chat',
+    validation: cartSchemas.clearCart,
+    response: ref('Cart'),
+  },
+  {
+    method: 'post',
+    path: '/api/cart/items',
+    tag: 'Cart',
+    summary: 'Agrega un producto (si ya está, suma la cantidad)',
+    scope: 'chat',
+    validation: cartSchemas.addItem,
+    response: ref('Cart'),
+    notFound: true,
+  },
+  {
+    method: 'patch',
+    path: '/api/cart/items/{productId}',
+    tag: 'Cart',
+    summary: 'Cambia la cantidad de un producto (0 lo quita)',
+    scope: 'chat',
+    validation: cartSchemas.updateItem,
+    response: ref('Cart'),
+    notFound: true,
+  },
+  {
+    method: 'delete',
+    path: '/api/cart/items/{productId}',
+    tag: 'Cart',
+    summary: 'Quita un producto del carrito',
+    scope: 'chat',
+    validation: cartSchemas.removeItem,
+    response: ref('Cart'),
+    notFound: true,
+  },
+
+  // Base de conocimiento
+  {
+    method: 'get',
+    path: '/api/knowledge',
+    tag: 'Knowledge',
+    summary: 'Artículos de la base de conocimiento del dominio',
+    scope: 'admin',
+    validation: knowledgeSchemas.listArticles,
+    response: { type: 'array', items: ref('KnowledgeArticle') },
+  },
+  {
+    method: 'post',
+    path: '/api/knowledge',
+    tag: 'Knowledge',
+    summary: 'Crea o actualiza varios artículos (ingesta)',
+    scope: 'admin',
+    validation: knowledgeSchemas.ingestArticles,
+    response: ref('KnowledgeIngest'),
+  },
+  {
+    method: 'put',
+    path: '/api/knowledge/{slug}',
+    tag: 'Knowledge',
+    summary: 'Crea o reemplaza un artículo',
+    scope: 'admin',
+    validation: knowledgeSchemas.upsertArticle,
+    response: ref('KnowledgeUpsert'),
+  },
+  {
+    method: 'delete',
+    path: '/api/knowledge/{slug}',
+    tag: 'Knowledge',
+    summary: 'Elimina un artículo',
+    scope: 'admin',
+    validation: knowledgeSchemas.deleteArticle,
+    response: ref('KnowledgeDelete'),
+    notFound: true,
+  },
+
+  // Diccionario de búsqueda
+  {
+    method: 'get',
+    path: '/api/search-dictionary',
+    tag: 'Search',
+    summary: 'Sinónimos, expansiones y stopWords de la búsqueda de productos del dominio',
+    scope: 'admin',
+    validation: searchDictionarySchemas.getDictionary,
+    response: ref('SearchDictionary'),
+  },
+  {
+    method: 'put',
+    path: '/api/search-dictionary',
+    tag: 'Search',
+    summary: 'Crea o reemplaza el diccionario de búsqueda',
+    scope: 'admin',
+    validation: searchDictionarySchemas.updateDictionary,
+    response: ref('SearchDictionaryUpdate'),
+  },
+  {
+    method: 'delete',
+    path: '/api/search-dictionary',
+    tag: 'Search',
+    summary: 'Elimina el diccionario de búsqueda',
+    scope: 'admin',
+    validation: searchDictionarySchemas.deleteDictionary,
+    response: ref('SearchDictionaryDelete'),
+    notFound: true,
+  },
+  {
+    method: 'get',
+    path: '/api/search-dictionary/preview',
+    tag: 'Search',
+    summary: 'Palabras clave y variantes con las que se buscaría una consulta',
+    scope: 'admin',
+    validation: searchDictionarySchemas.previewQuery,
+    response: ref('SearchTermsPreview'),
+  },
+];
+
+module.exports = routesDocs;
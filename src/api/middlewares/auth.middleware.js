@@ -0,0 +1,95 @@
+/**
+ * ============================================
+ * AUTH MIDDLEWARE
+ * ============================================
+ * Verifica las credenciales de la petición (API key o JWT)
+ * y liga userId/domain a ellas
+ */
+
+const AuthService = require('../../services/auth.service');
+const ApiKeyService = require('../../services/api-key.service');
+const { ValidationError, UnauthorizedError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Exige credenciales válidas:
+ * - X-API-Key: <key> (integraciones servidor a servidor)
+ * - Authorization: Bearer <jwt> (visitantes de la tienda)
+ * Deja el contexto normalizado en req.auth
+ */
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      req.auth = await ApiKeyService.verifyKey(apiKey);
+      return next();
+    }
+
+    const token = AuthService.extractBearerToken(req.headers.authorization);
+    if (!token) {
+      throw new UnauthorizedError('Missing bearer token or API key');
+    }
+
+    req.auth = AuthService.verifyToken(token);
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Exige que el token tenga una capacidad
+ * @param {string} scope - chat | history | stats | admin
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth || !req.auth.scopes.includes(scope)) {
+      return next(new ForbiddenError(`Missing required scope: ${scope}`));
+    }
+    return next();
+  };
+}
+
+/**
+ * Liga userId y domain de la petición a las credenciales
+ * - Si la petición no los indica, se completan desde el token
+ * - Si los indica y no coinciden, se rechaza con 403
+ * - Las API keys no tienen userId: la petición debe indicarlo
+ *
+ * @param {Object} sources - Dónde leer cada campo, ej: { userId: 'params', domain: 'query' }
+ */
+function bindIdentity({ userId: userIdSource = null, domain: domainSource = 'body' } = {}) {
+  return (req, res, next) => {
+    try {
+      if (domainSource) {
+        const container = req[domainSource] || {};
+        container.domain = AuthService.resolveDomain(req.auth, container.domain);
+        req[domainSource] = container;
+      }
+
+      if (userIdSource) {
+        const container = req[userIdSource] || {};
+        if (!req.auth.userId) {
+          if (!container.userId) {
+            throw new ValidationError('Missing required field: userId');
+          }
+        } else {
+          if (container.userId && container.userId !== req.auth.userId) {
+            throw new ForbiddenError('userId does not match token subject');
+          }
+          container.userId = req.auth.userId;
+        }
+        req[userIdSource] = container;
+      }
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  bindIdentity,
+};
@@ -18,7 +18,17 @@ function errorHandler(err, req, res, next) {
 
   // Error de autenticación
   if (err.name === 'UnauthorizedError') {
-    return ResponseUtil.unauthorized(res, 'Unauthorized');
+    return ResponseUtil.unauthorized(res, err.message || 'Unauthorized');
+  }
+
+  // Error de autorización
+  if (err.name === 'ForbiddenError') {
+    return ResponseUtil.forbidden(res, err.message || 'Forbidden');
+  }
+
+  // Recurso inexistente
+  if (err.name === 'NotFoundError') {
+    return ResponseUtil.notFound(res, err.message || 'Not Found');
   }
 
   // Error genérico
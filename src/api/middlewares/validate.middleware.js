@@ -0,0 +1,52 @@
+/**
+ * ============================================
+ * VALIDATE MIDDLEWARE
+ * ============================================
+ * Valida params, query y body contra schemas Joi
+ * y responde 400 con los errores por campo
+ */
+
+const ResponseUtil = require('../../utils/response');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false, // Reportar todos los errores
+  stripUnknown: true, // Descartar campos no declarados
+  convert: true,
+};
+
+/**
+ * @param {Object} schemas - { params?, query?, body? } con schemas Joi
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const part of REQUEST_PARTS) {
+      if (!schemas[part]) continue;
+
+      const { error, value } = schemas[part].validate(req[part] || {}, VALIDATION_OPTIONS);
+      if (error) {
+        errors.push(...error.details.map(detail => ({
+          field: [part, ...detail.path].join('.'),
+          message: detail.message.replace(/"/g, ''),
+          type: detail.type,
+        })));
+      } else {
+        values[part] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return ResponseUtil.badRequest(res, 'Validation failed', errors);
+    }
+
+    // Reemplazar por los valores validados (convertidos y sin campos desconocidos)
+    Object.assign(req, values);
+    return next();
+  };
+}
+
+module.exports = validate;
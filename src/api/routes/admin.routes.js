@@ -0,0 +1,29 @@
+/**
+ * ============================================
+ * ADMIN ROUTES
+ * ============================================
+ * Rutas de administración (requieren scope admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const rateLimitMiddleware = require('../middlewares/rate-limit.middleware');
+const { authenticate, requireScope } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const adminSchemas = require('../validators/admin.validator');
+
+// Aplicar rate limiting
+router.use(rateLimitMiddleware);
+
+// Todas las rutas requieren credenciales con scope admin
+router.use(authenticate);
+router.use(requireScope('admin'));
+
+// API keys
+router.get('/api-keys', validate(adminSchemas.listApiKeys), adminController.listApiKeys.bind(adminController));
+router.post('/api-keys', validate(adminSchemas.createApiKey), adminController.createApiKey.bind(adminController));
+router.post('/api-keys/:keyId/rotate', validate(adminSchemas.rotateApiKey), adminController.rotateApiKey.bind(adminController));
+router.post('/api-keys/:keyId/revoke', validate(adminSchemas.revokeApiKey), adminController.revokeApiKey.bind(adminController));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * ============================================
+ * AUTH ROUTES
+ * ============================================
+ * Rutas de autenticación
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const rateLimitMiddleware = require('../middlewares/rate-limit.middleware');
+const validate = require('../middlewares/validate.middleware');
+const authSchemas = require('../validators/auth.validator');
+
+// Aplicar rate limiting
+router.use(rateLimitMiddleware);
+
+// Rutas
+router.post('/token', validate(authSchemas.issueToken), authController.issueToken.bind(authController));
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * ============================================
+ * CART ROUTES
+ * ============================================
+ * Carrito del servidor (el mismo que usan los tools del bot)
+ * para que la tienda lo muestre y lo sincronice
+ */
+
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cart.controller');
+const rateLimitMiddleware = require('../middlewares/rate-limit.middleware');
+const { authenticate, requireScope, bindIdentity } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const cartSchemas = require('../validators/cart.validator');
+
+// Aplicar rate limiting
+router.use(rateLimitMiddleware);
+
+// Todas las rutas requieren credenciales con scope chat
+router.use(authenticate);
+router.use(requireScope('chat'));
+
+// Rutas (validación del request antes de ligar la identidad a las credenciales)
+router.get('/', validate(cartSchemas.getCart), bindIdentity({ userId: 'query', domain: 'query' }), cartController.getCart.bind(cartController));
+router.put('/', validate(cartSchemas.replaceCart), bindIdentity({ userId: 'body', domain: 'body' }), cartController.replaceCart.bind(cartController));
+router.delete('/', validate(cartSchemas.clearCart), bindIdentity({ userId: 'query', domain: 'query' }), cartController.clearCart.bind(cartController));
+router.post('/items', validate(cartSchemas.addItem), bindIdentity({ userId: 'body', domain: 'body' }), cartController.addItem.bind(cartController));
+router.patch('/items/:productId', validate(cartSchemas.updateItem), bindIdentity({ userId: 'body', domain: 'body' }), cartController.updateItem.bind(cartController));
+router.delete('/items/:productId', validate(cartSchemas.removeItem), bindIdentity({ userId: 'query', domain: 'query' }), cartController.removeItem.bind(cartController));
+
+module.exports = router;
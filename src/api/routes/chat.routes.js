@@ -9,15 +9,24 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
 const rateLimitMiddleware = require('../middlewares/rate-limit.middleware');
+const { authenticate, requireScope, bindIdentity } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const chatSchemas = require('../validators/chat.validator');
 
 // Aplicar rate limiting
 router.use(rateLimitMiddleware);
 
-// Rutas
-router.post('/message', chatController.sendMessage.bind(chatController));
-router.get('/history/:userId', chatController.getHistory.bind(chatController));
-router.post('/close/:conversationId', chatController.closeConversation.bind(chatController));
-router.get('/stats', chatController.getStats.bind(chatController));
+// Todas las rutas requieren credenciales (JWT de visitante o API key del tenant)
+router.use(authenticate);
+
+// Rutas (validación del request antes de ligar la identidad a las credenciales)
+router.post('/message', requireScope('chat'), validate(chatSchemas.sendMessage), bindIdentity({ userId: 'body', domain: 'body' }), chatController.sendMessage.bind(chatController));
+router.post('/message/stream', requireScope('chat'), validate(chatSchemas.streamMessage), bindIdentity({ userId: 'body', domain: 'body' }), chatController.streamMessage.bind(chatController));
+router.get('/history/:userId', requireScope('history'), validate(chatSchemas.getHistory), bindIdentity({ userId: 'params', domain: 'query' }), chatController.getHistory.bind(chatController));
+router.post('/close/:conversationId', requireScope('chat'), validate(chatSchemas.closeConversation), chatController.closeConversation.bind(chatController));
+router.get('/stats', requireScope('stats'), validate(chatSchemas.getStats), bindIdentity({ domain: 'query' }), chatController.getStats.bind(chatController));
+router.get('/stats/tools', requireScope('stats'), validate(chatSchemas.getToolStats), bindIdentity({ domain: 'query' }), chatController.getToolStats.bind(chatController));
+router.post('/notify', requireScope('admin'), validate(chatSchemas.notify), bindIdentity({ domain: 'body' }), chatController.notify.bind(chatController));
 
 module.exports = router;
 
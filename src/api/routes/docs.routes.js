@@ -0,0 +1,35 @@
+/**
+ * ============================================
+ * DOCS ROUTES
+ * ============================================
+ * Especificación OpenAPI (JSON) y página navegable
+ */
+
+const express = require('express');
+const router = express.Router();
+const { buildOpenApiSpec } = require('../docs/openapi');
+const { renderDocsPage } = require('../docs/docs-page');
+
+// La especificación solo depende del código: se genera una vez
+let spec = null;
+let page = null;
+
+function getSpec() {
+  if (!spec) {
+    spec = buildOpenApiSpec();
+  }
+  return spec;
+}
+
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+router.get('/', (req, res) => {
+  if (!page) {
+    page = renderDocsPage(getSpec(), `${req.baseUrl}/openapi.json`);
+  }
+  res.type('html').send(page);
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * ============================================
+ * API ROUTES
+ * ============================================
+ * Routers del API y la ruta donde se montan
+ * (server.js los monta; la especificación OpenAPI debe cubrirlos todos)
+ */
+
+const chatRoutes = require('./chat.routes');
+const authRoutes = require('./auth.routes');
+const adminRoutes = require('./admin.routes');
+const cartRoutes = require('./cart.routes');
+const knowledgeRoutes = require('./knowledge.routes');
+const searchDictionaryRoutes = require('./search-dictionary.routes');
+const docsRoutes = require('./docs.routes');
+
+const apiRoutes = [
+  { path: '/api/auth', router: authRoutes },
+  { path: '/api/chat', router: chatRoutes },
+  { path: '/api/cart', router: cartRoutes },
+  { path: '/api/knowledge', router: knowledgeRoutes },
+  { path: '/api/search-dictionary', router: searchDictionaryRoutes },
+  { path: '/api/admin', router: adminRoutes },
+  { path: '/api/docs', router: docsRoutes },
+];
+
+module.exports = apiRoutes;
@@ -0,0 +1,30 @@
+/**
+ * ============================================
+ * KNOWLEDGE ROUTES
+ * ============================================
+ * Base de conocimiento por dominio (FAQ, devoluciones, garantías,
+ * horarios, medios de pago...) que el bot usa para responder
+ */
+
+const express = require('express');
+const router = express.Router();
+const knowledgeController = require('../controllers/knowledge.controller');
+const rateLimitMiddleware = require('../middlewares/rate-limit.middleware');
+const { authenticate, requireScope, bindIdentity } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const knowledgeSchemas = require('../validators/knowledge.validator');
+
+// Aplicar rate limiting
+router.use(rateLimitMiddleware);
+
+// Todas las rutas requieren credenciales con scope admin
+router.use(authenticate);
+router.use(requireScope('admin'));
+
+// Rutas (validación del request antes de ligar el dominio a las credenciales)
+router.get('/', validate(knowledgeSchemas.listArticles), bindIdentity({ domain: 'query' }), knowledgeController.listArticles.bind(knowledgeController));
+router.post('/', validate(knowledgeSchemas.ingestArticles), bindIdentity({ domain: 'body' }), knowledgeController.ingestArticles.bind(knowledgeController));
+router.put('/:slug', validate(knowledgeSchemas.upsertArticle), bindIdentity({ domain: 'body' }), knowledgeController.upsertArticle.bind(knowledgeController));
+router.delete('/:slug', validate(knowledgeSchemas.deleteArticle), bindIdentity({ domain: 'query' }), knowledgeController.deleteArticle.bind(knowledgeController));
+
+module.exports = router;
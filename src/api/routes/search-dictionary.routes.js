@@ -0,0 +1,30 @@
+/**
+ * ============================================
+ * SEARCH DICTIONARY ROUTES
+ * ============================================
+ * Diccionario de búsqueda de productos por dominio (sinónimos,
+ * expansiones y palabras ignoradas)
+ */
+
+const express = require('express');
+const router = express.Router();
+const searchDictionaryController = require('../controllers/search-dictionary.controller');
+const rateLimitMiddleware = require('../middlewares/rate-limit.middleware');
+const { authenticate, requireScope, bindIdentity } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const searchDictionarySchemas = require('../validators/search-dictionary.validator');
+
+// Aplicar rate limiting
+router.use(rateLimitMiddleware);
+
+// Todas las rutas requieren credenciales con scope admin
+router.use(authenticate);
+router.use(requireScope('admin'));
+
+// Rutas (validación del request antes de ligar el dominio a las credenciales)
+router.get('/', validate(searchDictionarySchemas.getDictionary), bindIdentity({ domain: 'query' }), searchDictionaryController.getDictionary.bind(searchDictionaryController));
+router.put('/', validate(searchDictionarySchemas.updateDictionary), bindIdentity({ domain: 'body' }), searchDictionaryController.updateDictionary.bind(searchDictionaryController));
+router.delete('/', validate(searchDictionarySchemas.deleteDictionary), bindIdentity({ domain: 'query' }), searchDictionaryController.deleteDictionary.bind(searchDictionaryController));
+router.get('/preview', validate(searchDictionarySchemas.previewQuery), bindIdentity({ domain: 'query' }), searchDictionaryController.previewQuery.bind(searchDictionaryController));
+
+module.exports = router;
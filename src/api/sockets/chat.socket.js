@@ -0,0 +1,219 @@
+/**
+ * ============================================
+ * CHAT SOCKET
+ * ============================================
+ * Canal WebSocket del chat (una conexión por conversación)
+ *
+ * Conexión: ws://host/api/chat/ws?token=<jwt>&domain=...
+ * (el userId sale del token; domain es opcional si el token tiene uno solo)
+ *
+ * Cliente → servidor:
+ * - { "type": "message", "userMessage": "...", "forceModel": "auto" }
+ * - { "type": "ping" }
+ *
+ * Servidor → cliente: { "type", "data", "timestamp" }
+ * - session, typing, tool_call_start, tool_call_end, message, reset,
+ *   reply, action, error, pong
+ * - Eventos iniciados por el servidor: handback, back_in_stock, notification
+ */
+
+const { WebSocketServer } = require('ws');
+const ChatOrchestratorService = require('../../services/chat-orchestrator.service');
+const ChatSessionService = require('../../services/chat-session.service');
+const AuthService = require('../../services/auth.service');
+const chatSchemas = require('../validators/chat.validator');
+const { UnauthorizedError, ForbiddenError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+const SOCKET_PATH = '/api/chat/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+const orchestrator = new ChatOrchestratorService();
+
+/**
+ * Envía al cliente los errores de validación de un frame (mismo formato que la API HTTP)
+ */
+function sendValidationError(socket, error) {
+  ChatSessionService.send(socket, 'error', {
+    message: 'Validation failed',
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message.replace(/"/g, ''),
+      type: detail.type,
+    })),
+  });
+}
+
+/**
+ * Procesa un mensaje del usuario recibido por el socket
+ */
+async function handleUserMessage(session, payload) {
+  const { socket, userId, domain } = session;
+
+  const { error, value } = chatSchemas.socketMessage.validate(payload, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    sendValidationError(socket, error);
+    return;
+  }
+
+  const { userMessage, forceModel } = value;
+
+  logger.info(`[ChatSocket] Processing message from user ${userId} on domain ${domain}`);
+  ChatSessionService.send(socket, 'typing', { active: true });
+
+  try {
+    const response = await orchestrator.processMessage({
+      userMessage,
+      userId,
+      domain,
+      forceModel,
+      onEvent: (event, data) => ChatSessionService.send(socket, event, data),
+      endpoint: SOCKET_PATH,
+    });
+
+    ChatSessionService.send(socket, 'reply', response);
+
+    if (response.action && response.action.type !== 'none') {
+      ChatSessionService.send(socket, 'action', response.action);
+    }
+  } catch (error) {
+    logger.error('[ChatSocket] Error processing message:', error);
+    ChatSessionService.send(socket, 'error', { message: 'Failed to process message' });
+  } finally {
+    ChatSessionService.send(socket, 'typing', { active: false });
+  }
+}
+
+/**
+ * Autentica la conexión con el JWT (query ?token= o header Authorization)
+ * @returns {Object} - { userId, domain }
+ */
+function authenticateConnection(req, url) {
+  const token = url.searchParams.get('token') || AuthService.extractBearerToken(req.headers.authorization);
+  if (!token) {
+    throw new UnauthorizedError('Missing token');
+  }
+
+  const auth = AuthService.verifyToken(token);
+  if (!auth.scopes.includes('chat')) {
+    throw new ForbiddenError('Missing required scope: chat');
+  }
+
+  const requestedUserId = url.searchParams.get('userId');
+  if (requestedUserId && requestedUserId !== auth.userId) {
+    throw new ForbiddenError('userId does not match token subject');
+  }
+
+  return {
+    userId: auth.userId,
+    domain: AuthService.resolveDomain(auth, url.searchParams.get('domain')),
+  };
+}
+
+/**
+ * Maneja una nueva conexión
+ */
+function handleConnection(socket, req) {
+  const url = new URL(req.url, 'http://localhost');
+
+  let identity;
+  try {
+    identity = authenticateConnection(req, url);
+  } catch (error) {
+    logger.warn(`[ChatSocket] Connection rejected: ${error.message}`);
+    socket.close(error.name === 'ForbiddenError' ? 4403 : 4401, error.message);
+    return;
+  }
+
+  const { userId, domain } = identity;
+
+  const session = {
+    socket,
+    userId,
+    domain,
+    connectedAt: new Date(),
+    // Los mensajes de una conversación se procesan en orden
+    queue: Promise.resolve(),
+  };
+
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  ChatSessionService.register(session);
+  ChatSessionService.send(socket, 'session', { userId, domain });
+
+  socket.on('message', (raw) => {
+    // Un frame inválido nunca debe escapar del listener (tumbaría el proceso)
+    try {
+      let payload;
+      try {
+        payload = JSON.parse(raw.toString());
+      } catch (error) {
+        ChatSessionService.send(socket, 'error', { message: 'Invalid JSON payload' });
+        return;
+      }
+
+      // null, arrays, números...: socketFrame solo acepta objetos con un type conocido
+      const { error } = chatSchemas.socketFrame.validate(payload);
+      if (error) {
+        sendValidationError(socket, error);
+        return;
+      }
+
+      switch (payload.type) {
+        case 'message':
+          session.queue = session.queue
+            .then(() => handleUserMessage(session, payload))
+            .catch(error => logger.error(`[ChatSocket] Error processing message from ${domain}:${userId}: ${error.message}`));
+          break;
+
+        case 'ping':
+          ChatSessionService.send(socket, 'pong', {});
+          break;
+      }
+    } catch (error) {
+      logger.error(`[ChatSocket] Error handling frame from ${domain}:${userId}: ${error.message}`);
+      ChatSessionService.send(socket, 'error', { message: 'Failed to process message' });
+    }
+  });
+
+  socket.on('close', () => {
+    ChatSessionService.unregister(session);
+  });
+
+  socket.on('error', (error) => {
+    logger.error(`[ChatSocket] Socket error for ${domain}:${userId}: ${error.message}`);
+  });
+}
+
+/**
+ * Adjunta el servidor WebSocket al servidor HTTP
+ * @param {http.Server} server - Servidor HTTP de Express
+ * @returns {WebSocketServer}
+ */
+function attachChatSocket(server) {
+  const wss = new WebSocketServer({ server, path: SOCKET_PATH });
+
+  wss.on('connection', handleConnection);
+
+  // Heartbeat: terminar sockets que no responden al ping
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (socket.isAlive === false) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  logger.info(`🔌 WebSocket chat available at ${SOCKET_PATH}`);
+  return wss;
+}
+
+module.exports = { attachChatSocket, SOCKET_PATH };
@@ -0,0 +1,42 @@
+/**
+ * ============================================
+ * ADMIN VALIDATOR
+ * ============================================
+ * Schemas de las rutas de administración
+ */
+
+const Joi = require('joi');
+const getApiKeyModel = require('../../models/ApiKey');
+const { domain } = require('./common.validator');
+
+const keyIdParams = Joi.object({
+  keyId: Joi.string().hex().length(16).required().description('Identificador público de la key'),
+});
+
+const adminSchemas = {
+  listApiKeys: {
+    query: Joi.object({
+      domain,
+    }),
+  },
+
+  createApiKey: {
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(100).required(),
+      domains: Joi.array().items(Joi.alternatives().try(Joi.string().valid('*'), domain)).min(1).unique().required()
+        .description("Dominios permitidos ('*' = todos)"),
+      scopes: Joi.array().items(Joi.string().valid(...getApiKeyModel.SCOPES)).min(1).unique().required(),
+      expiresAt: Joi.date().iso().greater('now'),
+    }),
+  },
+
+  rotateApiKey: {
+    params: keyIdParams,
+  },
+
+  revokeApiKey: {
+    params: keyIdParams,
+  },
+};
+
+module.exports = adminSchemas;
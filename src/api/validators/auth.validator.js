@@ -0,0 +1,19 @@
+/**
+ * ============================================
+ * AUTH VALIDATOR
+ * ============================================
+ * Schemas de las rutas de autenticación
+ */
+
+const Joi = require('joi');
+const { domain } = require('./common.validator');
+
+const authSchemas = {
+  issueToken: {
+    body: Joi.object({
+      domain: domain.required(),
+    }),
+  },
+};
+
+module.exports = authSchemas;
@@ -0,0 +1,82 @@
+/**
+ * ============================================
+ * CART VALIDATOR
+ * ============================================
+ * Schemas de las rutas del carrito
+ *
+ * NOTA: domain y userId son opcionales porque el middleware
+ * de autenticación los completa desde las credenciales.
+ */
+
+const Joi = require('joi');
+const config = require('../../config/env.config');
+const { domain, userId } = require('./common.validator');
+
+const productId = Joi.string().trim().min(1).max(128)
+  .description('ID o slug del producto');
+
+const sku = Joi.string().trim().min(1).max(128)
+  .description('SKU de la variante (productos con variantes)');
+
+const quantity = Joi.number().integer().min(1).max(config.cart.maxItemQuantity)
+  .description('Cantidad');
+
+const identityQuery = Joi.object({
+  domain,
+  userId,
+});
+
+const productIdParams = Joi.object({
+  productId: productId.required(),
+});
+
+const cartSchemas = {
+  getCart: {
+    query: identityQuery,
+  },
+
+  addItem: {
+    body: Joi.object({
+      domain,
+      userId,
+      productId: productId.required(),
+      sku,
+      quantity: quantity.default(1),
+    }),
+  },
+
+  updateItem: {
+    params: productIdParams,
+    body: Joi.object({
+      domain,
+      userId,
+      sku,
+      quantity: Joi.number().integer().min(0).max(config.cart.maxItemQuantity).required()
+        .description('Nueva cantidad (0 = quitar el producto)'),
+    }),
+  },
+
+  removeItem: {
+    params: productIdParams,
+    query: identityQuery.keys({ sku }),
+  },
+
+  clearCart: {
+    query: identityQuery,
+  },
+
+  replaceCart: {
+    body: Joi.object({
+      domain,
+      userId,
+      items: Joi.array().items(Joi.object({
+        productId: productId.required(),
+        sku,
+        quantity: quantity.required(),
+      })).max(config.cart.maxItems).required()
+        .description('Carrito completo de la tienda (reemplaza al del servidor)'),
+    }),
+  },
+};
+
+module.exports = cartSchemas;
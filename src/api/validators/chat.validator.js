@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * CHAT VALIDATOR
+ * ============================================
+ * Schemas de las rutas de chat (body, params, query)
+ * 
+ * NOTA: domain y userId son opcionales porque el middleware
+ * de autenticación los completa desde las credenciales.
+ */
+
+const Joi = require('joi');
+const config = require('../../config/env.config');
+const { SERVER_PUSH_TYPES } = require('../../services/chat-session.service');
+const ProviderRegistryService = require('../../services/provider-registry.service');
+const { domain, userId, objectId } = require('./common.validator');
+
+// 'auto' (decide el router) o cualquier proveedor registrado
+const MODEL_OPTIONS = ['auto', ...ProviderRegistryService.list()];
+
+const messageBody = Joi.object({
+  userMessage: Joi.string().trim().min(1).max(config.chat.maxMessageLength).required()
+    .description('Mensaje del usuario'),
+  domain,
+  userId,
+  forceModel: Joi.string().valid(...MODEL_OPTIONS)
+    .description('Modelo a usar (auto = decide el router)'),
+});
+
+const chatSchemas = {
+  sendMessage: {
+    body: messageBody,
+  },
+
+  streamMessage: {
+    body: messageBody,
+  },
+
+  getHistory: {
+    params: Joi.object({
+      userId: userId.required(),
+    }),
+    query: Joi.object({
+      domain,
+    }),
+  },
+
+  closeConversation: {
+    params: Joi.object({
+      conversationId: objectId.required().description('ID de la conversación'),
+    }),
+  },
+
+  getStats: {
+    query: Joi.object({
+      domain,
+      startDate: Joi.date().iso().description('Fecha de inicio (ISO 8601, default: hace 7 días)'),
+      endDate: Joi.date().iso().min(Joi.ref('startDate')).description('Fecha de fin (ISO 8601, default: ahora)'),
+    }),
+  },
+
+  getToolStats: {
+    query: Joi.object({
+      domain,
+      startDate: Joi.date().iso().description('Fecha de inicio (ISO 8601, default: hace 7 días)'),
+      endDate: Joi.date().iso().min(Joi.ref('startDate')).description('Fecha de fin (ISO 8601, default: ahora)'),
+    }),
+  },
+
+  notify: {
+    body: Joi.object({
+      domain,
+      userId: userId.description('Si se omite, se envía a todo el dominio'),
+      type: Joi.string().valid(...SERVER_PUSH_TYPES).required(),
+      payload: Joi.object().unknown(true).default({}),
+    }),
+  },
+
+  // Frame recibido por el WebSocket (los campos de cada tipo se validan después)
+  socketFrame: Joi.object({
+    type: Joi.string().valid('message', 'ping').required(),
+  }).unknown(true),
+
+  // Mensajes recibidos por el WebSocket
+  socketMessage: Joi.object({
+    type: Joi.string().valid('message').required(),
+    userMessage: Joi.string().trim().min(1).max(config.chat.maxMessageLength).required(),
+    forceModel: Joi.string().valid(...MODEL_OPTIONS),
+  }),
+};
+
+module.exports = chatSchemas;
+module.exports.MODEL_OPTIONS = MODEL_OPTIONS;
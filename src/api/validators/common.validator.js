@@ -0,0 +1,22 @@
+/**
+ * ============================================
+ * COMMON VALIDATOR
+ * ============================================
+ * Tipos reutilizados por los schemas de las rutas
+ */
+
+const Joi = require('joi');
+
+const domain = Joi.string().trim().max(253).hostname()
+  .description('Dominio de la tienda');
+
+const userId = Joi.string().trim().min(1).max(128)
+  .description('Identificador del usuario');
+
+const objectId = Joi.string().hex().length(24);
+
+module.exports = {
+  domain,
+  userId,
+  objectId,
+};
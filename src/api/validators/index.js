@@ -0,0 +1,16 @@
+/**
+ * ============================================
+ * VALIDATORS
+ * ============================================
+ * Schemas de todas las rutas (usados por el middleware
+ * de validación y para generar documentación)
+ */
+
+module.exports = {
+  chat: require('./chat.validator'),
+  auth: require('./auth.validator'),
+  admin: require('./admin.validator'),
+  cart: require('./cart.validator'),
+  knowledge: require('./knowledge.validator'),
+  searchDictionary: require('./search-dictionary.validator'),
+};
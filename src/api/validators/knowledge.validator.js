@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * KNOWLEDGE VALIDATOR
+ * ============================================
+ * Schemas de las rutas de la base de conocimiento
+ *
+ * NOTA: domain es opcional si las credenciales tienen un solo dominio
+ * (el middleware de autenticación lo completa).
+ */
+
+const Joi = require('joi');
+const getKnowledgeArticleModel = require('../../models/KnowledgeArticle');
+const { domain } = require('./common.validator');
+
+const MAX_ARTICLES = 100;
+
+const slug = Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100)
+  .description('Identificador del artículo (ej: politica-de-devoluciones)');
+
+const locale = Joi.string().valid(...getKnowledgeArticleModel.LOCALES)
+  .description('Idioma del artículo');
+
+const articleFields = {
+  title: Joi.string().trim().min(1).max(200).required(),
+  body: Joi.string().trim().min(1).max(20000).required()
+    .description('Contenido (los párrafos se separan con una línea en blanco)'),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).default([]),
+  locale: locale.default('es'),
+  isActive: Joi.boolean().default(true)
+    .description('Los artículos inactivos no aparecen en las respuestas del bot'),
+};
+
+const slugParams = Joi.object({
+  slug: slug.required(),
+});
+
+const knowledgeSchemas = {
+  listArticles: {
+    query: Joi.object({
+      domain,
+      locale,
+      tag: Joi.string().trim().min(1).max(50),
+    }),
+  },
+
+  ingestArticles: {
+    body: Joi.object({
+      domain,
+      articles: Joi.array().items(Joi.object({
+        slug: slug.description('Sin slug se genera desde el título'),
+        ...articleFields,
+      })).min(1).max(MAX_ARTICLES).required()
+        .description('Artículos a crear o actualizar (slug + locale identifican al artículo)'),
+    }),
+  },
+
+  upsertArticle: {
+    params: slugParams,
+    body: Joi.object({
+      domain,
+      ...articleFields,
+    }),
+  },
+
+  deleteArticle: {
+    params: slugParams,
+    query: Joi.object({
+      domain,
+      locale: locale.description('Sin locale se elimina el artículo en todos los idiomas'),
+    }),
+  },
+};
+
+module.exports = knowledgeSchemas;
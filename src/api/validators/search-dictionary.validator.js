@@ -0,0 +1,64 @@
+/**
+ * ============================================
+ * SEARCH DICTIONARY VALIDATOR
+ * ============================================
+ * Schemas de las rutas del diccionario de búsqueda de productos
+ *
+ * NOTA: domain es opcional si las credenciales tienen un solo dominio
+ * (el middleware de autenticación lo completa).
+ */
+
+const Joi = require('joi');
+const getSearchDictionaryModel = require('../../models/SearchDictionary');
+const { domain } = require('./common.validator');
+
+const MAX_RULES = 500;
+const MAX_STOP_WORDS = 200;
+
+const term = Joi.string().trim().min(1).max(100);
+
+const locale = Joi.string().valid(...getSearchDictionaryModel.LOCALES)
+  .description('Idioma de la búsqueda');
+
+const searchDictionarySchemas = {
+  getDictionary: {
+    query: Joi.object({
+      domain,
+    }),
+  },
+
+  updateDictionary: {
+    body: Joi.object({
+      domain,
+      synonyms: Joi.array().items(Joi.array().items(term).min(2).max(20)).max(MAX_RULES).default([])
+        .description('Grupos de sinónimos: cualquiera de ellos encuentra a los demás (ej: ["celular", "smartphone", "móvil"])'),
+      expansions: Joi.array().items(Joi.object({
+        term: term.required(),
+        expandsTo: Joi.array().items(term).min(1).max(20).required(),
+      })).max(MAX_RULES).default([])
+        .description('Expansiones en un solo sentido: buscar term también busca expandsTo (ej: "cargador" → ["power bank"])'),
+      stopWords: Joi.object(Object.fromEntries(getSearchDictionaryModel.LOCALES.map(code => [
+        code,
+        Joi.array().items(Joi.string().trim().min(1).max(50)).max(MAX_STOP_WORDS),
+      ]))).default({})
+        .description('Palabras que la búsqueda ignora, por idioma'),
+    }),
+  },
+
+  deleteDictionary: {
+    query: Joi.object({
+      domain,
+    }),
+  },
+
+  previewQuery: {
+    query: Joi.object({
+      domain,
+      query: Joi.string().trim().min(1).max(200).required()
+        .description('Búsqueda de ejemplo'),
+      locale,
+    }),
+  },
+};
+
+module.exports = searchDictionarySchemas;
@@ -44,6 +44,8 @@ module.exports = {
     model: process.env.OPENAI_MODEL || 'gpt-4o',
     temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.2'),
     maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 500,
+    // response_format json_schema estricto (requiere gpt-4o-2024-08-06+ o gpt-4o-mini)
+    responseSchema: process.env.OPENAI_RESPONSE_SCHEMA !== 'false',
   },
 
   // Google Gemini
@@ -54,6 +56,90 @@ module.exports = {
     maxTokens: parseInt(process.env.GEMINI_MAX_TOKENS, 10) || 1000,
   },
 
+  // Modelo local con API compatible con OpenAI (Ollama, llama.cpp server)
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL, // ej: http://localhost:11434/v1
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local', // la mayoría de servidores locales no la exigen
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    temperature: parseFloat(process.env.LOCAL_LLM_TEMPERATURE || '0.2'),
+    maxTokens: parseInt(process.env.LOCAL_LLM_MAX_TOKENS, 10) || 500,
+    timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || 60000,
+    toolMode: process.env.LOCAL_LLM_TOOL_MODE || 'auto', // native | json | auto
+    // response_format json_schema en modo native (vLLM, llama.cpp y Ollama recientes)
+    responseSchema: process.env.LOCAL_LLM_RESPONSE_SCHEMA === 'true',
+    // Tenants que solo pueden usar el modelo local (residencia de datos, '*' = todos)
+    domains: process.env.LOCAL_LLM_DOMAINS ? process.env.LOCAL_LLM_DOMAINS.split(',') : [],
+    costPerHour: parseFloat(process.env.LOCAL_LLM_COST_PER_HOUR || '0'), // USD por hora de cómputo
+  },
+
+  // Proveedores de modelos
+  providers: {
+    // Proveedor "mock" con respuestas guionadas (sin red)
+    enableMock: process.env.ENABLE_MOCK_PROVIDER === 'true' || process.env.NODE_ENV === 'test',
+    mockScript: process.env.MOCK_PROVIDER_SCRIPT || null,
+  },
+
+  // Timeouts y reintentos de las llamadas externas
+  resilience: {
+    // Tiempo total de processMessage (todas las llamadas comparten este presupuesto)
+    requestDeadlineMs: parseInt(process.env.REQUEST_DEADLINE_MS, 10) || 60000,
+    llm: {
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000, // Por intento
+      retries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+      baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 500,
+      maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 8000,
+    },
+    configApi: {
+      timeoutMs: parseInt(process.env.CONFIG_API_TIMEOUT_MS, 10) || 5000,
+      retries: parseInt(process.env.CONFIG_API_MAX_RETRIES || '2', 10),
+      baseDelayMs: parseInt(process.env.CONFIG_API_RETRY_BASE_DELAY_MS, 10) || 200,
+      maxDelayMs: parseInt(process.env.CONFIG_API_RETRY_MAX_DELAY_MS, 10) || 2000,
+    },
+    orderWebhook: {
+      timeoutMs: parseInt(process.env.ORDER_WEBHOOK_TIMEOUT_MS, 10) || 10000,
+      retries: parseInt(process.env.ORDER_WEBHOOK_MAX_RETRIES || '2', 10),
+      baseDelayMs: parseInt(process.env.ORDER_WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 500,
+      maxDelayMs: parseInt(process.env.ORDER_WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 4000,
+    },
+    orderApi: {
+      timeoutMs: parseInt(process.env.ORDER_API_TIMEOUT_MS, 10) || 5000,
+      retries: parseInt(process.env.ORDER_API_MAX_RETRIES || '2', 10),
+      baseDelayMs: parseInt(process.env.ORDER_API_RETRY_BASE_DELAY_MS, 10) || 200,
+      maxDelayMs: parseInt(process.env.ORDER_API_RETRY_MAX_DELAY_MS, 10) || 2000,
+    },
+    embeddings: {
+      timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS, 10) || 10000,
+      retries: parseInt(process.env.EMBEDDING_MAX_RETRIES || '1', 10),
+      baseDelayMs: parseInt(process.env.EMBEDDING_RETRY_BASE_DELAY_MS, 10) || 200,
+      maxDelayMs: parseInt(process.env.EMBEDDING_RETRY_MAX_DELAY_MS, 10) || 2000,
+    },
+  },
+
+  // Límites del loop de tool calls (por mensaje)
+  toolLoop: {
+    maxRounds: parseInt(process.env.TOOL_LOOP_MAX_ROUNDS, 10) || 4,
+    maxTokens: parseInt(process.env.TOOL_LOOP_MAX_TOKENS, 10) || 20000,
+    // Tool calls de un mismo turno del modelo que se ejecutan a la vez
+    concurrency: parseInt(process.env.TOOL_CALL_CONCURRENCY, 10) || 4,
+  },
+
+  // Contrato de la respuesta del asistente ({ message, audio_description, action })
+  structuredOutput: {
+    // Rondas de reparación cuando la salida del modelo no cumple el contrato
+    repairAttempts: parseInt(process.env.STRUCTURED_OUTPUT_REPAIR_ATTEMPTS || '1', 10),
+  },
+
+  // Circuit breaker por proveedor de modelos
+  circuitBreaker: {
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS, 10) || 60000, // Ventana de medición
+    minRequests: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS, 10) || 5,
+    errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE || '0.5'),
+    slowCallMs: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_MS, 10) || 15000,
+    slowCallRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE || '0.8'),
+    openDurationMs: parseInt(process.env.CIRCUIT_BREAKER_OPEN_MS, 10) || 30000,
+    halfOpenMaxCalls: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_CALLS, 10) || 1,
+  },
+
   // Model Router
   router: {
     defaultProvider: process.env.DEFAULT_MODEL_PROVIDER || 'auto',
@@ -64,6 +150,19 @@ module.exports = {
   jwt: {
     secret: process.env.JWT_SECRET,
     expiration: process.env.JWT_EXPIRATION || '7d',
+    issuer: process.env.JWT_ISSUER || 'smart-chat-agent',
+  },
+
+  // Auth
+  auth: {
+    // Dominios para los que se emiten tokens de visitante (vacío = cualquiera)
+    allowedDomains: process.env.AUTH_ALLOWED_DOMAINS ? process.env.AUTH_ALLOWED_DOMAINS.split(',') : [],
+  },
+
+  // API keys (integraciones servidor a servidor)
+  apiKeys: {
+    adminKey: process.env.ADMIN_API_KEY, // Key de administración global (bootstrap)
+    rotationGraceMs: parseInt(process.env.API_KEY_ROTATION_GRACE_MS, 10) || 86400000, // 24 horas
   },
 
   // External APIs
@@ -71,6 +170,53 @@ module.exports = {
     configurationUrl: process.env.API_CONFIGURATION,
   },
 
+  // Chat
+  chat: {
+    maxMessageLength: parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH, 10) || 2000,
+  },
+
+  // Carrito del servidor
+  cart: {
+    maxItems: parseInt(process.env.CART_MAX_ITEMS, 10) || 50, // Productos distintos
+    maxItemQuantity: parseInt(process.env.CART_MAX_ITEM_QUANTITY, 10) || 99, // Unidades por producto
+  },
+
+  // Checkout conversacional (borrador de pedido enviado al webhook de pedidos)
+  checkout: {
+    orderWebhookUrl: process.env.ORDER_WEBHOOK_URL,
+    orderWebhookSecret: process.env.ORDER_WEBHOOK_SECRET, // Firma HMAC-SHA256 del body (opcional)
+    // Métodos de pago si la configuración del negocio no define payment_methods
+    paymentMethods: (process.env.CHECKOUT_PAYMENT_METHODS || 'tarjeta,transferencia,contra entrega')
+      .split(',').map(method => method.trim()).filter(Boolean),
+  },
+
+  // Estado de pedidos ("¿dónde está mi pedido?")
+  orders: {
+    source: process.env.ORDER_SOURCE || 'mongo', // mongo | http
+    apiUrl: process.env.ORDER_API_URL, // Fuente http: GET {ORDER_API_URL}/orders/:orderNumber
+    apiKey: process.env.ORDER_API_KEY,
+  },
+
+  // Recomendaciones (similares, complementarios, "también compraron")
+  recommendations: {
+    windowDays: parseInt(process.env.RECOMMENDATION_WINDOW_DAYS, 10) || 90, // Conversaciones que cuentan para "también compraron"
+    maxConversations: parseInt(process.env.RECOMMENDATION_MAX_CONVERSATIONS, 10) || 2000, // Tope por agregación
+    priceBand: parseFloat(process.env.RECOMMENDATION_PRICE_BAND) || 0.3, // ±30% = precio cercano
+    cacheTtlMs: parseInt(process.env.RECOMMENDATION_CACHE_TTL_MS, 10) || 600000, // 10 minutos
+  },
+
+  // Búsqueda semántica de productos (embeddings + búsqueda léxica)
+  embeddings: {
+    provider: process.env.EMBEDDING_PROVIDER || '', // local | openai | vacío = solo búsqueda léxica
+    model: process.env.EMBEDDING_MODEL, // Default del proveedor (local: nomic-embed-text, openai: text-embedding-3-small)
+    baseUrl: process.env.EMBEDDING_BASE_URL || process.env.LOCAL_LLM_BASE_URL, // Proveedor local (API compatible con OpenAI)
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 32, // Productos por llamada al indexar
+    syncIntervalMs: parseInt(process.env.EMBEDDING_SYNC_INTERVAL_MS, 10) || 300000, // Cada cuánto se revisan cambios del catálogo
+    lexicalWeight: parseFloat(process.env.SEARCH_LEXICAL_WEIGHT || '0.4'), // Peso léxico en el ranking (el resto, similitud)
+    minSimilarity: parseFloat(process.env.SEARCH_MIN_SIMILARITY || '0.35'), // Similitud mínima de un resultado solo semántico
+    vectorCandidates: parseInt(process.env.SEARCH_VECTOR_CANDIDATES, 10) || 20,
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 10000,
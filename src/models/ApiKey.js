@@ -0,0 +1,72 @@
+/**
+ * ============================================
+ * API KEY MODEL
+ * ============================================
+ * API keys de integraciones servidor a servidor (CRM, sistema de pedidos)
+ * 
+ * SEGURIDAD: Solo se guarda el hash SHA-256 de la key.
+ * La key en texto plano se devuelve una única vez al crearla o rotarla.
+ */
+
+const mongoose = require('mongoose');
+const { getClientsConnection } = require('../config/database.config');
+
+const API_KEY_SCOPES = ['chat', 'history', 'stats', 'admin'];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // Identificador público incluido en la key (sca_<keyId>_<secret>)
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Dominios permitidos ('*' = todos)
+  domains: {
+    type: [String],
+    required: true,
+    index: true,
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES,
+    }],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true,
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  // Key anterior cuando esta key se creó por rotación
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  createdBy: String,
+}, {
+  timestamps: true,
+});
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getApiKeyModel() {
+  const clientsConnection = getClientsConnection();
+  return clientsConnection.models.ApiKey || clientsConnection.model('ApiKey', apiKeySchema);
+}
+
+getApiKeyModel.SCOPES = API_KEY_SCOPES;
+
+module.exports = getApiKeyModel;
@@ -0,0 +1,66 @@
+/**
+ * ============================================
+ * CART MODEL
+ * ============================================
+ * Carrito del servidor por usuario y dominio
+ * (lo gestionan los tools del bot y la tienda vía /api/cart)
+ */
+
+const mongoose = require('mongoose');
+const { getClientsConnection } = require('../config/database.config');
+
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true,
+  },
+  title: String,
+  slug: String,
+  image: String,
+  // Variante elegida (productos con talla, color...)
+  sku: String,
+  variant: {
+    type: Map,
+    of: String,
+  },
+  // Precio al agregar el producto (se actualiza al sincronizar)
+  price: {
+    regular: Number,
+    sale: Number,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  // En el orden en que se agregaron (las posiciones que ve el usuario empiezan en 1)
+  items: [cartItemSchema],
+}, {
+  timestamps: true,
+});
+
+// Un carrito por usuario y dominio
+cartSchema.index({ domain: 1, userId: 1 }, { unique: true });
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getCartModel() {
+  const clientsConnection = getClientsConnection();
+  return clientsConnection.models.Cart || clientsConnection.model('Cart', cartSchema);
+}
+
+module.exports = getCartModel;
@@ -51,6 +51,22 @@ const messageSchema = new mongoose.Schema({
     systemPromptHash: {
       type: String, // Hash del system prompt usado (para referencia)
     },
+    contractStatus: String, // Validación de la respuesta del modelo (valid | repaired | failed)
+    // Loop de tool calls del turno (ToolLoopGuard)
+    toolLoop: {
+      rounds: Number,
+      toolCalls: Number,
+      repeatedCalls: Number,
+      tokens: Number,
+      stopReason: String, // max_rounds | token_budget | repeated_calls | null
+    },
+    // Artículos de la base de conocimiento citados en la respuesta
+    sources: [{
+      _id: false,
+      articleId: String,
+      slug: String,
+      title: String,
+    }],
   },
 });
 
@@ -94,15 +110,11 @@ const conversationSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Respuestas por proveedor (gemini, openai, mock, error_fallback, ...)
     modelsUsed: {
-      gemini: {
-        type: Number,
-        default: 0,
-      },
-      openai: {
-        type: Number,
-        default: 0,
-      },
+      type: Map,
+      of: Number,
+      default: {},
     },
     // Contexto persistente del último producto consultado
     lastProductContext: {
@@ -119,6 +131,54 @@ const conversationSchema = new mongoose.Schema({
       description: String,
       updatedAt: Date,
     },
+    // Última búsqueda de productos y su cursor ("muéstrame más"), ProductCatalogService
+    productSearch: {
+      query: String,
+      category: String,
+      minPrice: Number,
+      maxPrice: Number,
+      size: String,
+      color: String,
+      locale: String,
+      sort: String,
+      limit: Number,
+      cursor: Number, // offset de la página siguiente (null = no hay más)
+      total: Number,
+      updatedAt: Date,
+    },
+    // Checkout conversacional en curso o terminado (CheckoutService)
+    checkout: {
+      status: {
+        type: String,
+        enum: ['active', 'completed', 'cancelled'],
+      },
+      step: {
+        type: String,
+        enum: ['shipping_address', 'shipping_zone', 'payment_method', 'confirm', 'completed'],
+      },
+      shippingAddress: {
+        recipient: String,
+        street: String,
+        city: String,
+        reference: String,
+        phone: String,
+      },
+      shippingZone: {
+        name: String,
+        cost: Number,
+      },
+      paymentMethod: String,
+      // Cupón del pedido (set_coupon)
+      couponCode: String,
+      // Borrador enviado al webhook de pedidos
+      order: {
+        orderId: String,
+        total: Number,
+        submittedAt: Date,
+      },
+      startedAt: Date,
+      updatedAt: Date,
+    },
   },
 }, {
   timestamps: true,
@@ -127,6 +187,8 @@ const conversationSchema = new mongoose.Schema({
 // Índice compuesto para búsquedas rápidas
 conversationSchema.index({ userId: 1, domain: 1, status: 1 });
 conversationSchema.index({ status: 1, updatedAt: -1 });
+// Recomendaciones "también compraron" (acciones add_to_cart por producto)
+conversationSchema.index({ domain: 1, 'messages.metadata.action.productId': 1 });
 
 // TTL index: eliminar conversaciones cerradas después de 90 días
 conversationSchema.index(
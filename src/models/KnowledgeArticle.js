@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * KNOWLEDGE ARTICLE MODEL
+ * ============================================
+ * Base de conocimiento de la tienda (por dominio): devoluciones,
+ * garantías, horarios, medios de pago...
+ *
+ * El body se guarda también partido en fragmentos (chunks) con su
+ * texto normalizado (sin tildes ni mayúsculas) para la búsqueda.
+ */
+
+const mongoose = require('mongoose');
+const { getClientsConnection } = require('../config/database.config');
+
+const KNOWLEDGE_LOCALES = ['es', 'en', 'pt'];
+
+const chunkSchema = new mongoose.Schema({
+  index: Number,
+  text: String,
+  normalized: String,
+}, {
+  _id: false,
+});
+
+const knowledgeArticleSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  locale: {
+    type: String,
+    enum: KNOWLEDGE_LOCALES,
+    default: 'es',
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  tags: [String],
+  // Título y tags normalizados (se recalculan al guardar)
+  normalizedTitle: String,
+  normalizedTags: [String],
+  chunks: [chunkSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Un artículo por slug e idioma en cada dominio
+knowledgeArticleSchema.index({ domain: 1, slug: 1, locale: 1 }, { unique: true });
+knowledgeArticleSchema.index({ domain: 1, isActive: 1, locale: 1 });
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getKnowledgeArticleModel() {
+  const clientsConnection = getClientsConnection();
+  return clientsConnection.models.KnowledgeArticle || clientsConnection.model('KnowledgeArticle', knowledgeArticleSchema);
+}
+
+getKnowledgeArticleModel.LOCALES = KNOWLEDGE_LOCALES;
+
+module.exports = getKnowledgeArticleModel;
@@ -0,0 +1,82 @@
+/**
+ * ============================================
+ * ORDER MODEL
+ * ============================================
+ * Pedidos de la tienda (fuente "mongo" de OrderStatusService)
+ * La tienda los escribe; el bot solo los consulta.
+ */
+
+const mongoose = require('mongoose');
+const { getMainConnection } = require('../config/database.config');
+
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'shipped',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'returned',
+];
+
+const orderSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  orderNumber: {
+    type: String,
+    required: true,
+  },
+  // Datos de verificación: nunca se devuelven al bot
+  customer: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: String,
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending',
+  },
+  items: [{
+    _id: false,
+    title: String,
+    quantity: Number,
+    price: Number,
+  }],
+  total: Number,
+  shipping: {
+    carrier: String,
+    trackingNumber: String,
+    trackingUrl: String,
+    estimatedDelivery: Date,
+  },
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+    },
+    date: Date,
+    note: String,
+  }],
+}, {
+  timestamps: true,
+});
+
+orderSchema.index({ domain: 1, orderNumber: 1 }, { unique: true });
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getOrderModel() {
+  const mainConnection = getMainConnection();
+  return mainConnection.models.Order || mainConnection.model('Order', orderSchema);
+}
+
+module.exports = getOrderModel;
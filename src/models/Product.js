@@ -40,7 +40,28 @@ const productSchema = new mongoose.Schema({
     default: true,
     index: true,
   },
-  stock: Number,
+  stock: Number, // Sin variantes (con variantes cuenta el stock de cada una)
+  // Variantes (talla, color...): attributes usa las claves size y color para que el bot las entienda
+  variants: [{
+    _id: false,
+    sku: {
+      type: String,
+      required: true,
+    },
+    attributes: {
+      type: Map,
+      of: String,
+    },
+    price: {
+      regular: Number,
+      sale: Number,
+    },
+    stock: Number,
+    is_available: {
+      type: Boolean,
+      default: true,
+    },
+  }],
 }, {
   timestamps: true,
 });
@@ -49,6 +70,7 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ domain: 1, is_available: 1 });
 productSchema.index({ domain: 1, 'category.slug': 1 });
 productSchema.index({ domain: 1, title: 'text', description_short: 'text' });
+productSchema.index({ domain: 1, 'variants.sku': 1 });
 
 // Función lazy para obtener el modelo (se crea cuando se necesita)
 function getProductModel() {
@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * PRODUCT EMBEDDING MODEL
+ * ============================================
+ * Vector de cada producto para la búsqueda semántica (por dominio y modelo)
+ *
+ * Se recalcula solo cuando cambia el texto indexado del producto
+ * (textHash); sourceUpdatedAt es el updatedAt del producto ya revisado.
+ */
+
+const mongoose = require('mongoose');
+const { getClientsConnection } = require('../config/database.config');
+
+const productEmbeddingSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  productId: {
+    type: String,
+    required: true,
+  },
+  // Proveedor y modelo ("local:nomic-embed-text")
+  model: {
+    type: String,
+    required: true,
+  },
+  textHash: String,
+  sourceUpdatedAt: Date,
+  vector: [Number],
+}, {
+  timestamps: true,
+});
+
+productEmbeddingSchema.index({ domain: 1, model: 1, productId: 1 }, { unique: true });
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getProductEmbeddingModel() {
+  const clientsConnection = getClientsConnection();
+  return clientsConnection.models.ProductEmbedding || clientsConnection.model('ProductEmbedding', productEmbeddingSchema);
+}
+
+module.exports = getProductEmbeddingModel;
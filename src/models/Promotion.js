@@ -0,0 +1,71 @@
+/**
+ * ============================================
+ * PROMOTION MODEL
+ * ============================================
+ * Promociones y cupones de la tienda (por dominio)
+ *
+ * - Sin code: promoción automática (se aplica sola)
+ * - Con code: cupón (el cliente tiene que darlo)
+ * - appliesTo vacío: aplica a todo el catálogo
+ */
+
+const mongoose = require('mongoose');
+const { getMainConnection } = require('../config/database.config');
+
+const promotionSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  description: String,
+  // percentage: value % de descuento
+  // fixed_amount: value de descuento por unidad
+  // buy_x_pay_y: lleva buyQuantity y paga payQuantity (2x1, 3x2)
+  // bundle_price: bundleQuantity unidades por bundlePrice
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'buy_x_pay_y', 'bundle_price'],
+    required: true,
+  },
+  value: Number,
+  rules: {
+    buyQuantity: Number,
+    payQuantity: Number,
+    bundleQuantity: Number,
+    bundlePrice: Number,
+    minQuantity: Number, // Unidades mínimas del producto
+    minPurchase: Number, // Subtotal mínimo del carrito
+  },
+  appliesTo: {
+    products: [String], // IDs o slugs
+    categories: [String], // Slugs de categoría
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+promotionSchema.index({ domain: 1, isActive: 1, endsAt: 1 });
+promotionSchema.index({ domain: 1, code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getPromotionModel() {
+  const mainConnection = getMainConnection();
+  return mainConnection.models.Promotion || mainConnection.model('Promotion', promotionSchema);
+}
+
+module.exports = getPromotionModel;
@@ -0,0 +1,52 @@
+/**
+ * ============================================
+ * SEARCH DICTIONARY MODEL
+ * ============================================
+ * Diccionario de búsqueda de productos de cada dominio:
+ * - synonyms: grupos de sinónimos (cualquiera encuentra a los demás)
+ * - expansions: un término que busca también otros, pero no al revés
+ *   ("cargador" → "power bank")
+ * - stopWords: palabras que se ignoran en la búsqueda, por idioma
+ */
+
+const mongoose = require('mongoose');
+const { getClientsConnection } = require('../config/database.config');
+
+const SEARCH_LOCALES = ['es', 'en', 'pt'];
+
+const expansionSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+  },
+  expandsTo: [String],
+}, {
+  _id: false,
+});
+
+const searchDictionarySchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  synonyms: [[String]],
+  expansions: [expansionSchema],
+  stopWords: {
+    es: [String],
+    en: [String],
+    pt: [String],
+  },
+}, {
+  timestamps: true,
+});
+
+// Función lazy para obtener el modelo (se crea cuando se necesita)
+function getSearchDictionaryModel() {
+  const clientsConnection = getClientsConnection();
+  return clientsConnection.models.SearchDictionary || clientsConnection.model('SearchDictionary', searchDictionarySchema);
+}
+
+getSearchDictionaryModel.LOCALES = SEARCH_LOCALES;
+
+module.exports = getSearchDictionaryModel;
@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose');
 const { getClientsConnection } = require('../config/database.config');
+const config = require('../config/env.config');
 
 const tokenUsageSchema = new mongoose.Schema({
   domain: {
@@ -25,8 +26,7 @@ const tokenUsageSchema = new mongoose.Schema({
     index: true,
   },
   provider: {
-    type: String,
-    enum: ['openai', 'gemini'],
+    type: String, // Nombre del proveedor registrado (ProviderRegistryService)
     required: true,
   },
   model: {
@@ -54,6 +54,17 @@ const tokenUsageSchema = new mongoose.Schema({
     fallbackUsed: Boolean,
     errorOccurred: Boolean,
     errorMessage: String,
+    circuitState: String, // Estado del circuit breaker del proveedor usado (closed | open | half_open)
+    openCircuits: [String], // Proveedores con el circuito abierto al responder
+    contractStatus: String, // Validación de la respuesta del modelo (valid | repaired | failed)
+    contractFailures: Number, // Salidas del modelo que no cumplieron el contrato (incluye reparaciones)
+    // Tools ejecutados por el modelo en el turno (latencia por tool)
+    toolTimings: [{
+      _id: false,
+      tool: String,
+      durationMs: Number,
+      repeated: Boolean, // Llamada repetida: reutilizó el resultado anterior
+    }],
   },
   timestamp: {
     type: Date,
@@ -68,15 +79,18 @@ const tokenUsageSchema = new mongoose.Schema({
 tokenUsageSchema.index({ domain: 1, timestamp: -1 });
 tokenUsageSchema.index({ provider: 1, timestamp: -1 });
 
+const FREE_PRICING = { input: 0, output: 0, cached: 0 };
+
 /**
  * Calcula el costo basándose en el proveedor y modelo
  * Función independiente que puede ser usada sin el modelo
+ * @param {Object} usage - { durationMs } para precios por hora de cómputo
  */
-function calculateCost(provider, model, tokens) {
+function calculateCost(provider, model, tokens, { durationMs = 0 } = {}) {
   // Precios por 1M tokens (actualizados 2024)
   const pricing = {
     openai: {
-      'gpt-4o-mini': {
+      'gpt-4o': {
         input: 2.50, // $2.50 por 1M tokens
         output: 10.00, // $10.00 por 1M tokens
         cached: 0.25, // $0.25 por 1M tokens (85% descuento)
@@ -99,19 +113,34 @@ function calculateCost(provider, model, tokens) {
         cached: 0,
       },
     },
+    // Modelos autoalojados: sin costo por token, opcional por hora (LOCAL_LLM_COST_PER_HOUR)
+    local: {
+      default: {
+        input: 0,
+        output: 0,
+        cached: 0,
+        perHour: config.local.costPerHour,
+      },
+    },
   };
 
-  const providerPricing = pricing[provider]?.[model] || pricing.openai['gpt-4o'];
+  // Modelos de OpenAI sin precio conocido: asumir gpt-4o (estimación conservadora)
+  // Otros proveedores sin precio conocido (ej: mock): sin costo
+  const providerPricing = pricing[provider]?.[model]
+    || pricing[provider]?.default
+    || (provider === 'openai' ? pricing.openai['gpt-4o'] : FREE_PRICING);
   
   const inputCost = (tokens.input / 1000000) * providerPricing.input;
   const outputCost = (tokens.output / 1000000) * providerPricing.output;
   const cachedCost = (tokens.cached / 1000000) * providerPricing.cached;
+  const computeCost = providerPricing.perHour ? (durationMs / 3600000) * providerPricing.perHour : 0;
 
   return {
     input: inputCost,
     output: outputCost,
     cached: cachedCost,
-    total: inputCost + outputCost + cachedCost,
+    compute: computeCost,
+    total: inputCost + outputCost + cachedCost + computeCost,
     currency: 'USD',
   };
 };
@@ -0,0 +1,51 @@
+/**
+ * Orden de los tool calls de una ronda: los tools con efectos (sequential)
+ * primero y en el orden pedido, las lecturas después
+ */
+
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost/test';
+process.env.MONGO_URI_CLIENTS = process.env.MONGO_URI_CLIENTS || 'mongodb://localhost/test-clients';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const LLMProvider = require('../llm-provider');
+const ToolRegistryService = require('../../services/tool-registry.service');
+const { ToolLoopGuard } = require('../../utils/tool-loop-guard');
+
+describe('LLMProvider.runToolCalls', () => {
+  let executed;
+  let cartItems;
+
+  beforeEach(() => {
+    executed = [];
+    cartItems = 3;
+    jest.spyOn(ToolRegistryService, 'executeForModel').mockImplementation(async name => {
+      executed.push(name);
+      if (name === 'remove_from_cart') {
+        cartItems -= 1;
+        return { removed: true };
+      }
+      return { itemCount: cartItems };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs side-effecting tools before the reads of the same round', async () => {
+    const provider = new LLMProvider('test');
+    const guard = new ToolLoopGuard('test', { maxRounds: 5, maxTokens: 0 });
+    guard.startRound();
+
+    const results = await provider.runToolCalls(guard, [
+      { id: 'a', name: 'view_cart', args: {} },
+      { id: 'b', name: 'remove_from_cart', args: { position: -1 } },
+      { id: 'c', name: 'remove_from_cart', args: { position: -1 } },
+    ], { domain: 'test.com', userId: 'u1' });
+
+    expect(executed).toEqual(['remove_from_cart', 'remove_from_cart', 'view_cart']);
+    expect(results.map(call => call.id)).toEqual(['a', 'b', 'c']);
+    expect(results[0].result).toEqual({ itemCount: 1 });
+    expect(results.every(call => !call.repeated)).toBe(true);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * ============================================
+ * LLM PROVIDER
+ * ============================================
+ * Interfaz común de los proveedores de modelos
+ *
+ * Cada proveedor implementa:
+ * - isConfigured(): si tiene credenciales para usarse
+ * - getModel(): modelo que usa (para costos y métricas)
+ * - generateResponse(userMessage, history, domain, systemPrompt, options):
+ *   genera la respuesta resolviendo el loop de tool calls
+ *   options: { useThinking, onEvent, deadline }
+ *
+ * Respuesta normalizada:
+ * { message, audio_description, action, thinking, functionResults,
+ *   usage: { input, output, thinking, cached, total },
+ *   toolLoop: { rounds, toolCalls, repeatedCalls, tokens, stopReason },
+ *   validation: { status, failures, errors } }
+ *
+ * La salida final del modelo se valida contra el contrato (response-contract)
+ * con validateResponse(), que pide una reparación al modelo si no cumple.
+ */
+
+const ToolRegistryService = require('../services/tool-registry.service');
+const ResponseContract = require('./response-contract');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+
+// Respuesta cuando el loop de tools agota el presupuesto de tokens
+const TOOL_LIMIT_MESSAGE = 'Reuní bastante información pero no pude completar tu consulta. ¿Puedes darme más detalles de lo que buscas?';
+
+/**
+ * Ejecuta fn sobre cada item con a lo sumo `limit` en curso
+ * @returns {Promise<Array>} - Resultados en el orden de items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+const EMPTY_USAGE = {
+  input: 0,
+  output: 0,
+  thinking: 0,
+  cached: 0,
+  total: 0,
+};
+
+class LLMProvider {
+  /**
+   * @param {string} name - Nombre con el que se registra (forceModel, DEFAULT_MODEL_PROVIDER)
+   * @param {Object} capabilities - { thinking, fallback }
+   */
+  constructor(name, { thinking = false, fallback = true } = {}) {
+    this.name = name;
+    this.supportsThinking = thinking;
+    // Si puede usarse como fallback cuando falla otro proveedor
+    this.fallbackEligible = fallback;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getModel() {
+    throw new Error(`${this.name}: getModel() not implemented`);
+  }
+
+  /**
+   * @param {string} userMessage
+   * @param {Array<Object>} conversationHistory
+   * @param {string} domain
+   * @param {string} systemPrompt
+   * @param {Object} options - { useThinking, onEvent, deadline, userId, addedToCart }
+   *   addedToCart: Set con los productos (ID y slug) ya agregados al carrito en el turno
+   */
+  async generateResponse() {
+    throw new Error(`${this.name}: generateResponse() not implemented`);
+  }
+
+  /**
+   * Ejecuta un tool pedido por el modelo (registro compartido)
+   * y emite tool_call_start/tool_call_end si hay onEvent
+   * Un add_to_cart de un producto ya agregado en el turno (addedToCart) no se repite
+   * @returns {Promise<Object>} - Resultado para devolver al modelo
+   */
+  async runTool(name, args, { domain, userId = null, onEvent = null, deadline, addedToCart = null }) {
+    if (name === 'add_to_cart' && addedToCart && args?.productId && addedToCart.has(String(args.productId))) {
+      logger.warn(`[${this.name}] Skipping add_to_cart: ${args.productId} was already added to the cart in this turn`);
+      return { productId: args.productId, alreadyAdded: true, message: 'This product was already added to the cart in this turn; do not add it again' };
+    }
+
+    logger.info(`[${this.name}] Executing function: ${name}`);
+
+    if (onEvent) onEvent('tool_call_start', { tool: name, args, source: this.name });
+    const toolStart = Date.now();
+    const result = await ToolRegistryService.executeForModel(name, args, { domain, userId, deadline });
+    if (onEvent) onEvent('tool_call_end', { tool: name, durationMs: Date.now() - toolStart, source: this.name });
+
+    if (name === 'add_to_cart' && addedToCart && result && !result.error) {
+      [result.productId, result.slug].filter(Boolean).forEach(id => addedToCart.add(String(id)));
+    }
+
+    return result;
+  }
+
+  /**
+   * Ejecuta un tool a través del guard del loop (las llamadas repetidas
+   * de tools sin efectos devuelven el resultado anterior sin volver a ejecutarse)
+   * @returns {Promise<Object>} - { result, durationMs, repeated }
+   */
+  async runGuardedTool(guard, name, args, context) {
+    let durationMs = 0;
+    let repeated = true;
+
+    const result = await guard.runCall(name, args, async () => {
+      repeated = false;
+      const toolStart = Date.now();
+      try {
+        return await this.runTool(name, args, context);
+      } finally {
+        durationMs = Date.now() - toolStart;
+      }
+    }, { sequential: !ToolRegistryService.isParallelSafe(name) });
+
+    return { result, durationMs, repeated };
+  }
+
+  /**
+   * Ejecuta los tool calls de un turno del modelo
+   *
+   * Los tools con efectos (sequential) se ejecutan primero, de a uno y en el
+   * orden pedido; después los independientes en paralelo (TOOL_CALL_CONCURRENCY),
+   * así una lectura del carrito en la misma ronda ya ve los cambios.
+   *
+   * @param {Array<Object>} calls - [{ id?, name, args }]
+   * @returns {Promise<Array<Object>>} - [{ id, name, args, result, durationMs, repeated }]
+   *   en el mismo orden que calls (para emparejar con los IDs del modelo)
+   */
+  async runToolCalls(guard, calls, context) {
+    const results = new Array(calls.length);
+    const run = async index => {
+      const { id = null, name, args } = calls[index];
+      results[index] = { id, name, args, ...(await this.runGuardedTool(guard, name, args, context)) };
+    };
+
+    const indexes = calls.map((call, index) => index);
+    const parallel = indexes.filter(index => ToolRegistryService.isParallelSafe(calls[index].name));
+    const sequential = indexes.filter(index => !ToolRegistryService.isParallelSafe(calls[index].name));
+
+    const batchStart = Date.now();
+    for (const index of sequential) {
+      await run(index);
+    }
+    await mapWithConcurrency(parallel, config.toolLoop.concurrency, run);
+
+    if (calls.length > 1) {
+      const timings = results.map(call => `${call.name}=${call.durationMs}ms${call.repeated ? ' (repeated)' : ''}`).join(', ');
+      logger.info(`[${this.name}] ${calls.length} tool calls in ${Date.now() - batchStart}ms: ${timings}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Valida la salida final del modelo contra el contrato y, si no cumple,
+   * pide hasta STRUCTURED_OUTPUT_REPAIR_ATTEMPTS reparaciones
+   *
+   * @param {string} rawResponse - Salida cruda del modelo
+   * @param {Function} repair - (instruction, invalidResponse) => Promise<string> con la nueva salida
+   * @returns {Promise<Object>} - { response: { message, audio_description, action, thinking },
+   *   validation: { status: valid | repaired | failed, failures, errors } }
+   */
+  async validateResponse(rawResponse, repair) {
+    let raw = rawResponse;
+    let failures = 0;
+
+    for (let attempt = 0; ; attempt += 1) {
+      const result = ResponseContract.validate(raw);
+
+      if (result.valid) {
+        const { value } = result;
+        return {
+          response: {
+            message: value.message,
+            audio_description: value.audio_description || value.message,
+            action: value.action,
+            thinking: value.thinking || null,
+          },
+          validation: { status: failures > 0 ? 'repaired' : 'valid', failures, errors: [] },
+        };
+      }
+
+      failures += 1;
+      logger.warn(`[${this.name}] Response does not match the contract (attempt ${attempt + 1}): ${result.errors.join('; ')}`);
+
+      if (attempt >= config.structuredOutput.repairAttempts) {
+        return {
+          response: ResponseContract.fallback(raw),
+          validation: { status: 'failed', failures, errors: result.errors },
+        };
+      }
+
+      try {
+        raw = await repair(ResponseContract.buildRepairInstruction(result.errors), raw);
+      } catch (error) {
+        // La respuesta inválida sigue siendo utilizable: no fallar el mensaje por la reparación
+        logger.error(`[${this.name}] Repair request failed: ${error.message}`);
+        return {
+          response: ResponseContract.fallback(raw),
+          validation: { status: 'failed', failures, errors: result.errors },
+        };
+      }
+    }
+  }
+
+  /**
+   * Respuesta genérica cuando el loop se cortó sin poder pedir la respuesta final
+   */
+  buildToolLimitResponse(guard, functionResults) {
+    return {
+      message: TOOL_LIMIT_MESSAGE,
+      audio_description: TOOL_LIMIT_MESSAGE,
+      action: this.emptyAction(),
+      thinking: null,
+      functionResults,
+      usage: this.normalizeUsage(guard.usage),
+      toolLoop: guard.getSummary(),
+      validation: { status: 'valid', failures: 0, errors: [] },
+    };
+  }
+
+  /**
+   * Normaliza el uso de tokens (total = suma si el proveedor no lo informa)
+   */
+  normalizeUsage(usage = {}) {
+    const normalized = { ...EMPTY_USAGE };
+    for (const key of Object.keys(EMPTY_USAGE)) {
+      normalized[key] = Number(usage[key]) || 0;
+    }
+
+    if (normalized.total === 0) {
+      normalized.total = normalized.input + normalized.output + normalized.thinking;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Acción vacía (sin acción para el frontend)
+   */
+  emptyAction() {
+    return {
+      type: 'none',
+      productId: null,
+      quantity: null,
+      url: null,
+      price_sale: null,
+      title: null,
+      price_regular: null,
+      image: null,
+      slug: null,
+      sku: null,
+    };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,205 @@
+/**
+ * ============================================
+ * LOCAL PROVIDER
+ * ============================================
+ * Modelos autoalojados con API compatible con OpenAI
+ * (Ollama, llama.cpp server, vLLM) para tenants que exigen
+ * residencia de datos
+ *
+ * Se activa con LOCAL_LLM_BASE_URL y se usa con forceModel: "local"
+ * o ruteando los dominios de LOCAL_LLM_DOMAINS (ModelRouterService).
+ *
+ * TOOLS (LOCAL_LLM_TOOL_MODE):
+ * - native: tool calling del protocolo OpenAI
+ * - json: el modelo pide tools con {"tool_calls": [{ "name", "arguments" }]}
+ *   y recibe los resultados como mensaje del usuario
+ * - auto: native, y si el servidor rechaza "tools" pasa a json
+ *   (se recuerda para las siguientes peticiones)
+ *
+ * LOCAL_LLM_RESPONSE_SCHEMA=true usa response_format json_schema en modo
+ * native; en modo json la respuesta se valida igual contra el contrato.
+ */
+
+const OpenAI = require('openai');
+const OpenAIAgentService = require('../services/openai-agent.service');
+const ToolRegistryService = require('../services/tool-registry.service');
+const ResponseContract = require('./response-contract');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { NO_DEADLINE } = require('../utils/resilience');
+const { ToolLoopGuard, TOOL_LIMIT_INSTRUCTION } = require('../utils/tool-loop-guard');
+
+const TOOL_MODES = ['native', 'json', 'auto'];
+
+class LocalProvider extends OpenAIAgentService {
+  constructor() {
+    super('local', config.local);
+
+    this.toolMode = TOOL_MODES.includes(config.local.toolMode) ? config.local.toolMode : 'auto';
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.baseUrl);
+  }
+
+  createClient() {
+    if (!this.isConfigured()) {
+      throw new Error('LOCAL_LLM_BASE_URL not found in environment');
+    }
+    return new OpenAI({
+      apiKey: this.settings.apiKey,
+      baseURL: this.settings.baseUrl,
+      maxRetries: 0, // Los reintentos los maneja createCompletion (RESILIENCE)
+    });
+  }
+
+  /**
+   * Genera la respuesta con tool calling nativo o en modo JSON
+   */
+  async generateResponse(userMessage, conversationHistory, domain, systemPrompt, options = {}) {
+    if (this.toolMode !== 'json') {
+      try {
+        return await super.generateResponse(userMessage, conversationHistory, domain, systemPrompt, options);
+      } catch (error) {
+        if (this.toolMode !== 'auto' || !this.isToolsUnsupportedError(error)) {
+          throw error;
+        }
+        logger.warn(`[local] ${this.getModel()} does not support tool calling (${error.message}), switching to JSON mode`);
+        this.toolMode = 'json';
+      }
+    }
+
+    return this.generateWithJsonTools(userMessage, conversationHistory, domain, systemPrompt, options);
+  }
+
+  /**
+   * Error del servidor al recibir "tools"
+   * (Ollama: 400 "does not support tools", llama.cpp sin --jinja: 500)
+   */
+  isToolsUnsupportedError(error) {
+    return [400, 422, 500, 501].includes(error.status) && /tool/i.test(error.message || '');
+  }
+
+  /**
+   * Instrucciones del protocolo de tools en modo JSON
+   */
+  buildJsonToolInstructions() {
+    const tools = ToolRegistryService.listModelTools()
+      .map(tool => `- ${tool.name}: ${tool.description}\n  Parámetros (JSON Schema): ${JSON.stringify(tool.parameters)}`)
+      .join('\n');
+
+    return [
+      'HERRAMIENTAS:',
+      'Responde SIEMPRE con un único objeto JSON, sin texto fuera del JSON.',
+      '- Para usar herramientas: {"tool_calls": [{"name": "<herramienta>", "arguments": {...}}]}',
+      '- Para responder al usuario: {"message": "...", "audio_description": "...", "action": {...}}',
+      'Herramientas disponibles:',
+      tools,
+    ].join('\n');
+  }
+
+  /**
+   * Tool calls pedidos por el modelo en modo JSON
+   * @returns {Array<Object>} - [{ name, args }] (vacío si es la respuesta final)
+   */
+  extractJsonToolCalls(rawResponse) {
+    const parsed = ResponseContract.extractJson(rawResponse);
+    if (!parsed || !Array.isArray(parsed.tool_calls)) return [];
+
+    return parsed.tool_calls
+      .filter(call => call && typeof call.name === 'string')
+      .map(call => {
+        let args = call.arguments || {};
+        if (typeof args === 'string') {
+          try {
+            args = JSON.parse(args);
+          } catch (error) {
+            args = {};
+          }
+        }
+        return { name: call.name, args };
+      });
+  }
+
+  /**
+   * Loop de tools en modo JSON (servidores o modelos sin tool calling)
+   */
+  async generateWithJsonTools(userMessage, conversationHistory, domain, systemPrompt, options = {}) {
+    const { onEvent = null, deadline = NO_DEADLINE, userId = null, addedToCart = null } = options;
+
+    try {
+      const { systemMessage, messagesForAPI } = this.buildMessages(userMessage, conversationHistory, domain, systemPrompt);
+      messagesForAPI[0] = { role: 'system', content: `${systemMessage}\n\n${this.buildJsonToolInstructions()}` };
+
+      const requestOptions = {
+        model: this.getModel(),
+        messages: messagesForAPI,
+        temperature: this.settings.temperature,
+        max_tokens: this.settings.maxTokens,
+        response_format: { type: 'json_object' },
+      };
+
+      const guard = new ToolLoopGuard(this.name);
+
+      let completion = await this.createCompletion(requestOptions, this.createStreamer(onEvent), deadline);
+      guard.addUsage(this.extractUsage(completion.usage));
+      let rawResponse = completion.choices[0].message.content;
+      let toolCalls = this.extractJsonToolCalls(rawResponse);
+      const functionResults = [];
+
+      while (toolCalls.length > 0) {
+        if (!guard.startRound()) break;
+
+        messagesForAPI.push({ role: 'assistant', content: rawResponse });
+
+        const executed = await this.runToolCalls(guard, toolCalls, { domain, userId, onEvent, deadline, addedToCart });
+        const results = executed.map(({ name, result }) => ({ name, result }));
+        executed.forEach(({ name, result, durationMs, repeated }) => {
+          functionResults.push({ functionName: name, result, durationMs, repeated });
+        });
+
+        guard.endRound();
+        if (!guard.canCallModel()) break;
+
+        messagesForAPI.push({
+          role: 'user',
+          content: guard.stopReason
+            ? `Resultados de las herramientas:\n${JSON.stringify(results)}\n\n${TOOL_LIMIT_INSTRUCTION}`
+            : `Resultados de las herramientas:\n${JSON.stringify(results)}\n\nResponde con el JSON final para el usuario o pide otra herramienta.`,
+        });
+
+        completion = await this.createCompletion({
+          ...requestOptions,
+          messages: messagesForAPI,
+        }, this.createStreamer(onEvent), deadline);
+        guard.addUsage(this.extractUsage(completion.usage));
+        rawResponse = completion.choices[0].message.content;
+        toolCalls = guard.stopReason ? [] : this.extractJsonToolCalls(rawResponse);
+      }
+
+      // Loop cortado con tool calls pendientes: pedir la respuesta final sin tools
+      if (toolCalls.length > 0 && guard.canCallModel()) {
+        completion = await this.createCompletion({
+          ...requestOptions,
+          messages: [...messagesForAPI, { role: 'user', content: TOOL_LIMIT_INSTRUCTION }],
+        }, this.createStreamer(onEvent), deadline);
+        guard.addUsage(this.extractUsage(completion.usage));
+        rawResponse = completion.choices[0].message.content;
+      }
+
+      // Sin respuesta final utilizable (presupuesto agotado o el modelo insiste con tools)
+      if (guard.stopReason && this.extractJsonToolCalls(rawResponse).length > 0) {
+        return this.buildToolLimitResponse(guard, functionResults);
+      }
+
+      const repair = this.createRepairRequest(requestOptions, messagesForAPI, guard, { onEvent, deadline });
+      return await this.buildResult(rawResponse, guard, this.getSystemPromptHash(systemMessage), functionResults, repair);
+
+    } catch (error) {
+      logger.error('[local] Error generating response (JSON mode):', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalProvider;
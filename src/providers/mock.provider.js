@@ -0,0 +1,135 @@
+/**
+ * ============================================
+ * MOCK PROVIDER
+ * ============================================
+ * Proveedor determinista con respuestas guionadas para correr
+ * el pipeline completo de processMessage sin red (CI, desarrollo)
+ *
+ * Se registra con ENABLE_MOCK_PROVIDER=true (o NODE_ENV=test) y se
+ * usa con forceModel: "mock" o DEFAULT_MODEL_PROVIDER=mock.
+ *
+ * GUION (MOCK_PROVIDER_SCRIPT=ruta a un JSON o setScript()):
+ * [
+ *   {
+ *     "match": "zapatillas",                       // regex (opcional) contra el mensaje
+ *     "toolCalls": [{ "name": "search_products", "args": { "query": "zapatillas" } }],
+ *     "message": "Encontré {{resultCount}} productos",
+ *     "audio_description": "...",                   // opcional
+ *     "action": { "type": "none" },                 // opcional
+ *     "usage": { "input": 10, "output": 5 },        // opcional
+ *     "error": "timeout"                            // opcional: lanza para probar el fallback
+ *   }
+ * ]
+ * Primero se usa el turno cuyo match coincide; si ninguno coincide,
+ * los turnos sin match se usan en orden (cíclico). Sin guion, responde
+ * con un eco del mensaje.
+ */
+
+const fs = require('fs');
+const LLMProvider = require('./llm-provider');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { ToolLoopGuard } = require('../utils/tool-loop-guard');
+
+const MOCK_MODEL = 'mock-scripted';
+
+class MockProvider extends LLMProvider {
+  constructor() {
+    // Nunca se usa como fallback de un proveedor real
+    super('mock', { fallback: false });
+    this.setScript(config.providers.mockScript ? this.loadScript(config.providers.mockScript) : []);
+  }
+
+  getModel() {
+    return MOCK_MODEL;
+  }
+
+  loadScript(path) {
+    const script = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (!Array.isArray(script)) {
+      throw new Error(`Mock provider script must be an array: ${path}`);
+    }
+    logger.info(`[mock] Loaded script with ${script.length} turns from ${path}`);
+    return script;
+  }
+
+  /**
+   * Reemplaza el guion y reinicia la secuencia
+   */
+  setScript(turns) {
+    this.script = turns;
+    this.sequenceIndex = 0;
+  }
+
+  /**
+   * Elige el turno para un mensaje
+   */
+  nextTurn(userMessage) {
+    const matched = this.script.find(turn => turn.match && new RegExp(turn.match, 'i').test(userMessage));
+    if (matched) return matched;
+
+    const sequence = this.script.filter(turn => !turn.match);
+    if (sequence.length > 0) {
+      const turn = sequence[this.sequenceIndex % sequence.length];
+      this.sequenceIndex += 1;
+      return turn;
+    }
+
+    return { message: 'Mock: {{userMessage}}' };
+  }
+
+  render(template, values) {
+    return String(template || '').replace(/\{\{(\w+)\}\}/g, (match, key) => (
+      values[key] !== undefined ? String(values[key]) : match
+    ));
+  }
+
+  /**
+   * Tokens aproximados (4 caracteres por token) para que las métricas tengan valores
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async generateResponse(userMessage, conversationHistory, domain, systemPrompt, options = {}) {
+    const { onEvent = null, userId = null, addedToCart = null } = options;
+    const turn = this.nextTurn(userMessage);
+
+    if (turn.error) {
+      throw new Error(`Mock provider error: ${turn.error}`);
+    }
+
+    // Todos los toolCalls del turno en una ronda (en paralelo, como los modelos reales)
+    const calls = (turn.toolCalls || []).map(call => ({ name: call.name, args: call.args || {} }));
+    const executed = await this.runToolCalls(new ToolLoopGuard(this.name), calls, { domain, userId, onEvent, addedToCart });
+    const functionResults = executed.map(({ name, result, durationMs, repeated }) => ({
+      functionName: name,
+      result,
+      durationMs,
+      repeated,
+    }));
+
+    const lastResult = functionResults.length > 0 ? functionResults[functionResults.length - 1].result : null;
+    const message = this.render(turn.message, {
+      userMessage,
+      domain,
+      resultCount: lastResult?.count ?? lastResult?.products?.length ?? 0,
+    });
+
+    if (onEvent && message) onEvent('message', { delta: message });
+
+    return {
+      message,
+      audio_description: turn.audio_description ? this.render(turn.audio_description, { userMessage }) : message,
+      action: { ...this.emptyAction(), ...(turn.action || {}) },
+      thinking: null,
+      functionResults,
+      usage: this.normalizeUsage(turn.usage || {
+        input: this.estimateTokens(systemPrompt) + this.estimateTokens(userMessage),
+        output: this.estimateTokens(message),
+      }),
+    };
+  }
+}
+
+module.exports = MockProvider;
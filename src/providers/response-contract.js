@@ -0,0 +1,201 @@
+/**
+ * ============================================
+ * RESPONSE CONTRACT
+ * ============================================
+ * Contrato de la respuesta final del asistente:
+ * { "message", "audio_description", "action": { "type", ... } }
+ *
+ * - schema (Joi): valida la salida del modelo (action.type restringido a ACTION_TYPES)
+ * - toOpenAIResponseFormat(): response_format json_schema estricto (OpenAI y
+ *   servidores compatibles que lo soporten)
+ * - toGeminiResponseSchema(): responseSchema de Gemini (solo sin tools)
+ *
+ * Los tres se construyen desde la misma tabla de campos.
+ */
+
+const Joi = require('joi');
+
+const ACTION_TYPES = ['none', 'add_to_cart', 'show_product', 'go_to_url'];
+
+// Campos de la acción (todos opcionales y nullable)
+const ACTION_FIELDS = {
+  productId: 'string',
+  quantity: 'integer',
+  url: 'string',
+  price_sale: 'number',
+  title: 'string',
+  price_regular: 'number',
+  image: 'string',
+  slug: 'string',
+  sku: 'string', // Variante (productos con talla/color)
+};
+
+const FIELD_VALIDATORS = {
+  string: () => Joi.string().empty(''),
+  integer: () => Joi.number().integer().min(1),
+  number: () => Joi.number().min(0),
+};
+
+const actionSchema = Joi.object({
+  type: Joi.string().valid(...ACTION_TYPES).required(),
+  ...Object.fromEntries(Object.entries(ACTION_FIELDS).map(([field, type]) => [
+    field,
+    FIELD_VALIDATORS[type]().allow(null).default(null),
+  ])),
+});
+
+const schema = Joi.object({
+  message: Joi.string().trim().min(1).required(),
+  audio_description: Joi.string().allow(''),
+  action: actionSchema.required(),
+  thinking: Joi.string().allow(null, ''),
+});
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+/**
+ * Extrae el objeto JSON de la salida del modelo (JSON, bloque ```json o texto con un objeto)
+ * @returns {Object|null} - null si no hay JSON parseable
+ */
+function extractJson(rawResponse) {
+  if (!rawResponse || typeof rawResponse !== 'string') return null;
+
+  const candidates = [rawResponse.trim()];
+
+  const block = rawResponse.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (block) candidates.push(block[1].trim());
+
+  const start = rawResponse.indexOf('{');
+  const end = rawResponse.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(rawResponse.substring(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Probar el siguiente candidato
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Valida la salida cruda del modelo contra el contrato
+ * @returns {Object} - { valid, value, errors: string[] }
+ */
+function validate(rawResponse) {
+  const parsed = extractJson(rawResponse);
+  if (!parsed) {
+    return { valid: false, value: null, errors: ['la respuesta no es un objeto JSON'] };
+  }
+
+  const { error, value } = schema.validate(parsed, VALIDATION_OPTIONS);
+  if (error) {
+    return {
+      valid: false,
+      value: null,
+      errors: error.details.map(detail => detail.message),
+    };
+  }
+
+  return { valid: true, value, errors: [] };
+}
+
+/**
+ * Respuesta de último recurso cuando la salida no cumple el contrato
+ * (conserva el texto de "message" si existe; si no, el texto crudo)
+ */
+function fallback(rawResponse) {
+  const parsed = extractJson(rawResponse);
+  const text = typeof parsed?.message === 'string' && parsed.message.trim()
+    ? parsed.message
+    : (parsed ? '' : (rawResponse || '').trim());
+
+  return {
+    message: text || 'He encontrado información. ¿Puedo ayudarte con algo más?',
+    audio_description: typeof parsed?.audio_description === 'string' && parsed.audio_description
+      ? parsed.audio_description
+      : (text || 'Encontré información'),
+    action: { type: 'none', ...Object.fromEntries(Object.keys(ACTION_FIELDS).map(field => [field, null])) },
+    thinking: null,
+  };
+}
+
+/**
+ * Instrucción para la ronda de reparación
+ */
+function buildRepairInstruction(errors) {
+  return [
+    'Tu respuesta anterior no cumple el formato requerido:',
+    ...errors.map(error => `- ${error}`),
+    `Responde de nuevo SOLO con un objeto JSON {"message": "...", "audio_description": "...", "action": {"type": "${ACTION_TYPES.join('|')}", "productId": null, ...}}, sin texto fuera del JSON y sin pedir herramientas.`,
+  ].join('\n');
+}
+
+/**
+ * response_format json_schema estricto (todas las claves requeridas, nullable con "null")
+ */
+function toOpenAIResponseFormat() {
+  const actionProperties = {
+    type: { type: 'string', enum: ACTION_TYPES },
+    ...Object.fromEntries(Object.entries(ACTION_FIELDS).map(([field, type]) => [field, { type: [type, 'null'] }])),
+  };
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'assistant_response',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          audio_description: { type: 'string' },
+          action: {
+            type: 'object',
+            properties: actionProperties,
+            required: Object.keys(actionProperties),
+            additionalProperties: false,
+          },
+        },
+        required: ['message', 'audio_description', 'action'],
+        additionalProperties: false,
+      },
+    },
+  };
+}
+
+/**
+ * responseSchema de Gemini (subconjunto OpenAPI, nullable explícito)
+ */
+function toGeminiResponseSchema() {
+  return {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      audio_description: { type: 'string' },
+      action: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', format: 'enum', enum: ACTION_TYPES },
+          ...Object.fromEntries(Object.entries(ACTION_FIELDS).map(([field, type]) => [field, { type, nullable: true }])),
+        },
+        required: ['type'],
+      },
+    },
+    required: ['message', 'audio_description', 'action'],
+  };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  schema,
+  extractJson,
+  validate,
+  fallback,
+  buildRepairInstruction,
+  toOpenAIResponseFormat,
+  toGeminiResponseSchema,
+};
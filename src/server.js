@@ -16,7 +16,11 @@ const logger = require('./utils/logger');
 const errorHandler = require('./api/middlewares/error-handler.middleware');
 
 // Importar rutas
-const chatRoutes = require('./api/routes/chat.routes');
+const apiRoutes = require('./api/routes');
+const { checkRoutesCoverage } = require('./api/docs/openapi');
+const { attachChatSocket } = require('./api/sockets/chat.socket');
+const ProviderRegistryService = require('./services/provider-registry.service');
+const ProviderHealthService = require('./services/provider-health.service');
 
 const app = express();
 
@@ -38,17 +42,27 @@ app.use(compression());
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
-// Health check
+// Health check (degraded: ningún proveedor configurado acepta llamadas)
 app.get('/health', (req, res) => {
+  const available = ProviderRegistryService.listAvailable();
+  const circuits = ProviderHealthService.getSnapshot(available);
+  const providers = Object.fromEntries(ProviderRegistryService.list().map(name => [name, {
+    available: available.includes(name),
+    circuit: circuits[name] || null,
+  }]));
+
   res.json({
-    status: 'ok',
+    status: available.some(name => circuits[name].state !== 'open') ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
     service: 'smart-chat-agent',
+    providers,
   });
 });
 
 // API Routes
-app.use('/api/chat', chatRoutes);
+for (const { path, router } of apiRoutes) {
+  app.use(path, router);
+}
 
 // Error handler
 app.use(errorHandler);
@@ -61,21 +75,51 @@ app.use((req, res) => {
   });
 });
 
+/**
+ * Verifica que todas las rutas tengan su entrada en la especificación OpenAPI
+ * (src/api/docs/routes.docs.js). Fuera de producción no arranca si falta alguna.
+ */
+function verifyApiDocs() {
+  const { undocumented, stale } = checkRoutesCoverage([{ path: '', router: app }, ...apiRoutes]);
+
+  if (stale.length > 0) {
+    logger.warn(`⚠️  Documented routes not mounted: ${stale.join(', ')}`);
+  }
+
+  if (undocumented.length > 0) {
+    const message = `Routes without OpenAPI entry: ${undocumented.join(', ')}`;
+    if (config.node_env !== 'production') {
+      throw new Error(message);
+    }
+    logger.error(`❌ ${message}`);
+  }
+}
+
 // Inicializar servidor
 async function startServer() {
   try {
+    // Verificar documentación del API
+    verifyApiDocs();
+
     // Inicializar bases de datos
     await initializeDatabases();
     logger.info('✅ Databases initialized');
 
     // Iniciar servidor
     const port = config.port;
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
       logger.info(`🚀 Server running on port ${port}`);
       logger.info(`📝 Environment: ${config.node_env}`);
       logger.info(`💾 Prompt caching: ${config.features.promptCaching ? 'enabled' : 'disabled'}`);
       logger.info(`🤖 Model router: ${config.router.defaultProvider}`);
+      logger.info(`🧠 Providers: ${ProviderRegistryService.list().map(name => (
+        ProviderRegistryService.isAvailable(name) ? name : `${name} (not configured)`
+      )).join(', ')}`);
+      logger.info(`📚 API docs at /api/docs`);
     });
+
+    // WebSocket del chat (comparte el servidor HTTP)
+    attachChatSocket(server);
   } catch (error) {
     logger.error('❌ Failed to start server:', error);
     process.exit(1);
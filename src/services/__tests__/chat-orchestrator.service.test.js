@@ -0,0 +1,194 @@
+/**
+ * Pipeline completo de processMessage sin red ni MongoDB:
+ * proveedor mock con guion y modelos sobre conexiones sin abrir
+ * (las consultas que usa el turno se simulan; el resto falla de inmediato)
+ */
+
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost/test';
+process.env.MONGO_URI_CLIENTS = process.env.MONGO_URI_CLIENTS || 'mongodb://localhost/test-clients';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ENABLE_MOCK_PROVIDER = 'true';
+
+jest.mock('../../config/database.config', () => {
+  const mongoose = require('mongoose');
+  const connection = mongoose.createConnection();
+  return {
+    getMainConnection: () => connection,
+    getClientsConnection: () => connection,
+  };
+});
+
+const mongoose = require('mongoose');
+const getConversationModel = require('../../models/Conversation');
+const getTokenUsageModel = require('../../models/TokenUsage');
+const getProductModel = require('../../models/Product');
+const getSearchDictionaryModel = require('../../models/SearchDictionary');
+const ProviderRegistryService = require('../provider-registry.service');
+const ToolExecutorService = require('../tool-executor.service');
+const ToolRegistryService = require('../tool-registry.service');
+const ChatOrchestratorService = require('../chat-orchestrator.service');
+
+const DOMAIN = 'tienda.test';
+
+const PRODUCTS = [
+  { title: 'Zapatillas running', price: { regular: 120, sale: 99 } },
+  { title: 'Zapatillas urbanas', price: { regular: 150 } },
+].map(product => ({
+  _id: new mongoose.Types.ObjectId(),
+  domain: DOMAIN,
+  slug: product.title.toLowerCase().replace(/\W+/g, '-'),
+  description_short: 'Calzado',
+  category: { name: 'Calzado', slug: 'calzado' },
+  tags: ['zapatillas'],
+  is_available: true,
+  ...product,
+}));
+
+/**
+ * Consulta encadenable (sort, select, limit, lean...) que resuelve con value
+ */
+function chainable(value) {
+  const query = Promise.resolve(value);
+  query.exec = () => query;
+  ['sort', 'select', 'limit', 'skip', 'lean', 'populate'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+describe('ChatOrchestratorService.processMessage with the mock provider', () => {
+  let conversations;
+  let tokenUsages;
+
+  beforeAll(() => {
+    mongoose.set('bufferCommands', false);
+  });
+
+  beforeEach(() => {
+    conversations = new Map();
+    tokenUsages = [];
+
+    const Conversation = getConversationModel();
+    jest.spyOn(Conversation, 'findOne').mockImplementation(() => chainable(
+      [...conversations.values()].find(conversation => conversation.status === 'active') || null
+    ));
+    jest.spyOn(Conversation, 'findById').mockImplementation(id => chainable(conversations.get(String(id)) || null));
+    jest.spyOn(Conversation, 'create').mockImplementation(async data => {
+      const conversation = new Conversation(data);
+      conversations.set(String(conversation._id), conversation);
+      return conversation;
+    });
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Conversation.prototype, 'save').mockImplementation(async function save() {
+      conversations.set(String(this._id), this);
+      return this;
+    });
+
+    const TokenUsage = getTokenUsageModel();
+    jest.spyOn(TokenUsage, 'create').mockImplementation(async data => {
+      tokenUsages.push(data);
+      return data;
+    });
+
+    const Product = getProductModel();
+    const matches = filter => PRODUCTS.filter(product => !filter?.$or || filter.$or.some(condition => (
+      Object.entries(condition).some(([field, value]) => value instanceof RegExp && value.test(String(product[field] || '')))
+    )));
+    jest.spyOn(Product, 'find').mockImplementation(filter => chainable(filter?.$text ? [] : matches(filter)));
+    jest.spyOn(Product, 'aggregate').mockImplementation(async pipeline => (pipeline[0].$match.$text ? [] : matches(pipeline[0].$match)));
+    jest.spyOn(Product, 'countDocuments').mockImplementation(async filter => matches(filter).length);
+    jest.spyOn(Product, 'distinct').mockResolvedValue(['calzado']);
+    jest.spyOn(Product, 'findOne').mockImplementation(() => chainable(null));
+
+    jest.spyOn(getSearchDictionaryModel(), 'findOne').mockImplementation(() => chainable(null));
+
+    ProviderRegistryService.get('mock').setScript([
+      {
+        match: 'zapatillas',
+        toolCalls: [{ name: 'search_products', args: { query: 'zapatillas' } }],
+        message: 'Encontré {{resultCount}} zapatillas',
+      },
+      {
+        match: 'agrega',
+        toolCalls: [{ name: 'add_to_cart', args: { productId: String(PRODUCTS[0]._id) } }],
+        message: 'Listo',
+      },
+      { message: 'Perfecto' },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs a tool round and persists the turn', async () => {
+    const events = [];
+    const orchestrator = new ChatOrchestratorService();
+    const response = await orchestrator.processMessage({
+      userMessage: 'Busco zapatillas',
+      userId: 'user-1',
+      domain: DOMAIN,
+      forceModel: 'mock',
+      onEvent: (event, data) => events.push({ event, data }),
+      endpoint: '/api/chat/message/stream',
+    });
+
+    expect(response.message).toBe('Encontré 2 zapatillas');
+    expect(response.action.type).toBe('none');
+
+    const toolEvents = events.filter(({ event }) => event.startsWith('tool_call'));
+    expect(toolEvents.map(({ event, data }) => `${event}:${data.tool}`)).toEqual([
+      'tool_call_start:search_products',
+      'tool_call_end:search_products',
+    ]);
+
+    const [conversation] = conversations.values();
+    expect(conversation.messages.map(message => message.role)).toEqual(['system', 'user', 'assistant']);
+    expect(conversation.metadata.modelsUsed.get('mock')).toBe(1);
+
+    expect(tokenUsages).toHaveLength(1);
+    expect(tokenUsages[0]).toMatchObject({
+      domain: DOMAIN,
+      userId: 'user-1',
+      provider: 'mock',
+      metadata: { endpoint: '/api/chat/message/stream', toolTimings: [expect.objectContaining({ tool: 'search_products' })] },
+    });
+  });
+
+  it('does not add to the cart on a bare confirmation', async () => {
+    const Conversation = getConversationModel();
+    const [product] = PRODUCTS;
+    const conversation = new Conversation({
+      userId: 'user-1',
+      domain: DOMAIN,
+      status: 'active',
+      messages: [
+        { role: 'system', content: 'Prompt' },
+        { role: 'user', content: 'Busco zapatillas running' },
+        { role: 'assistant', content: '¿Quieres ver tu carrito o agregar las Zapatillas running?' },
+      ],
+      metadata: { lastProductContext: { productId: String(product._id), slug: product.slug, title: product.title } },
+    });
+    conversations.set(String(conversation._id), conversation);
+    const executeTool = jest.spyOn(ToolExecutorService, 'executeTool');
+
+    const orchestrator = new ChatOrchestratorService();
+    await orchestrator.processMessage({ userMessage: 'sí', userId: 'user-1', domain: DOMAIN, forceModel: 'mock' });
+
+    expect(executeTool).toHaveBeenCalledTimes(1);
+    expect(executeTool.mock.calls[0][0]).toBe('view_cart');
+  });
+
+  it('skips a model add_to_cart for a product already added in the turn', async () => {
+    const executeForModel = jest.spyOn(ToolRegistryService, 'executeForModel');
+    const [product] = PRODUCTS;
+
+    const response = await ProviderRegistryService.get('mock').generateResponse('agrega el primero', [], DOMAIN, 'Prompt', {
+      userId: 'user-1',
+      addedToCart: new Set([String(product._id)]),
+    });
+
+    expect(executeForModel).not.toHaveBeenCalled();
+    expect(response.functionResults[0].result).toMatchObject({ productId: String(product._id), alreadyAdded: true });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * ============================================
+ * API KEY SERVICE
+ * ============================================
+ * Emisión, verificación, rotación y revocación de API keys por tenant
+ *
+ * FORMATO: sca_<keyId>_<secret>
+ * - keyId: identificador público para buscar la key
+ * - secret: se verifica contra el hash guardado (timing-safe)
+ *
+ * BOOTSTRAP: ADMIN_API_KEY (variable de entorno) actúa como key
+ * de administración global para crear las primeras keys.
+ */
+
+const crypto = require('crypto');
+const getApiKeyModel = require('../models/ApiKey');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('../utils/errors');
+
+const KEY_PREFIX = 'sca';
+const KEY_FORMAT_REGEX = /^sca_([a-f0-9]{16})_([A-Za-z0-9_-]{32,})$/;
+// No actualizar lastUsedAt más de una vez por minuto por key
+const LAST_USED_THROTTLE_MS = 60000;
+
+class ApiKeyService {
+  constructor() {
+    this.lastUsedUpdates = new Map();
+  }
+
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Genera una nueva key en texto plano
+   */
+  generateKey() {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return { keyId, apiKey: `${KEY_PREFIX}_${keyId}_${secret}` };
+  }
+
+  /**
+   * Crea una API key
+   * @returns {Promise<Object>} - { apiKey (texto plano, solo esta vez), key }
+   */
+  async createKey({ name, domains, scopes, expiresAt = null, createdBy = null, rotatedFrom = null }) {
+    const ApiKey = getApiKeyModel();
+    const { keyId, apiKey } = this.generateKey();
+
+    const key = await ApiKey.create({
+      name,
+      keyId,
+      keyHash: this.hashKey(apiKey),
+      domains,
+      scopes,
+      expiresAt,
+      createdBy,
+      rotatedFrom,
+    });
+
+    logger.info(`[ApiKey] Created key ${keyId} (${name}) for domains [${domains.join(', ')}] scopes [${scopes.join(', ')}]`);
+
+    return { apiKey, key: this.toPublic(key) };
+  }
+
+  /**
+   * Verifica una API key y devuelve el contexto de autenticación
+   * @returns {Promise<Object>} - { type, keyId, userId, domains, scopes, anonymous }
+   */
+  async verifyKey(apiKey) {
+    // Key de administración global (bootstrap)
+    if (config.apiKeys.adminKey && this.safeEqual(apiKey, config.apiKeys.adminKey)) {
+      return {
+        type: 'api_key',
+        keyId: 'bootstrap-admin',
+        userId: null,
+        domains: ['*'],
+        scopes: [...getApiKeyModel.SCOPES],
+        anonymous: false,
+      };
+    }
+
+    const match = KEY_FORMAT_REGEX.exec(apiKey);
+    if (!match) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    const ApiKey = getApiKeyModel();
+    const key = await ApiKey.findOne({ keyId: match[1] }).select('+keyHash').lean();
+
+    if (!key || !this.safeEqual(this.hashKey(apiKey), key.keyHash)) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    if (key.status !== 'active') {
+      throw new UnauthorizedError('API key revoked');
+    }
+
+    if (key.expiresAt && key.expiresAt.getTime() <= Date.now()) {
+      throw new UnauthorizedError('API key expired');
+    }
+
+    this.touchKey(key._id, key.keyId);
+
+    return {
+      type: 'api_key',
+      keyId: key.keyId,
+      userId: null,
+      domains: key.domains,
+      scopes: key.scopes,
+      anonymous: false,
+    };
+  }
+
+  /**
+   * Actualiza lastUsedAt sin bloquear la petición
+   */
+  touchKey(id, keyId) {
+    const lastUpdate = this.lastUsedUpdates.get(keyId) || 0;
+    if (Date.now() - lastUpdate < LAST_USED_THROTTLE_MS) return;
+
+    this.lastUsedUpdates.set(keyId, Date.now());
+    getApiKeyModel()
+      .updateOne({ _id: id }, { lastUsedAt: new Date() })
+      .catch(error => logger.warn(`[ApiKey] Could not update lastUsedAt for ${keyId}: ${error.message}`));
+  }
+
+  /**
+   * Lista las keys (sin hash) de los dominios indicados
+   * @param {Array<string>|null} domains - null = todas
+   */
+  async listKeys(domains = null) {
+    const ApiKey = getApiKeyModel();
+    const filter = domains ? { domains: { $in: domains } } : {};
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+    return keys.map(key => this.toPublic(key));
+  }
+
+  /**
+   * Busca una key por keyId (sin hash)
+   */
+  async getKey(keyId) {
+    const ApiKey = getApiKeyModel();
+    const key = await ApiKey.findOne({ keyId }).lean();
+    return key ? this.toPublic(key) : null;
+  }
+
+  /**
+   * Rota una key: crea una nueva con los mismos dominios y scopes
+   * y la anterior expira tras el periodo de gracia (API_KEY_ROTATION_GRACE_MS)
+   * @returns {Promise<Object>} - { apiKey, key, previousKey }
+   */
+  async rotateKey(keyId, createdBy = null) {
+    const ApiKey = getApiKeyModel();
+    const previous = await ApiKey.findOne({ keyId, status: 'active' });
+    if (!previous) {
+      return null;
+    }
+
+    const created = await this.createKey({
+      name: previous.name,
+      domains: previous.domains,
+      scopes: previous.scopes,
+      expiresAt: previous.expiresAt,
+      createdBy,
+      rotatedFrom: previous._id,
+    });
+
+    const graceEnd = new Date(Date.now() + config.apiKeys.rotationGraceMs);
+    if (!previous.expiresAt || previous.expiresAt > graceEnd) {
+      previous.expiresAt = graceEnd;
+    }
+    await previous.save();
+
+    logger.info(`[ApiKey] Rotated key ${keyId} → ${created.key.keyId} (old key valid until ${previous.expiresAt.toISOString()})`);
+
+    return { ...created, previousKey: this.toPublic(previous) };
+  }
+
+  /**
+   * Revoca una key inmediatamente
+   */
+  async revokeKey(keyId) {
+    const ApiKey = getApiKeyModel();
+    const key = await ApiKey.findOneAndUpdate(
+      { keyId, status: 'active' },
+      { status: 'revoked', revokedAt: new Date() },
+      { new: true }
+    ).lean();
+
+    if (key) {
+      logger.info(`[ApiKey] Revoked key ${keyId}`);
+    }
+
+    return key ? this.toPublic(key) : null;
+  }
+
+  /**
+   * Representación pública de una key (nunca incluye el hash)
+   */
+  toPublic(key) {
+    return {
+      keyId: key.keyId,
+      name: key.name,
+      domains: key.domains,
+      scopes: key.scopes,
+      status: key.status,
+      expiresAt: key.expiresAt || null,
+      lastUsedAt: key.lastUsedAt || null,
+      revokedAt: key.revokedAt || null,
+      createdAt: key.createdAt,
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
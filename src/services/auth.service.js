@@ -0,0 +1,132 @@
+/**
+ * ============================================
+ * AUTH SERVICE
+ * ============================================
+ * Emisión y verificación de JWT para el API de chat
+ *
+ * CLAIMS:
+ * - sub: userId de la conversación
+ * - domains: dominios en los que el token es válido
+ * - scopes: capacidades permitidas (chat, history, stats, admin)
+ * - anonymous: true para visitantes de la tienda
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Capacidades de un visitante anónimo de la tienda
+const VISITOR_SCOPES = ['chat', 'history'];
+
+class AuthService {
+  /**
+   * Emite un token para un visitante anónimo de la tienda
+   * @param {string} domain - Dominio de la tienda
+   * @param {string|null} userId - userId a conservar (solo si viene de un token válido)
+   * @returns {Object} - { token, tokenType, expiresIn, userId, domain }
+   */
+  issueVisitorToken(domain, userId = null) {
+    if (config.auth.allowedDomains.length > 0 && !config.auth.allowedDomains.includes(domain)) {
+      throw new ForbiddenError(`Domain not allowed: ${domain}`);
+    }
+
+    const visitorId = userId || `visitor-${crypto.randomUUID()}`;
+
+    const token = jwt.sign(
+      {
+        domains: [domain],
+        scopes: VISITOR_SCOPES,
+        anonymous: true,
+      },
+      config.jwt.secret,
+      {
+        subject: visitorId,
+        expiresIn: config.jwt.expiration,
+        issuer: config.jwt.issuer,
+      }
+    );
+
+    logger.info(`[Auth] Visitor token issued for ${visitorId} on ${domain}`);
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresIn: config.jwt.expiration,
+      userId: visitorId,
+      domain,
+    };
+  }
+
+  /**
+   * Verifica un token y normaliza sus claims
+   * @returns {Object} - { type, userId, domains, scopes, anonymous }
+   */
+  verifyToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, config.jwt.secret, { issuer: config.jwt.issuer });
+    } catch (error) {
+      logger.warn(`[Auth] Invalid token: ${error.message}`);
+      throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    const domains = Array.isArray(claims.domains)
+      ? claims.domains
+      : claims.domain ? [claims.domain] : [];
+
+    if (!claims.sub || domains.length === 0) {
+      throw new UnauthorizedError('Token without subject or domains');
+    }
+
+    return {
+      type: 'jwt',
+      userId: claims.sub,
+      domains,
+      scopes: Array.isArray(claims.scopes) ? claims.scopes : VISITOR_SCOPES,
+      anonymous: claims.anonymous === true,
+    };
+  }
+
+  /**
+   * Extrae el token de un header Authorization: Bearer <token>
+   */
+  extractBearerToken(authorizationHeader) {
+    if (!authorizationHeader) return null;
+
+    const [scheme, token] = authorizationHeader.split(' ');
+    if (!/^Bearer$/i.test(scheme) || !token) return null;
+
+    return token;
+  }
+
+  /**
+   * Resuelve el dominio de una petición contra los dominios del token o API key
+   * Si la petición no indica dominio y hay uno solo, se usa ese ('*' = todos)
+   */
+  resolveDomain(auth, requestedDomain) {
+    const isWildcard = auth.domains.includes('*');
+
+    if (!requestedDomain) {
+      if (auth.domains.length === 1 && !isWildcard) return auth.domains[0];
+      throw new ForbiddenError('Domain is required for these credentials');
+    }
+
+    if (!isWildcard && !auth.domains.includes(requestedDomain)) {
+      throw new ForbiddenError(`Credentials not valid for domain: ${requestedDomain}`);
+    }
+
+    return requestedDomain;
+  }
+
+  /**
+   * Verifica que las credenciales cubran todos los dominios indicados
+   */
+  canManageDomains(auth, domains) {
+    if (auth.domains.includes('*')) return true;
+    return domains.length > 0 && domains.every(domain => domain !== '*' && auth.domains.includes(domain));
+  }
+}
+
+module.exports = new AuthService();
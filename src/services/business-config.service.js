@@ -0,0 +1,40 @@
+/**
+ * ============================================
+ * BUSINESS CONFIG SERVICE
+ * ============================================
+ * Configuración del negocio desde el API de configuraciones
+ * (API_CONFIGURATION), con timeout y reintentos (CONFIG_API_*)
+ */
+
+const axios = require('axios');
+const config = require('../config/env.config');
+const { withRetry, NO_DEADLINE } = require('../utils/resilience');
+
+class BusinessConfigService {
+  /**
+   * Indica si hay un API de configuraciones configurado
+   */
+  isEnabled() {
+    return Boolean(config.api.configurationUrl);
+  }
+
+  /**
+   * Obtiene la configuración del negocio de un dominio
+   * @param {Object} options - { deadline } de la petición en curso
+   * @returns {Promise<Object|null>} - Configuración o null si no existe
+   */
+  async getConfiguration(domain, { deadline = NO_DEADLINE } = {}) {
+    const { data } = await withRetry(signal => axios.get(`${config.api.configurationUrl}/api/configurations`, {
+      headers: { domain },
+      signal,
+    }), {
+      ...config.resilience.configApi,
+      deadline,
+      label: 'configuration API',
+    });
+
+    return data?.[0] || null;
+  }
+}
+
+module.exports = new BusinessConfigService();
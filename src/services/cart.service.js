@@ -0,0 +1,384 @@
+/**
+ * ============================================
+ * CART SERVICE
+ * ============================================
+ * Carrito del servidor por userId/dominio, compartido por:
+ * - los tools del bot (add_to_cart, view_cart, remove_from_cart, ...)
+ * - la tienda vía /api/cart (para sincronizar su carrito con el del bot)
+ *
+ * Los ítems se referencian por productId/slug, por posición
+ * (1 = el primero, -1 = el último) o por texto del título.
+ *
+ * Los productos con variantes se agregan siempre con una variante
+ * (por SKU o por talla/color); cada variante es un ítem distinto.
+ */
+
+const getCartModel = require('../models/Cart');
+const ProductCatalogService = require('./product-catalog.service');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { formatProductSummary, formatPrice, formatAttributes, isVariantAvailable } = require('../utils/product-formatter');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Texto comparable (sin mayúsculas ni tildes)
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * "M / negro" (valores de los atributos de la variante)
+ */
+function describeVariant(variant) {
+  return Object.values(formatAttributes(variant.attributes)).join(' / ') || variant.sku;
+}
+
+class CartService {
+  /**
+   * Precio unitario de un ítem (oferta si la hay)
+   */
+  getUnitPrice(item) {
+    return item.price?.sale || item.price?.regular || 0;
+  }
+
+  /**
+   * Ítem del carrito para los tools y el API (variant con los atributos planos)
+   * @param {number} position - Posición del ítem en el carrito (desde 1)
+   */
+  toPublicItem(item, position) {
+    return {
+      position,
+      productId: item.productId,
+      title: item.title,
+      slug: item.slug,
+      image: item.image,
+      sku: item.sku || null,
+      variant: item.variant ? formatAttributes(item.variant) : null,
+      price: { regular: item.price?.regular || 0, sale: item.price?.sale || item.price?.regular || 0 },
+      quantity: item.quantity,
+      subtotal: roundAmount(this.getUnitPrice(item) * item.quantity),
+    };
+  }
+
+  /**
+   * Carrito para los tools y el API
+   * @returns {Object} - { items: [{ position, productId, title, slug, image, sku, variant, price, quantity, subtotal }], itemCount, total, updatedAt }
+   */
+  toPublic(cart) {
+    const items = (cart?.items || []).map((item, index) => this.toPublicItem(item, index + 1));
+
+    return {
+      items,
+      itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      total: roundAmount(items.reduce((sum, item) => sum + item.subtotal, 0)),
+      updatedAt: cart?.updatedAt || null,
+    };
+  }
+
+  /**
+   * Carrito del usuario (lo crea vacío si no existe)
+   */
+  async loadCart(domain, userId) {
+    const Cart = getCartModel();
+    return Cart.findOneAndUpdate(
+      { domain, userId },
+      { $setOnInsert: { domain, userId, items: [] } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * @returns {Promise<Object>} - Carrito público (vacío si el usuario no tiene)
+   */
+  async getCart(domain, userId) {
+    const Cart = getCartModel();
+    const cart = await Cart.findOne({ domain, userId }).lean();
+    return this.toPublic(cart);
+  }
+
+  /**
+   * Carrito con los precios actuales del catálogo (cada ítem guarda el precio
+   * del momento en que se agregó); los ítems cuyo producto o variante ya no
+   * está disponible quedan fuera y sus títulos en unavailable
+   * @returns {Promise<Object>} - Carrito público más { unavailable }
+   */
+  async getRepricedCart(domain, userId) {
+    const Cart = getCartModel();
+    const cart = await Cart.findOne({ domain, userId }).lean();
+
+    const unavailable = [];
+    const items = (await Promise.all((cart?.items || []).map(async item => {
+      const product = await ProductCatalogService.findProduct(item.productId, domain);
+      const variant = product && item.sku ? ProductCatalogService.matchVariants(product, { sku: item.sku })[0] : null;
+      if (!product || (item.sku && !variant)) {
+        unavailable.push(item.title);
+        return null;
+      }
+      return { ...item, price: this.buildItem(product, item.quantity, variant).price };
+    }))).filter(Boolean);
+
+    if (unavailable.length > 0) {
+      logger.warn(`[Cart] ${domain}/${userId}: no longer available: ${unavailable.join(', ')}`);
+    }
+
+    return { ...this.toPublic(cart ? { ...cart, items } : null), unavailable };
+  }
+
+  /**
+   * Producto del catálogo por ID/slug o, si no se conoce, por búsqueda
+   * @throws {NotFoundError}
+   */
+  async resolveProduct(domain, { productId, query }) {
+    if (productId) {
+      const product = await ProductCatalogService.findProduct(productId, domain);
+      if (product) return product;
+    }
+
+    if (query) {
+      const { products } = await ProductCatalogService.searchProducts({ query, limit: 1 }, domain, { alternatives: false });
+      if (products.length > 0) {
+        return ProductCatalogService.findProduct(products[0].id, domain);
+      }
+    }
+
+    throw new NotFoundError(`Product not found: ${productId || query || '(sin referencia)'}`);
+  }
+
+  /**
+   * Variante a agregar: por SKU (o el productId si es un SKU), por talla/color
+   * o la única disponible
+   * @param {Object} ref - { sku?, size?, color?, productId? }
+   * @returns {Object|null} - Variante (null si el producto no tiene variantes)
+   * @throws {ValidationError} - Sin variante elegida, inexistente o sin stock (lista las disponibles)
+   */
+  resolveVariant(product, { sku, size, color, productId } = {}) {
+    if (!Array.isArray(product.variants) || product.variants.length === 0) {
+      return null;
+    }
+
+    const skuRef = sku || (productId && ProductCatalogService.matchVariants(product, { sku: productId }).length > 0 ? productId : null);
+    const matches = ProductCatalogService.matchVariants(product, skuRef ? { sku: skuRef } : { size, color });
+    const available = matches.filter(isVariantAvailable);
+    const options = product.variants.filter(isVariantAvailable).map(describeVariant).join(', ') || 'none';
+
+    if (matches.length === 0) {
+      throw new ValidationError(`${product.title} has no variant ${skuRef || [size, color].filter(Boolean).join(' / ')}. Available: ${options}`);
+    }
+    if (available.length === 0) {
+      throw new ValidationError(`${product.title} ${describeVariant(matches[0])} is out of stock. Available: ${options}`);
+    }
+    if (available.length > 1) {
+      throw new ValidationError(`Choose a variant of ${product.title}. Available: ${available.map(describeVariant).join(', ')}`);
+    }
+
+    return available[0];
+  }
+
+  /**
+   * Verifica cantidad máxima y stock (el de la variante si la hay)
+   * @throws {ValidationError}
+   */
+  assertQuantity(product, quantity, variant = null) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError('Quantity must be a positive integer');
+    }
+    if (quantity > config.cart.maxItemQuantity) {
+      throw new ValidationError(`Maximum ${config.cart.maxItemQuantity} units per product`);
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    if (typeof stock === 'number' && quantity > stock) {
+      const title = variant ? `${product.title} ${describeVariant(variant)}` : product.title;
+      throw new ValidationError(`Only ${stock} units of ${title} available`);
+    }
+  }
+
+  buildItem(product, quantity, variant = null) {
+    const summary = formatProductSummary(product);
+    return {
+      productId: summary.id,
+      title: summary.title,
+      slug: summary.slug,
+      image: summary.image,
+      ...(variant ? { sku: variant.sku, variant: formatAttributes(variant.attributes) } : {}),
+      price: variant?.price?.regular ? formatPrice(variant.price) : summary.price,
+      quantity,
+    };
+  }
+
+  /**
+   * Mismo producto y misma variante
+   */
+  isSameItem(item, productId, sku) {
+    return item.productId === productId && (item.sku || null) === (sku || null);
+  }
+
+  /**
+   * Posición (índice) de un ítem en el carrito
+   * @param {Object} ref - { productId?, sku?, position?, query? }
+   * @throws {NotFoundError}
+   */
+  findItemIndex(cart, { productId, sku, position, query } = {}) {
+    const { items } = cart;
+    let index = -1;
+
+    if (Number.isInteger(position) && position !== 0) {
+      index = position > 0 ? position - 1 : items.length + position;
+      if (index >= items.length) index = -1;
+    } else if (sku) {
+      index = items.findIndex(item => item.sku === sku);
+    } else if (productId) {
+      index = items.findIndex(item => item.productId === productId || item.slug === productId || item.sku === productId);
+    } else if (query) {
+      // El ítem cuyo título contiene más palabras de la consulta
+      const keywords = ProductCatalogService.extractKeywords(query);
+      let bestScore = 0;
+      items.forEach((item, itemIndex) => {
+        const title = normalizeText(item.title);
+        const score = keywords.filter(keyword => title.includes(keyword)).length;
+        if (score > bestScore) {
+          bestScore = score;
+          index = itemIndex;
+        }
+      });
+    }
+
+    if (index < 0) {
+      throw new NotFoundError('Item not found in cart');
+    }
+
+    return index;
+  }
+
+  /**
+   * Agrega un producto (si ya está, suma la cantidad)
+   * @param {Object} params - { productId?, query?, sku?, size?, color?, quantity }
+   * @returns {Promise<Object>} - { item, cart }
+   */
+  async addItem(domain, userId, { productId, query, sku, size, color, quantity = 1 }) {
+    const product = await this.resolveProduct(domain, { productId, query });
+    const variant = this.resolveVariant(product, { sku, size, color, productId });
+    const cart = await this.loadCart(domain, userId);
+
+    const newItem = this.buildItem(product, quantity, variant);
+    const existing = cart.items.find(item => this.isSameItem(item, newItem.productId, newItem.sku));
+    const totalQuantity = (existing ? existing.quantity : 0) + quantity;
+    this.assertQuantity(product, totalQuantity, variant);
+
+    if (existing) {
+      existing.quantity = totalQuantity;
+      existing.price = newItem.price;
+    } else {
+      if (cart.items.length >= config.cart.maxItems) {
+        throw new ValidationError(`Cart cannot have more than ${config.cart.maxItems} products`);
+      }
+      cart.items.push(newItem);
+    }
+
+    await cart.save();
+    logger.info(`[Cart] ${domain}/${userId}: added ${quantity} x ${newItem.title}${variant ? ` (${variant.sku})` : ''}`);
+
+    return { item: newItem, cart: this.toPublic(cart) };
+  }
+
+  /**
+   * Cambia la cantidad de un ítem (0 lo quita)
+   * @returns {Promise<Object>} - { item, cart }
+   */
+  async updateQuantity(domain, userId, ref, quantity) {
+    if (quantity === 0) {
+      return this.removeItem(domain, userId, ref);
+    }
+
+    const cart = await this.loadCart(domain, userId);
+    const index = this.findItemIndex(cart, ref);
+    const item = cart.items[index];
+
+    // El stock se verifica contra el catálogo actual (si el producto y la variante siguen disponibles)
+    const product = await ProductCatalogService.findProduct(item.productId, domain);
+    const variant = product && item.sku ? ProductCatalogService.matchVariants(product, { sku: item.sku })[0] : null;
+    if (!product || (item.sku && !variant)) {
+      throw new NotFoundError(`Product no longer available: ${item.title}`);
+    }
+    this.assertQuantity(product, quantity, variant);
+
+    item.quantity = quantity;
+    await cart.save();
+    logger.info(`[Cart] ${domain}/${userId}: ${item.title} quantity → ${quantity}`);
+
+    return { item: this.toPublicItem(item, index + 1), cart: this.toPublic(cart) };
+  }
+
+  /**
+   * Quita un ítem
+   * @returns {Promise<Object>} - { removed, cart }
+   */
+  async removeItem(domain, userId, ref) {
+    const cart = await this.loadCart(domain, userId);
+    const index = this.findItemIndex(cart, ref);
+    const [removed] = cart.items.splice(index, 1);
+
+    await cart.save();
+    logger.info(`[Cart] ${domain}/${userId}: removed ${removed.title}`);
+
+    return { removed: this.toPublicItem(removed, index + 1), cart: this.toPublic(cart) };
+  }
+
+  /**
+   * Vacía el carrito
+   */
+  async clear(domain, userId) {
+    const Cart = getCartModel();
+    const cart = await Cart.findOneAndUpdate({ domain, userId }, { $set: { items: [] } }, { new: true });
+    logger.info(`[Cart] ${domain}/${userId}: cleared`);
+    return this.toPublic(cart);
+  }
+
+  /**
+   * Reemplaza el carrito con los ítems de la tienda (sincronización)
+   * Los productos que ya no existen o no tienen stock se omiten y se informan.
+   * @param {Array<Object>} items - [{ productId, sku?, quantity }]
+   * @returns {Promise<Object>} - { cart, skipped: [{ productId, sku?, reason }] }
+   */
+  async replaceItems(domain, userId, items) {
+    const resolved = [];
+    const skipped = [];
+
+    for (const { productId, sku, quantity } of items) {
+      try {
+        const product = await this.resolveProduct(domain, { productId });
+        const variant = this.resolveVariant(product, { sku, productId });
+        const item = this.buildItem(product, quantity, variant);
+        const existing = resolved.find(entry => this.isSameItem(entry, item.productId, item.sku));
+        const totalQuantity = (existing ? existing.quantity : 0) + quantity;
+        this.assertQuantity(product, totalQuantity, variant);
+
+        if (existing) {
+          existing.quantity = totalQuantity;
+        } else {
+          resolved.push(item);
+        }
+      } catch (error) {
+        skipped.push({ productId, ...(sku ? { sku } : {}), reason: error.message });
+      }
+    }
+
+    if (resolved.length > config.cart.maxItems) {
+      throw new ValidationError(`Cart cannot have more than ${config.cart.maxItems} products`);
+    }
+
+    const cart = await this.loadCart(domain, userId);
+    cart.items = resolved;
+    await cart.save();
+    logger.info(`[Cart] ${domain}/${userId}: synced ${resolved.length} items (${skipped.length} skipped)`);
+
+    return { cart: this.toPublic(cart), skipped };
+  }
+}
+
+module.exports = new CartService();
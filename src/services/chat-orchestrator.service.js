@@ -9,23 +9,57 @@
  * en el historial para evitar reenviarlo en cada mensaje
  */
 
-const GeminiAgentService = require('./gemini-agent.service');
-const OpenAIAgentService = require('./openai-agent.service');
+const ProviderRegistryService = require('./provider-registry.service');
+const ProviderHealthService = require('./provider-health.service');
 const ModelRouterService = require('./model-router.service');
 const PromptMemoryService = require('./prompt-memory.service');
 const IntentInterpreterService = require('./intent-interpreter.service');
 const ToolExecutorService = require('./tool-executor.service');
+const CheckoutService = require('./checkout.service');
 const getConversationModel = require('../models/Conversation');
 const getTokenUsageModel = require('../models/TokenUsage');
 const getProductModel = require('../models/Product');
+const { ACTION_TYPES } = require('../providers/response-contract');
 const logger = require('../utils/logger');
+const { Deadline } = require('../utils/resilience');
 const config = require('../config/env.config');
 const crypto = require('crypto');
 
+// Motivo de PromotionService.validateCoupon → texto para el prompt
+const COUPON_REASONS = {
+  not_found: 'el código no existe',
+  inactive: 'el cupón está desactivado',
+  not_started: 'la promoción todavía no empieza',
+  expired: 'el cupón venció',
+  min_purchase: 'el carrito no alcanza la compra mínima',
+  not_applicable: 'no aplica a los productos del carrito',
+};
+
+// Motivo de RecommendationService → texto para el prompt
+const RECOMMENDATION_REASONS = {
+  similar: 'similar',
+  complementary: 'complementa el producto',
+  also_bought: 'otros clientes lo llevaron junto',
+  popular: 'popular en la tienda',
+  relaxed_filters: 'coincide con la búsqueda sin los filtros',
+};
+
+// Atributos de variantes → nombre para el prompt
+const VARIANT_ATTRIBUTE_NAMES = {
+  size: 'talla',
+  color: 'color',
+};
+
 class ChatOrchestratorService {
-  constructor() {
-    this.geminiService = new GeminiAgentService();
-    this.openaiService = new OpenAIAgentService();
+  /**
+   * Respuesta amigable cuando ningún modelo pudo responder
+   */
+  buildErrorResponse() {
+    return {
+      message: 'Lo siento, estoy teniendo problemas técnicos en este momento. Por favor, intenta de nuevo en unos momentos.',
+      audio_description: 'Lo siento, estoy teniendo problemas técnicos. Por favor, intenta de nuevo.',
+      action: { type: 'none', productId: null, quantity: null, url: null, price_sale: null, title: null, price_regular: null, image: null, slug: null, sku: null },
+    };
   }
 
   /**
@@ -89,6 +123,7 @@ class ChatOrchestratorService {
       price_regular: product.price?.regular || null,
       image: (product.image || (product.images && product.images[0])) || null,
       slug: product.slug || null,
+      sku: product.sku || null,
     };
   }
 
@@ -100,10 +135,24 @@ class ChatOrchestratorService {
    * PASO 3: GENERACIÓN (Modelo, Respuesta, Fallback)
    * PASO 4: VALIDACIÓN (Construcción de Acción)
    * PASO 5: PERSISTENCIA (Guardar mensajes, métricas, respuesta)
+   * 
+   * STREAMING: onEvent(event, data) recibe tool_call_start, tool_call_end,
+   * message (texto incremental) y reset (se descarta el texto emitido al usar fallback
+   * o al reparar una respuesta que no cumple el contrato).
+   * La persistencia del PASO 5 ocurre igual antes de retornar.
+   * endpoint: ruta o transporte que recibió el mensaje (se guarda en TokenUsage).
+   *
+   * DEADLINE: las llamadas externas comparten un presupuesto total
+   * (REQUEST_DEADLINE_MS o el Deadline recibido); cada una tiene además
+   * su timeout y reintentos con backoff (utils/resilience)
    */
-  async processMessage({ userMessage, userId, domain, forceModel = null }) {
+  async processMessage({ userMessage, userId, domain, forceModel = null, onEvent = null, deadline = null, endpoint = '/api/chat/message' }) {
     const startTime = Date.now();
     const FILE_NAME = 'chat-orchestrator.service.js';
+    // Presupuesto total: cada llamada externa (LLM, API de configuraciones) lo respeta
+    const requestDeadline = deadline || new Deadline(config.resilience.requestDeadlineMs);
+    // addedToCart: productos agregados al carrito en este turno (el modelo no los vuelve a agregar)
+    const agentOptions = { onEvent, deadline: requestDeadline, userId, addedToCart: new Set() };
     
     logger.info(`[${FILE_NAME}] ========================================`);
     logger.info(`[${FILE_NAME}] 🔄 INICIANDO PROCESAMIENTO DE MENSAJE`);
@@ -134,7 +183,7 @@ class ChatOrchestratorService {
         // OPTIMIZACIÓN: Si el system prompt es muy grande (>5000 caracteres), es una versión antigua
         if (systemPrompt.length > 5000) {
           logger.warn(`[${FILE_NAME}] [PASO 1/5] ⚠️ System prompt antiguo (${systemPrompt.length} chars), regenerando...`);
-          systemPrompt = await PromptMemoryService.buildSystemPrompt(domain);
+          systemPrompt = await PromptMemoryService.buildSystemPrompt(domain, { deadline: requestDeadline });
           systemPromptHash = crypto.createHash('md5').update(systemPrompt).digest('hex');
           conversation.messages[0].content = systemPrompt;
           conversation.systemPromptHash = systemPromptHash;
@@ -146,7 +195,7 @@ class ChatOrchestratorService {
       } else {
         // Primera vez: construir y memorizar el system prompt
         logger.info(`[${FILE_NAME}] [PASO 1/5] Construyendo nuevo system prompt...`);
-        systemPrompt = await PromptMemoryService.buildSystemPrompt(domain);
+        systemPrompt = await PromptMemoryService.buildSystemPrompt(domain, { deadline: requestDeadline });
         systemPromptHash = crypto.createHash('md5').update(systemPrompt).digest('hex');
         
         if (!conversation.messages) conversation.messages = [];
@@ -175,13 +224,13 @@ class ChatOrchestratorService {
         try {
           // Detectar idioma e interpretar intención
           const language = this.detectLanguage(userMessage);
-          interpretedIntent = await IntentInterpreterService.interpret(userMessage, language, domain);
+          interpretedIntent = await IntentInterpreterService.interpret(userMessage, language, domain, { deadline: requestDeadline });
           logger.info(`[${FILE_NAME}] [PASO 2/5] ✅ Intención: ${interpretedIntent.intent} (confidence: ${interpretedIntent.confidence})`);
 
           // Si la intención es específica, ejecutar tool
           if (interpretedIntent.intent !== 'general_chat' && interpretedIntent.confidence >= 0.6) {
             // Buscar producto en historial si falta
-            const productIntentions = ['add_to_cart', 'product_details', 'product_price'];
+            const productIntentions = ['add_to_cart', 'product_details', 'product_price', 'recommend_products'];
             if (productIntentions.includes(interpretedIntent.intent) && 
                 !interpretedIntent.params.productId && 
                 !interpretedIntent.params.query) {
@@ -190,7 +239,18 @@ class ChatOrchestratorService {
                 interpretedIntent.params.productId = productInHistory.productId;
               }
             }
-            
+
+            // Preguntas frecuentes: sin términos del intérprete se busca con el mensaje completo
+            if (interpretedIntent.intent === 'faq' && !interpretedIntent.params.query) {
+              interpretedIntent.params.query = userMessage;
+              interpretedIntent.params.locale = language;
+            }
+
+            // Búsqueda de productos: el idioma elige las stopWords del diccionario de la tienda
+            if (['search_products', 'search_more'].includes(interpretedIntent.intent) && !interpretedIntent.params.locale) {
+              interpretedIntent.params.locale = language;
+            }
+
             // Detectar "ver más detalles" y forzar product_details
             if ((userMessage.toLowerCase().includes('detalle') || userMessage.toLowerCase().includes('detalles') || 
                  userMessage.toLowerCase().includes('ver más')) &&
@@ -204,11 +264,16 @@ class ChatOrchestratorService {
             }
 
             // Ejecutar tool
+            if (onEvent) onEvent('tool_call_start', { tool: interpretedIntent.intent, args: interpretedIntent.params, source: 'intent' });
+            const toolStart = Date.now();
             toolResult = await ToolExecutorService.executeTool(
               interpretedIntent.intent,
               interpretedIntent.params,
-              domain
+              domain,
+              { deadline: requestDeadline, userId }
             );
+            if (onEvent) onEvent('tool_call_end', { tool: interpretedIntent.intent, durationMs: Date.now() - toolStart, source: 'intent' });
+            this.trackCartAdd(agentOptions.addedToCart, toolResult);
 
             if (toolResult) {
               dynamicPrompt = this.buildDynamicPrompt(interpretedIntent.intent, toolResult, systemPrompt, domain);
@@ -248,25 +313,32 @@ class ChatOrchestratorService {
             const commonWords = ['del', 'de', 'la', 'el', 'los', 'las', 'un', 'una', 'uno', 'dos', 'tres', 'con', 'por', 'para', 'ver', 'mas', 'más', 'detalles', 'detalle'];
             
             if ((isObjectId || isValidSlug) && !commonWords.includes(productId.toLowerCase())) {
-              // Determinar intención
+              // Determinar intención: solo se agrega al carrito si el usuario lo pide
+              // nombrando el producto ("agrega las zapatillas running"); una confirmación
+              // ("sí", "ok") solo muestra el producto o el carrito y el modelo decide
               let detectedIntent = 'product_details';
+              const asksToAdd = /(^|\s)(agreg|agrég|añad|añád)/.test(lowerMessage);
               if (isConfirmation) {
                 const assistantMessages = history.filter(msg => msg.role === 'assistant');
                 const lastAssistantMsg = assistantMessages[assistantMessages.length - 1];
-                if (lastAssistantMsg?.content) {
-                  const lastContent = lastAssistantMsg.content.toLowerCase();
-                  if (lastContent.includes('carrito') || lastContent.includes('agregar') || lastContent.includes('añadir')) {
-                    detectedIntent = 'add_to_cart';
-                  }
+                if (lastAssistantMsg?.content?.toLowerCase().includes('carrito')) {
+                  detectedIntent = 'view_cart';
                 }
-              } else if (lowerMessage.includes('agregar') || lowerMessage.includes('añadir') || lowerMessage.includes('carrito')) {
+              } else if (asksToAdd && productFromUserMessage) {
                 detectedIntent = 'add_to_cart';
+              } else if (!asksToAdd && lowerMessage.includes('carrito')) {
+                detectedIntent = 'view_cart';
               } else if (lowerMessage.includes('precio') || lowerMessage.includes('cuesta') || lowerMessage.includes('vale')) {
                 detectedIntent = 'product_price';
               }
               
-              interpretedIntent = { intent: detectedIntent, params: { productId }, confidence: isConfirmation ? 0.8 : 0.7, method: 'history_lookup' };
-              toolResult = await ToolExecutorService.executeTool(detectedIntent, { productId }, domain);
+              const params = detectedIntent === 'view_cart' ? {} : { productId };
+              interpretedIntent = { intent: detectedIntent, params, confidence: isConfirmation ? 0.8 : 0.7, method: 'history_lookup' };
+              if (onEvent) onEvent('tool_call_start', { tool: detectedIntent, args: params, source: 'history_lookup' });
+              const toolStart = Date.now();
+              toolResult = await ToolExecutorService.executeTool(detectedIntent, params, domain, { deadline: requestDeadline, userId });
+              if (onEvent) onEvent('tool_call_end', { tool: detectedIntent, durationMs: Date.now() - toolStart, source: 'history_lookup' });
+              this.trackCartAdd(agentOptions.addedToCart, toolResult);
               
               if (toolResult) {
                 dynamicPrompt = this.buildDynamicPrompt(detectedIntent, toolResult, systemPrompt, domain);
@@ -282,101 +354,93 @@ class ChatOrchestratorService {
       // ========================================================================
       logger.info(`[${FILE_NAME}] [PASO 3/5] GENERACIÓN: Decidiendo modelo y generando respuesta...`);
       let selectedModel = forceModel || config.router.defaultProvider;
+      // Residencia de datos: el tenant solo usa el modelo local (sin forceModel ni fallback)
+      const localOnly = ModelRouterService.requiresLocalModel(domain);
+
+      if (selectedModel !== 'auto' && !ProviderRegistryService.has(selectedModel)) {
+        logger.warn(`[${FILE_NAME}] [PASO 3/5] ⚠️ Proveedor no registrado: ${selectedModel}, usando router automático`);
+        selectedModel = 'auto';
+      }
       
-      if (selectedModel === 'auto') {
-        selectedModel = ModelRouterService.decideModel(userMessage, history);
+      if (localOnly) {
+        selectedModel = 'local';
+        logger.info(`[${FILE_NAME}] [PASO 3/5] Modelo local obligatorio para ${domain}`);
+      } else if (selectedModel === 'auto') {
+        selectedModel = ProviderRegistryService.resolve(ModelRouterService.decideModel(userMessage, history, domain));
           logger.info(`[${FILE_NAME}] [PASO 3/5] Modelo auto-seleccionado: ${selectedModel}`);
       } else {
         logger.info(`[${FILE_NAME}] [PASO 3/5] Modelo forzado: ${selectedModel}`);
       }
 
-      // Si hay prompt dinámico, usarlo; si no, usar el system prompt original
-      const finalSystemPrompt = dynamicPrompt || systemPrompt;
+      // Si hay prompt dinámico, usarlo; si no, usar el system prompt original.
+      // Con un checkout en curso se agrega su estado para retomarlo tras un cambio de tema
+      const checkoutContext = toolResult?.tool === 'checkout' ? '' : CheckoutService.buildPromptContext(conversation.metadata?.checkout);
+      const finalSystemPrompt = `${dynamicPrompt || systemPrompt}${checkoutContext}`;
       logger.info(`[${FILE_NAME}] [PASO 3/5] Generando respuesta con modelo: ${selectedModel}`);
       logger.info(`[${FILE_NAME}] [PASO 3/5] Usando prompt: ${dynamicPrompt ? 'dinámico' : 'original'} (${finalSystemPrompt.length} caracteres)`);
       
       let response;
       let usedModel = selectedModel;
+      // Proveedor que respondió (o el último que se intentó si todos fallaron)
+      let usedProvider = ProviderRegistryService.get(selectedModel);
       let thinkingUsed = false;
       let fallbackUsed = false;
       // Guardar el prompt enviado para auditoría (se usará al guardar el mensaje)
-      let promptSentForAudit = finalSystemPrompt;
+      const promptSentForAudit = finalSystemPrompt;
+      // Tiempo de generación (costo por hora de los modelos autoalojados)
+      const generationStart = Date.now();
 
       try {
-        if (selectedModel === 'gemini') {
-          thinkingUsed = ModelRouterService.shouldUseThinking(userMessage);
-          logger.info(`[${FILE_NAME}] [PASO 3/5] Llamando a GeminiAgentService.generateResponse() (thinking: ${thinkingUsed})...`);
-          response = await this.geminiService.generateResponse(
-            userMessage,
-            history,
-            domain,
-            finalSystemPrompt,
-            thinkingUsed
-          );
-          usedModel = 'gemini';
-          logger.info(`[${FILE_NAME}] [PASO 3/5] ✅ Respuesta de Gemini generada`);
-        } else {
-          logger.info(`[${FILE_NAME}] [PASO 3/5] Llamando a OpenAIAgentService.generateResponse()...`);
-          response = await this.openaiService.generateResponse(
-            userMessage,
-            history,
-            domain,
-            finalSystemPrompt
-          );
-          usedModel = 'openai';
-          logger.info(`[${FILE_NAME}] [PASO 3/5] ✅ Respuesta de OpenAI generada`);
-        }
+        thinkingUsed = usedProvider.supportsThinking && ModelRouterService.shouldUseThinking(userMessage);
+        logger.info(`[${FILE_NAME}] [PASO 3/5] Llamando a ${selectedModel}.generateResponse() (thinking: ${thinkingUsed})...`);
+        // Con el circuito abierto falla al instante y se pasa al fallback
+        response = await ProviderHealthService.execute(selectedModel, () => usedProvider.generateResponse(
+          userMessage,
+          history,
+          domain,
+          finalSystemPrompt,
+          { ...agentOptions, useThinking: thinkingUsed }
+        ));
+        logger.info(`[${FILE_NAME}] [PASO 3/5] ✅ Respuesta de ${selectedModel} generada`);
       } catch (error) {
         // Fallback si falla el modelo principal
         logger.error(`[${FILE_NAME}] [PASO 3/5] ❌ Error generando respuesta con ${usedModel}: ${error.message}`);
-        if (config.router.enableFallback) {
-          logger.warn(`[${FILE_NAME}] [PASO 3/5] Intentando fallback...`);
+        thinkingUsed = false;
+        const fallbackModel = config.router.enableFallback && !localOnly
+          ? ProviderRegistryService.getFallback(usedModel)
+          : null;
+
+        if (fallbackModel) {
+          logger.warn(`[${FILE_NAME}] [PASO 3/5] Intentando fallback a ${fallbackModel}...`);
           fallbackUsed = true;
+          if (onEvent) onEvent('reset', { reason: 'fallback', failedModel: usedModel });
           
           try {
-            if (usedModel === 'gemini') {
-              logger.info(`[${FILE_NAME}] [PASO 3/5] Fallback a OpenAI...`);
-              response = await this.openaiService.generateResponse(userMessage, history, domain, finalSystemPrompt);
-              usedModel = 'openai';
-              promptSentForAudit = finalSystemPrompt;
-              logger.info(`[${FILE_NAME}] [PASO 3/5] ✅ Fallback exitoso (OpenAI)`);
-            } else {
-              thinkingUsed = false;
-              logger.info(`[${FILE_NAME}] [PASO 3/5] Fallback a Gemini...`);
-              response = await this.geminiService.generateResponse(userMessage, history, domain, finalSystemPrompt, false);
-              usedModel = 'gemini';
-              promptSentForAudit = finalSystemPrompt;
-              logger.info(`[${FILE_NAME}] [PASO 3/5] ✅ Fallback exitoso (Gemini)`);
-            }
+            usedProvider = ProviderRegistryService.get(fallbackModel);
+            response = await ProviderHealthService.execute(fallbackModel, () => (
+              usedProvider.generateResponse(userMessage, history, domain, finalSystemPrompt, agentOptions)
+            ));
+            usedModel = fallbackModel;
+            logger.info(`[${FILE_NAME}] [PASO 3/5] ✅ Fallback exitoso (${fallbackModel})`);
           } catch (fallbackError) {
             logger.error(`[${FILE_NAME}] [PASO 3/5] ❌ Fallback también falló: ${fallbackError.message}`);
             logger.error(`[${FILE_NAME}] [PASO 3/5] Error original: ${error.message}`);
             
-            response = {
-              message: 'Lo siento, estoy teniendo problemas técnicos en este momento. Por favor, intenta de nuevo en unos momentos.',
-              audio_description: 'Lo siento, estoy teniendo problemas técnicos. Por favor, intenta de nuevo.',
-              action: { type: 'none', productId: null, quantity: null, url: null, price_sale: null, title: null, price_regular: null, image: null, slug: null },
-            };
+            response = this.buildErrorResponse();
             usedModel = 'error_fallback';
-            thinkingUsed = false;
-            promptSentForAudit = finalSystemPrompt;
             logger.warn(`[${FILE_NAME}] [PASO 3/5] ⚠️ Usando respuesta de error amigable (ambos modelos fallaron)`);
           }
         } else {
-          logger.error(`[${FILE_NAME}] [PASO 3/5] ❌ Error y fallback deshabilitado: ${error.message}`);
+          logger.error(`[${FILE_NAME}] [PASO 3/5] ❌ Error y fallback ${config.router.enableFallback && !localOnly ? 'sin proveedor disponible' : 'deshabilitado'}: ${error.message}`);
           
-          response = {
-            message: 'Lo siento, estoy teniendo problemas técnicos en este momento. Por favor, intenta de nuevo en unos momentos.',
-            audio_description: 'Lo siento, estoy teniendo problemas técnicos. Por favor, intenta de nuevo.',
-            action: { type: 'none', productId: null, quantity: null, url: null, price_sale: null, title: null, price_regular: null, image: null, slug: null },
-          };
+          response = this.buildErrorResponse();
           usedModel = 'error_fallback';
-          thinkingUsed = false;
-          promptSentForAudit = finalSystemPrompt;
           logger.warn(`[${FILE_NAME}] [PASO 3/5] ⚠️ Usando respuesta de error amigable`);
         }
       }
 
+      const generationMs = Date.now() - generationStart;
+
       // ========================================================================
       // PASO 4: VALIDACIÓN Y CONSTRUCCIÓN DE ACCIÓN
       // ========================================================================
@@ -398,6 +462,7 @@ class ChatOrchestratorService {
         price_regular: null,
         image: null,
         slug: null,
+        sku: null,
       };
       
       // Si es error_fallback, usar acción por defecto
@@ -439,7 +504,13 @@ class ChatOrchestratorService {
           validatedAction = this.sanitizeAction(response.action);
           logger.info(`[${FILE_NAME}] [PASO 4/5] ✅ Acción del LLM: ${validatedAction.type} - ${validatedAction.title}`);
         } else if (hasAddToCartTool && productResult) {
-          validatedAction = this.buildActionFromProduct(productResult.product);
+          validatedAction = this.buildActionFromProduct(productResult.product, toolResult.data.quantity || 1);
+          // Variante agregada: su SKU y su precio
+          if (toolResult.data.sku) {
+            validatedAction.sku = toolResult.data.sku;
+            validatedAction.price_regular = toolResult.data.price?.regular || validatedAction.price_regular;
+            validatedAction.price_sale = toolResult.data.price?.sale || validatedAction.price_sale;
+          }
           logger.info(`[${FILE_NAME}] [PASO 4/5] ✅ Acción desde tool: ${validatedAction.title}`);
         } else if (confirmsAdded && !isQuestion && productResult) {
           validatedAction = this.buildActionFromProduct(productResult.product);
@@ -456,7 +527,7 @@ class ChatOrchestratorService {
           if (!validatedAction.url && product.slug) validatedAction.url = `/product/${product.slug}`;
           logger.info(`[${FILE_NAME}] [PASO 4/5] ✅ Acción completada: ${validatedAction.title}`);
         } else if (isQuestion) {
-          validatedAction = { type: 'none', productId: null, quantity: null, url: null, price_sale: null, title: null, price_regular: null, image: null, slug: null };
+          validatedAction = { type: 'none', productId: null, quantity: null, url: null, price_sale: null, title: null, price_regular: null, image: null, slug: null, sku: null };
           logger.info(`[${FILE_NAME}] [PASO 4/5] ⚠️ Mensaje es pregunta, acción = none`);
         } else {
           validatedAction.type = 'none';
@@ -469,23 +540,14 @@ class ChatOrchestratorService {
       // ========================================================================
       logger.info(`[${FILE_NAME}] [PASO 5/5] PERSISTENCIA: Guardando mensajes y métricas...`);
       
-      // Calcular tokens y costo
-      const tokenData = {
-        input: response.usage?.input || response.usageMetadata?.promptTokenCount || 0,
-        output: response.usage?.output || response.usageMetadata?.candidatesTokenCount || 0,
-        thinking: response.usage?.thinking || response.usageMetadata?.thinkingTokenCount || 0,
-        cached: response.usage?.cached || 0,
-        total: response.usage?.total || 0,
-      };
-
-      if (tokenData.total === 0) {
-        tokenData.total = tokenData.input + tokenData.output + tokenData.thinking;
-      }
+      // Calcular tokens y costo (los proveedores devuelven el uso normalizado)
+      const tokenData = usedProvider.normalizeUsage(response.usage);
 
       const cost = getTokenUsageModel.calculateCost(
-        usedModel === 'gemini' ? 'gemini' : 'openai',
-        usedModel === 'gemini' ? config.gemini.model : config.openai.model,
-        tokenData
+        usedProvider.name,
+        usedProvider.getModel(),
+        tokenData,
+        { durationMs: generationMs }
       );
 
       // Guardar mensaje del usuario
@@ -542,6 +604,22 @@ class ChatOrchestratorService {
           promptLength: promptFull.length,
           systemPromptHash: promptHashForAudit,
       };
+
+      // Resumen del loop de tools (rondas, repetidas y motivo si se cortó)
+      if (response.toolLoop) {
+        assistantMetadata.toolLoop = response.toolLoop;
+      }
+
+      // Validación del contrato de respuesta (valid | repaired | failed)
+      if (response.validation) {
+        assistantMetadata.contractStatus = response.validation.status;
+      }
+
+      // Artículos de la base de conocimiento en los que se basa la respuesta
+      const sources = this.collectKnowledgeSources(toolResult, response.functionResults);
+      if (sources.length > 0) {
+        assistantMetadata.sources = sources;
+      }
       
       // Guardar información del producto en metadata para referencia futura
       // NOTA: El contexto persistente ya se actualizó en PASO 4/5 cuando se encontró el producto
@@ -587,7 +665,7 @@ class ChatOrchestratorService {
       conversation.metadata.totalMessages += 2;
       conversation.metadata.totalTokens += tokenData.total;
       conversation.metadata.cachedTokens += tokenData.cached;
-      conversation.metadata.modelsUsed[usedModel] += 1;
+      conversation.metadata.modelsUsed.set(usedModel, (conversation.metadata.modelsUsed.get(usedModel) || 0) + 1);
 
       const responseTime = Date.now() - startTime;
       conversation.metadata.averageResponseTime = 
@@ -601,16 +679,25 @@ class ChatOrchestratorService {
         domain,
         userId,
         conversationId: conversation._id,
-        provider: usedModel === 'gemini' ? 'gemini' : 'openai',
-        model: usedModel === 'gemini' ? config.gemini.model : config.openai.model,
+        provider: usedProvider.name,
+        model: usedProvider.getModel(),
         tokens: tokenData,
         cost,
         metadata: {
-          endpoint: '/api/chat/message',
+          endpoint,
           responseTime,
           cacheHit: tokenData.cached > 0,
           fallbackUsed,
-          errorOccurred: false,
+          errorOccurred: usedModel === 'error_fallback',
+          circuitState: ProviderHealthService.getState(usedProvider.name),
+          openCircuits: ProviderHealthService.listOpen(ProviderRegistryService.list()),
+          contractStatus: response.validation?.status,
+          contractFailures: response.validation?.failures || 0,
+          toolTimings: (response.functionResults || []).map(({ functionName, durationMs = 0, repeated = false }) => ({
+            tool: functionName,
+            durationMs,
+            repeated,
+          })),
         },
       });
 
@@ -658,6 +745,15 @@ class ChatOrchestratorService {
     }
   }
 
+  /**
+   * Registra el producto que agregó al carrito un tool ejecutado por el orquestador
+   * (el add_to_cart del modelo en el mismo turno no lo vuelve a agregar)
+   */
+  trackCartAdd(addedToCart, toolResult) {
+    if (toolResult?.tool !== 'add_to_cart' || !toolResult.data || toolResult.data.error) return;
+    [toolResult.data.productId, toolResult.data.slug].filter(Boolean).forEach(id => addedToCart.add(String(id)));
+  }
+
   /**
    * Obtiene o crea una conversación
    */
@@ -761,9 +857,10 @@ class ChatOrchestratorService {
 
   /**
    * Sanitiza una acción para corregir problemas comunes
+   * (tipos fuera del contrato se tratan como sin acción)
    */
   sanitizeAction(action) {
-    if (!action || !action.type) {
+    if (!action || !ACTION_TYPES.includes(action.type)) {
       return {
         type: 'none',
         productId: null,
@@ -774,11 +871,12 @@ class ChatOrchestratorService {
         price_regular: null,
         image: null,
         slug: null,
+        sku: null,
       };
     }
 
     return {
-      type: action.type || 'none',
+      type: action.type,
       productId: action.productId || null,
       quantity: action.quantity || null,
       url: action.url || null,
@@ -787,18 +885,36 @@ class ChatOrchestratorService {
       price_regular: action.price_regular || null,
       image: action.image || null,
       slug: action.slug || null,
+      sku: action.sku || null,
     };
   }
 
   /**
    * Cierra una conversación
+   * @param {string} conversationId - ID de la conversación
+   * @param {Object|null} owner - { userId?, domains } para restringir a conversaciones propias
+   * @returns {Promise<boolean>} - true si se encontró y cerró
    */
-  async closeConversation(conversationId) {
+  async closeConversation(conversationId, owner = null) {
     const Conversation = getConversationModel();
-    await Conversation.findByIdAndUpdate(conversationId, {
+    const filter = { _id: conversationId };
+
+    if (owner) {
+      if (!owner.domains.includes('*')) filter.domain = { $in: owner.domains };
+      if (owner.userId) filter.userId = owner.userId;
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(filter, {
       status: 'closed',
     });
+
+    if (!conversation) {
+      logger.warn(`[Orchestrator] Conversation ${conversationId} not found for close`);
+      return false;
+    }
+
     logger.info(`[Orchestrator] Closed conversation ${conversationId}`);
+    return true;
   }
 
   /**
@@ -1204,6 +1320,85 @@ class ChatOrchestratorService {
     return null;
   }
 
+  /**
+   * Línea de una promoción para el prompt: "- 2x1 (Nombre) - llevando 2 - S/40 c/u - cupón X - hasta 2026-01-31"
+   */
+  formatPromotionLine(promotion) {
+    const parts = [`- ${promotion.label} (${promotion.name})`];
+    if (promotion.minQuantity > 1) parts.push(`llevando ${promotion.minQuantity}`);
+    if (promotion.minPurchase) parts.push(`en compras desde S/${promotion.minPurchase}`);
+    if (promotion.effectivePrice !== undefined) parts.push(`S/${promotion.effectivePrice} c/u`);
+    if (promotion.code) parts.push(`cupón ${promotion.code}`);
+    if (promotion.endsAt) parts.push(`hasta ${new Date(promotion.endsAt).toISOString().slice(0, 10)}`);
+    return parts.join(' - ');
+  }
+
+  /**
+   * Atributos de una variante para el prompt: "talla M / color negro"
+   * (con separator ', ' también las opciones: "talla S/M, color negro")
+   */
+  formatVariantAttributes(attributes, separator = ' / ') {
+    return Object.entries(attributes || {})
+      .map(([name, value]) => `${VARIANT_ATTRIBUTE_NAMES[name] || name} ${Array.isArray(value) ? value.join('/') : value}`)
+      .join(separator);
+  }
+
+  /**
+   * Línea de un producto recomendado: "1. Título - S/49.9 - similar - ID: ... - Slug: ..."
+   */
+  formatRecommendationLine(product, index) {
+    const price = product.price.sale && product.price.sale !== product.price.regular
+      ? `S/${product.price.sale} (antes S/${product.price.regular})`
+      : `S/${product.price.regular}`;
+    return `${index + 1}. ${product.title} - ${price} - ${RECOMMENDATION_REASONS[product.reason] || product.reason} - ID: ${product.id} - Slug: ${product.slug}`;
+  }
+
+  /**
+   * Artículos de la base de conocimiento usados en el turno (intención faq
+   * y llamadas del modelo a search_knowledge_base), sin repetir
+   * @returns {Array<Object>} - [{ articleId, slug, title }]
+   */
+  collectKnowledgeSources(toolResult, functionResults = []) {
+    const results = (functionResults || [])
+      .filter(call => call.functionName === 'search_knowledge_base')
+      .map(call => call.result);
+    if (toolResult?.tool === 'faq') {
+      results.unshift(toolResult.data);
+    }
+
+    const sources = [];
+    for (const result of results) {
+      for (const article of result?.articles || []) {
+        if (!sources.some(source => source.articleId === article.articleId)) {
+          sources.push({ articleId: article.articleId, slug: article.slug, title: article.title });
+        }
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Facetas de una búsqueda para el prompt (categorías y rangos de precio con su cantidad)
+   */
+  formatSearchFacets(facets) {
+    const lines = [];
+    if (facets.categories?.length > 0) {
+      lines.push(`- Categorías: ${facets.categories.map(c => `${c.name} (${c.count})`).join(', ')}`);
+    }
+    if (facets.priceBands?.length > 0) {
+      lines.push(`- Precios: ${facets.priceBands.map(band => {
+        const range = band.minPrice === undefined ? `hasta S/${band.maxPrice}`
+          : band.maxPrice === undefined ? `desde S/${band.minPrice}`
+            : `S/${band.minPrice} - S/${band.maxPrice}`;
+        return `${range} (${band.count})`;
+      }).join(', ')}`);
+    }
+    if (facets.tags?.length > 0) {
+      lines.push(`- Etiquetas: ${facets.tags.map(t => `${t.tag} (${t.count})`).join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Construye un prompt dinámico basado en la intención y resultado del tool
    */
@@ -1214,18 +1409,55 @@ class ChatOrchestratorService {
 
     switch (intent) {
       case 'search_products':
-        if (toolResult.data && toolResult.data.products && toolResult.data.products.length > 0) {
+      case 'search_more':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDO CONTINUAR LA BÚSQUEDA: ${toolResult.data.error}\n\nINSTRUCCIONES: Pregunta al usuario qué producto busca.`;
+        } else if (toolResult.data && toolResult.data.products && toolResult.data.products.length > 0) {
+          const { total = toolResult.data.count, totalExact = true, offset = 0, hasMore } = toolResult.data;
           const products = toolResult.data.products.slice(0, 5); // Limitar a 5 productos
-          contextualInfo = `\n\nINFORMACIÓN RELEVANTE - Productos encontrados (${toolResult.data.count} total):\n`;
+          // Total estimado: el bot no debe dar una cifra exacta
+          const totalLabel = totalExact ? `${total} total` : `unos ${total} en total, cifra aproximada: no la des como exacta`;
+          contextualInfo = `\n\nINFORMACIÓN RELEVANTE - Productos encontrados (${totalLabel}, mostrando del ${offset + 1} al ${offset + products.length}):\n`;
           contextualInfo += products.map((p, i) => 
-            `${i + 1}. ${p.title} - S/${p.price.regular}${p.price.sale !== p.price.regular ? ` (Oferta: S/${p.price.sale})` : ''} - ID: ${p.id} - Slug: ${p.slug}`
+            `${offset + i + 1}. ${p.title} - S/${p.price.regular}${p.price.sale !== p.price.regular ? ` (Oferta: S/${p.price.sale})` : ''} - ID: ${p.id} - Slug: ${p.slug}`
+            + (p.inStock === false ? ' (agotado)' : '')
+            + (p.options && Object.keys(p.options).length > 0
+              ? ` - Disponible en: ${this.formatVariantAttributes(p.options, ', ')}`
+              : '')
           ).join('\n');
-          contextualInfo += '\n\nINSTRUCCIONES: Presenta estos productos de forma amable. Si el usuario pregunta por un producto específico, usa el ID o slug para acciones.';
+          contextualInfo += '\n\nINSTRUCCIONES: Presenta estos productos de forma amable. Si el usuario pregunta por un producto específico, usa el ID o slug para acciones. No ofrezcas productos agotados ni tallas/colores que no estén en "Disponible en".';
+          if (toolResult.data.facets) {
+            contextualInfo += `\n\nPARA ACOTAR LA BÚSQUEDA:\n${this.formatSearchFacets(toolResult.data.facets)}`;
+            contextualInfo += '\nSi son muchos resultados, haz UNA pregunta corta para acotar (categoría o rango de precio) usando solo estas opciones.';
+          }
+          if (hasMore) {
+            contextualInfo += '\nHay más resultados: dile que puede pedir "muéstrame más" o ordenarlos (más baratos, más caros, más nuevos).';
+          }
+        } else if (intent === 'search_more' && toolResult.data?.total > 0) {
+          contextualInfo = `\n\nINFORMACIÓN: El usuario ya vio los ${toolResult.data.total} productos de su búsqueda. Díselo amablemente y pregunta si quiere buscar otra cosa o cambiar los filtros.`;
+        } else if (toolResult.data?.alternatives?.length > 0) {
+          const relaxed = toolResult.data.alternatives[0].reason === 'relaxed_filters';
+          contextualInfo = `\n\nINFORMACIÓN: No se encontraron productos con esa búsqueda. ${relaxed ? 'Sin los filtros (categoría, precio, talla o color) hay estas opciones' : 'Productos populares de la tienda'}:\n`;
+          contextualInfo += toolResult.data.alternatives.map((p, i) => this.formatRecommendationLine(p, i)).join('\n');
+          contextualInfo += '\n\nINSTRUCCIONES: Di que no encontraste exactamente lo que busca y sugiere estas alternativas; no inventes otras.';
         } else {
           contextualInfo = '\n\nINFORMACIÓN: No se encontraron productos. Informa amablemente al usuario y pregunta si busca algo específico.';
         }
         break;
 
+      case 'recommend_products':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDIERON OBTENER RECOMENDACIONES: ${toolResult.data.error}`;
+        } else if (toolResult.data?.products?.length > 0) {
+          const reference = toolResult.data.product ? ` para ${toolResult.data.product.title}` : ' (populares de la tienda)';
+          contextualInfo = `\n\nRECOMENDACIONES${reference}:\n`;
+          contextualInfo += toolResult.data.products.map((p, i) => this.formatRecommendationLine(p, i)).join('\n');
+          contextualInfo += '\n\nINSTRUCCIONES: Presenta estas recomendaciones de forma breve explicando por qué se recomiendan (similar, complementario, otros clientes lo llevaron). Usa el ID o slug para acciones.';
+        } else {
+          contextualInfo = '\n\nINFORMACIÓN: No hay recomendaciones para ese producto. Ofrece buscar algo específico.';
+        }
+        break;
+
       case 'company_info':
         if (toolResult.data) {
           contextualInfo = `\n\nINFORMACIÓN DE LA EMPRESA:\n`;
@@ -1238,6 +1470,17 @@ class ChatOrchestratorService {
         }
         break;
 
+      case 'faq':
+        if (toolResult.data?.articles?.length > 0) {
+          contextualInfo = '\n\nBASE DE CONOCIMIENTO DE LA TIENDA:\n';
+          contextualInfo += toolResult.data.articles.map((article, i) => `[${i + 1}] ${article.title} (${article.slug}):\n${article.excerpt}`).join('\n\n');
+          contextualInfo += '\n\nINSTRUCCIONES: Responde la pregunta solo con estos fragmentos y menciona el artículo en el que te basas (por su título). Si no responden la pregunta, dilo y ofrece ayuda con otra cosa; no inventes políticas, plazos ni condiciones.';
+        } else {
+          contextualInfo = '\n\nINFORMACIÓN: La base de conocimiento de la tienda no tiene información sobre esa pregunta.';
+          contextualInfo += '\n\nINSTRUCCIONES: Dile al usuario que no tienes esa información y sugiérele contactar a la tienda (tool get_company_info). No inventes políticas, plazos ni condiciones.';
+        }
+        break;
+
       case 'product_price':
         if (toolResult.data) {
           contextualInfo = `\n\nINFORMACIÓN DEL PRODUCTO:\n`;
@@ -1246,8 +1489,15 @@ class ChatOrchestratorService {
           if (toolResult.data.price.sale !== toolResult.data.price.regular) {
             contextualInfo += `Precio de oferta: S/${toolResult.data.price.sale}\n`;
           }
+          if (toolResult.data.promotions?.length > 0) {
+            if (toolResult.data.effectivePrice < (toolResult.data.price.sale || toolResult.data.price.regular)) {
+              contextualInfo += `Precio final con promoción: S/${toolResult.data.effectivePrice}\n`;
+            }
+            contextualInfo += 'Promociones vigentes:\n';
+            contextualInfo += toolResult.data.promotions.map(promotion => this.formatPromotionLine(promotion)).join('\n') + '\n';
+          }
           contextualInfo += `ID: ${toolResult.data.productId}\n`;
-          contextualInfo += '\n\nINSTRUCCIONES: Informa el precio de forma clara y amable.';
+          contextualInfo += '\n\nINSTRUCCIONES: Informa el precio de forma clara y amable. Si hay promociones, menciona el precio final y sus condiciones; no inventes otras.';
         }
         break;
 
@@ -1259,9 +1509,18 @@ class ChatOrchestratorService {
           if (toolResult.data.price) {
             contextualInfo += `Precio: S/${toolResult.data.price.regular || toolResult.data.price}\n`;
           }
+          if (toolResult.data.variants?.length > 0) {
+            contextualInfo += 'Variantes:\n';
+            contextualInfo += toolResult.data.variants.map(variant =>
+              `- ${this.formatVariantAttributes(variant.attributes)} - S/${variant.price.sale || variant.price.regular} - SKU: ${variant.sku} - `
+              + (variant.inStock ? (variant.stock !== null ? `${variant.stock} en stock` : 'disponible') : 'agotado')
+            ).join('\n') + '\n';
+          } else if (toolResult.data.stock !== null && toolResult.data.stock !== undefined) {
+            contextualInfo += `Stock: ${toolResult.data.stock > 0 ? `${toolResult.data.stock} unidades` : 'agotado'}\n`;
+          }
           contextualInfo += `ID: ${toolResult.data.id}\n`;
           contextualInfo += `Slug: ${toolResult.data.slug}\n`;
-          contextualInfo += '\n\nINSTRUCCIONES: Presenta los detalles del producto de forma clara y atractiva.';
+          contextualInfo += '\n\nINSTRUCCIONES: Presenta los detalles del producto de forma clara y atractiva. Si tiene variantes, ofrece solo las disponibles; para agregar al carrito usa el SKU de la variante elegida.';
         }
         break;
 
@@ -1277,10 +1536,16 @@ class ChatOrchestratorService {
         break;
 
       case 'add_to_cart':
-        if (toolResult.data) {
-          contextualInfo = `\n\nPRODUCTO PARA AGREGAR AL CARRITO:\n`;
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDO AGREGAR AL CARRITO: ${toolResult.data.error}`;
+          contextualInfo += '\n\nINSTRUCCIONES: Explica al usuario por qué no se agregó (producto no encontrado, sin stock suficiente, falta elegir talla/color...) y ofrece una alternativa: si el error lista variantes disponibles, pregúntale cuál quiere; si el producto no está disponible, sugiere similares con recommend_products. NO uses la acción add_to_cart.';
+        } else if (toolResult.data) {
+          contextualInfo = `\n\nPRODUCTO AGREGADO AL CARRITO:\n`;
           contextualInfo += `ID: ${toolResult.data.productId}\n`;
           contextualInfo += `Nombre: ${toolResult.data.title}\n`;
+          if (toolResult.data.sku) {
+            contextualInfo += `Variante: ${this.formatVariantAttributes(toolResult.data.variant)} (SKU: ${toolResult.data.sku})\n`;
+          }
           contextualInfo += `Precio: S/${toolResult.data.price.regular || toolResult.data.price}\n`;
           if (toolResult.data.price.sale && toolResult.data.price.sale !== toolResult.data.price.regular) {
             contextualInfo += `Precio oferta: S/${toolResult.data.price.sale}\n`;
@@ -1290,7 +1555,109 @@ class ChatOrchestratorService {
           if (toolResult.data.image) {
             contextualInfo += `Imagen: ${toolResult.data.image}\n`;
           }
-          contextualInfo += '\n\nINSTRUCCIONES: Ejecuta la acción add_to_cart con estos datos. Responde confirmando que se agregó al carrito.';
+          if (toolResult.data.cart) {
+            contextualInfo += `Carrito: ${toolResult.data.cart.itemCount} unidades - Total: S/${toolResult.data.cart.total}\n`;
+          }
+          contextualInfo += '\n\nINSTRUCCIONES: El producto YA se agregó al carrito (no vuelvas a llamar add_to_cart). Responde confirmando que se agregó, con la acción add_to_cart y estos datos.';
+        }
+        break;
+
+      case 'view_cart':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDO OBTENER EL CARRITO: ${toolResult.data.error}`;
+        } else if (toolResult.data && toolResult.data.items.length > 0) {
+          contextualInfo = `\n\nCARRITO DEL USUARIO (${toolResult.data.itemCount} unidades):\n`;
+          contextualInfo += toolResult.data.items.map(item =>
+            `${item.position}. ${item.title}${item.variant ? ` (${this.formatVariantAttributes(item.variant)})` : ''} x${item.quantity} - S/${item.subtotal} - ID: ${item.productId}`
+          ).join('\n');
+          contextualInfo += `\nTotal: S/${toolResult.data.total}`;
+          contextualInfo += '\n\nINSTRUCCIONES: Presenta el contenido del carrito y el total de forma clara. Usa las posiciones si el usuario quiere cambiar o quitar algo.';
+        } else {
+          contextualInfo = '\n\nINFORMACIÓN: El carrito del usuario está vacío. Infórmalo amablemente y ofrece ayuda para buscar productos.';
+        }
+        break;
+
+      case 'remove_from_cart':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDO QUITAR DEL CARRITO: ${toolResult.data.error}`;
+          contextualInfo += '\n\nINSTRUCCIONES: Explica que no se encontró ese producto en el carrito y pregunta cuál quiere quitar (usa view_cart si necesitas ver el carrito).';
+        } else if (toolResult.data) {
+          contextualInfo = `\n\nPRODUCTO QUITADO DEL CARRITO: ${toolResult.data.removed.title}\n`;
+          contextualInfo += `Carrito: ${toolResult.data.cart.itemCount} unidades - Total: S/${toolResult.data.cart.total}\n`;
+          contextualInfo += '\n\nINSTRUCCIONES: El producto YA se quitó del carrito. Confírmalo al usuario con el nuevo total.';
+        }
+        break;
+
+      case 'checkout':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUEDE INICIAR EL CHECKOUT: ${toolResult.data.error}`;
+          contextualInfo += '\n\nINSTRUCCIONES: Explícalo al usuario (si el carrito está vacío, ofrece buscar productos).';
+        } else if (toolResult.data) {
+          const checkout = toolResult.data;
+          contextualInfo = `\n\nCHECKOUT ${checkout.resumed ? 'RETOMADO' : 'INICIADO'} - Paso actual: ${checkout.nextAction}\n`;
+          contextualInfo += checkout.cart.items.map(item => `- ${item.title} x${item.quantity} - S/${item.subtotal}`).join('\n');
+          contextualInfo += `\nSubtotal: S/${checkout.subtotal}\n`;
+          if (checkout.discount > 0) {
+            contextualInfo += `Descuentos: -S/${checkout.discount} (${checkout.promotions.map(promotion => promotion.name).join(', ')})\n`;
+          }
+          if (checkout.coupon && !checkout.coupon.applied) {
+            contextualInfo += `El cupón ${checkout.coupon.code} no aplica a este carrito.\n`;
+          }
+          if (checkout.unavailableItems) {
+            contextualInfo += `Ya no disponibles (quitarlos antes de confirmar): ${checkout.unavailableItems.join(', ')}\n`;
+          }
+          contextualInfo += `Total: S/${checkout.total}\n`;
+          if (checkout.step === 'shipping_zone') {
+            contextualInfo += `Zonas de envío: ${checkout.options.shippingZones.map(zone => zone.cost !== null ? `${zone.name} (S/${zone.cost})` : zone.name).join(', ')}\n`;
+          }
+          if (checkout.step === 'payment_method') {
+            contextualInfo += `Métodos de pago: ${checkout.options.paymentMethods.join(', ')}\n`;
+          }
+          contextualInfo += '\n\nINSTRUCCIONES: Guía al usuario en el paso actual y registra cada dato con el tool checkout. Confirma el pedido (action "confirm") solo cuando el usuario apruebe el resumen.';
+        }
+        break;
+
+      case 'order_status':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDO CONSULTAR EL PEDIDO: ${toolResult.data.error}`;
+          contextualInfo += '\n\nINSTRUCCIONES: Si falta el número de pedido o el email/teléfono de la compra, pídeselos al usuario. Si no coinciden, dile que no encontraste un pedido con esos datos y que los revise; no digas si el pedido existe ni des datos de otros pedidos.';
+        } else if (toolResult.data) {
+          const order = toolResult.data;
+          contextualInfo = `\n\nESTADO DEL PEDIDO ${order.orderNumber}: ${order.statusLabel}\n`;
+          if (order.items.length > 0) {
+            contextualInfo += order.items.map(item => `- ${item.title} x${item.quantity}`).join('\n') + '\n';
+          }
+          if (order.total !== null) contextualInfo += `Total: S/${order.total}\n`;
+          if (order.shipping.carrier) contextualInfo += `Transportista: ${order.shipping.carrier}\n`;
+          if (order.shipping.trackingNumber) contextualInfo += `Número de seguimiento: ${order.shipping.trackingNumber}\n`;
+          if (order.shipping.trackingUrl) contextualInfo += `Seguimiento: ${order.shipping.trackingUrl}\n`;
+          if (order.shipping.estimatedDelivery) {
+            contextualInfo += `Entrega estimada: ${new Date(order.shipping.estimatedDelivery).toISOString().slice(0, 10)}\n`;
+          }
+          if (order.lastUpdate?.note) contextualInfo += `Última novedad: ${order.lastUpdate.note}\n`;
+          contextualInfo += '\n\nINSTRUCCIONES: Explica el estado del pedido y cómo seguirlo de forma clara. Si hay enlace de seguimiento, usa la acción go_to_url con ese enlace.';
+        }
+        break;
+
+      case 'validate_coupon':
+        if (toolResult.data?.error) {
+          contextualInfo = `\n\nNO SE PUDO VALIDAR EL CUPÓN: ${toolResult.data.error}`;
+          contextualInfo += '\n\nINSTRUCCIONES: Pide al usuario el código del cupón.';
+        } else if (toolResult.data) {
+          const coupon = toolResult.data;
+          if (!coupon.valid) {
+            contextualInfo = `\n\nCUPÓN ${coupon.code} NO VÁLIDO (${COUPON_REASONS[coupon.reason] || coupon.reason})`;
+            contextualInfo += '\n\nINSTRUCCIONES: Explícale al usuario por qué el cupón no es válido, sin inventar otros códigos. Puedes ofrecer las promociones vigentes (tool get_promotions).';
+          } else {
+            contextualInfo = `\n\nCUPÓN ${coupon.code} VÁLIDO:\n${this.formatPromotionLine(coupon.promotion)}\n`;
+            if (coupon.cart) {
+              contextualInfo += `Carrito: subtotal S/${coupon.cart.subtotal} - descuento S/${coupon.cart.discount} - total S/${coupon.cart.total}\n`;
+              if (!coupon.cart.couponApplied) {
+                contextualInfo += `El cupón no aplica al carrito actual: ${COUPON_REASONS[coupon.reason] || coupon.reason}\n`;
+              }
+            }
+            contextualInfo += '\n\nINSTRUCCIONES: Confirma que el cupón es válido, qué descuento da y sus condiciones. Si hay carrito, indica el total con el descuento.';
+          }
         }
         break;
     }
@@ -1322,12 +1689,46 @@ class ChatOrchestratorService {
           totalCost: { $sum: '$cost.total' },
           count: { $sum: 1 },
           avgResponseTime: { $avg: '$metadata.responseTime' },
+          // Salidas del modelo que no cumplieron el contrato y respuestas que no se pudieron reparar
+          contractFailures: { $sum: { $ifNull: ['$metadata.contractFailures', 0] } },
+          contractUnrepaired: { $sum: { $cond: [{ $eq: ['$metadata.contractStatus', 'failed'] }, 1, 0] } },
         },
       },
     ]);
 
     return stats;
   }
+
+  /**
+   * Latencia de los tools ejecutados por los modelos (mayor tiempo total primero)
+   */
+  async getToolLatencyStats(domain, startDate, endDate) {
+    const TokenUsage = getTokenUsageModel();
+    return TokenUsage.aggregate([
+      {
+        $match: {
+          domain,
+          timestamp: {
+            $gte: startDate,
+            $lte: endDate,
+          },
+        },
+      },
+      { $unwind: '$metadata.toolTimings' },
+      {
+        $group: {
+          _id: '$metadata.toolTimings.tool',
+          calls: { $sum: { $cond: ['$metadata.toolTimings.repeated', 0, 1] } },
+          repeatedCalls: { $sum: { $cond: ['$metadata.toolTimings.repeated', 1, 0] } },
+          totalMs: { $sum: '$metadata.toolTimings.durationMs' },
+          // Las repetidas no ejecutan el tool: no cuentan para el promedio
+          avgMs: { $avg: { $cond: ['$metadata.toolTimings.repeated', null, '$metadata.toolTimings.durationMs'] } },
+          maxMs: { $max: '$metadata.toolTimings.durationMs' },
+        },
+      },
+      { $sort: { totalMs: -1 } },
+    ]);
+  }
 }
 
 module.exports = ChatOrchestratorService;
@@ -0,0 +1,113 @@
+/**
+ * ============================================
+ * CHAT SESSION SERVICE
+ * ============================================
+ * Registro de sesiones WebSocket activas por conversación
+ *
+ * Cada sesión está ligada a un par domain/userId (una conversación
+ * activa). Permite que otras partes del sistema envíen eventos
+ * iniciados por el servidor (ej: un agente humano devuelve la
+ * conversación o un producto vuelve a tener stock).
+ */
+
+const { WebSocket } = require('ws');
+const logger = require('../utils/logger');
+
+// Tipos de eventos que el servidor puede enviar por iniciativa propia
+const SERVER_PUSH_TYPES = ['handback', 'back_in_stock', 'notification'];
+
+class ChatSessionService {
+  constructor() {
+    // key: `${domain}:${userId}` → sesión { socket, userId, domain, connectedAt }
+    this.sessions = new Map();
+  }
+
+  getSessionKey(domain, userId) {
+    return `${domain}:${userId}`;
+  }
+
+  /**
+   * Registra una sesión. Si ya había un socket para la conversación,
+   * se cierra el anterior (un socket por conversación)
+   */
+  register(session) {
+    const key = this.getSessionKey(session.domain, session.userId);
+    const previous = this.sessions.get(key);
+
+    if (previous && previous.socket !== session.socket) {
+      logger.info(`[ChatSession] Replacing existing session for ${key}`);
+      previous.socket.close(4000, 'Session replaced by a new connection');
+    }
+
+    this.sessions.set(key, session);
+    logger.info(`[ChatSession] Session registered: ${key} (${this.sessions.size} active)`);
+  }
+
+  /**
+   * Elimina una sesión (solo si el socket sigue siendo el registrado)
+   */
+  unregister(session) {
+    const key = this.getSessionKey(session.domain, session.userId);
+    const current = this.sessions.get(key);
+
+    if (current && current.socket === session.socket) {
+      this.sessions.delete(key);
+      logger.info(`[ChatSession] Session closed: ${key} (${this.sessions.size} active)`);
+    }
+  }
+
+  /**
+   * Envía un evento a un socket
+   * @returns {boolean} - true si se envió
+   */
+  send(socket, type, data) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    socket.send(JSON.stringify({ type, data, timestamp: new Date().toISOString() }));
+    return true;
+  }
+
+  /**
+   * Envía un evento iniciado por el servidor a la conversación de un usuario
+   * @returns {number} - Cantidad de sesiones que recibieron el evento
+   */
+  pushToUser(domain, userId, type, data) {
+    const session = this.sessions.get(this.getSessionKey(domain, userId));
+    if (!session) {
+      logger.info(`[ChatSession] No active session for ${domain}:${userId}, push "${type}" skipped`);
+      return 0;
+    }
+
+    return this.send(session.socket, type, data) ? 1 : 0;
+  }
+
+  /**
+   * Envía un evento iniciado por el servidor a todas las sesiones de un dominio
+   * @returns {number} - Cantidad de sesiones que recibieron el evento
+   */
+  pushToDomain(domain, type, data) {
+    let delivered = 0;
+
+    for (const session of this.sessions.values()) {
+      if (session.domain === domain && this.send(session.socket, type, data)) {
+        delivered += 1;
+      }
+    }
+
+    logger.info(`[ChatSession] Push "${type}" delivered to ${delivered} sessions on ${domain}`);
+    return delivered;
+  }
+
+  /**
+   * Cantidad de sesiones activas (opcionalmente por dominio)
+   */
+  countSessions(domain = null) {
+    if (!domain) return this.sessions.size;
+    return [...this.sessions.values()].filter(session => session.domain === domain).length;
+  }
+}
+
+module.exports = new ChatSessionService();
+module.exports.SERVER_PUSH_TYPES = SERVER_PUSH_TYPES;
@@ -0,0 +1,495 @@
+/**
+ * ============================================
+ * CHECKOUT SERVICE
+ * ============================================
+ * Checkout conversacional: máquina de estados guardada en la
+ * conversación activa (metadata.checkout)
+ *
+ * PASOS:
+ * shipping_address → shipping_zone → payment_method → confirm → completed
+ *
+ * - Cualquier dato se puede cambiar mientras el checkout está activo;
+ *   el paso actual siempre es el primer dato que falta
+ * - shipping_zone se omite si el negocio no define shipping_zones
+ * - confirm envía el borrador del pedido a ORDER_WEBHOOK_URL
+ *   (firmado con ORDER_WEBHOOK_SECRET) y vacía el carrito
+ * - Los totales usan los precios actuales del catálogo y las promociones
+ *   vigentes (PromotionService), más el cupón guardado con set_coupon
+ *
+ * Si el usuario cambia de tema, el checkout sigue activo y el
+ * orquestador agrega su estado al prompt para retomarlo.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const getConversationModel = require('../models/Conversation');
+const BusinessConfigService = require('./business-config.service');
+const CartService = require('./cart.service');
+const PromotionService = require('./promotion.service');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { withRetry, NO_DEADLINE } = require('../utils/resilience');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Descripción de cada paso para el prompt (orden de la máquina de estados)
+const STEP_LABELS = {
+  shipping_address: 'pedir la dirección de envío (calle y ciudad como mínimo)',
+  shipping_zone: 'elegir la zona de envío',
+  payment_method: 'elegir el método de pago',
+  confirm: 'confirmar el pedido con el resumen y el total',
+  completed: 'pedido enviado',
+};
+
+const ADDRESS_FIELDS = ['recipient', 'street', 'city', 'reference', 'phone'];
+const REQUIRED_ADDRESS_FIELDS = ['street', 'city'];
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Texto comparable (sin mayúsculas ni tildes)
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Opción cuyo nombre coincide (exacto, o contenido en el texto del usuario y viceversa)
+ */
+function matchOption(options, value) {
+  const wanted = normalizeText(value);
+  if (!wanted) return null;
+
+  return options.find(option => normalizeText(option.name) === wanted) ||
+    options.find(option => normalizeText(option.name).includes(wanted) || wanted.includes(normalizeText(option.name))) ||
+    null;
+}
+
+class CheckoutService {
+  isEnabled() {
+    return Boolean(config.checkout.orderWebhookUrl);
+  }
+
+  /**
+   * Conversación activa del usuario (la misma que usa el orquestador)
+   * @throws {NotFoundError}
+   */
+  async findConversation(domain, userId) {
+    const Conversation = getConversationModel();
+    const conversation = await Conversation.findOne({ userId, domain, status: 'active' })
+      .sort({ updatedAt: -1 })
+      .select('metadata.checkout');
+
+    if (!conversation) {
+      throw new NotFoundError('No active conversation for checkout');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Guarda solo metadata.checkout (el orquestador guarda el resto de la conversación)
+   */
+  async saveCheckout(conversation, checkout) {
+    const Conversation = getConversationModel();
+    checkout.updatedAt = new Date();
+    await Conversation.updateOne({ _id: conversation._id }, { $set: { 'metadata.checkout': checkout } });
+    return checkout;
+  }
+
+  getStoredCheckout(conversation) {
+    const checkout = conversation.metadata?.checkout;
+    return checkout?.status ? (checkout.toObject ? checkout.toObject() : checkout) : null;
+  }
+
+  /**
+   * @throws {ValidationError} - Si no hay un checkout activo
+   */
+  getActiveCheckout(conversation) {
+    const checkout = this.getStoredCheckout(conversation);
+    if (!checkout || checkout.status !== 'active') {
+      throw new ValidationError('There is no checkout in progress, start it first');
+    }
+    return checkout;
+  }
+
+  /**
+   * Zonas de envío, métodos de pago y umbral de envío gratis del negocio
+   * @returns {Promise<Object>} - { shippingZones: [{ name, cost }], paymentMethods: [{ name }], freeShippingThreshold }
+   */
+  async getOptions(domain, { deadline = NO_DEADLINE } = {}) {
+    let businessConfig = {};
+    if (BusinessConfigService.isEnabled()) {
+      try {
+        businessConfig = await BusinessConfigService.getConfiguration(domain, { deadline }) || {};
+      } catch (error) {
+        logger.warn(`[Checkout] Could not load business configuration for ${domain}: ${error.message}`);
+      }
+    }
+
+    const shippingZones = (Array.isArray(businessConfig.shipping_zones) ? businessConfig.shipping_zones : [])
+      .map(zone => (typeof zone === 'string'
+        ? { name: zone, cost: null }
+        : { name: zone.name || zone.zone, cost: Number(zone.cost ?? zone.price ?? 0) }))
+      .filter(zone => zone.name);
+
+    const configuredMethods = Array.isArray(businessConfig.payment_methods) && businessConfig.payment_methods.length > 0
+      ? businessConfig.payment_methods
+      : config.checkout.paymentMethods;
+    const paymentMethods = configuredMethods
+      .map(method => ({ name: typeof method === 'string' ? method : method.name }))
+      .filter(method => method.name);
+
+    return {
+      shippingZones,
+      paymentMethods,
+      freeShippingThreshold: Number(businessConfig.free_shipping_threshold) || null,
+    };
+  }
+
+  /**
+   * Primer dato que falta (el paso actual)
+   */
+  getNextStep(checkout, options) {
+    const address = checkout.shippingAddress || {};
+    if (REQUIRED_ADDRESS_FIELDS.some(field => !address[field])) return 'shipping_address';
+    if (!checkout.shippingZone?.name && options.shippingZones.length > 0) return 'shipping_zone';
+    if (!checkout.paymentMethod) return 'payment_method';
+    return 'confirm';
+  }
+
+  /**
+   * Carrito con precios actuales del catálogo y sus descuentos
+   * (promociones automáticas y el cupón del checkout)
+   * @returns {Promise<Object>} - Carrito público más { unavailable, pricing }
+   */
+  async getPricedCart(domain, userId, checkout = null) {
+    const cart = await CartService.getRepricedCart(domain, userId);
+    const pricing = await PromotionService.applyToCart(domain, cart, { code: checkout?.couponCode });
+    return { ...cart, pricing };
+  }
+
+  /**
+   * Subtotal, descuentos, costo de envío (0 sobre el umbral de envío gratis) y total
+   */
+  calculateTotals(checkout, cart, options) {
+    const subtotal = cart.total;
+    const discount = cart.pricing?.discount || 0;
+    let shippingCost = checkout.shippingZone?.cost || 0;
+    if (options.freeShippingThreshold && subtotal >= options.freeShippingThreshold) {
+      shippingCost = 0;
+    }
+
+    return {
+      subtotal,
+      discount,
+      promotions: cart.pricing?.promotions || [],
+      coupon: cart.pricing?.coupon || null,
+      shippingCost,
+      total: roundAmount(subtotal - discount + shippingCost),
+    };
+  }
+
+  /**
+   * Estado para los tools y el prompt
+   */
+  toPublic(checkout, cart, options) {
+    if (!checkout) {
+      return { status: 'none', step: null };
+    }
+
+    return {
+      status: checkout.status,
+      step: checkout.step,
+      nextAction: STEP_LABELS[checkout.step],
+      shippingAddress: checkout.shippingAddress || null,
+      shippingZone: checkout.shippingZone?.name ? checkout.shippingZone : null,
+      paymentMethod: checkout.paymentMethod || null,
+      cart: cart ? { items: cart.items, itemCount: cart.itemCount } : null,
+      unavailableItems: cart?.unavailable?.length > 0 ? cart.unavailable : undefined,
+      ...(cart && options ? this.calculateTotals(checkout, cart, options) : {}),
+      options: options && checkout.status === 'active'
+        ? { shippingZones: options.shippingZones, paymentMethods: options.paymentMethods.map(method => method.name) }
+        : undefined,
+      order: checkout.order?.orderId ? checkout.order : null,
+    };
+  }
+
+  /**
+   * Recalcula el paso actual, guarda y devuelve el estado público
+   */
+  async advance(conversation, checkout, domain, userId, options) {
+    const cart = await this.getPricedCart(domain, userId, checkout);
+    checkout.step = this.getNextStep(checkout, options);
+    await this.saveCheckout(conversation, checkout);
+    return this.toPublic(checkout, cart, options);
+  }
+
+  /**
+   * Estado del checkout de la conversación activa
+   */
+  async getState(domain, userId, { deadline } = {}) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getStoredCheckout(conversation);
+    if (!checkout || checkout.status !== 'active') {
+      return this.toPublic(checkout, null, null);
+    }
+
+    const [cart, options] = await Promise.all([
+      this.getPricedCart(domain, userId, checkout),
+      this.getOptions(domain, { deadline }),
+    ]);
+    return this.toPublic(checkout, cart, options);
+  }
+
+  /**
+   * Inicia el checkout (o lo retoma si ya hay uno activo)
+   * @throws {ValidationError} - Checkout deshabilitado o carrito vacío
+   */
+  async start(domain, userId, { deadline } = {}) {
+    if (!this.isEnabled()) {
+      throw new ValidationError('Checkout is not available for this store');
+    }
+
+    const conversation = await this.findConversation(domain, userId);
+    const existing = this.getStoredCheckout(conversation);
+    const [cart, options] = await Promise.all([
+      this.getPricedCart(domain, userId, existing?.status === 'active' ? existing : null),
+      this.getOptions(domain, { deadline }),
+    ]);
+    if (cart.items.length === 0) {
+      throw new ValidationError('The cart is empty');
+    }
+
+    if (existing?.status === 'active') {
+      logger.info(`[Checkout] ${domain}/${userId}: resuming at ${existing.step}`);
+      return { ...this.toPublic(existing, cart, options), resumed: true };
+    }
+
+    const checkout = { status: 'active', startedAt: new Date() };
+    checkout.step = this.getNextStep(checkout, options);
+    await this.saveCheckout(conversation, checkout);
+    logger.info(`[Checkout] ${domain}/${userId}: started`);
+
+    return { ...this.toPublic(checkout, cart, options), resumed: false };
+  }
+
+  /**
+   * Guarda la dirección (se combina con la anterior: se puede completar por partes)
+   * @param {Object} address - { recipient?, street?, city?, reference?, phone? }
+   */
+  async setShippingAddress(domain, userId, address = {}, { deadline } = {}) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getActiveCheckout(conversation);
+
+    const shippingAddress = { ...(checkout.shippingAddress || {}) };
+    for (const field of ADDRESS_FIELDS) {
+      if (typeof address[field] === 'string' && address[field].trim()) {
+        shippingAddress[field] = address[field].trim();
+      }
+    }
+    checkout.shippingAddress = shippingAddress;
+
+    const options = await this.getOptions(domain, { deadline });
+    const state = await this.advance(conversation, checkout, domain, userId, options);
+
+    const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !shippingAddress[field]);
+    return missing.length > 0 ? { ...state, missingAddressFields: missing } : state;
+  }
+
+  /**
+   * @throws {ValidationError} - Zona desconocida (el error lista las disponibles)
+   */
+  async setShippingZone(domain, userId, zoneName, { deadline } = {}) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getActiveCheckout(conversation);
+    const options = await this.getOptions(domain, { deadline });
+
+    const zone = matchOption(options.shippingZones, zoneName);
+    if (!zone) {
+      const available = options.shippingZones.map(option => option.name).join(', ') || 'ninguna';
+      throw new ValidationError(`Unknown shipping zone "${zoneName}". Available: ${available}`);
+    }
+
+    checkout.shippingZone = { name: zone.name, cost: zone.cost };
+    return this.advance(conversation, checkout, domain, userId, options);
+  }
+
+  /**
+   * @throws {ValidationError} - Método desconocido (el error lista los disponibles)
+   */
+  async setPaymentMethod(domain, userId, methodName, { deadline } = {}) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getActiveCheckout(conversation);
+    const options = await this.getOptions(domain, { deadline });
+
+    const method = matchOption(options.paymentMethods, methodName);
+    if (!method) {
+      const available = options.paymentMethods.map(option => option.name).join(', ');
+      throw new ValidationError(`Unknown payment method "${methodName}". Available: ${available}`);
+    }
+
+    checkout.paymentMethod = method.name;
+    return this.advance(conversation, checkout, domain, userId, options);
+  }
+
+  /**
+   * Guarda el cupón del pedido (sin código, lo quita); si no aplica al
+   * carrito el estado lo indica en coupon.applied
+   * @throws {ValidationError} - Cupón inexistente o vencido
+   */
+  async setCoupon(domain, userId, code, { deadline } = {}) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getActiveCheckout(conversation);
+
+    if (code) {
+      const result = await PromotionService.validateCoupon(domain, code);
+      if (!result.valid) {
+        throw new ValidationError(`Coupon ${result.code} is not valid (${result.reason})`);
+      }
+      checkout.couponCode = result.code;
+    } else {
+      delete checkout.couponCode;
+    }
+
+    const options = await this.getOptions(domain, { deadline });
+    return this.advance(conversation, checkout, domain, userId, options);
+  }
+
+  /**
+   * Confirma: envía el borrador del pedido al webhook, vacía el carrito
+   * y cierra el checkout. Si el webhook falla, el checkout sigue en confirm.
+   * @throws {ValidationError} - Faltan datos o el carrito está vacío
+   */
+  async confirm(domain, userId, { deadline = NO_DEADLINE } = {}) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getActiveCheckout(conversation);
+    const [cart, options] = await Promise.all([
+      this.getPricedCart(domain, userId, checkout),
+      this.getOptions(domain, { deadline }),
+    ]);
+
+    const step = this.getNextStep(checkout, options);
+    if (step !== 'confirm') {
+      throw new ValidationError(`Checkout is not ready to confirm, next step: ${step}`);
+    }
+    if (cart.unavailable.length > 0) {
+      throw new ValidationError(`Some products are no longer available, remove them first: ${cart.unavailable.join(', ')}`);
+    }
+    if (cart.items.length === 0) {
+      throw new ValidationError('The cart is empty');
+    }
+
+    const order = this.buildOrderDraft(conversation, checkout, cart, options, { domain, userId });
+    await this.submitOrder(order, { deadline });
+
+    checkout.step = 'completed';
+    checkout.status = 'completed';
+    checkout.order = { orderId: order.orderId, total: order.total, submittedAt: new Date() };
+    await this.saveCheckout(conversation, checkout);
+    await CartService.clear(domain, userId);
+    logger.info(`[Checkout] ${domain}/${userId}: order ${order.orderId} submitted (S/${order.total})`);
+
+    return this.toPublic(checkout, cart, options);
+  }
+
+  /**
+   * Cancela el checkout activo (el carrito se conserva)
+   */
+  async cancel(domain, userId) {
+    const conversation = await this.findConversation(domain, userId);
+    const checkout = this.getActiveCheckout(conversation);
+
+    checkout.status = 'cancelled';
+    await this.saveCheckout(conversation, checkout);
+    logger.info(`[Checkout] ${domain}/${userId}: cancelled at ${checkout.step}`);
+
+    return this.toPublic(checkout, null, null);
+  }
+
+  /**
+   * Borrador del pedido que recibe el webhook (los mismos precios y
+   * descuentos que el resumen mostrado al usuario)
+   */
+  buildOrderDraft(conversation, checkout, cart, options, { domain, userId }) {
+    const totals = this.calculateTotals(checkout, cart, options);
+    const lineDiscounts = new Map((cart.pricing?.items || []).map(line => [line.position, line.discount]));
+
+    return {
+      orderId: `draft_${crypto.randomUUID()}`,
+      domain,
+      userId,
+      conversationId: conversation._id.toString(),
+      items: cart.items.map(item => ({
+        productId: item.productId,
+        title: item.title,
+        slug: item.slug,
+        sku: item.sku,
+        variant: item.variant,
+        quantity: item.quantity,
+        unitPrice: item.price.sale || item.price.regular,
+        subtotal: item.subtotal,
+        discount: lineDiscounts.get(item.position) || 0,
+        total: roundAmount(item.subtotal - (lineDiscounts.get(item.position) || 0)),
+      })),
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      promotions: totals.promotions.map(({ name, code, discount }) => ({ name, code: code || null, discount })),
+      couponCode: totals.coupon?.applied ? totals.coupon.code : null,
+      shipping: {
+        zone: checkout.shippingZone?.name || null,
+        cost: totals.shippingCost,
+        address: checkout.shippingAddress,
+      },
+      paymentMethod: checkout.paymentMethod,
+      total: totals.total,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * POST del borrador a ORDER_WEBHOOK_URL
+   * Los reintentos llevan el mismo Idempotency-Key (orderId)
+   */
+  async submitOrder(order, { deadline = NO_DEADLINE } = {}) {
+    const body = JSON.stringify({ event: 'order.draft_created', order });
+    const headers = {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': order.orderId,
+    };
+
+    if (config.checkout.orderWebhookSecret) {
+      const signature = crypto.createHmac('sha256', config.checkout.orderWebhookSecret).update(body).digest('hex');
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+
+    await withRetry(signal => axios.post(config.checkout.orderWebhookUrl, body, { headers, signal }), {
+      ...config.resilience.orderWebhook,
+      deadline,
+      label: 'order webhook',
+    });
+  }
+
+  /**
+   * Contexto del checkout activo para el prompt (retomar tras un cambio de tema)
+   * @returns {string} - '' si no hay checkout activo
+   */
+  buildPromptContext(checkout) {
+    if (!checkout || checkout.status !== 'active') return '';
+
+    const address = checkout.shippingAddress || {};
+    const lines = [
+      `\n\nCHECKOUT EN CURSO (paso actual: ${STEP_LABELS[checkout.step]}):`,
+      `- Dirección: ${address.street ? [address.street, address.city, address.reference].filter(Boolean).join(', ') : 'pendiente'}`,
+      `- Zona de envío: ${checkout.shippingZone?.name || 'pendiente'}`,
+      `- Método de pago: ${checkout.paymentMethod || 'pendiente'}`,
+      ...(checkout.couponCode ? [`- Cupón: ${checkout.couponCode}`] : []),
+      'INSTRUCCIONES: Si el usuario da datos del pedido o quiere continuar, usa el tool checkout. Si pregunta otra cosa, respóndele y luego ofrece retomar el pedido en el paso actual. Solo confirma el pedido (action "confirm") cuando el usuario lo apruebe explícitamente.',
+    ];
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new CheckoutService();
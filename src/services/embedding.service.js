@@ -0,0 +1,135 @@
+/**
+ * ============================================
+ * EMBEDDING SERVICE
+ * ============================================
+ * Embeddings de texto desde un proveedor intercambiable (EMBEDDING_PROVIDER):
+ * - local: servidor con API compatible con OpenAI que corre en CPU
+ *   (Ollama con nomic-embed-text, llama.cpp server con --embedding);
+ *   usa EMBEDDING_BASE_URL o, si no hay, LOCAL_LLM_BASE_URL
+ * - openai: API de OpenAI (text-embedding-3-small)
+ * - cualquier otro registrado con registerProvider()
+ *
+ * Sin EMBEDDING_PROVIDER la búsqueda de productos es solo léxica.
+ */
+
+const OpenAI = require('openai');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { withRetry, NO_DEADLINE } = require('../utils/resilience');
+
+/**
+ * Proveedor con la API de embeddings de OpenAI (el cliente se crea al primer uso)
+ */
+function openAICompatibleProvider({ defaultModel, getClientOptions }) {
+  let client = null;
+
+  return {
+    defaultModel,
+
+    isConfigured() {
+      return Boolean(getClientOptions());
+    },
+
+    async embed(texts, { model, signal }) {
+      if (!client) {
+        client = new OpenAI({ ...getClientOptions(), maxRetries: 0 }); // Reintentos con withRetry (RESILIENCE)
+      }
+      const response = await client.embeddings.create({ model, input: texts }, { signal });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+  };
+}
+
+const localProvider = openAICompatibleProvider({
+  defaultModel: 'nomic-embed-text',
+  getClientOptions: () => (config.embeddings.baseUrl
+    ? { apiKey: config.local.apiKey, baseURL: config.embeddings.baseUrl }
+    : null),
+});
+
+const openaiProvider = openAICompatibleProvider({
+  defaultModel: 'text-embedding-3-small',
+  getClientOptions: () => (config.openai.apiKey ? { apiKey: config.openai.apiKey } : null),
+});
+
+class EmbeddingService {
+  constructor() {
+    this.providers = new Map();
+
+    this.registerProvider('local', localProvider);
+    this.registerProvider('openai', openaiProvider);
+  }
+
+  /**
+   * Registra un proveedor de embeddings
+   * @param {string} name - Nombre (el valor de EMBEDDING_PROVIDER)
+   * @param {Object} provider - { defaultModel, isConfigured(), embed(texts, { model, signal }) → vectores en el mismo orden }
+   */
+  registerProvider(name, provider) {
+    if (this.providers.has(name)) {
+      throw new Error(`Embedding provider already registered: ${name}`);
+    }
+    this.providers.set(name, provider);
+  }
+
+  isEnabled() {
+    const provider = this.providers.get(config.embeddings.provider);
+    return Boolean(provider && provider.isConfigured());
+  }
+
+  /**
+   * Proveedor configurado en EMBEDDING_PROVIDER
+   */
+  getProvider() {
+    const provider = this.providers.get(config.embeddings.provider);
+    if (!provider) {
+      throw new Error(`Unknown embedding provider: ${config.embeddings.provider || '(none)'}`);
+    }
+    return provider;
+  }
+
+  getModel() {
+    return config.embeddings.model || this.getProvider().defaultModel;
+  }
+
+  /**
+   * Proveedor y modelo ("local:nomic-embed-text"): los vectores de
+   * modelos distintos no se pueden comparar
+   */
+  getModelKey() {
+    return `${config.embeddings.provider}:${this.getModel()}`;
+  }
+
+  /**
+   * Embeddings de varios textos (en lotes de EMBEDDING_BATCH_SIZE)
+   * @param {Array<string>} texts
+   * @param {Object} options - { deadline } de la petición en curso
+   * @returns {Promise<Array<Array<number>>>} - Un vector por texto, en el mismo orden
+   */
+  async embed(texts, { deadline = NO_DEADLINE } = {}) {
+    const provider = this.getProvider();
+    const model = this.getModel();
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += config.embeddings.batchSize) {
+      const batch = texts.slice(start, start + config.embeddings.batchSize);
+      const embedded = await withRetry(signal => provider.embed(batch, { model, signal }), {
+        ...config.resilience.embeddings,
+        deadline,
+        label: 'embeddings',
+      });
+
+      if (!Array.isArray(embedded) || embedded.length !== batch.length) {
+        throw new Error(`Embedding provider returned ${embedded?.length ?? 0} vectors for ${batch.length} texts`);
+      }
+      vectors.push(...embedded);
+    }
+
+    logger.info(`[Embedding] ${texts.length} texts embedded with ${config.embeddings.provider}:${model}`);
+    return vectors;
+  }
+}
+
+module.exports = new EmbeddingService();
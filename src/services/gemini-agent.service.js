@@ -11,259 +11,98 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config/env.config');
 const logger = require('../utils/logger');
-const getProductModel = require('../models/Product');
-
-class GeminiAgentService {
+const ToolRegistryService = require('./tool-registry.service');
+const { MessageDeltaStreamer } = require('../utils/message-stream');
+const { withRetry, isRetryableError, NO_DEADLINE } = require('../utils/resilience');
+const { ToolLoopGuard, TOOL_LIMIT_INSTRUCTION } = require('../utils/tool-loop-guard');
+const LLMProvider = require('../providers/llm-provider');
+const ResponseContract = require('../providers/response-contract');
+
+class GeminiAgentService extends LLMProvider {
   constructor() {
-    if (!config.gemini.apiKey) {
-      throw new Error('GEMINI_API_KEY not found in environment');
-    }
-
-    this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-    this.tools = this.defineTools();
+    super('gemini', { thinking: true });
+    // El cliente se crea al primer uso: el servidor arranca sin GEMINI_API_KEY
+    this.genAI = null;
+    this.tools = ToolRegistryService.toGeminiDeclarations();
   }
 
-  /**
-   * Define las herramientas (functions) disponibles para Gemini
-   */
-  defineTools() {
-    return [
-      {
-        name: 'search_products',
-        description: 'Busca productos en el catálogo usando búsqueda inteligente y flexible. Entiende conceptos relacionados y sinónimos. Ejemplo: si el usuario busca "cargadores portátiles", también busca productos relacionados como "batería portátil" o "power bank".',
-        parameters: {
-          type: 'object',
-          properties: {
-            query: {
-              type: 'string',
-              description: 'Texto de búsqueda flexible. Usa palabras clave principales que describan el concepto que el usuario busca. La búsqueda encuentra productos relacionados incluso si no coinciden exactamente. Ejemplos: "cargadores portátiles" encontrará "batería portátil", "batidora" encontrará "batidor", etc.',
-            },
-            category: {
-              type: 'string',
-              description: 'Categoría del producto',
-            },
-            minPrice: {
-              type: 'number',
-              description: 'Precio mínimo',
-            },
-            maxPrice: {
-              type: 'number',
-              description: 'Precio máximo',
-            },
-            limit: {
-              type: 'number',
-              description: 'Número máximo de resultados (default: 5)',
-            },
-          },
-          required: ['query'],
-        },
-      },
-      {
-        name: 'get_product_details',
-        description: 'Obtiene detalles completos de un producto específico por su ID o slug',
-        parameters: {
-          type: 'object',
-          properties: {
-            productId: {
-              type: 'string',
-              description: 'ID o slug del producto',
-            },
-          },
-          required: ['productId'],
-        },
-      },
-      {
-        name: 'compare_products',
-        description: 'Compara múltiples productos entre sí',
-        parameters: {
-          type: 'object',
-          properties: {
-            productIds: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Array de IDs de productos a comparar',
-            },
-          },
-          required: ['productIds'],
-        },
-      },
-    ];
+  isConfigured() {
+    return Boolean(config.gemini.apiKey);
   }
 
-  /**
-   * Ejecuta una función llamada por Gemini
-   */
-  async executeFunction(functionName, args, domain) {
-    logger.info(`[Gemini] Executing function: ${functionName}`);
+  getModel() {
+    return config.gemini.model;
+  }
 
-    switch (functionName) {
-      case 'search_products':
-        return await this.searchProducts(args, domain);
-      
-      case 'get_product_details':
-        return await this.getProductDetails(args.productId, domain);
-      
-      case 'compare_products':
-        return await this.compareProducts(args.productIds, domain);
-      
-      default:
-        throw new Error(`Unknown function: ${functionName}`);
+  getClient() {
+    if (!this.genAI) {
+      if (!this.isConfigured()) {
+        throw new Error('GEMINI_API_KEY not found in environment');
+      }
+      this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
     }
+    return this.genAI;
   }
 
   /**
-   * Busca productos
+   * Genera un turno del modelo con timeout y reintentos (RESILIENCE)
+   * El historial se envía completo en cada llamada (sin ChatSession) para
+   * que un intento fallido no deje la sesión inutilizable
+   * @param {Object} request - { contents, toolConfig? }
+   * @returns {Promise<Object>} - Respuesta agregada de Gemini
    */
-  async searchProducts(params, domain) {
-    const { query, category, minPrice, maxPrice, limit = 5 } = params;
-
-    const filter = {
-      domain,
-      is_available: true,
-    };
-
-    if (query) {
-      const keywords = query.split(' ').filter(w => w.length > 2);
-      
-      if (keywords.length >= 3) {
-        filter.$and = keywords.map(keyword => ({
-          title: new RegExp(keyword, 'i')
-        }));
-      } else {
-        const searchRegex = new RegExp(keywords.join('|'), 'i');
-        filter.$or = [
-          { title: searchRegex },
-          { description_short: searchRegex },
-          { 'category.slug': searchRegex },
-          { tags: searchRegex },
-        ];
-      }
-    }
-
-    if (category) {
-      filter['category.slug'] = new RegExp(category, 'i');
-    }
-
-    if (minPrice || maxPrice) {
-      filter['price.regular'] = {};
-      if (minPrice) filter['price.regular'].$gte = minPrice;
-      if (maxPrice) filter['price.regular'].$lte = maxPrice;
-    }
-
-    const Product = getProductModel();
-    let products = await Product
-      .find(filter)
-      .limit(Math.min(limit * 2, 20))
-      .select('title description_short price slug category image_default is_available tags')
-      .lean();
-
-    // Ordenar por relevancia
-    if (query && products.length > 1) {
-      const keywords = query.toLowerCase().split(' ').filter(w => w.length > 2);
-      products = products
-        .map(p => {
-          const titleLower = (p.title || '').toLowerCase();
-          const matchCount = keywords.filter(kw => titleLower.includes(kw)).length;
-          return { ...p, _relevanceScore: matchCount };
-        })
-        .sort((a, b) => b._relevanceScore - a._relevanceScore)
-        .slice(0, Math.min(limit, 10));
-    } else {
-      products = products.slice(0, Math.min(limit, 10));
-    }
-
-    logger.info(`[Gemini] ✅ Found ${products.length} products for query: "${query}"`);
-
-    return {
-      count: products.length,
-      products: products.map(p => {
-        let imageUrl = 'https://via.placeholder.com/300x300?text=Sin+Imagen';
-        if (Array.isArray(p.image_default) && p.image_default.length > 0) {
-          const img = p.image_default[0];
-          imageUrl = img.startsWith('http') ? img : `https://example.com${img}`;
-        }
-        
-        const priceObj = typeof p.price === 'object' && p.price !== null
-          ? {
-              regular: p.price.regular || 0,
-              sale: p.price.sale || p.price.regular || 0
-            }
-          : {
-              regular: 0,
-              sale: 0
-            };
-        
-        return {
-          id: p._id.toString(),
-          title: p.title || 'Sin título',
-          description: p.description_short || '',
-          price: priceObj,
-          image: imageUrl,
-          slug: p.slug || p._id.toString(),
-          category: Array.isArray(p.category) ? p.category[0]?.slug : p.category,
-        };
-      }),
-    };
+  async generateTurn(model, request, streamer, deadline = NO_DEADLINE) {
+    return withRetry(async (signal, attempt) => {
+      if (attempt > 0 && streamer) streamer.reset();
+      return this.requestTurn(model, request, streamer, signal);
+    }, {
+      ...config.resilience.llm,
+      deadline,
+      // Con texto ya emitido al cliente no se reintenta (se duplicaría)
+      isRetryable: error => isRetryableError(error) && !(streamer && streamer.hasEmitted()),
+      label: 'gemini generateContent',
+    });
   }
 
   /**
-   * Obtiene detalles de un producto
+   * Llama a la API, en streaming si hay un streamer activo
    */
-  async getProductDetails(productId, domain) {
-    const Product = getProductModel();
-    const product = await Product
-      .findOne({
-        $or: [
-          { _id: productId },
-          { slug: productId },
-        ],
-        domain,
-        is_available: true,
-      })
-      .lean();
-
-    if (!product) {
-      return { error: 'Product not found' };
+  async requestTurn(model, request, streamer, signal) {
+    if (!streamer) {
+      const result = await model.generateContent(request, { signal });
+      return result.response;
     }
 
-    return {
-      id: product._id.toString(),
-      title: product.title,
-      description: product.description_short || product.description_long,
-      price: product.price,
-      slug: product.slug,
-      category: product.category,
-    };
-  }
+    const result = await model.generateContentStream(request, { signal });
+    for await (const chunk of result.stream) {
+      let text = '';
+      try {
+        text = chunk.text();
+      } catch (error) {
+        // Fragmentos con solo function calls no tienen texto
+        text = '';
+      }
+      streamer.push(text);
+    }
 
-  /**
-   * Compara productos
-   */
-  async compareProducts(productIds, domain) {
-    const Product = getProductModel();
-    const products = await Product
-      .find({
-        _id: { $in: productIds },
-        domain,
-        is_available: true,
-      })
-      .lean();
-
-    return {
-      products: products.map(p => ({
-        id: p._id.toString(),
-        title: p.title,
-        price: p.price,
-      })),
-    };
+    return await result.response;
   }
 
   /**
    * Genera respuesta con Function Calling automático
    * 
    * MEJORA: Mantiene el system prompt en el historial (memorizado)
+   * STREAMING: Si options.onEvent está presente, emite eventos
+   * tool_call_start/tool_call_end y el texto de "message" incremental
+   * THINKING: options.useThinking activa thinking mode si el modelo lo soporta
    */
-  async generateResponse(userMessage, conversationHistory, domain, systemPrompt, useThinking = false) {
+  async generateResponse(userMessage, conversationHistory, domain, systemPrompt, options = {}) {
+    const { useThinking = false, onEvent = null, deadline = NO_DEADLINE, userId = null, addedToCart = null } = options;
+    // Un streamer por turno del modelo (el texto previo a un function call no se mezcla)
+    const createStreamer = () => (onEvent
+      ? new MessageDeltaStreamer(delta => onEvent('message', { delta }))
+      : null);
+
     try {
       // OPTIMIZACIÓN: Usar prompt corto después del primer mensaje para reducir tokens
       const PromptMemoryService = require('./prompt-memory.service');
@@ -331,45 +170,79 @@ class GeminiAgentService {
       }
 
       // Crear modelo con tools
-      const model = this.genAI.getGenerativeModel({
+      const model = this.getClient().getGenerativeModel({
         model: config.gemini.model,
         generationConfig,
+        tools: [{ functionDeclarations: this.tools }],
       });
 
+      // Límites del loop: rondas, tokens del turno y llamadas repetidas
+      const guard = new ToolLoopGuard(this.name);
+      // Sin tools: el modelo debe responder con lo que ya tiene
+      const withoutTools = contents => ({ contents, toolConfig: { functionCallingConfig: { mode: 'NONE' } } });
+
       // Generar respuesta con tools
-      const chat = model.startChat({
-        history: messages.slice(0, -1),
-        tools: [{ functionDeclarations: this.tools }],
-      });
+      let responseData = await this.generateTurn(model, { contents: messages }, createStreamer(), deadline);
+      guard.addUsage(this.extractUsage(responseData));
+      let functionCalls = responseData.functionCalls() || [];
+      const functionResults = [];
 
-      const result = await chat.sendMessage(messages[messages.length - 1].parts[0].text);
-      
-      // Verificar si hay function calls
-      let functionResults = [];
-      const responseData = await result.response;
-      const functionCalls = responseData.functionCalls() || [];
-      
-      if (Array.isArray(functionCalls) && functionCalls.length > 0) {
-        for (const call of functionCalls) {
-          const fnResult = await this.executeFunction(call.name, call.args, domain);
+      while (functionCalls.length > 0) {
+        if (!guard.startRound()) break;
+
+        // Ejecutar las funciones llamadas (en paralelo las independientes)
+        const calls = functionCalls.map(call => ({ name: call.name, args: call.args }));
+        const executed = await this.runToolCalls(guard, calls, { domain, userId, onEvent, deadline, addedToCart });
+
+        const responseParts = executed.map(call => {
           functionResults.push({
             functionName: call.name,
-            result: fnResult,
+            result: call.result,
+            durationMs: call.durationMs,
+            repeated: call.repeated,
           });
+          return { functionResponse: { name: call.name, response: call.result } };
+        });
+
+        // Enviar resultados de vuelta a Gemini (una respuesta por cada function call)
+        messages.push({ role: 'model', parts: responseData.candidates[0].content.parts });
+        messages.push({ role: 'function', parts: responseParts });
+
+        guard.endRound();
+        if (!guard.canCallModel()) break;
+
+        const request = guard.stopReason ? withoutTools(messages) : { contents: messages };
+        responseData = await this.generateTurn(model, request, createStreamer(), deadline);
+        guard.addUsage(this.extractUsage(responseData));
+        functionCalls = responseData.functionCalls() || [];
+      }
+
+      // Loop cortado con function calls pendientes: pedir la respuesta final sin tools
+      if (functionCalls.length > 0) {
+        if (!guard.canCallModel()) {
+          return this.buildToolLimitResponse(guard, functionResults);
         }
 
-        // Enviar resultados de vuelta a Gemini
-        const finalResult = await chat.sendMessage([{
-          functionResponse: {
-            name: functionCalls[0].name,
-            response: functionResults[0].result,
-          }
-        }]);
+        const request = withoutTools([...messages, { role: 'user', parts: [{ text: TOOL_LIMIT_INSTRUCTION }] }]);
+        responseData = await this.generateTurn(model, request, createStreamer(), deadline);
+        guard.addUsage(this.extractUsage(responseData));
+      }
+
+      const repair = this.createRepairRequest(messages, generationConfig, guard, { onEvent, createStreamer, deadline });
+      const { response, validation } = await this.validateResponse(this.getResponseText(responseData), repair);
 
-        return this.parseResponse(finalResult.response, functionResults);
+      if (functionResults.length > 0) {
+        logger.info(`[Gemini] ✅ Executed ${functionResults.length} function calls`);
       }
 
-      return this.parseResponse(result.response, []);
+      return {
+        ...response,
+        functionResults,
+        usage: this.normalizeUsage(guard.usage),
+        usageMetadata: responseData.usageMetadata || {},
+        toolLoop: guard.getSummary(),
+        validation,
+      };
 
     } catch (error) {
       logger.error('[Gemini] Error generating response:', error);
@@ -378,79 +251,60 @@ class GeminiAgentService {
   }
 
   /**
-   * Extrae JSON de bloques de código markdown si está presente
+   * Uso de tokens normalizado desde usageMetadata
    */
-  extractJsonFromMarkdown(text) {
-    // Buscar bloques de código markdown con JSON
-    const jsonBlockRegex = /```(?:json)?\s*([\s\S]*?)```/g;
-    const matches = [...text.matchAll(jsonBlockRegex)];
-    
-    if (matches.length > 0) {
-      // Tomar el primer bloque de código que contenga JSON
-      const jsonContent = matches[0][1].trim();
-      logger.info('[Gemini] Extracted JSON from markdown code block');
-      return jsonContent;
-    }
-    
-    // Si no hay bloques de código, devolver el texto original
-    return text;
+  extractUsage(response) {
+    const usage = response.usageMetadata || {};
+    return this.normalizeUsage({
+      input: usage.promptTokenCount,
+      output: usage.candidatesTokenCount,
+      thinking: usage.thoughtsTokenCount || usage.thinkingTokenCount,
+      cached: usage.cachedContentTokenCount,
+      total: usage.totalTokenCount,
+    });
   }
 
   /**
-   * Parsea la respuesta de Gemini
+   * Texto de la respuesta (vacío si solo trae function calls o fue bloqueada)
    */
-  parseResponse(response, functionResults) {
-    const text = response.text();
-    
-    // Extraer JSON de bloques de código markdown si está presente
-    const jsonText = this.extractJsonFromMarkdown(text);
-    
-    // Intentar parsear como JSON
+  getResponseText(response) {
     try {
-      const parsed = JSON.parse(jsonText);
-      
-      return {
-        message: parsed.message || text,
-        audio_description: parsed.audio_description || parsed.message || text,
-        action: parsed.action || {
-          type: 'none',
-          productId: null,
-          quantity: null,
-          url: null,
-          price_sale: null,
-          title: null,
-          price_regular: null,
-          image: null,
-          slug: null,
-        },
-        thinking: parsed.thinking || null,
-        functionResults,
-        usageMetadata: response.usageMetadata || {},
-      };
+      return response.text();
     } catch (error) {
-      // Si no es JSON válido, Gemini devolvió texto natural
-      logger.info('[Gemini] Response is natural text (expected with function calling)');
-      
-      return {
-        message: text || 'He encontrado información. ¿Puedo ayudarte con algo más?',
-        audio_description: text || 'Encontré información',
-        action: {
-          type: 'none',
-          productId: null,
-          quantity: null,
-          url: null,
-          price_sale: null,
-          title: null,
-          price_regular: null,
-          image: null,
-          slug: null,
-        },
-        thinking: null,
-        functionResults,
-        usageMetadata: response.usageMetadata || {},
-      };
+      logger.warn(`[Gemini] Response without text: ${error.message}`);
+      return '';
     }
   }
+
+  /**
+   * Ronda de reparación para validateResponse
+   * Gemini no admite responseSchema junto con tools: se usa un modelo sin tools
+   * con la salida JSON restringida al contrato
+   */
+  createRepairRequest(messages, generationConfig, guard, { onEvent, createStreamer, deadline }) {
+    return async (instruction, invalidResponse) => {
+      if (onEvent) onEvent('reset', { reason: 'repair' });
+
+      const model = this.getClient().getGenerativeModel({
+        model: config.gemini.model,
+        generationConfig: {
+          ...generationConfig,
+          responseMimeType: 'application/json',
+          responseSchema: ResponseContract.toGeminiResponseSchema(),
+        },
+      });
+      const contents = [
+        ...messages,
+        { role: 'model', parts: [{ text: invalidResponse || '{}' }] },
+        { role: 'user', parts: [{ text: instruction }] },
+      ];
+
+      const response = await this.generateTurn(model, { contents }, createStreamer(), deadline);
+      guard.addUsage(this.extractUsage(response));
+
+      return this.getResponseText(response);
+    };
+  }
 }
 
 module.exports = GeminiAgentService;
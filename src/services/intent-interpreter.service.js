@@ -19,6 +19,45 @@ const OpenAI = require('openai');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config/env.config');
 const logger = require('../utils/logger');
+const { withRetry, NO_DEADLINE } = require('../utils/resilience');
+
+// Colores de variantes por idioma (nombre canónico → género y plural)
+const VARIANT_COLORS = {
+  es: {
+    negro: /\bnegr[oa]s?\b/, blanco: /\bblanc[oa]s?\b/, rojo: /\broj[oa]s?\b/, azul: /\bazul(?:es)?\b/,
+    verde: /\bverdes?\b/, amarillo: /\bamarill[oa]s?\b/, gris: /\bgris(?:es)?\b/, rosado: /\brosad[oa]s?\b/,
+    morado: /\bmorad[oa]s?\b/, naranja: /\bnaranjas?\b/, marrón: /\bmarr[oó]n(?:es)?\b/, beige: /\bbeige\b/,
+  },
+  en: {
+    black: /\bblack\b/, white: /\bwhite\b/, red: /\bred\b/, blue: /\bblue\b/, green: /\bgreen\b/,
+    yellow: /\byellow\b/, gray: /\bgr[ae]y\b/, pink: /\bpink\b/, purple: /\bpurple\b/, orange: /\borange\b/,
+    brown: /\bbrown\b/, beige: /\bbeige\b/,
+  },
+  pt: {
+    preto: /\bpret[oa]s?\b/, branco: /\bbranc[oa]s?\b/, vermelho: /\bvermelh[oa]s?\b/, azul: /\bazuis\b|\bazul\b/,
+    verde: /\bverdes?\b/, amarelo: /\bamarel[oa]s?\b/, cinza: /\bcinzas?\b/, rosa: /\brosas?\b/,
+    roxo: /\brox[oa]s?\b/, laranja: /\blaranjas?\b/, marrom: /\bmarrom\b/, bege: /\bbege\b/,
+  },
+};
+
+// Orden de una búsqueda por idioma ("los más baratos primero" → price_asc)
+const SEARCH_SORTS = {
+  es: {
+    price_asc: /(?:del\s+)?m[áa]s\s+(?:barat[oa]s?|econ[óo]mic[oa]s?)(?:\s+al\s+m[áa]s\s+car[oa])?|(?:de\s+)?menor\s+precio|precio\s+m[áa]s\s+bajo/,
+    price_desc: /(?:del\s+)?m[áa]s\s+car[oa]s?(?:\s+al\s+m[áa]s\s+barat[oa])?|(?:de\s+)?mayor\s+precio|precio\s+m[áa]s\s+alto/,
+    newest: /m[áa]s\s+(?:nuev[oa]s?|recientes?)|novedades|[úu]ltimos\s+(?:productos|lanzamientos|ingresos)/,
+  },
+  en: {
+    price_asc: /cheapest|least\s+expensive|lowest\s+price|price\s+low\s+to\s+high/,
+    price_desc: /most\s+expensive|highest\s+price|price\s+high\s+to\s+low/,
+    newest: /newest|latest|new\s+arrivals/,
+  },
+  pt: {
+    price_asc: /mais\s+barat[oa]s?|menor\s+pre[çc]o|pre[çc]o\s+mais\s+baixo/,
+    price_desc: /mais\s+car[oa]s?|maior\s+pre[çc]o|pre[çc]o\s+mais\s+alto/,
+    newest: /mais\s+nov[oa]s?|mais\s+recentes?|novidades|lan[çc]amentos/,
+  },
+};
 
 class IntentInterpreterService {
   constructor() {
@@ -46,6 +85,7 @@ class IntentInterpreterService {
     if (config.openai.apiKey) {
       this.openaiClient = new OpenAI({
         apiKey: config.openai.apiKey,
+        maxRetries: 0, // Reintentos con withRetry (RESILIENCE)
       });
     }
     
@@ -60,9 +100,10 @@ class IntentInterpreterService {
    * @param {string} userMessage - Mensaje del usuario
    * @param {string} language - Idioma (es, en, pt, etc.)
    * @param {string} domain - Dominio del negocio
+   * @param {Object} options - { deadline } de la petición en curso
    * @returns {Promise<Object>} - { intent, params, confidence, method }
    */
-  async interpret(userMessage, language = 'es', domain = '') {
+  async interpret(userMessage, language = 'es', domain = '', { deadline = NO_DEADLINE } = {}) {
     const FILE_NAME = 'intent-interpreter.service.js';
     
     logger.info(`[${FILE_NAME}] ────────────────────────────────────────`);
@@ -111,7 +152,7 @@ class IntentInterpreterService {
     if (!result || result.confidence < 0.7) {
       if (this.useLLM) {
         logger.info(`[${FILE_NAME}] [2/3] Usando LLM para interpretación...`);
-        result = await this.interpretWithLLM(userMessage, language, domain);
+        result = await this.interpretWithLLM(userMessage, language, domain, deadline);
         if (result) {
           method = result.method || 'llm';
           logger.info(`[${FILE_NAME}] [2/3] ✅ LLM interpretó: ${result.intent} (confidence: ${result.confidence}, method: ${method})`);
@@ -217,11 +258,51 @@ class IntentInterpreterService {
           keywords: ['producto', 'productos', 'buscar', 'necesito', 'quiero', 'tengo', 'encontrar', 'mostrar', 'muestra'],
           confidence: 0.9,
         },
+        search_more: {
+          regex: /((mu[ée]strame|dame|ens[ée][ñn]ame|hay|tienes|tienen) m[áa]s(?!\s*(detalle|barat|car[oa]|nuev|econ))|m[áa]s (opciones|productos|resultados|modelos)|siguiente p[áa]gina|p[áa]gina siguiente|cargar m[áa]s)/i,
+          keywords: ['más', 'siguiente'],
+          confidence: 0.95,
+        },
+        recommend_products: {
+          regex: /(parecid[oa]s?|similar(es)?|alternativas?|otras? opci[óo]n(es)?|recomi[ée]nd|qu[ée] (me )?sugieres|combina|(va|van|queda) (bien )?con|accesorios?|complementos?|tambi[ée]n (compr|llev)|otros clientes)/i,
+          keywords: ['parecido', 'similar', 'recomienda', 'alternativa', 'combina', 'accesorio', 'otros clientes', 'compraron'],
+          confidence: 0.9,
+        },
         add_to_cart: {
           regex: /(agregar|añadir|agrega|añade|poner|pon|meter|mete|carrito|comprar|quiero.*comprar|agregar.*carrito|añadir.*carrito)/i,
           keywords: ['agregar', 'añadir', 'agrega', 'añade', 'carrito', 'comprar', 'quiero comprar'],
           confidence: 0.9,
         },
+        view_cart: {
+          regex: /(qu[ée].*(tengo|hay|llevo).*carrito|ver.*carrito|mostrar.*carrito|muestra.*carrito|mi carrito|total.*carrito)/i,
+          keywords: ['mi carrito', 'ver carrito', 'tengo en', 'hay en'],
+          confidence: 0.9,
+        },
+        remove_from_cart: {
+          regex: /(quita|quitar|elimina|eliminar|saca|sacar|borra|borrar|remueve|remover|ya no quiero)/i,
+          keywords: ['quita', 'elimina', 'saca', 'borra', 'del carrito'],
+          confidence: 0.9,
+        },
+        faq: {
+          regex: /(devoluci[óo]n|devolver|reembolso|cambios? de (producto|talla)|pol[íi]tica|garant[íi]a|horarios?|a qu[ée] hora|abren|atienden|(m[ée]todos?|formas?|medios?) de pago|pagar con|aceptan|preguntas frecuentes)/i,
+          keywords: ['polític', 'devoluci', 'garant', 'horario', 'pag', 'pagar con'],
+          confidence: 0.9,
+        },
+        checkout: {
+          regex: /((finalizar|terminar|completar|cerrar|hacer).*(compra|pedido|orden)|checkout|pagar|proceder al pago|(continuar|seguir|retomar).*pedido)/i,
+          keywords: ['finalizar', 'pedido', 'pagar', 'checkout'],
+          confidence: 0.9,
+        },
+        order_status: {
+          regex: /(d[óo]nde (est[áa]|va) (mi|el) (pedido|orden|compra|paquete)|estado (de|del) (mi )?(pedido|orden|compra|env[íi]o)|seguimiento|rastre(ar|o)|tracking|cu[áa]ndo (me )?llega|(pedido|orden) (es )?(el )?(n[°º.]?|#|n[úu]mero)?\s*#?[a-z]*-?\d)/i,
+          keywords: ['pedido', 'estado', 'seguimiento', 'llega', 'dónde está'],
+          confidence: 0.9,
+        },
+        validate_coupon: {
+          regex: /(cup[óo]n|c[óo]digo (de )?(descuento|promo(ci[óo]n)?)|tengo (un )?c[óo]digo)/i,
+          keywords: ['cupón', 'cupon', 'código', 'descuento'],
+          confidence: 0.9,
+        },
         company_info: {
           regex: /(empresa|quienes|sobre.*nosotros|información.*empresa|quién.*son|historia)/i,
           keywords: ['empresa', 'quienes', 'sobre nosotros', 'información', 'historia'],
@@ -249,11 +330,51 @@ class IntentInterpreterService {
           keywords: ['product', 'products', 'search', 'need', 'want', 'find', 'show'],
           confidence: 0.9,
         },
+        search_more: {
+          regex: /((show|see|give) (me )?more(?!\s*(detail|about|expensive))|more (results|options|products)|next page|load more)/i,
+          keywords: ['more', 'next'],
+          confidence: 0.95,
+        },
+        recommend_products: {
+          regex: /(similar|like this|alternatives?|other options?|recommend|suggest|goes? (well )?with|match(es)? with|accessor(y|ies)|also (bought|buy)|other customers)/i,
+          keywords: ['similar', 'recommend', 'alternative', 'goes with', 'accessor', 'other customers'],
+          confidence: 0.9,
+        },
         add_to_cart: {
           regex: /(add|add to cart|cart|buy|purchase|want to buy|add.*cart|put.*cart)/i,
           keywords: ['add', 'cart', 'buy', 'purchase', 'want to buy'],
           confidence: 0.9,
         },
+        view_cart: {
+          regex: /(what.*(in|on).*cart|show.*cart|see.*cart|view.*cart|my cart|cart total)/i,
+          keywords: ['my cart', 'in my cart', 'show cart', 'view cart'],
+          confidence: 0.9,
+        },
+        remove_from_cart: {
+          regex: /(remove|delete|take out|take off|drop|don'?t want)/i,
+          keywords: ['remove', 'delete', 'take out', 'from cart', 'from my cart'],
+          confidence: 0.9,
+        },
+        faq: {
+          regex: /(returns?|refunds?|exchanges?|warranty|guarantee|(opening|business|store) hours|what time|open on|payment (methods?|options)|pay with|accept (cards?|credit|paypal)|policy|faq)/i,
+          keywords: ['policy', 'return', 'refund', 'warranty', 'hours'],
+          confidence: 0.9,
+        },
+        checkout: {
+          regex: /(checkout|check out|(finish|complete|place|continue|resume).*order|pay now|proceed to pay)/i,
+          keywords: ['checkout', 'order', 'pay', 'finish'],
+          confidence: 0.9,
+        },
+        order_status: {
+          regex: /(where('?s| is) my (order|package|parcel)|order status|status of my order|track(ing)?|when will (my order|it) (arrive|get here)|order (number|no\.?|#)\s*#?[a-z]*-?\d)/i,
+          keywords: ['order', 'status', 'track', 'where is', 'arrive'],
+          confidence: 0.9,
+        },
+        validate_coupon: {
+          regex: /(coupon|promo ?code|discount code|voucher)/i,
+          keywords: ['coupon', 'code', 'discount', 'promo'],
+          confidence: 0.9,
+        },
         company_info: {
           regex: /(company|about|who|information|history|story)/i,
           keywords: ['company', 'about', 'who', 'information', 'history'],
@@ -281,11 +402,51 @@ class IntentInterpreterService {
           keywords: ['produto', 'produtos', 'buscar', 'preciso', 'quero', 'encontrar'],
           confidence: 0.9,
         },
+        search_more: {
+          regex: /((mostre|mostra|me mostra|ver|tem) mais(?!\s*(detalhe|barat|car[oa]|nov))|mais (op[çc][õo]es|produtos|resultados|modelos)|pr[óo]xima p[áa]gina|carregar mais)/i,
+          keywords: ['mais', 'próxima'],
+          confidence: 0.95,
+        },
+        recommend_products: {
+          regex: /(parecid[oa]s?|semelhantes?|similar(es)?|alternativas?|outras? op[çc](ão|ões)|recomend|sugere|combina|(vai|fica) (bem )?com|acess[óo]rios?|tamb[ée]m (compr|lev)|outros clientes)/i,
+          keywords: ['parecido', 'similar', 'recomenda', 'alternativa', 'combina', 'acessório', 'outros clientes', 'compraram'],
+          confidence: 0.9,
+        },
         add_to_cart: {
           regex: /(adicionar|adiciona|adicionar.*carrinho|carrinho|comprar|quero.*comprar)/i,
           keywords: ['adicionar', 'adiciona', 'carrinho', 'comprar', 'quero comprar'],
           confidence: 0.9,
         },
+        view_cart: {
+          regex: /(o que.*(tenho|tem|há).*carrinho|ver.*carrinho|mostrar.*carrinho|mostre.*carrinho|meu carrinho|total.*carrinho)/i,
+          keywords: ['meu carrinho', 'ver carrinho', 'tenho no', 'tem no'],
+          confidence: 0.9,
+        },
+        remove_from_cart: {
+          regex: /(tira|tirar|remove|remover|exclui|excluir|apaga|apagar|não quero mais)/i,
+          keywords: ['tira', 'remove', 'exclui', 'apaga', 'do carrinho'],
+          confidence: 0.9,
+        },
+        faq: {
+          regex: /(devolu[çc][ãa]o|devolver|reembolso|trocas?|pol[íi]tica|garantia|hor[áa]rios?|que horas|abrem|(formas?|m[ée]todos?|meios?) de pagamento|pagar com|aceitam|perguntas frequentes)/i,
+          keywords: ['polític', 'devolu', 'garantia', 'horário', 'pag', 'pagar com'],
+          confidence: 0.9,
+        },
+        checkout: {
+          regex: /((finalizar|fechar|concluir|fazer).*(compra|pedido)|checkout|pagar|(continuar|retomar).*pedido)/i,
+          keywords: ['finalizar', 'pedido', 'pagar', 'checkout'],
+          confidence: 0.9,
+        },
+        order_status: {
+          regex: /(cad[êe] (o )?meu pedido|onde est[áa] (o )?meu (pedido|pacote)|(status|situa[çc][ãa]o) do (meu )?pedido|rastre(ar|io|amento)|quando (chega|vai chegar)|pedido (é )?(o )?(n[°º.]?|#|n[úu]mero)?\s*#?[a-z]*-?\d)/i,
+          keywords: ['pedido', 'status', 'rastre', 'chega', 'cadê'],
+          confidence: 0.9,
+        },
+        validate_coupon: {
+          regex: /(cupom|c[óo]digo (de )?(desconto|promo[çc][ãa]o))/i,
+          keywords: ['cupom', 'código', 'desconto'],
+          confidence: 0.9,
+        },
         company_info: {
           regex: /(empresa|sobre|quem|informação|história)/i,
           keywords: ['empresa', 'sobre', 'quem', 'informação'],
@@ -320,8 +481,15 @@ class IntentInterpreterService {
 
     switch (intent) {
       case 'search_products':
-        // Intentar extraer términos de búsqueda
-        const searchTerms = this.extractSearchTerms(message, language);
+        // Talla/color como filtros; el resto son los términos de búsqueda
+        const searchVariant = this.extractVariantAttributes(message, language);
+        Object.assign(params, searchVariant.attributes);
+        // Orden pedido ("los más baratos primero"): sin otros términos reordena la última búsqueda
+        const searchSort = this.extractSortOrder(searchVariant.rest, language);
+        if (searchSort.sort) {
+          params.sort = searchSort.sort;
+        }
+        const searchTerms = this.extractSearchTerms(searchSort.rest, language);
         if (searchTerms) {
           params.query = searchTerms;
         }
@@ -330,13 +498,19 @@ class IntentInterpreterService {
       case 'add_to_cart':
       case 'product_price':
       case 'product_details':
+        // Talla/color de la variante (solo al agregar al carrito)
+        const variant = intent === 'add_to_cart'
+          ? this.extractVariantAttributes(message, language)
+          : { attributes: {}, rest: message };
+        Object.assign(params, variant.attributes);
+
         // Intentar extraer ID, slug o nombre del producto
         const productRef = this.extractProductReference(message);
         if (productRef) {
           params.productId = productRef;
         } else {
           // Intentar extraer nombre del producto del mensaje
-          const productName = this.extractProductName(message, language);
+          const productName = this.extractProductName(variant.rest, language);
           if (productName) {
             params.query = productName; // Usar como query para buscar
           }
@@ -347,6 +521,51 @@ class IntentInterpreterService {
           params.quantity = quantity;
         }
         break;
+
+      case 'remove_from_cart':
+        // Ítem del carrito: posición ("el segundo", "el último"), ID o nombre
+        const position = this.extractCartPosition(message, language);
+        if (position) {
+          params.position = position;
+        } else {
+          const itemRef = this.extractProductReference(message);
+          if (itemRef) {
+            params.productId = itemRef;
+          } else {
+            const itemName = this.extractProductName(message, language);
+            if (itemName) {
+              params.query = itemName;
+            }
+          }
+        }
+        break;
+
+      case 'recommend_products':
+        // Tipo de recomendación y producto de referencia ("algo parecido a la batería")
+        Object.assign(params, this.extractRecommendationParams(message));
+        const referenceId = this.extractProductReference(message);
+        if (referenceId) {
+          params.productId = referenceId;
+        }
+        break;
+
+      case 'faq':
+        // La pregunta completa es la búsqueda en la base de conocimiento
+        params.query = message.trim();
+        params.locale = language;
+        break;
+
+      case 'order_status':
+        // Número de pedido y dato de verificación (email o teléfono)
+        Object.assign(params, this.extractOrderReference(message));
+        break;
+
+      case 'validate_coupon':
+        const code = this.extractCouponCode(message);
+        if (code) {
+          params.code = code;
+        }
+        break;
     }
 
     return params;
@@ -357,9 +576,9 @@ class IntentInterpreterService {
    */
   extractProductName(message, language) {
     const stopWords = {
-      es: ['agregar', 'añadir', 'agrega', 'añade', 'quiero', 'carrito', 'al', 'al carrito', 'comprar'],
-      en: ['add', 'to', 'cart', 'want', 'buy', 'purchase'],
-      pt: ['adicionar', 'adiciona', 'ao', 'carrinho', 'quero', 'comprar'],
+      es: ['agregar', 'añadir', 'agrega', 'añade', 'quiero', 'carrito', 'al', 'al carrito', 'comprar', 'quita', 'quitar', 'elimina', 'eliminar', 'saca', 'sacar', 'borra', 'borrar', 'del', 'los', 'las'],
+      en: ['add', 'to', 'cart', 'want', 'buy', 'purchase', 'remove', 'delete', 'from', 'the', 'my'],
+      pt: ['adicionar', 'adiciona', 'ao', 'carrinho', 'quero', 'comprar', 'tira', 'tirar', 'remove', 'remover', 'exclui', 'excluir', 'do', 'meu'],
     };
 
     const words = message.toLowerCase().split(/\s+/);
@@ -372,6 +591,174 @@ class IntentInterpreterService {
     return relevantWords.slice(-5).join(' ') || null;
   }
 
+  /**
+   * Extrae la posición de un ítem del carrito ("el segundo", "item 3", "el último")
+   * @returns {number|null} - Posición desde 1 (-1 = el último)
+   */
+  extractCartPosition(message, language) {
+    const ordinals = {
+      es: [/\bprimer[oa]?\b/, /\bsegund[oa]\b/, /\btercer[oa]?\b/, /\bcuart[oa]\b/, /\bquint[oa]\b/],
+      en: [/\bfirst\b/, /\bsecond\b/, /\bthird\b/, /\bfourth\b/, /\bfifth\b/],
+      pt: [/\bprimeir[oa]\b/, /\bsegund[oa]\b/, /\bterceir[oa]\b/, /\bquart[oa]\b/, /\bquint[oa]\b/],
+    };
+    const normalizedMessage = message.toLowerCase();
+
+    // Sin \b al inicio: no cuenta la "ú" como carácter de palabra
+    if (/(?:^|\s)(?:últim[oa]|ultim[oa]|last)(?=$|[\s.,!?])/.test(normalizedMessage)) {
+      return -1;
+    }
+
+    const numbered = normalizedMessage.match(/(?:#|n[úu]mero\s*|item\s*|ítem\s*|posici[óo]n\s*|number\s*)(\d{1,2})\b/);
+    if (numbered) {
+      return parseInt(numbered[1], 10);
+    }
+
+    const index = (ordinals[language] || ordinals.es).findIndex(regex => regex.test(normalizedMessage));
+    return index >= 0 ? index + 1 : null;
+  }
+
+  /**
+   * Extrae número de pedido, email y teléfono ("pedido #1045, mi correo es ana@mail.com")
+   * @returns {Object} - { orderNumber?, email?, phone? }
+   */
+  extractOrderReference(message) {
+    const params = {};
+    let rest = message;
+
+    const email = rest.match(/[^\s@,;:]+@[^\s@,;:]+\.[a-z]{2,}/i);
+    if (email) {
+      params.email = email[0].toLowerCase();
+      rest = rest.replace(email[0], ' ');
+    }
+
+    const phone = rest.match(/(?:tel[ée]fono|telefone|celular|m[óo]vil|phone)\s*:?\s*(\+?\d[\d\s-]{5,}\d)/i);
+    if (phone) {
+      params.phone = phone[1].replace(/[\s-]/g, '');
+      rest = rest.replace(phone[0], ' ');
+    }
+
+    const orderNumber = rest.match(/(?:pedido|orden|order|compra|#)\s*(?:n[°º.]?\s*|#\s*|n[úu]mero\s*|number\s*|:\s*)?([a-z]*-?\d[\w-]*)/i);
+    if (orderNumber) {
+      params.orderNumber = orderNumber[1];
+      rest = rest.replace(orderNumber[0], ' ');
+    }
+
+    // Sin etiquetas: un número largo es el teléfono y uno corto el pedido
+    if (!params.phone) {
+      const longNumber = rest.match(/\+?\d[\d\s-]{7,}\d/);
+      if (longNumber) {
+        params.phone = longNumber[0].replace(/[\s-]/g, '');
+        rest = rest.replace(longNumber[0], ' ');
+      }
+    }
+    if (!params.orderNumber) {
+      const shortNumber = rest.match(/\b\d{3,8}\b/);
+      if (shortNumber) {
+        params.orderNumber = shortNumber[0];
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Extrae el tipo de recomendación y el producto de referencia
+   * ("qué combina con el polo básico" → { type: 'complementary', query: 'polo básico' })
+   * @returns {Object} - { type?, query? }
+   */
+  extractRecommendationParams(message) {
+    const params = {};
+    const lowerMessage = message.toLowerCase();
+
+    if (/(tambi[ée]n (compr|llev)|also (bought|buy)|tamb[ée]m (compr|lev)|otros clientes|other customers|outros clientes)/.test(lowerMessage)) {
+      params.type = 'also_bought';
+    } else if (/(combina|(va|van|queda|goes?|vai|fica) (bien |well |bem )?(con|with|com)|match|accesori|accessor|acess[óo]ri|complement)/.test(lowerMessage)) {
+      params.type = 'complementary';
+    } else if (/(parecid|similar|semelhante|alternativ|otras? opci|other option|outras? op|like this|en vez de|instead of|em vez de)/.test(lowerMessage)) {
+      params.type = 'similar';
+    }
+
+    const reference = message.match(/(?:parecid[oa]s?|similar(?:es)?|semelhantes?|combinan?|va|van|queda|goes?|vai|fica|accesorios?|accessor(?:y|ies)|acess[óo]rios?|alternativas?|alternatives?|instead|vez)\s+(?:bien\s+|well\s+|bem\s+)?(?:a|al|con|para|de|del|with|to|for|of|com|ao|à|do|da|como)\s+(?:(?:la|el|los|las|mi|un|una|the|my|a|an|o|os|meu|minha)\s+)?([^?!.,]{3,60})/i);
+    if (reference) {
+      params.query = reference[1].trim();
+    }
+
+    return params;
+  }
+
+  /**
+   * Extrae el código de un cupón ("tengo el cupón VERANO20", "mi código es bienvenida10")
+   * @returns {string|null} - Código en mayúsculas
+   */
+  extractCouponCode(message) {
+    // Un código tiene algún dígito o viene escrito en mayúsculas
+    const looksLikeCode = token => /\d/.test(token) || token === token.toUpperCase();
+
+    const labeled = message.match(/(?:cup[óo]n|cupom|coupon|c[óo]digo|code|voucher)\s*(?:de\s+)?(?:descuento|desconto|discount|promo\S*)?\s*(?:es|is|é)?\s*[:"'“]?\s*([a-z0-9_-]{3,20})/i);
+    if (labeled && looksLikeCode(labeled[1])) {
+      return labeled[1].toUpperCase();
+    }
+
+    const token = message.match(/\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{4,20}\b|\b[A-Z]{4,20}\b/);
+    return token ? token[0].toUpperCase() : null;
+  }
+
+  /**
+   * Extrae talla y color de una variante ("talla M", "en negro", "size 42")
+   * @returns {Object} - { attributes: { size?, color? }, rest: mensaje sin talla ni color }
+   */
+  extractVariantAttributes(message, language) {
+    const attributes = {};
+    let rest = message;
+
+    // Talla con etiqueta o en mayúsculas sueltas (S, M, XL...)
+    const size = rest.match(/\b(?:talla|talle|size|tamaño|tamanho)\s*:?\s*([a-z0-9]{1,4})\b/i)
+      || rest.match(/\b(XXS|XS|S|M|L|XL|XXL|XXXL)\b(?!\s*\/)/);
+    if (size) {
+      attributes.size = (size[1] || size[0]).toUpperCase();
+      rest = rest.replace(size[0], ' ');
+    }
+
+    const lowerRest = rest.toLowerCase();
+    const colors = VARIANT_COLORS[language] || VARIANT_COLORS.es;
+    const color = Object.entries(colors).find(([, regex]) => regex.test(lowerRest));
+    if (color) {
+      attributes.color = color[0];
+      rest = rest.replace(new RegExp(color[1].source, 'i'), ' ')
+        .replace(/\s(?:en|de\s+color|color|colou?r|in|na|em|cor)\s*(?=\s|$)/gi, ' ');
+    }
+
+    return { attributes, rest: rest.replace(/\s+/g, ' ').trim() };
+  }
+
+  /**
+   * Extrae el orden de una búsqueda ("del más barato al más caro", "cheapest first")
+   * @returns {Object} - { sort?, rest: mensaje sin el orden }
+   */
+  extractSortOrder(message, language) {
+    const lowerMessage = message.toLowerCase();
+    const sorts = SEARCH_SORTS[language] || SEARCH_SORTS.es;
+
+    // Si hay varias coincidencias, vale la primera ("del más caro al más barato")
+    let best = null;
+    for (const [sort, regex] of Object.entries(sorts)) {
+      const match = lowerMessage.match(regex);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { sort, match };
+      }
+    }
+
+    if (!best) {
+      return { rest: message };
+    }
+
+    const { index } = best.match;
+    const rest = `${message.slice(0, index)} ${message.slice(index + best.match[0].length)}`
+      .replace(/(?:^|\s)(?:primeros?|primeiros?|first|ordenad[oa]s?|ordena(?:los|las|r)?|ordene|sorted|sort)(?=$|[\s.,!?])/gi, ' ');
+
+    return { sort: best.sort, rest: rest.replace(/\s+/g, ' ').trim() };
+  }
+
   /**
    * Extrae cantidad del mensaje
    */
@@ -437,11 +824,11 @@ class IntentInterpreterService {
   /**
    * Interpreta usando LLM (OpenAI con fallback a Gemini)
    */
-  async interpretWithLLM(message, language, domain) {
+  async interpretWithLLM(message, language, domain, deadline = NO_DEADLINE) {
     // Intentar OpenAI primero
     if (this.openaiClient) {
       try {
-        const result = await this.interpretWithOpenAI(message, language, domain);
+        const result = await this.interpretWithOpenAI(message, language, domain, deadline);
         if (result) {
           return { ...result, method: 'openai' };
         }
@@ -453,7 +840,7 @@ class IntentInterpreterService {
     // Fallback a Gemini
     if (this.geminiClient) {
       try {
-        const result = await this.interpretWithGemini(message, language, domain);
+        const result = await this.interpretWithGemini(message, language, domain, deadline);
         if (result) {
           return { ...result, method: 'gemini' };
         }
@@ -468,7 +855,7 @@ class IntentInterpreterService {
   /**
    * Interpreta usando OpenAI
    */
-  async interpretWithOpenAI(message, language, domain) {
+  async interpretWithOpenAI(message, language, domain, deadline = NO_DEADLINE) {
     const FILE_NAME = 'intent-interpreter.service.js';
     
     logger.info(`[${FILE_NAME}] interpretWithOpenAI() - Llamando a OpenAI...`);
@@ -477,11 +864,21 @@ class IntentInterpreterService {
     
 Clasifica la intención del usuario en JSON válido:
 {
-  "intent": "search_products | add_to_cart | company_info | product_price | product_details | shipping_info | general_chat",
+  "intent": "search_products | search_more | recommend_products | add_to_cart | view_cart | remove_from_cart | checkout | order_status | faq | validate_coupon | company_info | product_price | product_details | shipping_info | general_chat",
   "params": {
     "query": "términos de búsqueda si aplica",
+    "sort": "price_asc | price_desc | newest si pide ordenar (más baratos, más caros, más nuevos)",
     "productId": "ID del producto si aplica",
-    "quantity": "cantidad si aplica"
+    "quantity": "cantidad si aplica",
+    "size": "talla si la menciona",
+    "color": "color si lo menciona",
+    "sku": "SKU de la variante si lo da",
+    "position": "posición del ítem en el carrito si aplica (1 = primero, -1 = último)",
+    "orderNumber": "número de pedido si aplica",
+    "email": "email del cliente si lo da",
+    "phone": "teléfono del cliente si lo da",
+    "code": "código del cupón si aplica",
+    "type": "similar | complementary | also_bought si pide recomendaciones"
   },
   "confidence": 0.0-1.0
 }
@@ -490,7 +887,7 @@ Idioma: ${language}
 Responde SOLO con JSON válido.`;
 
     try {
-      const response = await this.openaiClient.chat.completions.create({
+      const response = await withRetry(signal => this.openaiClient.chat.completions.create({
         model: 'gpt-4o-mini',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -499,7 +896,7 @@ Responde SOLO con JSON válido.`;
         response_format: { type: 'json_object' },
         temperature: 0.1,
         max_tokens: 150,
-      });
+      }, { signal }), { ...config.resilience.llm, deadline, label: 'intent openai' });
 
       const content = response.choices[0].message.content;
       logger.info(`[${FILE_NAME}] Respuesta de OpenAI: ${content.substring(0, 100)}...`);
@@ -521,7 +918,7 @@ Responde SOLO con JSON válido.`;
   /**
    * Interpreta usando Gemini
    */
-  async interpretWithGemini(message, language, domain) {
+  async interpretWithGemini(message, language, domain, deadline = NO_DEADLINE) {
     const FILE_NAME = 'intent-interpreter.service.js';
     
     logger.info(`[${FILE_NAME}] interpretWithGemini() - Llamando a Gemini...`);
@@ -530,11 +927,21 @@ Responde SOLO con JSON válido.`;
 
 Clasifica la intención del usuario. Responde SOLO con JSON válido:
 {
-  "intent": "search_products | add_to_cart | company_info | product_price | product_details | shipping_info | general_chat",
+  "intent": "search_products | search_more | recommend_products | add_to_cart | view_cart | remove_from_cart | checkout | order_status | faq | validate_coupon | company_info | product_price | product_details | shipping_info | general_chat",
   "params": {
     "query": "términos de búsqueda si aplica",
+    "sort": "price_asc | price_desc | newest si pide ordenar (más baratos, más caros, más nuevos)",
     "productId": "ID del producto si aplica",
-    "quantity": "cantidad si aplica"
+    "quantity": "cantidad si aplica",
+    "size": "talla si la menciona",
+    "color": "color si lo menciona",
+    "sku": "SKU de la variante si lo da",
+    "position": "posición del ítem en el carrito si aplica (1 = primero, -1 = último)",
+    "orderNumber": "número de pedido si aplica",
+    "email": "email del cliente si lo da",
+    "phone": "teléfono del cliente si lo da",
+    "code": "código del cupón si aplica",
+    "type": "similar | complementary | also_bought si pide recomendaciones"
   },
   "confidence": 0.0-1.0
 }
@@ -552,7 +959,10 @@ Mensaje del usuario: ${message}`;
         },
       });
 
-      const result = await model.generateContent(prompt);
+      const result = await withRetry(
+        signal => model.generateContent(prompt, { signal }),
+        { ...config.resilience.llm, deadline, label: 'intent gemini' }
+      );
       const response = result.response.text();
       logger.info(`[${FILE_NAME}] Respuesta de Gemini: ${response.substring(0, 100)}...`);
       
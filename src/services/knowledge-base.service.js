@@ -0,0 +1,335 @@
+/**
+ * ============================================
+ * KNOWLEDGE BASE SERVICE
+ * ============================================
+ * Base de conocimiento por dominio (preguntas frecuentes, políticas
+ * de devolución, garantías, horarios, medios de pago...)
+ *
+ * - Ingesta: los artículos se parten en fragmentos de ~CHUNK_SIZE caracteres
+ *   por párrafos, con su texto normalizado para buscar sin tildes
+ * - Búsqueda léxica: candidatos por regex en Mongo y ranking de fragmentos
+ *   por términos (frecuencia × rareza), con más peso en título y tags;
+ *   un término también cuenta en las palabras que empiezan por él
+ *
+ * La búsqueda devuelve el mejor fragmento de cada artículo para que el bot
+ * responda solo con eso y cite el artículo usado.
+ */
+
+const getKnowledgeArticleModel = require('../models/KnowledgeArticle');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const CHUNK_SIZE = 600;
+const CANDIDATE_LIMIT = 50;
+const MAX_RESULTS = 5;
+const TITLE_WEIGHT = 2;
+const TAG_WEIGHT = 1.5;
+
+// Palabras que no aportan a la búsqueda
+const STOP_WORDS = new Set([
+  // es
+  'que', 'cual', 'cuales', 'como', 'cuando', 'donde', 'para', 'por', 'con', 'sin', 'los', 'las', 'del', 'una', 'uno', 'unos', 'unas',
+  'sus', 'mis', 'tienen', 'tiene', 'hay', 'puedo', 'pueden', 'quiero', 'saber', 'sobre', 'este', 'esta', 'esto', 'son',
+  'estan', 'hacer', 'mas', 'muy', 'tambien', 'ustedes', 'hola',
+  // en
+  'the', 'and', 'what', 'which', 'how', 'when', 'where', 'can', 'you', 'your', 'are', 'does', 'for', 'with', 'about', 'have',
+  'want', 'know',
+  // pt
+  'qual', 'quais', 'quando', 'onde', 'com', 'sem', 'dos', 'das', 'uma', 'voces', 'tem', 'posso', 'quero',
+]);
+
+/**
+ * Texto comparable (sin mayúsculas ni tildes)
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Raíz simple: sin plural (devoluciones → devolucion, garantias → garantia)
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Términos de un texto (normalizados, sin stop words y en raíz)
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Un término coincide con la palabra igual o con las que empiezan por él
+ * (hora → horario)
+ */
+function matchesTerm(token, term) {
+  return token === term || (term.length >= 4 && token.startsWith(term));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Slug a partir del título: "Política de devoluciones" → "politica-de-devoluciones"
+ */
+function slugify(text) {
+  return normalizeText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 100);
+}
+
+/**
+ * Parte el body en fragmentos por párrafos (los párrafos largos, por oraciones)
+ */
+function splitIntoChunks(body) {
+  const pieces = [];
+  for (const paragraph of String(body).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (paragraph.length <= CHUNK_SIZE) {
+      pieces.push(paragraph);
+    } else {
+      pieces.push(...paragraph.split(/(?<=[.!?])\s+/));
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > CHUNK_SIZE) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map((text, index) => ({ index, text, normalized: normalizeText(text) }));
+}
+
+class KnowledgeBaseService {
+  /**
+   * Artículo para la API (sin los campos de búsqueda)
+   */
+  toPublic(article) {
+    return {
+      articleId: article._id.toString(),
+      slug: article.slug,
+      locale: article.locale,
+      title: article.title,
+      body: article.body,
+      tags: article.tags || [],
+      isActive: article.isActive,
+      chunks: (article.chunks || []).length,
+      updatedAt: article.updatedAt || null,
+    };
+  }
+
+  /**
+   * Campos calculados de un artículo (slug, normalizados y fragmentos)
+   */
+  buildArticle({ slug, title, body, tags = [], locale = 'es', isActive = true }) {
+    const cleanTags = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+    const articleSlug = slugify(slug || title);
+    if (!articleSlug) {
+      throw new ValidationError('The article needs a slug or a title with letters or numbers');
+    }
+
+    return {
+      slug: articleSlug,
+      locale,
+      title: title.trim(),
+      body: body.trim(),
+      tags: cleanTags,
+      normalizedTitle: normalizeText(title),
+      normalizedTags: cleanTags.map(normalizeText),
+      chunks: splitIntoChunks(body),
+      isActive,
+    };
+  }
+
+  /**
+   * Artículos del dominio
+   * @param {Object} filters - { locale?, tag? }
+   */
+  async listArticles(domain, { locale, tag } = {}) {
+    const filter = { domain };
+    if (locale) filter.locale = locale;
+    if (tag) filter.normalizedTags = normalizeText(tag);
+
+    const KnowledgeArticle = getKnowledgeArticleModel();
+    const articles = await KnowledgeArticle.find(filter).sort({ slug: 1, locale: 1 }).lean();
+    return articles.map(article => this.toPublic(article));
+  }
+
+  /**
+   * Crea o actualiza un artículo (slug + locale identifican al artículo)
+   * @returns {Promise<Object>} - { created, article }
+   */
+  async upsertArticle(domain, data) {
+    const fields = this.buildArticle(data);
+
+    const KnowledgeArticle = getKnowledgeArticleModel();
+    let article = await KnowledgeArticle.findOne({ domain, slug: fields.slug, locale: fields.locale });
+    const created = !article;
+
+    if (created) {
+      article = new KnowledgeArticle({ domain, ...fields });
+    } else {
+      article.set(fields);
+    }
+    await article.save();
+
+    logger.info(`[KnowledgeBase] ${domain}: ${created ? 'created' : 'updated'} article ${fields.slug} (${fields.locale}, ${fields.chunks.length} chunks)`);
+    return { created, article: this.toPublic(article) };
+  }
+
+  /**
+   * Ingesta de varios artículos
+   * @returns {Promise<Object>} - { created, updated, articles }
+   */
+  async upsertArticles(domain, articles) {
+    const result = { created: 0, updated: 0, articles: [] };
+
+    for (const data of articles) {
+      const { created, article } = await this.upsertArticle(domain, data);
+      result[created ? 'created' : 'updated'] += 1;
+      result.articles.push(article);
+    }
+
+    return result;
+  }
+
+  /**
+   * Elimina un artículo (sin locale, el artículo en todos los idiomas)
+   * @throws {NotFoundError}
+   */
+  async deleteArticle(domain, slug, locale) {
+    const filter = { domain, slug: slugify(slug) };
+    if (locale) filter.locale = locale;
+
+    const KnowledgeArticle = getKnowledgeArticleModel();
+    const { deletedCount } = await KnowledgeArticle.deleteMany(filter);
+    if (deletedCount === 0) {
+      throw new NotFoundError(`Article not found: ${slug}`);
+    }
+
+    logger.info(`[KnowledgeBase] ${domain}: deleted article ${filter.slug} (${locale || 'all locales'})`);
+    return { slug: filter.slug, deleted: deletedCount };
+  }
+
+  /**
+   * Artículos activos que contienen algún término (en título, tags o fragmentos)
+   */
+  async findCandidates(domain, terms, locale) {
+    const termRegex = new RegExp(terms.map(escapeRegex).join('|'));
+    const filter = {
+      domain,
+      isActive: true,
+      $or: [
+        { normalizedTitle: termRegex },
+        { normalizedTags: termRegex },
+        { 'chunks.normalized': termRegex },
+      ],
+    };
+    if (locale) filter.locale = locale;
+
+    const KnowledgeArticle = getKnowledgeArticleModel();
+    return KnowledgeArticle
+      .find(filter)
+      .limit(CANDIDATE_LIMIT)
+      .select('slug locale title tags normalizedTitle normalizedTags chunks')
+      .lean();
+  }
+
+  /**
+   * Puntaje de cada artículo: su mejor fragmento (frecuencia × rareza de cada
+   * término entre los fragmentos candidatos) más los términos en título y tags
+   */
+  rankArticles(articles, terms) {
+    const chunkTerms = new Map();
+    const documentFrequency = new Map(terms.map(term => [term, 0]));
+    let totalChunks = 0;
+
+    for (const article of articles) {
+      for (const chunk of article.chunks || []) {
+        const tokens = tokenize(chunk.normalized || chunk.text);
+        chunkTerms.set(chunk, tokens);
+        totalChunks += 1;
+        for (const term of terms) {
+          if (tokens.some(token => matchesTerm(token, term))) documentFrequency.set(term, documentFrequency.get(term) + 1);
+        }
+      }
+    }
+
+    return articles
+      .map(article => {
+        const titleTokens = tokenize(article.normalizedTitle || article.title);
+        const tagTokens = (article.normalizedTags || []).flatMap(tokenize);
+
+        let bestChunk = null;
+        let bestScore = 0;
+        for (const chunk of article.chunks || []) {
+          const tokens = chunkTerms.get(chunk);
+          let score = 0;
+          for (const term of terms) {
+            const frequency = tokens.filter(token => matchesTerm(token, term)).length;
+            if (frequency > 0) {
+              const rarity = Math.log(1 + totalChunks / documentFrequency.get(term));
+              score += (1 + Math.log(frequency)) * rarity;
+            }
+          }
+          if (!bestChunk || score > bestScore) {
+            bestChunk = chunk;
+            bestScore = score;
+          }
+        }
+
+        let boost = 0;
+        for (const term of terms) {
+          if (titleTokens.some(token => matchesTerm(token, term))) boost += TITLE_WEIGHT;
+          if (tagTokens.some(token => matchesTerm(token, term))) boost += TAG_WEIGHT;
+        }
+
+        return { article, chunk: bestChunk, score: bestScore + boost };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Busca en la base de conocimiento del dominio
+   * (sin resultados en el idioma pedido, busca en todos)
+   * @param {Object} params - { query, locale?, limit? }
+   * @returns {Promise<Object>} - { query, count, articles: [{ articleId, slug, title, locale, excerpt, score }] }
+   */
+  async search(domain, { query, locale, limit = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+      throw new ValidationError('The question has no searchable words');
+    }
+    const max = Math.min(Math.max(parseInt(limit, 10) || 3, 1), MAX_RESULTS);
+
+    let ranked = this.rankArticles(await this.findCandidates(domain, terms, locale), terms);
+    if (ranked.length === 0 && locale) {
+      ranked = this.rankArticles(await this.findCandidates(domain, terms, null), terms);
+    }
+
+    const articles = ranked.slice(0, max).map(({ article, chunk, score }) => ({
+      articleId: article._id.toString(),
+      slug: article.slug,
+      title: article.title,
+      locale: article.locale,
+      excerpt: chunk ? chunk.text : '',
+      score: Math.round(score * 100) / 100,
+    }));
+
+    logger.info(`[KnowledgeBase] ${domain}: ${articles.length} articles for "${query}" [${terms.join(', ')}]`);
+    return { query, count: articles.length, articles };
+  }
+}
+
+module.exports = new KnowledgeBaseService();
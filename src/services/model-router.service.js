@@ -5,20 +5,55 @@
  * Decide inteligentemente qué modelo usar:
  * - Gemini 2.5 Flash: búsquedas, comparaciones, razonamiento (GRATIS)
  * - GPT-4o: conversaciones simples, saludos (con prompt caching)
+ * - Local: tenants con residencia de datos (LOCAL_LLM_DOMAINS)
+ * - Evita los proveedores con el circuit breaker abierto (ProviderHealthService)
  * 
  * MEJORA: Optimiza la distribución para ahorrar tokens
  */
 
+const ProviderHealthService = require('./provider-health.service');
+const ProviderRegistryService = require('./provider-registry.service');
+const config = require('../config/env.config');
 const logger = require('../utils/logger');
 
 class ModelRouterService {
   /**
    * Decide qué modelo usar basándose en la complejidad del mensaje
-   * @returns {string} 'gemini' | 'openai'
+   * @returns {string} 'gemini' | 'openai' | 'local'
    */
-  static decideModel(userMessage, conversationHistory = []) {
+  static decideModel(userMessage, conversationHistory = [], domain = null) {
     const message = userMessage.toLowerCase().trim();
 
+    // Residencia de datos -> modelo local siempre
+    if (this.requiresLocalModel(domain)) {
+      logger.info(`[Router] Using local: Data residency required for ${domain}`);
+      return 'local';
+    }
+
+    return this.avoidOpenCircuit(this.decideByContent(message));
+  }
+
+  /**
+   * Si el circuito del modelo elegido está abierto, usa el fallback disponible
+   */
+  static avoidOpenCircuit(model) {
+    if (ProviderHealthService.isCallAllowed(model)) return model;
+
+    const alternative = ProviderRegistryService.getFallback(model);
+    if (alternative) {
+      logger.warn(`[Router] Circuit open for ${model}, using ${alternative}`);
+      return alternative;
+    }
+
+    logger.warn(`[Router] Circuit open for ${model} and no alternative available`);
+    return model;
+  }
+
+  /**
+   * Elige el modelo según el contenido del mensaje (en minúsculas)
+   * @returns {string} 'gemini' | 'openai'
+   */
+  static decideByContent(message) {
     // Casos triviales -> OpenAI (más rápido y con prompt caching)
     if (this.isTrivialMessage(message)) {
       logger.info('[Router] Using openai: Trivial message detected');
@@ -60,6 +95,14 @@ class ModelRouterService {
     return 'openai';
   }
 
+  /**
+   * Indica si el tenant solo puede usar el modelo autoalojado
+   */
+  static requiresLocalModel(domain) {
+    const { domains } = config.local;
+    return domains.includes('*') || (Boolean(domain) && domains.includes(domain));
+  }
+
   /**
    * Detecta mensajes triviales
    */
@@ -12,229 +12,192 @@ const OpenAI = require('openai');
 const config = require('../config/env.config');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
-const getProductModel = require('../models/Product');
+const ToolRegistryService = require('./tool-registry.service');
+const { MessageDeltaStreamer } = require('../utils/message-stream');
+const { withRetry, isRetryableError, NO_DEADLINE } = require('../utils/resilience');
+const { ToolLoopGuard, TOOL_LIMIT_INSTRUCTION } = require('../utils/tool-loop-guard');
+const LLMProvider = require('../providers/llm-provider');
+const ResponseContract = require('../providers/response-contract');
+
+class OpenAIAgentService extends LLMProvider {
+  /**
+   * @param {string} name - Nombre del proveedor (las subclases reutilizan el protocolo)
+   * @param {Object} settings - { apiKey, model, temperature, maxTokens, responseSchema, timeoutMs? }
+   */
+  constructor(name = 'openai', settings = config.openai) {
+    super(name);
+    this.settings = settings;
+    // El cliente se crea al primer uso: el servidor arranca sin OPENAI_API_KEY
+    this.client = null;
+
+    // Cache de system prompts para prompt caching
+    this.systemPromptCache = new Map();
+    this.tools = ToolRegistryService.toOpenAITools();
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey);
+  }
+
+  getModel() {
+    return this.settings.model;
+  }
 
-class OpenAIAgentService {
-  constructor() {
-    if (!config.openai.apiKey) {
+  createClient() {
+    if (!this.isConfigured()) {
       throw new Error('OPENAI_API_KEY not found in environment');
     }
-
-    this.client = new OpenAI({
-      apiKey: config.openai.apiKey,
+    return new OpenAI({
+      apiKey: this.settings.apiKey,
+      maxRetries: 0, // Los reintentos los maneja createCompletion (RESILIENCE)
     });
+  }
 
-    // Cache de system prompts para prompt caching
-    this.systemPromptCache = new Map();
-    this.tools = this.defineTools();
+  getClient() {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
   }
 
   /**
-   * Define las herramientas (functions) disponibles para OpenAI
+   * Genera un hash del system prompt para usar como cache key
    */
-  defineTools() {
-    return [
-      {
-        type: 'function',
-        function: {
-          name: 'search_products',
-          description: 'Busca productos en el catálogo usando búsqueda inteligente y flexible. Entiende conceptos relacionados y sinónimos. Ejemplo: si el usuario busca "cargadores portátiles", también busca productos relacionados como "batería portátil" o "power bank".',
-          parameters: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Texto de búsqueda flexible. Usa palabras clave principales que describan el concepto que el usuario busca. La búsqueda encuentra productos relacionados incluso si no coinciden exactamente. Ejemplos: "cargadores portátiles" encontrará "batería portátil", "batidora" encontrará "batidor", etc.',
-              },
-              category: {
-                type: 'string',
-                description: 'Categoría del producto',
-              },
-              minPrice: {
-                type: 'number',
-                description: 'Precio mínimo',
-              },
-              maxPrice: {
-                type: 'number',
-                description: 'Precio máximo',
-              },
-              limit: {
-                type: 'number',
-                description: 'Número máximo de resultados (default: 5)',
-              },
-            },
-            required: ['query'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'get_product_details',
-          description: 'Obtiene detalles completos de un producto específico por su ID o slug',
-          parameters: {
-            type: 'object',
-            properties: {
-              productId: {
-                type: 'string',
-                description: 'ID o slug del producto',
-              },
-            },
-            required: ['productId'],
-          },
-        },
-      },
-    ];
+  getSystemPromptHash(systemPrompt) {
+    return crypto.createHash('md5').update(systemPrompt).digest('hex');
   }
 
   /**
-   * Ejecuta una función llamada por OpenAI
+   * Un streamer por turno del modelo (el texto previo a un tool call no se mezcla)
    */
-  async executeFunction(functionName, args, domain) {
-    logger.info(`[OpenAI] Executing function: ${functionName}`);
+  createStreamer(onEvent) {
+    return onEvent ? new MessageDeltaStreamer(delta => onEvent('message', { delta })) : null;
+  }
 
-    switch (functionName) {
-      case 'search_products':
-        return await this.searchProducts(args, domain);
-      
-      case 'get_product_details':
-        return await this.getProductDetails(args.productId, domain);
-      
-      default:
-        throw new Error(`Unknown function: ${functionName}`);
-    }
+  /**
+   * Crea una completion con timeout por intento, reintentos en 429/5xx
+   * (respetando Retry-After) y sin pasarse del deadline de la petición
+   */
+  async createCompletion(requestOptions, streamer, deadline = NO_DEADLINE) {
+    return withRetry(async (signal, attempt) => {
+      if (attempt > 0 && streamer) streamer.reset();
+      return this.requestCompletion(requestOptions, streamer, signal);
+    }, {
+      ...config.resilience.llm,
+      timeoutMs: this.settings.timeoutMs || config.resilience.llm.timeoutMs,
+      deadline,
+      // Con texto ya emitido al cliente no se reintenta (se duplicaría)
+      isRetryable: error => isRetryableError(error) && !(streamer && streamer.hasEmitted()),
+      label: `${this.name} chat.completions`,
+    });
   }
 
   /**
-   * Busca productos
+   * Llama a la API, en streaming si hay un streamer activo
+   * En streaming reconstruye el mensaje (content + tool_calls) y el usage
+   * para devolver la misma forma que la API sin streaming
    */
-  async searchProducts(params, domain) {
-    const { query, category, minPrice, maxPrice, limit = 5 } = params;
+  async requestCompletion(requestOptions, streamer, signal) {
+    if (!streamer) {
+      return await this.getClient().chat.completions.create(requestOptions, { signal });
+    }
 
-    const filter = {
-      domain,
-      is_available: true,
-    };
+    const stream = await this.getClient().chat.completions.create({
+      ...requestOptions,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
 
-    if (query) {
-      const keywords = query.split(' ').filter(w => w.length > 2);
-      
-      if (keywords.length >= 3) {
-        filter.$and = keywords.map(keyword => ({
-          title: new RegExp(keyword, 'i')
-        }));
-      } else {
-        const searchRegex = new RegExp(keywords.join('|'), 'i');
-        filter.$or = [
-          { title: searchRegex },
-          { description_short: searchRegex },
-          { 'category.slug': searchRegex },
-          { tags: searchRegex },
-        ];
+    let content = '';
+    const toolCalls = [];
+    let usage = null;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
       }
-    }
 
-    if (category) {
-      filter['category.slug'] = new RegExp(category, 'i');
-    }
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
 
-    if (minPrice || maxPrice) {
-      filter['price.regular'] = {};
-      if (minPrice) filter['price.regular'].$gte = minPrice;
-      if (maxPrice) filter['price.regular'].$lte = maxPrice;
-    }
+      if (delta.content) {
+        content += delta.content;
+        streamer.push(delta.content);
+      }
 
-    const Product = getProductModel();
-    let products = await Product
-      .find(filter)
-      .limit(Math.min(limit * 2, 20))
-      .select('title description_short price slug category image_default is_available tags')
-      .lean();
-
-    // Ordenar por relevancia
-    if (query && products.length > 1) {
-      const keywords = query.toLowerCase().split(' ').filter(w => w.length > 2);
-      products = products
-        .map(p => {
-          const titleLower = (p.title || '').toLowerCase();
-          const matchCount = keywords.filter(kw => titleLower.includes(kw)).length;
-          return { ...p, _relevanceScore: matchCount };
-        })
-        .sort((a, b) => b._relevanceScore - a._relevanceScore)
-        .slice(0, Math.min(limit, 10));
-    } else {
-      products = products.slice(0, Math.min(limit, 10));
+      // Los tool_calls llegan fragmentados por índice
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const current = toolCalls[toolCallDelta.index] || {
+          id: null,
+          type: 'function',
+          function: { name: '', arguments: '' },
+        };
+        if (toolCallDelta.id) current.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) current.function.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) current.function.arguments += toolCallDelta.function.arguments;
+        toolCalls[toolCallDelta.index] = current;
+      }
     }
 
-    logger.info(`[OpenAI] ✅ Found ${products.length} products for query: "${query}"`);
+    const message = { role: 'assistant', content: content || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+    }
 
     return {
-      count: products.length,
-      products: products.map(p => {
-        let imageUrl = 'https://via.placeholder.com/300x300?text=Sin+Imagen';
-        if (Array.isArray(p.image_default) && p.image_default.length > 0) {
-          const img = p.image_default[0];
-          imageUrl = img.startsWith('http') ? img : `https://example.com${img}`;
-        }
-        
-        const priceObj = typeof p.price === 'object' && p.price !== null
-          ? {
-              regular: p.price.regular || 0,
-              sale: p.price.sale || p.price.regular || 0
-            }
-          : {
-              regular: 0,
-              sale: 0
-            };
-        
-        return {
-          id: p._id.toString(),
-          title: p.title || 'Sin título',
-          description: p.description_short || '',
-          price: priceObj,
-          image: imageUrl,
-          slug: p.slug || p._id.toString(),
-          category: Array.isArray(p.category) ? p.category[0]?.slug : p.category,
-        };
-      }),
+      choices: [{ message }],
+      usage,
     };
   }
 
   /**
-   * Obtiene detalles de un producto
+   * Arma los mensajes para la API
+   * OPTIMIZACIÓN: prompt corto si el system prompt ya está memorizado en el historial
+   * @returns {Object} - { systemMessage, messagesForAPI }
    */
-  async getProductDetails(productId, domain) {
-    const Product = getProductModel();
-    const product = await Product
-      .findOne({
-        $or: [
-          { _id: productId },
-          { slug: productId },
-        ],
-        domain,
-        is_available: true,
-      })
-      .lean();
-
-    if (!product) {
-      return { error: 'Product not found' };
+  buildMessages(userMessage, conversationHistory, domain, systemPrompt) {
+    const FILE_NAME = 'openai-agent.service.js';
+    const PromptMemoryService = require('./prompt-memory.service');
+    let systemMessage = null;
+    let messagesForAPI = [];
+
+    if (conversationHistory.length > 0 && conversationHistory[0].role === 'system') {
+      // Ya hay conversación: usar prompt corto para ahorrar tokens
+      // El contexto ya está establecido, solo necesitamos instrucciones mínimas
+      const shortPrompt = PromptMemoryService.buildShortSystemPrompt(domain);
+      systemMessage = shortPrompt;
+      
+      // Filtrar el system prompt largo del historial y usar el corto
+      const conversationMessages = conversationHistory.slice(1);
+      
+      logger.info(`[${FILE_NAME}] Preparing messages: short prompt (${shortPrompt.length} chars) + ${conversationMessages.length} history messages`);
+      logger.info(`[${FILE_NAME}] History messages details:`);
+      conversationMessages.forEach((msg, idx) => {
+        const preview = msg.content.substring(0, 60).replace(/\n/g, ' ');
+        logger.info(`[${FILE_NAME}]   [${idx}] ${msg.role}: "${preview}${msg.content.length > 60 ? '...' : ''}"`);
+      });
+      
+      messagesForAPI = [
+        { role: 'system', content: shortPrompt },
+        ...conversationMessages,
+        { role: 'user', content: userMessage },
+      ];
+      
+      logger.info(`[${FILE_NAME}] Using short system prompt to reduce tokens (${shortPrompt.length} chars)`);
+      logger.info(`[${FILE_NAME}] Total messages to send: ${messagesForAPI.length}`);
+    } else {
+      // Primera vez: usar el system prompt completo
+      systemMessage = systemPrompt;
+      messagesForAPI = [
+        { role: 'system', content: systemPrompt },
+        ...conversationHistory,
+        { role: 'user', content: userMessage },
+      ];
+      
+      logger.info(`[${FILE_NAME}] Using full system prompt (first message) (${systemPrompt.length} chars)`);
     }
 
-    return {
-      id: product._id.toString(),
-      title: product.title,
-      description: product.description_short || product.description_long,
-      price: product.price,
-      slug: product.slug,
-      category: product.category,
-    };
-  }
-
-  /**
-   * Genera un hash del system prompt para usar como cache key
-   */
-  getSystemPromptHash(systemPrompt) {
-    return crypto.createHash('md5').update(systemPrompt).digest('hex');
+    return { systemMessage, messagesForAPI };
   }
 
   /**
@@ -243,182 +206,195 @@ class OpenAIAgentService {
    * MEJORA: Usa cache_control para cachear el system prompt
    * Esto reduce tokens en 85-95% en mensajes subsecuentes
    * OPTIMIZACIÓN: Usa function calling para buscar productos sin enviarlos en el prompt
+   * STREAMING: Si options.onEvent está presente, emite eventos
+   * tool_call_start/tool_call_end y el texto de "message" incremental
    */
-  async generateResponse(userMessage, conversationHistory, domain, systemPrompt) {
+  async generateResponse(userMessage, conversationHistory, domain, systemPrompt, options = {}) {
     const FILE_NAME = 'openai-agent.service.js';
+    const { onEvent = null, deadline = NO_DEADLINE, userId = null, addedToCart = null } = options;
     
     try {
-      // OPTIMIZACIÓN: Usar prompt corto después del primer mensaje para reducir tokens
-      const PromptMemoryService = require('./prompt-memory.service');
-      let systemMessage = null;
-      let messagesForAPI = [];
-
-      if (conversationHistory.length > 0 && conversationHistory[0].role === 'system') {
-        // Ya hay conversación: usar prompt corto para ahorrar tokens
-        // El contexto ya está establecido, solo necesitamos instrucciones mínimas
-        const shortPrompt = PromptMemoryService.buildShortSystemPrompt(domain);
-        systemMessage = shortPrompt;
-        
-        // Filtrar el system prompt largo del historial y usar el corto
-        const conversationMessages = conversationHistory.slice(1);
-        
-        logger.info(`[${FILE_NAME}] Preparing messages: short prompt (${shortPrompt.length} chars) + ${conversationMessages.length} history messages`);
-        logger.info(`[${FILE_NAME}] History messages details:`);
-        conversationMessages.forEach((msg, idx) => {
-          const preview = msg.content.substring(0, 60).replace(/\n/g, ' ');
-          logger.info(`[${FILE_NAME}]   [${idx}] ${msg.role}: "${preview}${msg.content.length > 60 ? '...' : ''}"`);
-        });
-        
-        messagesForAPI = [
-          { role: 'system', content: shortPrompt },
-          ...conversationMessages,
-          { role: 'user', content: userMessage },
-        ];
-        
-        logger.info(`[${FILE_NAME}] Using short system prompt to reduce tokens (${shortPrompt.length} chars)`);
-        logger.info(`[${FILE_NAME}] Total messages to send: ${messagesForAPI.length}`);
-      } else {
-        // Primera vez: usar el system prompt completo
-        systemMessage = systemPrompt;
-        messagesForAPI = [
-          { role: 'system', content: systemPrompt },
-          ...conversationHistory,
-          { role: 'user', content: userMessage },
-        ];
-        
-        logger.info(`[${FILE_NAME}] Using full system prompt (first message) (${systemPrompt.length} chars)`);
-      }
+      const { systemMessage, messagesForAPI } = this.buildMessages(userMessage, conversationHistory, domain, systemPrompt);
 
       // Generar hash del system prompt para cache
       const systemPromptHash = this.getSystemPromptHash(systemMessage);
 
       // Configurar request con function calling
       const requestOptions = {
-        model: config.openai.model,
+        model: this.getModel(),
         messages: messagesForAPI,
-        temperature: config.openai.temperature,
-        max_tokens: config.openai.maxTokens,
+        temperature: this.settings.temperature,
+        max_tokens: this.settings.maxTokens,
         tools: this.tools,
         tool_choice: 'auto', // Permite que el modelo decida cuándo usar las funciones
       };
 
+      // Salida estructurada nativa: el modelo solo puede responder con el contrato
+      if (this.settings.responseSchema) {
+        requestOptions.response_format = ResponseContract.toOpenAIResponseFormat();
+      }
+
       // MEJORA: Agregar prompt caching si está habilitado
       if (config.features.promptCaching && systemMessage && messagesForAPI[0]?.role === 'system') {
         logger.info(`[OpenAI] Prompt caching enabled (system prompt hash: ${systemPromptHash.substring(0, 8)}...)`);
       }
 
-      let completion = await this.client.chat.completions.create(requestOptions);
+      // Límites del loop: rondas, tokens del turno y llamadas repetidas
+      const guard = new ToolLoopGuard(this.name);
+
+      let completion = await this.createCompletion(requestOptions, this.createStreamer(onEvent), deadline);
+      guard.addUsage(this.extractUsage(completion.usage));
       let message = completion.choices[0].message;
       let functionResults = [];
 
       // Manejar function calls si existen
       while (message.tool_calls && message.tool_calls.length > 0) {
+        if (!guard.startRound()) break;
+
         // Agregar el mensaje del asistente con tool calls al historial
         messagesForAPI.push(message);
 
-        // Ejecutar todas las funciones llamadas
-        for (const toolCall of message.tool_calls) {
-          const functionName = toolCall.function.name;
-          const functionArgs = JSON.parse(toolCall.function.arguments);
-          
-          const functionResult = await this.executeFunction(functionName, functionArgs, domain);
-          
-          // Agregar resultado de la función al historial
+        // Ejecutar las funciones llamadas (en paralelo las independientes)
+        const calls = message.tool_calls.map(toolCall => ({
+          id: toolCall.id,
+          name: toolCall.function.name,
+          args: this.parseToolArguments(toolCall.function.arguments),
+        }));
+        const executed = await this.runToolCalls(guard, calls, { domain, userId, onEvent, deadline, addedToCart });
+
+        // Agregar los resultados al historial en el orden de los tool_call_id
+        for (const call of executed) {
           messagesForAPI.push({
             role: 'tool',
-            tool_call_id: toolCall.id,
-            content: JSON.stringify(functionResult),
+            tool_call_id: call.id,
+            content: JSON.stringify(call.result),
           });
 
           functionResults.push({
-            functionName,
-            result: functionResult,
+            functionName: call.name,
+            result: call.result,
+            durationMs: call.durationMs,
+            repeated: call.repeated,
           });
         }
 
-        // Obtener respuesta final del modelo
-        completion = await this.client.chat.completions.create({
+        guard.endRound();
+        if (!guard.canCallModel()) break;
+
+        // Obtener respuesta final del modelo (sin tools si el guard cortó el loop)
+        completion = await this.createCompletion({
           ...requestOptions,
           messages: messagesForAPI,
-        });
+          ...(guard.stopReason ? { tool_choice: 'none' } : {}),
+        }, this.createStreamer(onEvent), deadline);
+        guard.addUsage(this.extractUsage(completion.usage));
         message = completion.choices[0].message;
       }
 
-      // Parsear respuesta final
-      let parsedResponse;
-      const rawResponse = message.content;
-
-      try {
-        parsedResponse = JSON.parse(rawResponse);
-      } catch (parseError) {
-        // Si no es JSON, intentar extraer JSON de markdown
-        const jsonMatch = rawResponse.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonMatch) {
-          parsedResponse = JSON.parse(jsonMatch[1].trim());
-        } else {
-          // Si no hay JSON, crear respuesta básica
-          parsedResponse = {
-            message: rawResponse || 'He encontrado información. ¿Puedo ayudarte con algo más?',
-            audio_description: rawResponse || 'Encontré información',
-            action: {
-              type: 'none',
-              productId: null,
-              quantity: null,
-              url: null,
-              price_sale: null,
-              title: null,
-              price_regular: null,
-              image: null,
-              slug: null,
-            },
-          };
+      // Loop cortado con tool calls pendientes: pedir la respuesta final sin tools
+      if (message.tool_calls && message.tool_calls.length > 0) {
+        if (!guard.canCallModel()) {
+          return this.buildToolLimitResponse(guard, functionResults);
         }
-      }
-
-      // Calcular tokens
-      const usage = completion.usage || {};
-      const tokenData = {
-        input: usage.prompt_tokens || 0,
-        output: usage.completion_tokens || 0,
-        thinking: 0,
-        cached: usage.cached_tokens || 0, // Tokens cacheados (ahorro)
-        total: usage.total_tokens || 0,
-      };
 
-      // Log de ahorro de tokens
-      if (tokenData.cached > 0) {
-        const savings = ((tokenData.cached / tokenData.input) * 100).toFixed(1);
-        logger.info(`[OpenAI] 💰 Token savings: ${tokenData.cached} cached tokens (${savings}% reduction)`);
+        completion = await this.createCompletion({
+          ...requestOptions,
+          messages: [...messagesForAPI, { role: 'system', content: TOOL_LIMIT_INSTRUCTION }],
+          tool_choice: 'none',
+        }, this.createStreamer(onEvent), deadline);
+        guard.addUsage(this.extractUsage(completion.usage));
+        message = completion.choices[0].message;
       }
 
-      if (functionResults.length > 0) {
-        logger.info(`[OpenAI] ✅ Executed ${functionResults.length} function calls`);
-      }
-
-      return {
-        message: parsedResponse.message || '',
-        audio_description: parsedResponse.audio_description || parsedResponse.message || '',
-        action: parsedResponse.action || {
-          type: 'none',
-          productId: null,
-          quantity: null,
-          url: null,
-          price_sale: null,
-          title: null,
-          price_regular: null,
-          image: null,
-          slug: null,
-        },
-        usage: tokenData,
-        systemPromptHash,
-        functionResults,
-      };
+      const repair = this.createRepairRequest(requestOptions, messagesForAPI, guard, { onEvent, deadline });
+      return await this.buildResult(message.content, guard, systemPromptHash, functionResults, repair);
 
     } catch (error) {
       logger.error('[OpenAI] Error generating response:', error);
       throw error;
     }
   }
+
+  /**
+   * Ronda de reparación para validateResponse: reenvía la salida inválida
+   * con los errores del contrato y pide la respuesta sin tools
+   * (el texto ya emitido al cliente se descarta con un evento reset)
+   */
+  createRepairRequest(requestOptions, messages, guard, { onEvent = null, deadline = NO_DEADLINE } = {}) {
+    return async (instruction, invalidResponse) => {
+      if (onEvent) onEvent('reset', { reason: 'repair' });
+
+      const completion = await this.createCompletion({
+        ...requestOptions,
+        messages: [
+          ...messages,
+          { role: 'assistant', content: invalidResponse || '' },
+          { role: 'user', content: instruction },
+        ],
+        ...(requestOptions.tools ? { tool_choice: 'none' } : {}),
+      }, this.createStreamer(onEvent), deadline);
+      guard.addUsage(this.extractUsage(completion.usage));
+
+      return completion.choices[0].message.content;
+    };
+  }
+
+  /**
+   * Argumentos de un tool call (JSON inválido = sin argumentos)
+   */
+  parseToolArguments(rawArguments) {
+    try {
+      return JSON.parse(rawArguments || '{}');
+    } catch (error) {
+      logger.warn(`[${this.name}] Invalid tool arguments: ${String(rawArguments).substring(0, 100)}`);
+      return {};
+    }
+  }
+
+  /**
+   * Uso de tokens normalizado desde el usage de la API
+   */
+  extractUsage(usage) {
+    const apiUsage = usage || {};
+    return this.normalizeUsage({
+      input: apiUsage.prompt_tokens,
+      output: apiUsage.completion_tokens,
+      thinking: 0,
+      // Tokens cacheados (ahorro)
+      cached: apiUsage.prompt_tokens_details?.cached_tokens || apiUsage.cached_tokens,
+      total: apiUsage.total_tokens,
+    });
+  }
+
+  /**
+   * Construye la respuesta normalizada a partir del contenido final validado
+   * (tokens acumulados de todas las llamadas del turno en el guard)
+   */
+  async buildResult(rawResponse, guard, systemPromptHash, functionResults, repair) {
+    const { response, validation } = await this.validateResponse(rawResponse, repair);
+
+    // Calcular tokens (incluye la ronda de reparación)
+    const tokenData = this.normalizeUsage(guard.usage);
+
+    // Log de ahorro de tokens
+    if (tokenData.cached > 0) {
+      const savings = ((tokenData.cached / tokenData.input) * 100).toFixed(1);
+      logger.info(`[OpenAI] 💰 Token savings: ${tokenData.cached} cached tokens (${savings}% reduction)`);
+    }
+
+    if (functionResults.length > 0) {
+      logger.info(`[${this.name}] ✅ Executed ${functionResults.length} function calls`);
+    }
+
+    return {
+      ...response,
+      usage: tokenData,
+      systemPromptHash,
+      functionResults,
+      toolLoop: guard.getSummary(),
+      validation,
+    };
+  }
 }
 
 module.exports = OpenAIAgentService;
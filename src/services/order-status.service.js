@@ -0,0 +1,219 @@
+/**
+ * ============================================
+ * ORDER STATUS SERVICE
+ * ============================================
+ * Estado de un pedido ("¿dónde está mi pedido?") desde una fuente
+ * de pedidos intercambiable (ORDER_SOURCE):
+ * - mongo: colección orders de la base principal (default)
+ * - http: API de pedidos de la tienda (ORDER_API_URL)
+ * - cualquier otra registrada con registerSource()
+ *
+ * El pedido solo se muestra si el número de pedido coincide con el
+ * email o el teléfono del cliente. Pedido inexistente y verificación
+ * fallida dan el mismo error, y el resumen nunca incluye los datos
+ * del cliente.
+ */
+
+const axios = require('axios');
+const getOrderModel = require('../models/Order');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { withRetry, NO_DEADLINE } = require('../utils/resilience');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Estado del pedido → descripción para el prompt
+const STATUS_LABELS = {
+  pending: 'pendiente de pago',
+  confirmed: 'confirmado',
+  processing: 'en preparación',
+  shipped: 'enviado',
+  in_transit: 'en camino',
+  out_for_delivery: 'en reparto (llega hoy)',
+  delivered: 'entregado',
+  cancelled: 'cancelado',
+  returned: 'devuelto',
+};
+
+// Dígitos del teléfono que se comparan (ignora el código de país)
+const PHONE_MATCH_DIGITS = 9;
+const MIN_PHONE_DIGITS = 7;
+
+function onlyDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Número de pedido sin "#" ni espacios
+ */
+function normalizeOrderNumber(orderNumber) {
+  return String(orderNumber || '').trim().replace(/^#\s*/, '');
+}
+
+/**
+ * Fuente: colección orders (base principal)
+ */
+const mongoSource = {
+  isConfigured() {
+    return true;
+  },
+
+  async findOrder(domain, orderNumber) {
+    const Order = getOrderModel();
+    return Order.findOne({ domain, orderNumber: { $in: [orderNumber, `#${orderNumber}`] } }).lean();
+  },
+};
+
+/**
+ * Fuente: API de pedidos de la tienda
+ * GET {ORDER_API_URL}/orders/:orderNumber → pedido con la forma del modelo Order (404 = no existe)
+ */
+const httpSource = {
+  isConfigured() {
+    return Boolean(config.orders.apiUrl);
+  },
+
+  async findOrder(domain, orderNumber, { deadline = NO_DEADLINE } = {}) {
+    const headers = { domain };
+    if (config.orders.apiKey) {
+      headers.Authorization = `Bearer ${config.orders.apiKey}`;
+    }
+
+    try {
+      const { data } = await withRetry(signal => axios.get(`${config.orders.apiUrl}/orders/${encodeURIComponent(orderNumber)}`, {
+        headers,
+        signal,
+      }), {
+        ...config.resilience.orderApi,
+        deadline,
+        label: 'order API',
+      });
+
+      return data?.order || data || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+};
+
+class OrderStatusService {
+  constructor() {
+    this.sources = new Map();
+
+    this.registerSource('mongo', mongoSource);
+    this.registerSource('http', httpSource);
+  }
+
+  /**
+   * Registra una fuente de pedidos
+   * @param {string} name - Nombre (el valor de ORDER_SOURCE)
+   * @param {Object} source - { isConfigured(), findOrder(domain, orderNumber, { deadline }) → pedido o null }
+   */
+  registerSource(name, source) {
+    if (this.sources.has(name)) {
+      throw new Error(`Order source already registered: ${name}`);
+    }
+    this.sources.set(name, source);
+  }
+
+  /**
+   * Fuente configurada en ORDER_SOURCE
+   */
+  getSource() {
+    const source = this.sources.get(config.orders.source);
+    if (!source) {
+      throw new Error(`Unknown order source: ${config.orders.source}`);
+    }
+    return source;
+  }
+
+  isEnabled() {
+    const source = this.sources.get(config.orders.source);
+    return Boolean(source && source.isConfigured());
+  }
+
+  /**
+   * Si el email o el teléfono dados coinciden con los del cliente del pedido
+   */
+  verifyCustomer(order, { email, phone }) {
+    const customer = order.customer || {};
+
+    if (email && customer.email) {
+      if (String(email).trim().toLowerCase() === String(customer.email).trim().toLowerCase()) {
+        return true;
+      }
+    }
+
+    if (phone && customer.phone) {
+      const given = onlyDigits(phone);
+      const stored = onlyDigits(customer.phone);
+      if (given.length >= MIN_PHONE_DIGITS && given.slice(-PHONE_MATCH_DIGITS) === stored.slice(-PHONE_MATCH_DIGITS)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Resumen del pedido para el bot (sin datos del cliente ni dirección)
+   */
+  toPublic(order) {
+    const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+    const lastUpdate = history.length > 0 ? history[history.length - 1] : null;
+    const shipping = order.shipping || {};
+
+    return {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      statusLabel: STATUS_LABELS[order.status] || order.status,
+      placedAt: order.createdAt || null,
+      items: (order.items || []).map(item => ({ title: item.title, quantity: item.quantity })),
+      total: order.total ?? null,
+      shipping: {
+        carrier: shipping.carrier || null,
+        trackingNumber: shipping.trackingNumber || null,
+        trackingUrl: shipping.trackingUrl || null,
+        estimatedDelivery: shipping.estimatedDelivery || null,
+      },
+      lastUpdate: lastUpdate
+        ? { status: lastUpdate.status, date: lastUpdate.date, note: lastUpdate.note || null }
+        : null,
+    };
+  }
+
+  /**
+   * Busca un pedido y verifica al cliente
+   * @param {Object} params - { orderNumber, email?, phone? }
+   * @returns {Promise<Object>} - Resumen público del pedido
+   * @throws {ValidationError} - Faltan el número de pedido o el dato de verificación
+   * @throws {NotFoundError} - No existe o no coincide la verificación (mismo mensaje)
+   */
+  async lookup(domain, { orderNumber, email, phone } = {}, { deadline = NO_DEADLINE } = {}) {
+    if (!this.isEnabled()) {
+      throw new ValidationError('Order status lookup is not available for this store');
+    }
+
+    const number = normalizeOrderNumber(orderNumber);
+    if (!number) {
+      throw new ValidationError('The order number is required');
+    }
+    if (!email && !phone) {
+      throw new ValidationError('The email or phone used in the order is required to verify the customer');
+    }
+
+    const order = await this.getSource().findOrder(domain, number, { deadline });
+
+    if (!order || !this.verifyCustomer(order, { email, phone })) {
+      logger.warn(`[OrderStatus] ${domain}: lookup failed for order ${number} (${order ? 'verification mismatch' : 'not found'})`);
+      throw new NotFoundError('No order matches that order number and email/phone');
+    }
+
+    logger.info(`[OrderStatus] ${domain}: order ${number} is ${order.status}`);
+    return this.toPublic(order);
+  }
+}
+
+module.exports = new OrderStatusService();
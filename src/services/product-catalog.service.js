@@ -0,0 +1,900 @@
+/**
+ * ============================================
+ * PRODUCT CATALOG SERVICE
+ * ============================================
+ * Consultas al catálogo compartidas por todos los tools
+ * (búsqueda, detalle, precio y comparación)
+ */
+
+const getProductModel = require('../models/Product');
+const getConversationModel = require('../models/Conversation');
+const ProductVectorIndexService = require('./product-vector-index.service');
+const SearchDictionaryService = require('./search-dictionary.service');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { NO_DEADLINE } = require('../utils/resilience');
+const { ValidationError } = require('../utils/errors');
+const { formatProductSummary, formatProductDetails, formatPrice, formatCategory, formatAttributes } = require('../utils/product-formatter');
+
+const SEARCH_FIELDS = 'title description_short description_long price slug category image_default is_available tags stock variants createdAt';
+const MAX_RESULTS = 10; // Resultados por página
+const FACET_SAMPLE = 500; // Productos revisados para las facetas de una búsqueda sin texto o con muchos candidatos
+const MAX_FACET_VALUES = 8;
+const PRICE_BANDS = 4;
+
+const SEARCH_SORTS = ['relevance', 'price_asc', 'price_desc', 'newest'];
+
+// Parámetros de búsqueda que se recuerdan en la conversación (metadata.productSearch)
+const SEARCH_PARAMS = ['query', 'category', 'minPrice', 'maxPrice', 'size', 'color', 'locale', 'sort', 'limit'];
+const SEARCH_CRITERIA = ['query', 'category', 'minPrice', 'maxPrice', 'size', 'color'];
+
+// Precio vigente en Mongo: el de oferta si lo hay, si no el regular (como getCurrentPrice)
+const CURRENT_PRICE = { $cond: [{ $gt: ['$price.sale', 0] }, '$price.sale', '$price.regular'] };
+
+// Campos de una búsqueda sin palabras clave (el pipeline de Mongo los proyecta)
+const SEARCH_PROJECTION = Object.fromEntries(SEARCH_FIELDS.split(' ').map(field => [field, 1]));
+
+// Orden en Mongo de una búsqueda sin palabras clave, sobre currentPrice/hasPrice
+// del pipeline (_id al final para páginas estables; sin precio, al final)
+const MONGO_SORTS = {
+  relevance: { _id: 1 },
+  price_asc: { hasPrice: -1, currentPrice: 1, _id: 1 },
+  price_desc: { hasPrice: -1, currentPrice: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+};
+
+// Variante con stock (sin número de stock se asume disponible)
+const AVAILABLE_VARIANT = {
+  is_available: { $ne: false },
+  $or: [{ stock: { $exists: false } }, { stock: null }, { stock: { $gt: 0 } }],
+};
+
+/**
+ * Precio vigente de un producto: el de oferta si lo hay, si no el regular
+ * @returns {number|null}
+ */
+function getCurrentPrice(product) {
+  const price = product.price?.sale || product.price?.regular;
+  return typeof price === 'number' ? price : null;
+}
+
+/**
+ * Texto comparable (sin mayúsculas ni tildes)
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Palabras que el intérprete a veces confunde con un slug
+const COMMON_WORDS = ['del', 'de', 'la', 'el', 'los', 'las', 'un', 'una', 'uno', 'dos', 'tres', 'con', 'por', 'para', 'ver', 'mas', 'más', 'detalles', 'detalle'];
+
+// Palabras de la búsqueda que no describen al producto ("algo para el auto")
+const SEARCH_STOP_WORDS = new Set([
+  'algo', 'con', 'del', 'las', 'los', 'para', 'por', 'que', 'una', 'uno', 'unos', 'unas',
+  'busco', 'quiero', 'tienen', 'hay', 'the', 'and', 'for', 'with', 'com', 'uma', 'tem',
+]);
+
+const SEARCH_CANDIDATES = 50; // Productos leídos por cada consulta ($text y por palabras) antes de ordenar
+const MAX_FUZZY_VARIANTS = 3; // Palabras del catálogo que reemplazan a una palabra mal escrita
+
+// Letras equivalentes en la base de datos (la consulta ya viene sin tildes)
+const ACCENT_CLASSES = {
+  a: '[aáàâäã]', e: '[eéèêë]', i: '[iíìîï]', o: '[oóòôöõ]', u: '[uúùûü]', n: '[nñ]', c: '[cç]',
+};
+
+/**
+ * Palabras de un texto (sin tildes ni signos, más de 2 letras)
+ */
+function tokenize(text) {
+  return normalizeText(text).split(/[^a-z0-9]+/).filter(word => word.length > 2);
+}
+
+/**
+ * Texto con espacios entre palabras para buscar palabras que empiezan con un término
+ * (" cargadores portatiles" contiene " cargador"; " lampara" no contiene " para")
+ */
+function toSearchable(text) {
+  return ` ${normalizeText(text).replace(/[^a-z0-9]+/g, ' ')}`;
+}
+
+/**
+ * Patrón que coincide con la palabra con o sin tildes ("audifonos" → "audífonos")
+ */
+function accentInsensitivePattern(word) {
+  return [...word]
+    .map(char => ACCENT_CLASSES[char] || char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+}
+
+/**
+ * Ediciones permitidas según el largo de la palabra (las cortas deben ser exactas)
+ */
+function maxEdits(word) {
+  if (word.length < 5) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Distancia de edición con transposiciones ("zapatilas" → "zapatillas" = 1);
+ * devuelve max + 1 en cuanto se pasa del máximo
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Precio redondeado a 2 cifras (37.5 → 38, 1234 → 1200) para los rangos de precio
+ */
+function roundPrice(value) {
+  if (value <= 0) return 0;
+  const magnitude = Math.pow(10, Math.max(Math.floor(Math.log10(value)) - 1, 0));
+  return Math.round(value / magnitude) * magnitude;
+}
+
+/**
+ * Hasta PRICE_BANDS rangos con cantidades parecidas de productos
+ * (minPrice incluido, maxPrice no; sin minPrice o maxPrice el rango es abierto)
+ */
+function buildPriceBands(prices) {
+  if (prices.length === 0) {
+    return [];
+  }
+
+  const sorted = [...prices].sort((a, b) => a - b);
+  const limits = [...new Set(
+    Array.from({ length: PRICE_BANDS - 1 }, (_, i) => roundPrice(sorted[Math.floor(sorted.length * (i + 1) / PRICE_BANDS)]))
+  )].filter(limit => limit > sorted[0] && limit <= sorted[sorted.length - 1]);
+
+  const edges = [null, ...limits, null];
+  return edges.slice(0, -1)
+    .map((min, i) => {
+      const max = edges[i + 1];
+      return {
+        ...(min !== null ? { minPrice: min } : {}),
+        ...(max !== null ? { maxPrice: max } : {}),
+        count: sorted.filter(price => (min === null || price >= min) && (max === null || price < max)).length,
+      };
+    })
+    .filter(band => band.count > 0);
+}
+
+class ProductCatalogService {
+  constructor() {
+    // domain → { terms: Set, loadedAt } (palabras de títulos y tags para corregir errores de tipeo)
+    this.vocabularies = new Map();
+  }
+
+  /**
+   * Extrae palabras clave de una búsqueda (sin tildes, signos ni palabras de relleno)
+   */
+  extractKeywords(query) {
+    return [...new Set(tokenize(query).filter(word => !SEARCH_STOP_WORDS.has(word)))];
+  }
+
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Palabras de títulos y tags del dominio (se recargan cada PRODUCT_CACHE_TTL_MS)
+   */
+  async getVocabulary(domain) {
+    const cached = this.vocabularies.get(domain);
+    if (cached && Date.now() - cached.loadedAt < config.performance.productCacheTTL) {
+      return cached.terms;
+    }
+
+    const Product = getProductModel();
+    const products = await Product
+      .find({ domain, is_available: true })
+      .select('title tags')
+      .lean();
+
+    const terms = new Set();
+    products.forEach(product => {
+      [product.title, ...(product.tags || [])].forEach(text => tokenize(text).forEach(word => terms.add(word)));
+    });
+
+    this.vocabularies.set(domain, { terms, loadedAt: Date.now() });
+    return terms;
+  }
+
+  /**
+   * Palabras clave de una búsqueda con sus variantes: sinónimos y expansiones
+   * del diccionario del dominio (SearchDictionaryService) y correcciones de tipeo
+   * @param {Object} options - { locale } de la consulta (stopWords del diccionario)
+   * @returns {Promise<Array<Object>>} - [{ keyword, variants }]
+   */
+  async buildSearchTerms(query, domain, { locale } = {}) {
+    const keywords = this.extractKeywords(query);
+    if (keywords.length === 0) {
+      return [];
+    }
+
+    const terms = await SearchDictionaryService.expandKeywords(keywords, domain, { locale });
+    return this.addTypoVariants(terms, domain);
+  }
+
+  /**
+   * Agrega a cada palabra clave que no aparece en ningún título ni tag
+   * las palabras del catálogo a pocas ediciones
+   * @param {Array<Object>} terms - [{ keyword, variants }]
+   */
+  async addTypoVariants(terms, domain) {
+    const typoCandidate = term => !term.keyword.includes(' ') && maxEdits(term.keyword) > 0;
+    if (!terms.some(typoCandidate)) {
+      return terms;
+    }
+
+    let vocabulary;
+    try {
+      vocabulary = await this.getVocabulary(domain);
+    } catch (error) {
+      logger.warn(`[ProductCatalog] Vocabulary unavailable for ${domain}, typo tolerance disabled: ${error.message}`);
+      return terms;
+    }
+
+    terms.filter(typoCandidate).forEach(term => {
+      const max = maxEdits(term.keyword);
+      if (vocabulary.has(term.keyword)) {
+        return;
+      }
+
+      const matches = [];
+      for (const word of vocabulary) {
+        if (word.startsWith(term.keyword)) {
+          return; // Palabra incompleta ("auricul"): la búsqueda por prefijo ya la encuentra
+        }
+        const distance = editDistance(term.keyword, word, max);
+        if (distance <= max) {
+          matches.push({ word, distance });
+        }
+      }
+
+      matches
+        .sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word))
+        .slice(0, MAX_FUZZY_VARIANTS)
+        .filter(({ word }) => !term.variants.includes(word))
+        .forEach(({ word }) => term.variants.push(word));
+    });
+
+    const corrected = terms.filter(term => term.variants.length > 1);
+    if (corrected.length > 0) {
+      logger.info(`[ProductCatalog] Typo tolerance: ${corrected.map(term => `${term.keyword} → ${term.variants.slice(1).join('/')}`).join(', ')}`);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Candidatos de la búsqueda: los del índice de texto ($text, con su textScore)
+   * más los que tienen alguna palabra clave en título, descripción, categoría o tags
+   * (sin importar tildes). Si la colección no tiene índice de texto, solo los segundos.
+   * Lee hasta limit productos por consulta, ya en el orden pedido (sort), así con
+   * muchos candidatos "los más baratos" son los más baratos de toda la búsqueda.
+   * Si alguna consulta llega al límite (complete: false), matchCount trae cuántos
+   * coinciden en total y keywordFilter sirve para las facetas
+   * @param {Object} options - { limit, sort }
+   * @returns {Promise<Object>} - { products, textScores: Map(productId → textScore), complete, matchCount, keywordFilter }
+   */
+  async findCandidates(filter, terms, { limit = SEARCH_CANDIDATES, sort = 'relevance' } = {}) {
+    const Product = getProductModel();
+    const words = [...new Set(terms.flatMap(term => term.variants))];
+    const wordRegex = new RegExp(words.map(accentInsensitivePattern).join('|'), 'i');
+    const search = words.join(' ');
+    const keywordFilter = {
+      ...filter,
+      $or: [
+        { title: wordRegex },
+        { description_short: wordRegex },
+        { description_long: wordRegex },
+        { 'category.slug': wordRegex },
+        { 'category.name': wordRegex },
+        { tags: wordRegex },
+      ],
+    };
+
+    const [textMatches, keywordMatches] = await Promise.all([
+      Product
+        .aggregate(this.buildSearchPipeline({ ...filter, $text: { $search: search } }, sort, { limit }))
+        .catch(error => {
+          logger.warn(`[ProductCatalog] Text index search failed, using keywords only: ${error.message}`);
+          return [];
+        }),
+      Product.aggregate(this.buildSearchPipeline(keywordFilter, sort, { limit })),
+    ]);
+
+    const products = new Map();
+    const textScores = new Map();
+    textMatches.forEach(product => {
+      const id = product._id.toString();
+      textScores.set(id, product.score || 0);
+      products.set(id, product);
+    });
+    keywordMatches.forEach(product => {
+      const id = product._id.toString();
+      if (!products.has(id)) products.set(id, product);
+    });
+
+    const complete = textMatches.length < limit && keywordMatches.length < limit;
+    const matchCount = complete ? products.size : await this.countMatches(filter, keywordFilter, search);
+
+    return { products: [...products.values()], textScores, complete, matchCount, keywordFilter };
+  }
+
+  /**
+   * Pipeline de una búsqueda en Mongo en el orden de MONGO_SORTS (agrega el
+   * precio vigente en currentPrice/hasPrice); con $text el textScore queda en
+   * score y la relevancia ordena por él
+   */
+  buildSearchPipeline(match, sort, { skip = 0, limit }) {
+    const text = Boolean(match.$text);
+    return [
+      { $match: match },
+      { $addFields: { currentPrice: CURRENT_PRICE, ...(text ? { score: { $meta: 'textScore' } } : {}) } },
+      { $addFields: { hasPrice: { $isNumber: '$currentPrice' } } },
+      { $sort: text && sort === 'relevance' ? { score: -1, _id: 1 } : MONGO_SORTS[sort] },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: text ? { ...SEARCH_PROJECTION, score: 1 } : SEARCH_PROJECTION },
+    ];
+  }
+
+  /**
+   * Productos que coinciden con la búsqueda: los de $text más los de palabras
+   * clave, sin contar dos veces los que están en ambos (sin índice de texto,
+   * solo los de palabras clave)
+   */
+  async countMatches(filter, keywordFilter, search) {
+    const Product = getProductModel();
+    const countText = query => Product.countDocuments({ ...query, $text: { $search: search } }).catch(() => 0);
+
+    const [textCount, keywordCount, bothCount] = await Promise.all([
+      countText(filter),
+      Product.countDocuments(keywordFilter),
+      countText(keywordFilter),
+    ]);
+    return textCount + keywordCount - bothCount;
+  }
+
+  /**
+   * Busca productos con búsqueda flexible por palabras clave
+   * Encuentra "batería portátil" cuando buscan "cargadores portátiles",
+   * "audífonos" cuando buscan "audifonos" y "zapatillas" cuando buscan "zapatilas"
+   * Aplica los sinónimos, expansiones y stopWords del diccionario de búsqueda del dominio
+   * Con embeddings (EMBEDDING_PROVIDER) el ranking es híbrido: puntaje léxico
+   * más similitud semántica, y entran productos sin palabras en común
+   * Cada resultado de una búsqueda con texto trae su relevance (0 a 1)
+   * Orden (sort): relevance, price_asc, price_desc o newest; páginas de hasta
+   * MAX_RESULTS desde offset. Con más resultados que la página agrega facets
+   * (categorías, rangos de precio y tags) para acotar la búsqueda.
+   * totalExact es false cuando total es una estimación (muchos candidatos:
+   * cuenta también productos que solo contienen la palabra dentro de otra).
+   * Sin resultados, agrega alternativas de RecommendationService (salvo alternatives: false)
+   * @param {Object} options - { alternatives, deadline }
+   * @returns {Promise<Object>} - { count, total, totalExact, offset, hasMore, sort, products, facets?, alternatives? }
+   */
+  async searchProducts(params, domain, { alternatives = true, deadline = NO_DEADLINE } = {}) {
+    const { query = '', category, minPrice, maxPrice, size, color, locale, limit = 5 } = params;
+    const sort = SEARCH_SORTS.includes(params.sort) ? params.sort : 'relevance';
+    const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+    // Tamaño de página entre 1 y MAX_RESULTS (un limit inválido usa el default)
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 5, 1), MAX_RESULTS);
+
+    const filter = {
+      domain,
+      is_available: true,
+    };
+
+    const terms = query ? await this.buildSearchTerms(query, domain, { locale }) : [];
+
+    if (category) {
+      filter['category.slug'] = new RegExp(this.escapeRegex(category), 'i');
+    }
+
+    // Talla/color: solo productos con una variante así y con stock
+    if (size || color) {
+      const variantFilter = { ...AVAILABLE_VARIANT };
+      if (size) variantFilter['attributes.size'] = new RegExp(`^${this.escapeRegex(String(size).trim())}$`, 'i');
+      if (color) variantFilter['attributes.color'] = new RegExp(this.escapeRegex(String(color).trim()), 'i');
+      filter.variants = { $elemMatch: variantFilter };
+    }
+
+    // Rango sobre el precio vigente (el de oferta si lo hay)
+    if (minPrice || maxPrice) {
+      const range = [{ $isNumber: CURRENT_PRICE }];
+      if (minPrice) range.push({ $gte: [CURRENT_PRICE, Number(minPrice)] });
+      if (maxPrice) range.push({ $lte: [CURRENT_PRICE, Number(maxPrice)] });
+      filter.$expr = { $and: range };
+    }
+
+    const Product = getProductModel();
+    let ranked = null;
+    // Candidatos leídos hasta la página pedida ("muéstrame más" no se corta en SEARCH_CANDIDATES)
+    const candidateLimit = Math.max(SEARCH_CANDIDATES, offset + pageSize);
+    // Candidatos truncados: total estimado y facetas desde Mongo con este filtro
+    let truncated = null;
+
+    if (terms.length > 0) {
+      logger.info(`[ProductCatalog] Búsqueda flexible para: "${query}" → palabras clave: [${terms.map(term => term.keyword).join(', ')}]`);
+
+      const { products, textScores, complete, matchCount, keywordFilter } = await this.findCandidates(filter, terms, { limit: candidateLimit, sort });
+      ranked = this.rankByRelevance(products, terms, textScores);
+      if (!complete) {
+        truncated = { matchCount, facetFilter: keywordFilter };
+      }
+
+      if (query.trim() && ProductVectorIndexService.isEnabled()) {
+        ranked = await this.rankHybrid(domain, query, terms, ranked, filter, deadline);
+      }
+    } else if (query.trim() && sort === 'relevance' && ProductVectorIndexService.isEnabled()) {
+      // Sin palabras clave ("algo para regalar") solo puede ordenar la búsqueda semántica
+      const products = await Product
+        .find(filter)
+        .sort(MONGO_SORTS.relevance)
+        .limit(candidateLimit)
+        .select(SEARCH_FIELDS)
+        .lean();
+      if (products.length === candidateLimit) {
+        truncated = { matchCount: await Product.countDocuments(filter), facetFilter: filter };
+      }
+      ranked = await this.rankHybrid(domain, query, [], products.map(product => ({ product, relevance: 0 })), filter, deadline);
+    }
+
+    let page;
+    let total;
+    let facetProducts = null;
+
+    if (ranked) {
+      // Candidatos ya en memoria: se ordenan y paginan acá
+      ranked = this.sortResults(ranked, sort);
+      total = truncated ? Math.max(truncated.matchCount, ranked.length) : ranked.length;
+      page = ranked.slice(offset, offset + pageSize);
+      if (!truncated) {
+        facetProducts = ranked.map(({ product }) => product);
+      }
+    } else {
+      // Sin texto: orden (por precio vigente) y página en Mongo
+      const [count, products] = await Promise.all([
+        Product.countDocuments(filter),
+        Product.aggregate(this.buildSearchPipeline(filter, sort, { skip: offset, limit: pageSize })),
+      ]);
+      total = count;
+      page = products.map(product => ({ product }));
+    }
+
+    logger.info(`[ProductCatalog] Found ${page.length} of ${total} products for query: "${query}" (sort: ${sort}, offset: ${offset})`);
+
+    if (total === 0 && alternatives) {
+      // Require diferido: RecommendationService usa este servicio
+      const RecommendationService = require('./recommendation.service');
+      try {
+        return { count: 0, total: 0, totalExact: true, offset, hasMore: false, sort, products: [], alternatives: await RecommendationService.getSearchAlternatives(domain, params) };
+      } catch (error) {
+        logger.warn(`[ProductCatalog] Alternatives failed for query "${query}": ${error.message}`);
+      }
+    }
+
+    const result = {
+      count: page.length,
+      total,
+      totalExact: !truncated,
+      offset,
+      hasMore: offset + page.length < total,
+      sort,
+      products: page.map(({ product, relevance }) => (relevance === undefined
+        ? formatProductSummary(product)
+        : { ...formatProductSummary(product), relevance: Math.round(relevance * 100) / 100 })),
+    };
+
+    // Demasiados resultados para una página: facetas para acotar la búsqueda
+    if (total > pageSize) {
+      if (!facetProducts) {
+        facetProducts = await Product.find(truncated?.facetFilter || filter).limit(FACET_SAMPLE).select('category tags price').lean();
+      }
+      result.facets = this.buildFacets(facetProducts);
+    }
+
+    return result;
+  }
+
+  /**
+   * Ordena resultados ya rankeados (relevance deja el orden del ranking;
+   * a igual precio o fecha, por _id como MONGO_SORTS para que las páginas no
+   * cambien). El precio es el vigente (oferta o regular)
+   * @param {Array<Object>} ranked - [{ product, relevance? }]
+   */
+  sortResults(ranked, sort) {
+    const price = ({ product }) => getCurrentPrice(product);
+    const created = ({ product }) => (product.createdAt ? new Date(product.createdAt).getTime() : 0);
+    const byId = (a, b) => String(a.product._id).localeCompare(String(b.product._id));
+
+    switch (sort) {
+      case 'price_asc':
+      case 'price_desc': {
+        const direction = sort === 'price_asc' ? 1 : -1;
+        // Los productos sin precio quedan al final en los dos sentidos
+        return [...ranked].sort((a, b) => {
+          if (price(a) === null || price(b) === null) {
+            return (price(a) === null) - (price(b) === null) || byId(a, b);
+          }
+          return direction * (price(a) - price(b)) || byId(a, b);
+        });
+      }
+      case 'newest':
+        return [...ranked].sort((a, b) => created(b) - created(a) || byId(a, b));
+      default:
+        return ranked;
+    }
+  }
+
+  /**
+   * Facetas de una búsqueda: categorías, rangos de precio (precio vigente,
+   * se pasan tal cual como minPrice/maxPrice) y tags más frecuentes
+   * @returns {Object} - { categories: [{ slug, name, count }], priceBands: [{ minPrice?, maxPrice?, count }], tags: [{ tag, count }] }
+   */
+  buildFacets(products) {
+    const categories = new Map();
+    const tags = new Map();
+    const prices = [];
+
+    products.forEach(product => {
+      const category = Array.isArray(product.category) ? product.category[0] : product.category;
+      const slug = typeof category === 'string' ? category : category?.slug || category?.name;
+      if (slug) {
+        const entry = categories.get(slug) || { slug, name: typeof category === 'string' ? category : category.name || slug, count: 0 };
+        entry.count++;
+        categories.set(slug, entry);
+      }
+
+      new Set((product.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))
+        .forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+
+      const price = getCurrentPrice(product);
+      if (price !== null) {
+        prices.push(price);
+      }
+    });
+
+    const byCount = (a, b) => b.count - a.count;
+    return {
+      categories: [...categories.values()].sort(byCount).slice(0, MAX_FACET_VALUES),
+      priceBands: buildPriceBands(prices),
+      tags: [...tags.entries()].map(([tag, count]) => ({ tag, count })).sort(byCount).slice(0, MAX_FACET_VALUES),
+    };
+  }
+
+  /**
+   * Búsqueda del chat: la última búsqueda y su cursor quedan en la conversación
+   * (metadata.productSearch), así "muéstrame más" (more: true) trae la página
+   * siguiente y "los más baratos primero" (solo sort) reordena la misma búsqueda
+   * @param {Object} args - Parámetros de searchProducts más more
+   * @param {Object} options - { userId, deadline }
+   * @throws {ValidationError} - more sin una búsqueda anterior
+   */
+  async searchInConversation(args, domain, { userId, deadline = NO_DEADLINE } = {}) {
+    const { more, offset, ...params } = args;
+    const conversation = userId ? await this.findSearchConversation(domain, userId) : null;
+    const previous = conversation?.metadata?.productSearch;
+    const hasPrevious = Boolean(previous?.updatedAt);
+
+    let search = params;
+    let start = 0;
+
+    if (more) {
+      if (!hasPrevious) {
+        throw new ValidationError('There is no previous search to continue');
+      }
+      search = this.pickSearchParams(previous);
+      // Sin cursor ya se mostraron todos: la página queda vacía con hasMore false
+      start = typeof previous.cursor === 'number' ? previous.cursor : previous.total || 0;
+    } else if (hasPrevious && params.sort && !SEARCH_CRITERIA.some(key => params[key] !== undefined && params[key] !== '')) {
+      search = { ...this.pickSearchParams(previous), sort: params.sort };
+    }
+
+    const result = await this.searchProducts({ ...search, offset: start }, domain, { deadline, alternatives: !more });
+
+    if (conversation) {
+      await this.saveSearch(conversation, search, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parámetros de búsqueda guardados, sin vacíos
+   */
+  pickSearchParams(source) {
+    return Object.fromEntries(SEARCH_PARAMS
+      .filter(key => source[key] !== undefined && source[key] !== null && source[key] !== '')
+      .map(key => [key, source[key]]));
+  }
+
+  /**
+   * Conversación activa del usuario (la misma que usa el orquestador)
+   */
+  async findSearchConversation(domain, userId) {
+    try {
+      const Conversation = getConversationModel();
+      return await Conversation.findOne({ userId, domain, status: 'active' })
+        .sort({ updatedAt: -1 })
+        .select('metadata.productSearch');
+    } catch (error) {
+      logger.warn(`[ProductCatalog] Search session unavailable for ${domain}/${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Guarda solo metadata.productSearch (el orquestador guarda el resto de la conversación)
+   */
+  async saveSearch(conversation, params, result) {
+    const productSearch = {
+      ...this.pickSearchParams(params),
+      cursor: result.hasMore ? result.offset + result.count : null,
+      total: result.total,
+      updatedAt: new Date(),
+    };
+
+    try {
+      const Conversation = getConversationModel();
+      await Conversation.updateOne({ _id: conversation._id }, { $set: { 'metadata.productSearch': productSearch } });
+    } catch (error) {
+      logger.warn(`[ProductCatalog] Could not save search session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Puntaje léxico de un producto: cada palabra clave suma según dónde aparece
+   * (título > tags > categoría > descripción), menos si solo aparece
+   * un sinónimo o la palabra corregida
+   * @param {Array<Object>} terms - [{ keyword, variants }] de buildSearchTerms
+   * @param {number} textScore - textScore de Mongo ($text), si lo hubo
+   */
+  scoreRelevance(product, terms, textScore = 0) {
+    const category = formatCategory(product.category);
+    const fields = {
+      title: toSearchable(product.title),
+      tags: toSearchable((product.tags || []).join(' ')),
+      category: toSearchable(typeof category === 'object' ? `${category?.name || ''} ${category?.slug || ''}` : category),
+      description: toSearchable(`${product.description_short || ''} ${product.description_long || ''}`),
+    };
+
+    let score = 0;
+    let matched = 0;
+
+    terms.forEach(({ keyword, variants }) => {
+      const exact = field => fields[field].includes(` ${keyword}`);
+      const fuzzy = field => variants.some(variant => fields[field].includes(` ${variant}`));
+      let termScore = 0;
+
+      // Mayor puntuación si la palabra está en el título (y más al inicio)
+      if (exact('title')) {
+        termScore += fields.title.startsWith(` ${keyword}`) ? 15 : 10;
+      } else if (fuzzy('title')) {
+        termScore += 7;
+      }
+      if (exact('tags')) termScore += 6;
+      else if (fuzzy('tags')) termScore += 4;
+      if (fuzzy('category')) termScore += 4;
+      if (exact('description')) termScore += 3;
+      else if (fuzzy('description')) termScore += 2;
+
+      if (termScore > 0) matched++;
+      score += termScore;
+    });
+
+    // Bonus si todas las palabras clave aparecen (coincidencia completa)
+    if (terms.length > 0 && matched === terms.length) {
+      score += 10;
+    }
+
+    return score + textScore * 5;
+  }
+
+  /**
+   * Ordena por relevancia según coincidencias de palabras clave.
+   * Quedan afuera los que solo contienen una palabra clave dentro de otra
+   * ("lámpara" buscando "para") y no tienen textScore.
+   * relevance: 1 cuando cada palabra está al inicio del título y también en tags o descripción
+   * @returns {Array<Object>} - [{ product, relevance }] de más a menos relevante
+   */
+  rankByRelevance(products, terms, textScores = new Map()) {
+    const maxScore = terms.length * 20 + 10;
+
+    return products
+      .map(product => ({ product, score: this.scoreRelevance(product, terms, textScores.get(product._id.toString())) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => {
+        if (b.score !== a.score) {
+          return b.score - a.score;
+        }
+        // Si hay empate, ordenar alfabéticamente
+        return (a.product.title || '').localeCompare(b.product.title || '');
+      })
+      .map(({ product, score }) => ({ product, relevance: Math.min(score / maxScore, 1) }));
+  }
+
+  /**
+   * Ranking híbrido: SEARCH_LEXICAL_WEIGHT × relevancia léxica + el resto ×
+   * similitud semántica. Suma los productos parecidos que no tienen palabras
+   * en común (con similitud desde SEARCH_MIN_SIMILARITY y los mismos filtros).
+   * Si el índice no está listo o el proveedor falla, queda el ranking léxico.
+   * @param {Array<Object>} lexicalRanked - [{ product, relevance }] de rankByRelevance
+   * @returns {Promise<Array<Object>>} - [{ product, relevance }]
+   */
+  async rankHybrid(domain, query, terms, lexicalRanked, filter, deadline) {
+    let matches = null;
+    try {
+      matches = await ProductVectorIndexService.search(domain, query, { deadline });
+    } catch (error) {
+      logger.warn(`[ProductCatalog] Semantic search failed for "${query}", using keywords only: ${error.message}`);
+    }
+
+    if (!matches) {
+      return terms.length > 0 ? lexicalRanked : lexicalRanked.map(({ product }) => ({ product }));
+    }
+
+    const similarity = new Map(matches.map(match => [match.productId, match.similarity]));
+    const lexicalIds = new Set(lexicalRanked.map(({ product }) => product._id.toString()));
+    const semanticIds = matches
+      .filter(match => match.similarity >= config.embeddings.minSimilarity && !lexicalIds.has(match.productId))
+      .map(match => match.productId);
+
+    const Product = getProductModel();
+    const semanticProducts = semanticIds.length > 0
+      ? await Product.find({ ...filter, _id: { $in: semanticIds } }).select(SEARCH_FIELDS).lean()
+      : [];
+
+    const candidates = [...lexicalRanked, ...semanticProducts.map(product => ({ product, relevance: 0 }))];
+    const weight = config.embeddings.lexicalWeight;
+
+    logger.info(`[ProductCatalog] Hybrid search for "${query}": ${lexicalRanked.length} by keywords + ${semanticProducts.length} by similarity`);
+
+    return candidates
+      .map(({ product, relevance }) => ({
+        product,
+        relevance: weight * relevance + (1 - weight) * Math.max(similarity.get(product._id.toString()) || 0, 0),
+      }))
+      .sort((a, b) => b.relevance - a.relevance);
+  }
+
+  /**
+   * Busca un producto disponible por ObjectId, slug o SKU de una variante
+   * @returns {Promise<Object|null>} - Documento lean o null
+   */
+  async findProduct(productId, domain) {
+    if (!productId || typeof productId !== 'string') {
+      return null;
+    }
+
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(productId);
+    const isValidSlug = /^[a-zA-Z0-9\-_]{3,}$/.test(productId);
+
+    if (COMMON_WORDS.includes(productId.toLowerCase())) {
+      logger.warn(`[ProductCatalog] productId es una palabra común: ${productId}`);
+      return null;
+    }
+
+    if (!isObjectId && !isValidSlug) {
+      logger.warn(`[ProductCatalog] productId inválido: ${productId} (debe ser ObjectId de 24 caracteres o slug válido)`);
+      return null;
+    }
+
+    const Product = getProductModel();
+    const query = {
+      domain,
+      is_available: true,
+      // Un slug puede tener forma de ObjectId: buscar por ambos (y por SKU de variante)
+      $or: isObjectId
+        ? [{ _id: productId }, { slug: productId }]
+        : [{ slug: productId }, { 'variants.sku': productId }],
+    };
+
+    return Product.findOne(query).lean();
+  }
+
+  /**
+   * Detalle completo de un producto
+   * @returns {Promise<Object|null>}
+   */
+  async getProductDetails(productId, domain) {
+    const product = await this.findProduct(productId, domain);
+    if (!product) {
+      logger.warn(`[ProductCatalog] Producto no encontrado: ${productId}`);
+      return null;
+    }
+
+    return formatProductDetails(product);
+  }
+
+  /**
+   * Precio de un producto
+   * @returns {Promise<Object|null>} - { productId, title, price, slug, category }
+   */
+  async getProductPrice(productId, domain) {
+    const product = await this.findProduct(productId, domain);
+    if (!product) {
+      return null;
+    }
+
+    return {
+      productId: product._id.toString(),
+      title: product.title,
+      price: formatPrice(product.price),
+      slug: product.slug,
+      category: formatCategory(product.category),
+    };
+  }
+
+  /**
+   * Variantes del producto por SKU o por atributos (talla exacta, color contenido)
+   * @param {Object} ref - { sku?, size?, color? } (sin ninguno: todas)
+   * @returns {Array<Object>} - Variantes del documento
+   */
+  matchVariants(product, { sku, size, color } = {}) {
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+
+    if (sku) {
+      return variants.filter(variant => normalizeText(variant.sku) === normalizeText(sku));
+    }
+
+    return variants.filter(variant => {
+      const attributes = formatAttributes(variant.attributes);
+      if (size && normalizeText(attributes.size) !== normalizeText(size)) return false;
+      if (color && !normalizeText(attributes.color).includes(normalizeText(color))) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Compara varios productos
+   * @returns {Promise<Object>} - { count, products }
+   */
+  async compareProducts(productIds, domain) {
+    const ids = (productIds || []).filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+    const slugs = (productIds || []).filter(id => !ids.includes(id));
+
+    const Product = getProductModel();
+    const products = await Product
+      .find({
+        $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }],
+        domain,
+        is_available: true,
+      })
+      .select(SEARCH_FIELDS)
+      .lean();
+
+    return {
+      count: products.length,
+      products: products.map(formatProductSummary),
+    };
+  }
+}
+
+module.exports = new ProductCatalogService();
@@ -0,0 +1,262 @@
+/**
+ * ============================================
+ * PRODUCT VECTOR INDEX SERVICE
+ * ============================================
+ * Índice vectorial de productos por dominio para la búsqueda semántica
+ * ("algo para cargar el celular en viajes" → power bank)
+ *
+ * - Los vectores se guardan en ProductEmbedding y se cargan en memoria
+ *   la primera vez que se busca en un dominio
+ * - Sincronización incremental con Product cada EMBEDDING_SYNC_INTERVAL_MS:
+ *   solo se recalculan los productos cuyo texto indexado cambió
+ *   (un cambio de stock o precio no vuelve a generar el embedding)
+ *   y se quitan los eliminados
+ * - La sincronización corre en segundo plano: mientras el dominio no
+ *   tiene índice la búsqueda es solo léxica
+ */
+
+const crypto = require('crypto');
+const getProductModel = require('../models/Product');
+const getProductEmbeddingModel = require('../models/ProductEmbedding');
+const EmbeddingService = require('./embedding.service');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { NO_DEADLINE } = require('../utils/resilience');
+const { formatCategory } = require('../utils/product-formatter');
+
+const TEXT_FIELDS = 'title description_short description_long category tags updatedAt';
+const TEXT_MAX_LENGTH = 2000;
+const SYNC_BATCH = 200; // Productos leídos por consulta al sincronizar
+const QUERY_CACHE_SIZE = 500;
+
+/**
+ * Texto del producto que se convierte en embedding
+ */
+function buildProductText(product) {
+  const category = formatCategory(product.category);
+  return [
+    product.title,
+    typeof category === 'object' ? category?.name : category,
+    (product.tags || []).join(', '),
+    product.description_short,
+    product.description_long,
+  ].filter(Boolean).join('\n').slice(0, TEXT_MAX_LENGTH);
+}
+
+function hashText(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+/**
+ * Vector unitario (la similitud coseno queda como producto punto)
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float32Array.from(vector, value => value / norm);
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+class ProductVectorIndexService {
+  constructor() {
+    // domain → { modelKey, syncedAt, entries: Map(productId → { vector, textHash, sourceUpdatedAt }) }
+    this.indexes = new Map();
+    this.syncing = new Map();
+    this.lastAttempt = new Map();
+    this.queryCache = new Map();
+  }
+
+  isEnabled() {
+    return EmbeddingService.isEnabled();
+  }
+
+  /**
+   * Vectores guardados del dominio para el modelo actual
+   */
+  async loadIndex(domain, modelKey) {
+    const ProductEmbedding = getProductEmbeddingModel();
+    const stored = await ProductEmbedding
+      .find({ domain, model: modelKey })
+      .select('productId textHash sourceUpdatedAt vector')
+      .lean();
+
+    return {
+      modelKey,
+      syncedAt: 0,
+      entries: new Map(stored.map(entry => [entry.productId, {
+        vector: normalizeVector(entry.vector),
+        textHash: entry.textHash,
+        sourceUpdatedAt: entry.sourceUpdatedAt || null,
+      }])),
+    };
+  }
+
+  /**
+   * Sincroniza el índice del dominio con el catálogo
+   * @returns {Promise<Object>} - { products, embedded, removed }
+   */
+  async syncDomain(domain) {
+    const startedAt = Date.now();
+    const modelKey = EmbeddingService.getModelKey();
+
+    let index = this.indexes.get(domain);
+    if (!index || index.modelKey !== modelKey) {
+      index = await this.loadIndex(domain, modelKey);
+    }
+
+    const Product = getProductModel();
+    const ProductEmbedding = getProductEmbeddingModel();
+
+    const products = await Product.find({ domain }).select('_id updatedAt').lean();
+    const currentIds = new Set();
+    const changedIds = [];
+    for (const product of products) {
+      const id = product._id.toString();
+      currentIds.add(id);
+      const entry = index.entries.get(id);
+      if (!entry || !entry.sourceUpdatedAt || !product.updatedAt || product.updatedAt > entry.sourceUpdatedAt) {
+        changedIds.push(product._id);
+      }
+    }
+
+    let embedded = 0;
+    for (let start = 0; start < changedIds.length; start += SYNC_BATCH) {
+      const batch = await Product
+        .find({ _id: { $in: changedIds.slice(start, start + SYNC_BATCH) } })
+        .select(TEXT_FIELDS)
+        .lean();
+
+      const operations = [];
+      const pending = [];
+      for (const product of batch) {
+        const productId = product._id.toString();
+        const text = buildProductText(product);
+        const textHash = hashText(text);
+        const sourceUpdatedAt = product.updatedAt || null;
+        const entry = index.entries.get(productId);
+
+        if (entry && entry.textHash === textHash) {
+          entry.sourceUpdatedAt = sourceUpdatedAt;
+          operations.push({
+            updateOne: { filter: { domain, model: modelKey, productId }, update: { $set: { sourceUpdatedAt } } },
+          });
+        } else {
+          pending.push({ productId, text, textHash, sourceUpdatedAt });
+        }
+      }
+
+      if (pending.length > 0) {
+        const vectors = await EmbeddingService.embed(pending.map(item => item.text));
+        pending.forEach(({ productId, textHash, sourceUpdatedAt }, i) => {
+          index.entries.set(productId, { vector: normalizeVector(vectors[i]), textHash, sourceUpdatedAt });
+          operations.push({
+            updateOne: {
+              filter: { domain, model: modelKey, productId },
+              update: { $set: { textHash, sourceUpdatedAt, vector: vectors[i] } },
+              upsert: true,
+            },
+          });
+        });
+        embedded += pending.length;
+      }
+
+      if (operations.length > 0) {
+        await ProductEmbedding.bulkWrite(operations, { ordered: false });
+      }
+    }
+
+    const removed = [...index.entries.keys()].filter(productId => !currentIds.has(productId));
+    if (removed.length > 0) {
+      await ProductEmbedding.deleteMany({ domain, model: modelKey, productId: { $in: removed } });
+      removed.forEach(productId => index.entries.delete(productId));
+    }
+
+    index.syncedAt = Date.now();
+    this.indexes.set(domain, index);
+
+    logger.info(`[VectorIndex] ${domain}: synced ${products.length} products (${embedded} embedded, ${removed.length} removed) in ${Date.now() - startedAt}ms`);
+    return { products: products.length, embedded, removed: removed.length };
+  }
+
+  /**
+   * Sincroniza en segundo plano (una sola sincronización por dominio a la vez)
+   */
+  refresh(domain) {
+    if (!this.syncing.has(domain)) {
+      this.lastAttempt.set(domain, Date.now());
+      const running = this.syncDomain(domain)
+        .catch(error => {
+          logger.error(`[VectorIndex] ${domain}: sync failed: ${error.message}`);
+          return null;
+        })
+        .finally(() => this.syncing.delete(domain));
+      this.syncing.set(domain, running);
+    }
+    return this.syncing.get(domain);
+  }
+
+  /**
+   * Embedding de la búsqueda (las búsquedas repetidas no vuelven a llamar al proveedor)
+   */
+  async embedQuery(query, modelKey, deadline) {
+    const cacheKey = `${modelKey}|${query.trim().toLowerCase()}`;
+    if (this.queryCache.has(cacheKey)) {
+      return this.queryCache.get(cacheKey);
+    }
+
+    const [vector] = await EmbeddingService.embed([query], { deadline });
+    const normalized = normalizeVector(vector);
+
+    if (this.queryCache.size >= QUERY_CACHE_SIZE) {
+      this.queryCache.delete(this.queryCache.keys().next().value);
+    }
+    this.queryCache.set(cacheKey, normalized);
+    return normalized;
+  }
+
+  /**
+   * Productos más parecidos a la búsqueda
+   * @param {Object} options - { limit, deadline }
+   * @returns {Promise<Array<Object>|null>} - [{ productId, similarity }] de más a menos parecido,
+   *   o null si el dominio todavía no tiene índice (la búsqueda queda solo léxica)
+   */
+  async search(domain, query, { limit = config.embeddings.vectorCandidates, deadline = NO_DEADLINE } = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const modelKey = EmbeddingService.getModelKey();
+    const index = this.indexes.get(domain);
+    const ready = Boolean(index && index.modelKey === modelKey);
+    const stale = !ready || Date.now() - index.syncedAt >= config.embeddings.syncIntervalMs;
+    // Tras una sincronización fallida se reintenta pasado el mismo intervalo
+    const canRetry = Date.now() - (this.lastAttempt.get(domain) || 0) >= config.embeddings.syncIntervalMs;
+
+    if (stale && canRetry) {
+      this.refresh(domain);
+    }
+    if (!ready || index.entries.size === 0) {
+      return null;
+    }
+
+    const queryVector = await this.embedQuery(query, modelKey, deadline);
+    const matches = [];
+    for (const [productId, { vector }] of index.entries) {
+      if (vector.length === queryVector.length) {
+        matches.push({ productId, similarity: dotProduct(queryVector, vector) });
+      }
+    }
+
+    return matches
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new ProductVectorIndexService();
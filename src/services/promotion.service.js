@@ -0,0 +1,397 @@
+/**
+ * ============================================
+ * PROMOTION SERVICE
+ * ============================================
+ * Promociones y cupones vigentes por dominio
+ *
+ * - Las promociones automáticas no se combinan entre sí: cada producto
+ *   recibe la que más descuenta
+ * - El cupón se aplica encima del precio con la promoción automática
+ * - minPurchase se mide contra el subtotal del carrito sin descuentos
+ */
+
+const getPromotionModel = require('../models/Promotion');
+const CartService = require('./cart.service');
+const ProductCatalogService = require('./product-catalog.service');
+const logger = require('../utils/logger');
+const { formatProductSummary } = require('../utils/product-formatter');
+const { ValidationError } = require('../utils/errors');
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Slug de la categoría (el catálogo la guarda como { name, slug } o como slug)
+ */
+function getCategorySlug(category) {
+  return category && typeof category === 'object' ? category.slug : category;
+}
+
+class PromotionService {
+  /**
+   * Promociones vigentes del dominio (automáticas y cupones)
+   */
+  async getActivePromotions(domain, now = new Date()) {
+    const Promotion = getPromotionModel();
+    return Promotion.find({
+      domain,
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+      ],
+    }).lean();
+  }
+
+  async findByCode(domain, code) {
+    const Promotion = getPromotionModel();
+    return Promotion.findOne({ domain, code: normalizeCode(code) }).lean();
+  }
+
+  /**
+   * Motivo por el que una promoción no está vigente
+   * @returns {string|null} - 'inactive' | 'not_started' | 'expired' | null (vigente)
+   */
+  getInvalidReason(promotion, now = new Date()) {
+    if (!promotion.isActive) return 'inactive';
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) return 'not_started';
+    if (promotion.endsAt && new Date(promotion.endsAt) < now) return 'expired';
+    return null;
+  }
+
+  /**
+   * Si la promoción aplica al producto ({ productId, slug, category })
+   */
+  appliesToProduct(promotion, product) {
+    const products = promotion.appliesTo?.products || [];
+    const categories = promotion.appliesTo?.categories || [];
+    if (products.length === 0 && categories.length === 0) return true;
+
+    const category = getCategorySlug(product.category);
+    return products.includes(product.productId) ||
+      products.includes(product.slug) ||
+      (Boolean(category) && categories.includes(category));
+  }
+
+  /**
+   * Descripción corta: "20% de descuento", "2x1", "3 por S/100"
+   */
+  describe(promotion) {
+    const rules = promotion.rules || {};
+
+    switch (promotion.type) {
+      case 'percentage':
+        return `${promotion.value}% de descuento`;
+      case 'fixed_amount':
+        return `S/${promotion.value} de descuento por unidad`;
+      case 'buy_x_pay_y':
+        return `${rules.buyQuantity}x${rules.payQuantity}`;
+      case 'bundle_price':
+        return `${rules.bundleQuantity} por S/${rules.bundlePrice}`;
+      default:
+        return promotion.name;
+    }
+  }
+
+  /**
+   * Si se aplica con una sola unidad y sin monto mínimo
+   */
+  isUnconditional(promotion) {
+    const rules = promotion.rules || {};
+    return ['percentage', 'fixed_amount'].includes(promotion.type) &&
+      !(rules.minQuantity > 1) &&
+      !rules.minPurchase;
+  }
+
+  /**
+   * Descuento de una línea (precio unitario × cantidad)
+   */
+  getLineDiscount(promotion, unitPrice, quantity) {
+    const rules = promotion.rules || {};
+    if (rules.minQuantity && quantity < rules.minQuantity) return 0;
+
+    let discount = 0;
+    switch (promotion.type) {
+      case 'percentage':
+        discount = unitPrice * quantity * Math.min(promotion.value || 0, 100) / 100;
+        break;
+      case 'fixed_amount':
+        discount = Math.min(promotion.value || 0, unitPrice) * quantity;
+        break;
+      case 'buy_x_pay_y':
+        if (rules.buyQuantity > rules.payQuantity) {
+          discount = Math.floor(quantity / rules.buyQuantity) * (rules.buyQuantity - rules.payQuantity) * unitPrice;
+        }
+        break;
+      case 'bundle_price':
+        if (rules.bundleQuantity > 0) {
+          const bundleDiscount = rules.bundleQuantity * unitPrice - rules.bundlePrice;
+          discount = Math.floor(quantity / rules.bundleQuantity) * Math.max(bundleDiscount, 0);
+        }
+        break;
+    }
+
+    return roundAmount(discount);
+  }
+
+  /**
+   * Precio unitario con la promoción cumpliendo sus condiciones
+   * (en 2x1 o "3 por S/100", el precio por unidad llevando el paquete)
+   */
+  getEffectiveUnitPrice(promotion, unitPrice) {
+    const rules = promotion.rules || {};
+    const quantity = Math.max(rules.minQuantity || 1, rules.buyQuantity || 1, rules.bundleQuantity || 1);
+    return roundAmount(unitPrice - this.getLineDiscount(promotion, unitPrice, quantity) / quantity);
+  }
+
+  /**
+   * Promoción para los tools y el prompt
+   */
+  toPublic(promotion, unitPrice = null) {
+    const rules = promotion.rules || {};
+
+    return {
+      code: promotion.code || null,
+      automatic: !promotion.code,
+      name: promotion.name,
+      description: promotion.description || '',
+      type: promotion.type,
+      label: this.describe(promotion),
+      minQuantity: rules.minQuantity || rules.buyQuantity || rules.bundleQuantity || null,
+      minPurchase: rules.minPurchase || null,
+      endsAt: promotion.endsAt || null,
+      ...(unitPrice !== null ? { effectivePrice: this.getEffectiveUnitPrice(promotion, unitPrice) } : {}),
+    };
+  }
+
+  /**
+   * Promociones automáticas vigentes y el cupón (si se dio y está vigente)
+   * @returns {Promise<Object>} - { automatic, coupon }
+   */
+  async getCandidates(domain, code) {
+    const now = new Date();
+    const active = await this.getActivePromotions(domain, now);
+    const automatic = active.filter(promotion => !promotion.code);
+
+    let coupon = null;
+    if (code) {
+      const normalized = normalizeCode(code);
+      coupon = active.find(promotion => promotion.code === normalized) || null;
+    }
+
+    return { automatic, coupon };
+  }
+
+  /**
+   * Promociones de un producto y su precio final
+   * @param {Object} product - { productId, slug, category, price: { regular, sale } }
+   * @param {Object} options - { code } cupón opcional
+   * @returns {Promise<Object>} - { effectivePrice, promotions }
+   */
+  async getProductOffers(domain, product, { code } = {}) {
+    const { automatic, coupon } = await this.getCandidates(domain, code);
+    const unitPrice = product.price.sale || product.price.regular;
+
+    const applicable = automatic.filter(promotion => this.appliesToProduct(promotion, product));
+    if (coupon && this.appliesToProduct(coupon, product)) {
+      applicable.push(coupon);
+    }
+
+    // Precio final con una unidad: la mejor automática sin condiciones y el cupón encima
+    const bestAutomatic = applicable
+      .filter(promotion => !promotion.code && this.isUnconditional(promotion))
+      .reduce((best, promotion) => Math.min(best, this.getEffectiveUnitPrice(promotion, unitPrice)), unitPrice);
+    const effectivePrice = coupon && applicable.includes(coupon) && this.isUnconditional(coupon)
+      ? this.getEffectiveUnitPrice(coupon, bestAutomatic)
+      : bestAutomatic;
+
+    return {
+      effectivePrice,
+      promotions: applicable.map(promotion => this.toPublic(promotion, unitPrice)),
+    };
+  }
+
+  /**
+   * Descuentos del carrito del usuario
+   * @returns {Promise<Object>} - { items, subtotal, discount, total, promotions, nearPromotions, coupon }
+   */
+  async getCartPromotions(domain, userId, { code } = {}) {
+    const cart = await CartService.getCart(domain, userId);
+    return this.applyToCart(domain, cart, { code });
+  }
+
+  /**
+   * Descuentos de un carrito público (CartService.toPublic); el checkout
+   * lo usa con los precios actuales del catálogo
+   * @returns {Promise<Object>} - { items: [{ position, title, quantity, subtotal, discount, total }], subtotal, discount, total, promotions, nearPromotions, coupon }
+   */
+  async applyToCart(domain, cart, { code } = {}) {
+    const { automatic, coupon } = await this.getCandidates(domain, code);
+    const subtotal = cart.total;
+
+    // Categorías del catálogo (el carrito no las guarda)
+    const { products } = cart.items.length > 0
+      ? await ProductCatalogService.compareProducts([...new Set(cart.items.map(item => item.productId))], domain)
+      : { products: [] };
+    const categories = new Map(products.map(product => [product.id, product.category]));
+
+    const reachesMinimum = promotion => !promotion.rules?.minPurchase || subtotal >= promotion.rules.minPurchase;
+    const applied = new Map();
+    const addApplied = (promotion, discount) => {
+      const key = promotion.code || promotion._id.toString();
+      const entry = applied.get(key) || { ...this.toPublic(promotion), discount: 0 };
+      entry.discount = roundAmount(entry.discount + discount);
+      applied.set(key, entry);
+    };
+
+    const items = cart.items.map(item => {
+      const product = { productId: item.productId, slug: item.slug, category: categories.get(item.productId) };
+      const unitPrice = item.price.sale || item.price.regular;
+
+      // Mejor promoción automática de la línea
+      let best = null;
+      let lineDiscount = 0;
+      for (const promotion of automatic) {
+        if (!reachesMinimum(promotion) || !this.appliesToProduct(promotion, product)) continue;
+        const discount = this.getLineDiscount(promotion, unitPrice, item.quantity);
+        if (discount > lineDiscount) {
+          best = promotion;
+          lineDiscount = discount;
+        }
+      }
+      if (best) addApplied(best, lineDiscount);
+
+      // El cupón, sobre el precio ya rebajado
+      if (coupon && reachesMinimum(coupon) && this.appliesToProduct(coupon, product)) {
+        const discountedUnitPrice = (item.subtotal - lineDiscount) / item.quantity;
+        const couponDiscount = this.getLineDiscount(coupon, discountedUnitPrice, item.quantity);
+        if (couponDiscount > 0) {
+          addApplied(coupon, couponDiscount);
+          lineDiscount += couponDiscount;
+        }
+      }
+
+      return {
+        position: item.position,
+        title: item.title,
+        quantity: item.quantity,
+        subtotal: item.subtotal,
+        discount: roundAmount(lineDiscount),
+        total: roundAmount(item.subtotal - lineDiscount),
+      };
+    });
+
+    const discount = roundAmount(items.reduce((sum, item) => sum + item.discount, 0));
+
+    // Promociones por monto mínimo que aún no se alcanzan (para sugerirlas)
+    const nearPromotions = [...automatic, ...(coupon ? [coupon] : [])]
+      .filter(promotion => !reachesMinimum(promotion))
+      .map(promotion => ({ ...this.toPublic(promotion), missingAmount: roundAmount(promotion.rules.minPurchase - subtotal) }));
+
+    return {
+      items,
+      subtotal,
+      discount,
+      total: roundAmount(subtotal - discount),
+      promotions: [...applied.values()],
+      nearPromotions,
+      coupon: code ? { code: normalizeCode(code), applied: Boolean(coupon && applied.has(coupon.code)) } : null,
+    };
+  }
+
+  /**
+   * Promociones automáticas vigentes (sin revelar los cupones)
+   */
+  async listPromotions(domain) {
+    const { automatic } = await this.getCandidates(domain);
+    return {
+      count: automatic.length,
+      promotions: automatic.map(promotion => this.toPublic(promotion)),
+    };
+  }
+
+  /**
+   * Promociones que aplican a un producto (por ID/slug o búsqueda),
+   * al carrito del usuario o, sin ninguno de los dos, las vigentes
+   * @throws {NotFoundError} - Producto inexistente
+   */
+  async getApplicablePromotions(domain, { productId, query, code } = {}, { userId = null } = {}) {
+    if (productId || query) {
+      const product = formatProductSummary(await CartService.resolveProduct(domain, { productId, query }));
+      const offers = await this.getProductOffers(domain, {
+        productId: product.id,
+        slug: product.slug,
+        category: product.category,
+        price: product.price,
+      }, { code });
+
+      return {
+        scope: 'product',
+        product: { productId: product.id, title: product.title, slug: product.slug, price: product.price },
+        ...offers,
+      };
+    }
+
+    if (userId) {
+      const cart = await this.getCartPromotions(domain, userId, { code });
+      if (cart.items.length > 0) {
+        return { scope: 'cart', ...cart };
+      }
+    }
+
+    return { scope: 'store', ...(await this.listPromotions(domain)) };
+  }
+
+  /**
+   * Valida un cupón y, si el usuario tiene carrito, calcula su descuento
+   * @returns {Promise<Object>} - { valid, code, reason?, promotion?, cart? }
+   *   reason: not_found | inactive | not_started | expired | min_purchase | not_applicable
+   * @throws {ValidationError} - Sin código
+   */
+  async validateCoupon(domain, code, { userId = null } = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+      throw new ValidationError('The coupon code is required');
+    }
+
+    const promotion = await this.findByCode(domain, normalized);
+
+    if (!promotion) {
+      logger.info(`[Promotion] ${domain}: coupon ${normalized} not found`);
+      return { valid: false, code: normalized, reason: 'not_found' };
+    }
+
+    const invalidReason = this.getInvalidReason(promotion);
+    if (invalidReason) {
+      logger.info(`[Promotion] ${domain}: coupon ${normalized} ${invalidReason}`);
+      return { valid: false, code: normalized, reason: invalidReason, promotion: this.toPublic(promotion) };
+    }
+
+    const result = { valid: true, code: normalized, promotion: this.toPublic(promotion) };
+
+    if (userId) {
+      const cart = await this.getCartPromotions(domain, userId, { code: normalized });
+      if (cart.items.length > 0) {
+        result.cart = {
+          subtotal: cart.subtotal,
+          discount: cart.discount,
+          total: cart.total,
+          couponApplied: cart.coupon.applied,
+        };
+        if (!cart.coupon.applied) {
+          const belowMinimum = promotion.rules?.minPurchase && cart.subtotal < promotion.rules.minPurchase;
+          result.reason = belowMinimum ? 'min_purchase' : 'not_applicable';
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new PromotionService();
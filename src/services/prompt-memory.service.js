@@ -9,8 +9,8 @@
  * para evitar reenviarlo en cada mensaje, ahorrando tokens.
  */
 
-const axios = require('axios');
 const config = require('../config/env.config');
+const BusinessConfigService = require('./business-config.service');
 const logger = require('../utils/logger');
 const getProductModel = require('../models/Product');
 
@@ -24,8 +24,9 @@ class PromptMemoryService {
   /**
    * Obtiene la configuración del negocio por dominio
    * Usa caché para evitar consultas repetidas
+   * @param {Object} options - { deadline } de la petición en curso
    */
-  async getBusinessConfig(domain) {
+  async getBusinessConfig(domain, options = {}) {
     // Verificar caché
     const cached = businessConfigCache.get(domain);
     if (cached && Date.now() - cached.timestamp < config.performance.businessConfigCacheTTL) {
@@ -34,17 +35,13 @@ class PromptMemoryService {
     }
 
     try {
-      if (!config.api.configurationUrl) {
+      if (!BusinessConfigService.isEnabled()) {
         logger.warn('[PromptMemory] API_CONFIGURATION not configured, using default config');
         return this.getDefaultBusinessConfig(domain);
       }
 
-      const { data } = await axios.get(`${config.api.configurationUrl}/api/configurations`, {
-        headers: { domain },
-        timeout: 5000,
-      });
-
-      const businessConfig = data?.[0] || this.getDefaultBusinessConfig(domain);
+      const businessConfig = await BusinessConfigService.getConfiguration(domain, options)
+        || this.getDefaultBusinessConfig(domain);
 
       // Guardar en caché
       businessConfigCache.set(domain, {
@@ -144,9 +141,17 @@ class PromptMemoryService {
 
 REGLAS:
 - Responde en JSON: {"message": "...", "audio_description": "...", "action": {...}}
-- BÚSQUEDA INTELIGENTE: Cuando uses search_products, piensa en conceptos relacionados. Si no hay resultados exactos, busca términos relacionados (ej: "cargadores" → "batería", "batidora" → "batidor").
+- BÚSQUEDA INTELIGENTE: search_products ya aplica los sinónimos de la tienda y tolera tildes y errores de tipeo; busca con las palabras del usuario y, si no hay resultados, prueba un término más general.
 - Para buscar productos, usa search_products (función disponible)
-- Si el usuario SOLICITA EXPLÍCITAMENTE agregar al carrito, ejecuta la acción add_to_cart con los datos del producto
+- Si el usuario pide ver más resultados usa search_products con more: true; para ordenar (más baratos, más caros, más nuevos) usa sort
+- Si el usuario SOLICITA EXPLÍCITAMENTE agregar al carrito, usa add_to_cart (agrega al carrito real) y responde con la acción add_to_cart y los datos del producto
+- Carrito: view_cart para ver su contenido, remove_from_cart / update_cart_item para quitar o cambiar cantidades, clear_cart solo si pide vaciarlo
+- Para finalizar la compra usa el tool checkout paso a paso (dirección, zona de envío, método de pago); confirma solo si el usuario aprueba el resumen
+- Para el estado de un pedido usa get_order_status con el número de pedido y el email o teléfono de la compra
+- Para promociones usa get_promotions y para cupones validate_coupon; no inventes descuentos ni códigos
+- Productos con talla/color: ofrece solo variantes con stock y pasa sku (o size/color) a add_to_cart
+- Para productos parecidos, complementarios o "qué más llevan" usa recommend_products
+- Para devoluciones, garantías, horarios, medios de pago y otras políticas usa search_knowledge_base; responde solo con lo que devuelve y no inventes políticas
 - Si el usuario solo pregunta sobre productos, muestra información pero pregunta antes de agregar
 - Responde en español de Perú (PEN)
 - Máximo 150 caracteres
@@ -157,10 +162,11 @@ REGLAS:
    * Construye el system prompt completo con configuración y catálogo
    * Este prompt se memoriza y se reutiliza en toda la conversación
    * OPTIMIZACIÓN: Solo se usa en el primer mensaje
+   * @param {Object} options - { deadline } de la petición en curso
    */
-  async buildSystemPrompt(domain) {
+  async buildSystemPrompt(domain, options = {}) {
     const [businessConfig, productCatalog] = await Promise.all([
-      this.getBusinessConfig(domain),
+      this.getBusinessConfig(domain, options),
       this.getProductCatalog(domain),
     ]);
 
@@ -176,10 +182,18 @@ FORMATO RESPUESTA (JSON obligatorio):
 {"message": "texto visual", "audio_description": "texto hablado", "action": {"type": "none|add_to_cart|show_product|go_to_url", "productId": null, ...}}
 
 REGLAS:
-- Si el usuario SOLICITA EXPLÍCITAMENTE agregar al carrito (ej: "agrega al carrito", "quiero comprar", "añade"), ejecuta la acción add_to_cart con los datos del producto proporcionados
+- Si el usuario SOLICITA EXPLÍCITAMENTE agregar al carrito (ej: "agrega al carrito", "quiero comprar", "añade"), usa add_to_cart (agrega al carrito real) y responde con la acción add_to_cart y los datos del producto
+- CARRITO: usa view_cart para ver qué tiene el usuario, remove_from_cart o update_cart_item para quitar productos o cambiar cantidades (por posición: "el segundo" = 2, "el último" = -1) y clear_cart solo si pide vaciarlo
+- CHECKOUT: si el usuario quiere finalizar la compra, usa el tool checkout paso a paso (start, set_address, set_shipping_zone, set_payment_method; set_coupon si dio un cupón válido) y muestra el resumen con el total; usa confirm solo cuando el usuario lo apruebe explícitamente
+- PEDIDOS: para "¿dónde está mi pedido?" pide el número de pedido y el email o teléfono de la compra y usa get_order_status; nunca des datos de un pedido sin esa verificación
+- PROMOCIONES: usa get_promotions para las promociones de un producto o del carrito y validate_coupon cuando el usuario da un cupón; informa el precio final y las condiciones, y nunca inventes descuentos ni códigos
+- VARIANTES: si un producto tiene tallas o colores, ofrece solo las variantes con stock (search_products acepta size y color); antes de agregar pregunta la talla/color si falta y pasa el sku de la variante (o size y color) a add_to_cart, e incluye el sku en la acción
+- RECOMENDACIONES: usa recommend_products para alternativas (similar) cuando un producto no está disponible o no convence, accesorios (complementary) o lo que otros clientes llevaron (also_bought); si search_products no encuentra nada, sugiere sus alternatives
+- POLÍTICAS Y PREGUNTAS FRECUENTES: para devoluciones, cambios, garantías, horarios, medios de pago y otras políticas usa search_knowledge_base y responde solo con los fragmentos que devuelve, mencionando el artículo; si no hay resultados, di que no tienes esa información. Nunca inventes plazos ni condiciones
 - Si el usuario solo pregunta o busca productos, muestra información pero pregunta antes de agregar al carrito
-- BÚSQUEDA INTELIGENTE: Cuando uses search_products, piensa en conceptos relacionados. Si el usuario busca "cargadores portátiles" y no hay resultados exactos, busca términos relacionados como "batería portátil" o "power bank". Si busca "batidora", también considera "batidor" o "mezclador". Sé flexible y entiende la intención del usuario, no solo las palabras exactas.
+- BÚSQUEDA INTELIGENTE: search_products ya aplica los sinónimos y expansiones de la tienda y tolera tildes y errores de tipeo, así que busca con las palabras del usuario. Si no hay resultados, prueba con un término más general o con el tipo de producto. Sé flexible y entiende la intención del usuario, no solo las palabras exactas.
 - Para buscar productos: usa search_products (función disponible). NO inventes productos.
+- "Muéstrame más": search_products con more: true. "Los más baratos/caros/nuevos": sort (price_asc, price_desc, newest).
 - message: texto visual (sin links/html). audio_description: texto hablado (sin mencionar botones).
 - Responde en español de Perú (PEN). Máximo 150 caracteres.
 - Si producto no existe después de buscar términos relacionados: "No encontré ese producto. ¿Buscamos algo similar?"
@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * PROVIDER HEALTH SERVICE
+ * ============================================
+ * Un circuit breaker por proveedor de modelos
+ *
+ * - El orquestador llama a los proveedores a través de execute():
+ *   con el circuito abierto falla al instante y se pasa al fallback
+ *   sin esperar el timeout del proveedor caído
+ * - ModelRouterService y ProviderRegistryService.getFallback
+ *   evitan los proveedores con el circuito abierto
+ * - El estado se expone en /health y se guarda en TokenUsage.metadata
+ */
+
+const { CircuitBreaker } = require('../utils/circuit-breaker');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+
+class ProviderHealthService {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      const options = {
+        ...config.circuitBreaker,
+        // Quedarse sin presupuesto de la petición no es un fallo del proveedor
+        isFailure: error => error.name !== 'DeadlineExceededError',
+      };
+      this.breakers.set(name, new CircuitBreaker(name, options, (provider, from, to) => {
+        const log = to === 'open' ? logger.warn : logger.info;
+        log.call(logger, `[ProviderHealth] ${provider}: circuit ${from} → ${to}`);
+      }));
+    }
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Si el proveedor acepta llamadas ahora (circuito cerrado o en prueba)
+   */
+  isCallAllowed(name) {
+    return this.getBreaker(name).isCallAllowed();
+  }
+
+  getState(name) {
+    return this.getBreaker(name).refreshState();
+  }
+
+  /**
+   * Ejecuta una llamada al proveedor midiendo error y latencia
+   * @throws {CircuitOpenError} si el circuito está abierto
+   */
+  async execute(name, fn) {
+    return this.getBreaker(name).execute(fn);
+  }
+
+  /**
+   * Proveedores con el circuito abierto
+   */
+  listOpen(names) {
+    return names.filter(name => !this.isCallAllowed(name));
+  }
+
+  /**
+   * Estado de los breakers de los proveedores indicados
+   * @returns {Object} - { [provider]: { state, requests, errorRate, ... } }
+   */
+  getSnapshot(names) {
+    return Object.fromEntries(names.map(name => [name, this.getBreaker(name).getSnapshot()]));
+  }
+}
+
+module.exports = new ProviderHealthService();
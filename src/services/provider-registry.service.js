@@ -0,0 +1,111 @@
+/**
+ * ============================================
+ * PROVIDER REGISTRY SERVICE
+ * ============================================
+ * Registro de proveedores de modelos por nombre
+ *
+ * - forceModel y DEFAULT_MODEL_PROVIDER aceptan cualquier nombre registrado
+ * - Los proveedores se instancian al primer uso: sin API key el servidor
+ *   arranca igual y el proveedor queda como no disponible
+ * - El fallback omite los proveedores con el circuit breaker abierto
+ */
+
+const GeminiAgentService = require('./gemini-agent.service');
+const OpenAIAgentService = require('./openai-agent.service');
+const LocalProvider = require('../providers/local.provider');
+const MockProvider = require('../providers/mock.provider');
+const ProviderHealthService = require('./provider-health.service');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+
+class ProviderRegistryService {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+
+    this.register('gemini', () => new GeminiAgentService());
+    this.register('openai', () => new OpenAIAgentService());
+    this.register('local', () => new LocalProvider());
+
+    if (config.providers.enableMock) {
+      this.register('mock', () => new MockProvider());
+    }
+  }
+
+  /**
+   * Registra un proveedor
+   * @param {string} name - Nombre único
+   * @param {Function} factory - Crea la instancia (subclase de LLMProvider)
+   */
+  register(name, factory) {
+    if (this.factories.has(name)) {
+      throw new Error(`Provider already registered: ${name}`);
+    }
+    this.factories.set(name, factory);
+  }
+
+  has(name) {
+    return this.factories.has(name);
+  }
+
+  /**
+   * Nombres de todos los proveedores registrados
+   */
+  list() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * Obtiene (y crea al primer uso) un proveedor
+   */
+  get(name) {
+    if (!this.instances.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown provider: ${name}`);
+      }
+      this.instances.set(name, factory());
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * Si el proveedor está registrado y configurado
+   */
+  isAvailable(name) {
+    return this.has(name) && this.get(name).isConfigured();
+  }
+
+  listAvailable() {
+    return this.list().filter(name => this.isAvailable(name));
+  }
+
+  /**
+   * Devuelve el proveedor pedido si está disponible, si no el primero disponible
+   */
+  resolve(name) {
+    if (this.isAvailable(name)) return name;
+
+    const [alternative] = this.listAvailable();
+    if (alternative) {
+      logger.warn(`[Providers] ${name} not available, using ${alternative}`);
+      return alternative;
+    }
+
+    return name;
+  }
+
+  /**
+   * Proveedor de fallback cuando falla otro (con el circuito cerrado o en prueba)
+   * @returns {string|null}
+   */
+  getFallback(failedName) {
+    return this.listAvailable().find(name => (
+      name !== failedName
+      && this.get(name).fallbackEligible
+      && ProviderHealthService.isCallAllowed(name)
+    )) || null;
+  }
+}
+
+module.exports = new ProviderRegistryService();
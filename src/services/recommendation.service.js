@@ -0,0 +1,283 @@
+/**
+ * ============================================
+ * RECOMMENDATION SERVICE
+ * ============================================
+ * Recomendaciones de productos por dominio:
+ * - similar: misma categoría, tags en común y precio cercano (alternativas)
+ * - complementary: otra categoría con tags en común o que se compra junto
+ *   (accesorios)
+ * - also_bought: productos agregados al carrito en las mismas conversaciones
+ *   (acciones add_to_cart guardadas en Conversation)
+ *
+ * Sin producto de referencia devuelve los más agregados al carrito.
+ * Nunca recomienda productos agotados.
+ */
+
+const getProductModel = require('../models/Product');
+const getConversationModel = require('../models/Conversation');
+const CartService = require('./cart.service');
+const ProductCatalogService = require('./product-catalog.service');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { formatProductSummary, formatCategory } = require('../utils/product-formatter');
+
+const RECOMMENDATION_TYPES = ['similar', 'complementary', 'also_bought'];
+const PRODUCT_FIELDS = 'title description_short price slug category image_default is_available tags stock variants';
+const CANDIDATE_LIMIT = 50;
+const MAX_RESULTS = 10;
+
+/**
+ * Slug de la categoría (el catálogo la guarda como { name, slug } o como slug)
+ */
+function getCategorySlug(product) {
+  const category = formatCategory(product.category);
+  return (typeof category === 'object' ? category?.slug : category) || null;
+}
+
+/**
+ * Precio que paga el cliente (oferta si la hay)
+ */
+function getUnitPrice(product) {
+  return product.price?.sale || product.price?.regular || 0;
+}
+
+class RecommendationService {
+  constructor() {
+    // Co-ocurrencias por dominio y producto (la agregación recorre conversaciones)
+    this.cache = new Map();
+  }
+
+  /**
+   * Conteo de productos agregados al carrito junto con el producto
+   * (o, sin producto, de todos los agregados) en conversaciones recientes
+   * @param {Array<string>} productRefs - ID y slug del producto (vacío = popularidad)
+   * @returns {Promise<Array<Object>>} - [{ productId, count }] de más a menos
+   */
+  async getCoOccurrences(domain, productRefs = []) {
+    const cacheKey = `${domain}|${productRefs.join(',')}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < config.recommendations.cacheTtlMs) {
+      return cached.counts;
+    }
+    this.cache.delete(cacheKey);
+
+    const since = new Date(Date.now() - config.recommendations.windowDays * 24 * 60 * 60 * 1000);
+    const match = { domain, updatedAt: { $gte: since } };
+    if (productRefs.length > 0) {
+      match.messages = { $elemMatch: { 'metadata.action.type': 'add_to_cart', 'metadata.action.productId': { $in: productRefs } } };
+    }
+
+    const Conversation = getConversationModel();
+    const counts = await Conversation.aggregate([
+      { $match: match },
+      { $sort: { updatedAt: -1 } },
+      { $limit: config.recommendations.maxConversations },
+      { $unwind: '$messages' },
+      { $match: { 'messages.metadata.action.type': 'add_to_cart', 'messages.metadata.action.productId': { $nin: [...productRefs, null] } } },
+      // Una vez por conversación
+      { $group: { _id: { conversation: '$_id', productId: '$messages.metadata.action.productId' } } },
+      { $group: { _id: '$_id.productId', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: CANDIDATE_LIMIT },
+    ]);
+
+    const result = counts.map(({ _id, count }) => ({ productId: _id, count }));
+    this.cache.set(cacheKey, { counts: result, timestamp: Date.now() });
+    return result;
+  }
+
+  /**
+   * Productos (resumen) de los conteos, en el mismo orden y sin agotados
+   */
+  async loadCounted(domain, counts) {
+    if (counts.length === 0) return [];
+
+    const { products } = await ProductCatalogService.compareProducts(counts.map(entry => entry.productId), domain);
+    const byRef = new Map();
+    for (const product of products) {
+      byRef.set(product.id, product);
+      byRef.set(product.slug, product);
+    }
+
+    // Un producto puede aparecer por ID y por slug
+    const loaded = [];
+    for (const { productId } of counts) {
+      const product = byRef.get(productId);
+      if (product && product.inStock && !loaded.includes(product)) {
+        loaded.push(product);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Misma categoría, tags en común o precio dentro de la banda (RECOMMENDATION_PRICE_BAND)
+   */
+  async getSimilar(domain, product, limit) {
+    const categorySlug = getCategorySlug(product);
+    const tags = product.tags || [];
+    const price = getUnitPrice(product);
+    const band = config.recommendations.priceBand;
+
+    const criteria = [];
+    if (categorySlug) criteria.push({ 'category.slug': categorySlug });
+    if (tags.length > 0) criteria.push({ tags: { $in: tags } });
+    if (price > 0) criteria.push({ 'price.regular': { $gte: price * (1 - band), $lte: price * (1 + band) } });
+    if (criteria.length === 0) return [];
+
+    const Product = getProductModel();
+    const candidates = await Product
+      .find({ domain, is_available: true, _id: { $ne: product._id }, $or: criteria })
+      .limit(CANDIDATE_LIMIT)
+      .select(PRODUCT_FIELDS)
+      .lean();
+
+    return candidates
+      .map(candidate => {
+        const sharedTags = (candidate.tags || []).filter(tag => tags.includes(tag)).length;
+        const priceDistance = price > 0 ? Math.abs(getUnitPrice(candidate) - price) / price : 1;
+
+        let score = sharedTags * 3;
+        if (categorySlug && getCategorySlug(candidate) === categorySlug) score += 10;
+        if (priceDistance <= band) score += 5 * (1 - priceDistance / band);
+
+        return { summary: formatProductSummary(candidate), score };
+      })
+      .filter(({ summary }) => summary.inStock)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ summary }) => summary);
+  }
+
+  /**
+   * Otra categoría: primero lo que se agrega junto, luego lo que comparte tags
+   */
+  async getComplementary(domain, product, limit) {
+    const categorySlug = getCategorySlug(product);
+    const tags = product.tags || [];
+    const otherCategory = candidate => !categorySlug || getCategorySlug(candidate) !== categorySlug;
+
+    const alsoBought = (await this.getAlsoBought(domain, product, CANDIDATE_LIMIT)).filter(otherCategory);
+    if (alsoBought.length >= limit || tags.length === 0) {
+      return alsoBought.slice(0, limit);
+    }
+
+    const Product = getProductModel();
+    const filter = { domain, is_available: true, _id: { $ne: product._id }, tags: { $in: tags } };
+    if (categorySlug) filter['category.slug'] = { $ne: categorySlug };
+
+    const candidates = await Product.find(filter).limit(CANDIDATE_LIMIT).select(PRODUCT_FIELDS).lean();
+    const byTags = candidates
+      .map(candidate => ({
+        summary: formatProductSummary(candidate),
+        sharedTags: (candidate.tags || []).filter(tag => tags.includes(tag)).length,
+      }))
+      .filter(({ summary }) => summary.inStock)
+      .sort((a, b) => b.sharedTags - a.sharedTags)
+      .map(({ summary }) => summary);
+
+    return [...alsoBought, ...byTags.filter(summary => !alsoBought.some(entry => entry.id === summary.id))].slice(0, limit);
+  }
+
+  async getAlsoBought(domain, product, limit) {
+    const refs = [product._id.toString(), product.slug].filter(Boolean);
+    const counted = await this.loadCounted(domain, await this.getCoOccurrences(domain, refs));
+    return counted.slice(0, limit);
+  }
+
+  /**
+   * Más agregados al carrito (sin historial: los más recientes del catálogo)
+   */
+  async getPopular(domain, limit) {
+    const popular = await this.loadCounted(domain, await this.getCoOccurrences(domain));
+    if (popular.length >= limit) {
+      return popular.slice(0, limit);
+    }
+
+    const Product = getProductModel();
+    const latest = await Product
+      .find({ domain, is_available: true })
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .select(PRODUCT_FIELDS)
+      .lean();
+
+    const fill = latest
+      .map(formatProductSummary)
+      .filter(summary => summary.inStock && !popular.some(entry => entry.id === summary.id));
+    return [...popular, ...fill].slice(0, limit);
+  }
+
+  /**
+   * Recomendaciones para un producto (por ID/slug o búsqueda)
+   * @param {Object} params - { productId?, query?, type?, limit? } (sin type: mezcla de los tres)
+   * @returns {Promise<Object>} - { product, type, count, products: [resumen + reason] }
+   *   reason: similar | complementary | also_bought | popular
+   */
+  async recommend(domain, { productId, query, type, limit = 5 } = {}) {
+    const max = Math.min(Math.max(parseInt(limit, 10) || 5, 1), MAX_RESULTS);
+    const types = RECOMMENDATION_TYPES.includes(type) ? [type] : ['also_bought', 'similar', 'complementary'];
+
+    let product = null;
+    if (productId || query) {
+      try {
+        product = await CartService.resolveProduct(domain, { productId, query });
+      } catch (error) {
+        if (error.name !== 'NotFoundError') throw error;
+        logger.warn(`[Recommendation] ${domain}: ${error.message}, recommending popular products`);
+      }
+    }
+
+    const recommended = [];
+    const add = (products, reason) => {
+      for (const summary of products) {
+        if (recommended.length >= max) return;
+        if (!recommended.some(entry => entry.id === summary.id)) {
+          recommended.push({ ...summary, reason });
+        }
+      }
+    };
+
+    if (product) {
+      for (const current of types) {
+        if (recommended.length >= max) break;
+        if (current === 'similar') add(await this.getSimilar(domain, product, max), current);
+        if (current === 'complementary') add(await this.getComplementary(domain, product, max), current);
+        if (current === 'also_bought') add(await this.getAlsoBought(domain, product, max), current);
+      }
+    } else {
+      add(await this.getPopular(domain, max), 'popular');
+    }
+
+    logger.info(`[Recommendation] ${domain}: ${recommended.length} products for ${product ? product.title : 'store'} (${type || 'mixed'})`);
+
+    return {
+      product: product ? { productId: product._id.toString(), title: product.title, slug: product.slug } : null,
+      type: product ? (type || 'mixed') : 'popular',
+      count: recommended.length,
+      products: recommended,
+    };
+  }
+
+  /**
+   * Alternativas cuando una búsqueda no encuentra nada: la misma búsqueda
+   * sin filtros (categoría, precio, talla, color) o, si tampoco hay, los populares
+   * @returns {Promise<Array<Object>>} - Resúmenes con reason (relaxed_filters | popular)
+   */
+  async getSearchAlternatives(domain, { query, category, minPrice, maxPrice, size, color, limit = 5 } = {}) {
+    const max = Math.min(Math.max(parseInt(limit, 10) || 5, 1), MAX_RESULTS);
+    const hasFilters = Boolean(category || minPrice || maxPrice || size || color);
+
+    if (query && hasFilters) {
+      const { products } = await ProductCatalogService.searchProducts({ query, limit: max }, domain, { alternatives: false });
+      const available = products.filter(product => product.inStock);
+      if (available.length > 0) {
+        return available.map(product => ({ ...product, reason: 'relaxed_filters' }));
+      }
+    }
+
+    return (await this.getPopular(domain, max)).map(product => ({ ...product, reason: 'popular' }));
+  }
+}
+
+module.exports = new RecommendationService();
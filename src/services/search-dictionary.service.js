@@ -0,0 +1,254 @@
+/**
+ * ============================================
+ * SEARCH DICTIONARY SERVICE
+ * ============================================
+ * Sinónimos, expansiones y palabras ignoradas de la búsqueda de
+ * productos de cada dominio (se editan con /api/search-dictionary)
+ *
+ * ProductCatalogService los aplica a las palabras clave antes de
+ * consultar, así la búsqueda es la misma venga la consulta del
+ * intérprete de intenciones o de cualquier LLM:
+ * - sinónimos: "celular" ↔ "smartphone" ↔ "movil"
+ * - expansiones (en un solo sentido): "cargador" → "power bank"
+ * - stopWords: se quitan de la búsqueda (las del idioma, o todas si no se conoce)
+ *
+ * Los términos se comparan sin tildes ni mayúsculas y pueden tener varias
+ * palabras ("power bank"); las palabras de menos de 3 letras no cuentan.
+ */
+
+const getSearchDictionaryModel = require('../models/SearchDictionary');
+const config = require('../config/env.config');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const EMPTY_COMPILED = { stopWords: {}, lookup: new Map(), maxPhraseWords: 1 };
+
+/**
+ * Texto comparable (sin mayúsculas ni tildes)
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Término del diccionario como lo compara la búsqueda ("Power-Bank" → "power bank")
+ */
+function normalizeTerm(term) {
+  return normalizeText(term).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Clave con la que un término se busca entre las palabras clave
+ * (sin las palabras de menos de 3 letras: "cable de red" → "cable red")
+ */
+function phraseKey(term) {
+  return normalizeTerm(term).split(' ').filter(word => word.length > 2).join(' ');
+}
+
+/**
+ * Lista sin repetidos (por término normalizado) ni vacíos, conservando el texto original
+ */
+function uniqueTerms(terms = []) {
+  const seen = new Set();
+  return terms
+    .map(term => String(term).trim())
+    .filter(term => {
+      const normalized = normalizeTerm(term);
+      if (!normalized || seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+}
+
+class SearchDictionaryService {
+  constructor() {
+    // domain → { compiled, loadedAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Diccionario para la API
+   */
+  toPublic(domain, dictionary) {
+    return {
+      domain,
+      synonyms: dictionary?.synonyms || [],
+      expansions: (dictionary?.expansions || []).map(({ term, expandsTo }) => ({ term, expandsTo })),
+      stopWords: Object.fromEntries(getSearchDictionaryModel.LOCALES.map(locale => [locale, dictionary?.stopWords?.[locale] || []])),
+      updatedAt: dictionary?.updatedAt || null,
+    };
+  }
+
+  /**
+   * Limpia el diccionario (sin repetidos) y revisa que cada regla sirva
+   * @throws {ValidationError}
+   */
+  buildDictionary({ synonyms = [], expansions = [], stopWords = {} }) {
+    const cleanSynonyms = synonyms.map((group, i) => {
+      const terms = uniqueTerms(group);
+      if (terms.filter(phraseKey).length < 2) {
+        throw new ValidationError(`Synonym group ${i + 1} needs at least two different terms of 3 or more letters`);
+      }
+      return terms;
+    });
+
+    const cleanExpansions = expansions.map(({ term, expandsTo }) => {
+      if (!phraseKey(term)) {
+        throw new ValidationError(`Expansion term "${term}" needs a word of 3 or more letters`);
+      }
+      const targets = uniqueTerms(expandsTo).filter(target => normalizeTerm(target) !== normalizeTerm(term));
+      if (targets.length === 0) {
+        throw new ValidationError(`Expansion "${term}" needs at least one term different from itself`);
+      }
+      return { term: term.trim(), expandsTo: targets };
+    });
+
+    const cleanStopWords = Object.fromEntries(getSearchDictionaryModel.LOCALES.map(locale => [
+      locale,
+      [...new Set((stopWords[locale] || []).map(normalizeTerm).filter(Boolean))],
+    ]));
+
+    return { synonyms: cleanSynonyms, expansions: cleanExpansions, stopWords: cleanStopWords };
+  }
+
+  /**
+   * Diccionario del dominio (vacío si no tiene)
+   */
+  async getDictionary(domain) {
+    const SearchDictionary = getSearchDictionaryModel();
+    const dictionary = await SearchDictionary.findOne({ domain }).lean();
+    return this.toPublic(domain, dictionary);
+  }
+
+  /**
+   * Crea o reemplaza el diccionario del dominio
+   * @returns {Promise<Object>} - { created, dictionary }
+   */
+  async updateDictionary(domain, data) {
+    const fields = this.buildDictionary(data);
+
+    const SearchDictionary = getSearchDictionaryModel();
+    let dictionary = await SearchDictionary.findOne({ domain });
+    const created = !dictionary;
+
+    if (created) {
+      dictionary = new SearchDictionary({ domain, ...fields });
+    } else {
+      dictionary.set(fields);
+    }
+    await dictionary.save();
+    this.cache.delete(domain);
+
+    logger.info(`[SearchDictionary] ${domain}: ${created ? 'created' : 'updated'} (${fields.synonyms.length} synonym groups, ${fields.expansions.length} expansions)`);
+    return { created, dictionary: this.toPublic(domain, dictionary) };
+  }
+
+  /**
+   * Elimina el diccionario del dominio
+   * @throws {NotFoundError}
+   */
+  async deleteDictionary(domain) {
+    const SearchDictionary = getSearchDictionaryModel();
+    const { deletedCount } = await SearchDictionary.deleteOne({ domain });
+    this.cache.delete(domain);
+
+    if (deletedCount === 0) {
+      throw new NotFoundError('Search dictionary not found');
+    }
+
+    logger.info(`[SearchDictionary] ${domain}: deleted`);
+    return { domain, deleted: true };
+  }
+
+  /**
+   * Reglas listas para aplicar: término → términos que también se buscan
+   */
+  compile(dictionary) {
+    if (!dictionary) {
+      return EMPTY_COMPILED;
+    }
+
+    const lookup = new Map();
+    const add = (term, targets) => {
+      const key = phraseKey(term);
+      if (!key) return;
+      if (!lookup.has(key)) lookup.set(key, new Set());
+      targets
+        .map(normalizeTerm)
+        .filter(target => target && phraseKey(target) !== key)
+        .forEach(target => lookup.get(key).add(target));
+    };
+
+    (dictionary.synonyms || []).forEach(group => group.forEach(term => add(term, group)));
+    (dictionary.expansions || []).forEach(({ term, expandsTo }) => add(term, expandsTo || []));
+
+    const stopWords = Object.fromEntries(getSearchDictionaryModel.LOCALES.map(locale => [
+      locale,
+      new Set((dictionary.stopWords?.[locale] || []).flatMap(word => normalizeTerm(word).split(' '))),
+    ]));
+
+    return {
+      stopWords,
+      lookup,
+      maxPhraseWords: Math.max(1, ...[...lookup.keys()].map(key => key.split(' ').length)),
+    };
+  }
+
+  /**
+   * Reglas del dominio (se recargan cada PRODUCT_CACHE_TTL_MS o al editarlas)
+   */
+  async getCompiled(domain) {
+    const cached = this.cache.get(domain);
+    if (cached && Date.now() - cached.loadedAt < config.performance.productCacheTTL) {
+      return cached.compiled;
+    }
+
+    const SearchDictionary = getSearchDictionaryModel();
+    const compiled = this.compile(await SearchDictionary.findOne({ domain }).lean());
+    this.cache.set(domain, { compiled, loadedAt: Date.now() });
+    return compiled;
+  }
+
+  /**
+   * Aplica el diccionario a las palabras clave de una búsqueda
+   * @param {Array<string>} keywords - Palabras clave (normalizadas, en orden)
+   * @param {Object} options - { locale } de la consulta (sin locale, las stopWords de todos los idiomas)
+   * @returns {Promise<Array<Object>>} - [{ keyword, variants }]; un término de varias
+   *   palabras ("power bank") queda como una sola palabra clave
+   */
+  async expandKeywords(keywords, domain, { locale } = {}) {
+    let compiled = EMPTY_COMPILED;
+    try {
+      compiled = await this.getCompiled(domain);
+    } catch (error) {
+      logger.warn(`[SearchDictionary] ${domain}: dictionary unavailable, searching without it: ${error.message}`);
+    }
+
+    const stopWordSets = locale && compiled.stopWords[locale]
+      ? [compiled.stopWords[locale]]
+      : Object.values(compiled.stopWords);
+    const words = keywords.filter(word => !stopWordSets.some(stopWords => stopWords.has(word)));
+
+    const terms = [];
+    for (let i = 0; i < words.length;) {
+      // La frase más larga del diccionario que empieza en esta palabra
+      let size = Math.min(compiled.maxPhraseWords, words.length - i);
+      while (size > 1 && !compiled.lookup.has(words.slice(i, i + size).join(' '))) {
+        size--;
+      }
+
+      const keyword = words.slice(i, i + size).join(' ');
+      terms.push({ keyword, variants: [keyword, ...(compiled.lookup.get(keyword) || [])] });
+      i += size;
+    }
+
+    const expanded = terms.filter(term => term.variants.length > 1);
+    if (expanded.length > 0) {
+      logger.info(`[SearchDictionary] ${domain}: ${expanded.map(term => `${term.keyword} → ${term.variants.slice(1).join('/')}`).join(', ')}`);
+    }
+
+    return terms;
+  }
+}
+
+module.exports = new SearchDictionaryService();
@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * TOOL REGISTRY SERVICE
+ * ============================================
+ * Registro único de tools (src/tools) compartido por:
+ * - ToolExecutorService (tools por intención interpretada)
+ * - GeminiAgentService y OpenAIAgentService (function calling)
+ *
+ * Así los resultados tienen la misma forma sin importar qué
+ * camino ejecutó el tool.
+ */
+
+const tools = require('../tools');
+const logger = require('../utils/logger');
+
+// Claves de JSON Schema que acepta Gemini en functionDeclarations
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+class ToolRegistryService {
+  constructor() {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Registra un tool
+   * @param {Object} tool - { name, description, parameters, exposeToModel, sequential?, handler }
+   */
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool must declare a name and a handler');
+    }
+
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      exposeToModel: false,
+      sequential: false,
+      ...tool,
+    });
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Tools que se ofrecen a los LLMs
+   */
+  listModelTools() {
+    return [...this.tools.values()].filter(tool => tool.exposeToModel);
+  }
+
+  /**
+   * Si un tool puede ejecutarse en paralelo con otros del mismo turno del modelo
+   * (los tools desconocidos solo devuelven un error, no tienen efectos)
+   */
+  isParallelSafe(name) {
+    const tool = this.get(name);
+    return !tool || !tool.sequential;
+  }
+
+  /**
+   * Verifica los argumentos requeridos por el schema
+   * @returns {Array<string>} - Argumentos faltantes
+   */
+  findMissingArgs(tool, args) {
+    const required = tool.parameters.required || [];
+    return required.filter(key => args[key] === undefined || args[key] === null || args[key] === '');
+  }
+
+  /**
+   * Ejecuta un tool (los handlers toleran argumentos faltantes)
+   * @param {string} name - Nombre del tool
+   * @param {Object} args - Argumentos
+   * @param {Object} context - { domain, userId, deadline }
+   * @returns {Promise<Object|null>} - Datos del tool (null = sin resultado)
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    logger.info(`[ToolRegistry] Executing ${name} on ${context.domain}`);
+    const result = await tool.handler(args, context);
+    return result === undefined ? null : result;
+  }
+
+  /**
+   * Ejecuta un tool pedido por un LLM: valida los argumentos requeridos
+   * y nunca lanza; los errores y resultados vacíos se devuelven como
+   * { error } para que el modelo pueda responder al usuario
+   */
+  async executeForModel(name, args, context) {
+    try {
+      const tool = this.get(name);
+      const missing = tool ? this.findMissingArgs(tool, args || {}) : [];
+      if (missing.length > 0) {
+        return { error: `Missing required arguments: ${missing.join(', ')}` };
+      }
+
+      const result = await this.execute(name, args || {}, context);
+      return result || { error: 'No results found' };
+    } catch (error) {
+      logger.error(`[ToolRegistry] Error executing ${name}: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Deja solo las claves de JSON Schema que acepta Gemini
+   */
+  toGeminiSchema(schema) {
+    const result = {};
+
+    for (const key of GEMINI_SCHEMA_KEYS) {
+      if (schema[key] === undefined) continue;
+
+      if (key === 'properties') {
+        result.properties = Object.fromEntries(
+          Object.entries(schema.properties).map(([prop, propSchema]) => [prop, this.toGeminiSchema(propSchema)])
+        );
+      } else if (key === 'items') {
+        result.items = this.toGeminiSchema(schema.items);
+      } else {
+        result[key] = schema[key];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Adapter Gemini: functionDeclarations
+   */
+  toGeminiDeclarations() {
+    return this.listModelTools().map(tool => {
+      const declaration = { name: tool.name, description: tool.description };
+      // Gemini rechaza parameters de tipo object sin propiedades
+      if (Object.keys(tool.parameters.properties || {}).length > 0) {
+        declaration.parameters = this.toGeminiSchema(tool.parameters);
+      }
+      return declaration;
+    });
+  }
+
+  /**
+   * Adapter OpenAI: tools de tipo function
+   */
+  toOpenAITools() {
+    return this.listModelTools().map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+  }
+}
+
+module.exports = new ToolRegistryService();
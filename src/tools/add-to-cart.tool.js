@@ -0,0 +1,70 @@
+/**
+ * ============================================
+ * TOOL: add_to_cart
+ * ============================================
+ * Agrega un producto (por ID/slug o por búsqueda) al carrito del
+ * usuario en el servidor (CartService). La tienda recibe además la
+ * action add_to_cart y puede sincronizarse con GET /api/cart.
+ * Los productos con variantes necesitan sku o talla/color.
+ */
+
+const CartService = require('../services/cart.service');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+module.exports = {
+  name: 'add_to_cart',
+  description: 'Agrega un producto al carrito del usuario. Úsalo solo cuando el usuario pide explícitamente agregar o comprar un producto. Devuelve el producto agregado y el carrito actualizado.',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: {
+        type: 'string',
+        description: 'ID o slug del producto',
+      },
+      query: {
+        type: 'string',
+        description: 'Texto para buscar el producto si no se conoce el ID',
+      },
+      sku: {
+        type: 'string',
+        description: 'SKU de la variante (si el producto tiene variantes)',
+      },
+      size: {
+        type: 'string',
+        description: 'Talla de la variante (ej: "M", "42")',
+      },
+      color: {
+        type: 'string',
+        description: 'Color de la variante',
+      },
+      quantity: {
+        type: 'number',
+        description: 'Cantidad (default: 1)',
+      },
+    },
+  },
+  exposeToModel: true,
+  sequential: true,
+
+  async handler({ productId, query, sku, size, color, quantity = 1 }, { domain, userId }) {
+    if (!userId) {
+      throw new ValidationError('The cart requires an identified user');
+    }
+
+    const { item, cart } = await CartService.addItem(domain, userId, { productId, query, sku, size, color, quantity: Number(quantity) });
+    logger.info(`[Tool:add_to_cart] ${item.title} x${item.quantity} (carrito: ${cart.itemCount} unidades)`);
+
+    return {
+      productId: item.productId,
+      title: item.title,
+      price: item.price,
+      slug: item.slug,
+      sku: item.sku,
+      variant: item.variant,
+      quantity: item.quantity,
+      image: item.image,
+      cart,
+    };
+  },
+};
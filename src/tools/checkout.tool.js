@@ -0,0 +1,81 @@
+/**
+ * ============================================
+ * TOOL: checkout
+ * ============================================
+ * Checkout conversacional paso a paso (CheckoutService).
+ * Devuelve siempre el estado: paso actual, datos guardados,
+ * opciones disponibles y totales.
+ */
+
+const CheckoutService = require('../services/checkout.service');
+const { ValidationError } = require('../utils/errors');
+
+const ACTIONS = ['start', 'status', 'set_address', 'set_shipping_zone', 'set_payment_method', 'set_coupon', 'confirm', 'cancel'];
+
+module.exports = {
+  name: 'checkout',
+  description: 'Finaliza la compra del carrito paso a paso: start (inicia o retoma), set_address, set_shipping_zone, set_payment_method, set_coupon (cupón del pedido; sin couponCode lo quita), confirm (solo cuando el usuario aprueba el resumen), cancel o status. Devuelve el paso actual, las opciones disponibles y los totales con los precios actuales y las promociones.',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: {
+        type: 'string',
+        enum: ACTIONS,
+        description: 'Operación del checkout',
+      },
+      address: {
+        type: 'object',
+        description: 'Dirección de envío para set_address (se puede enviar por partes)',
+        properties: {
+          recipient: { type: 'string', description: 'Nombre de quien recibe' },
+          street: { type: 'string', description: 'Calle y número' },
+          city: { type: 'string', description: 'Ciudad o distrito' },
+          reference: { type: 'string', description: 'Referencia' },
+          phone: { type: 'string', description: 'Teléfono de contacto' },
+        },
+      },
+      shippingZone: {
+        type: 'string',
+        description: 'Zona de envío para set_shipping_zone (una de las opciones)',
+      },
+      paymentMethod: {
+        type: 'string',
+        description: 'Método de pago para set_payment_method (una de las opciones)',
+      },
+      couponCode: {
+        type: 'string',
+        description: 'Código del cupón para set_coupon',
+      },
+    },
+    required: ['action'],
+  },
+  exposeToModel: true,
+  sequential: true,
+
+  async handler({ action, address, shippingZone, paymentMethod, couponCode }, { domain, userId, deadline }) {
+    if (!userId) {
+      throw new ValidationError('Checkout requires an identified user');
+    }
+
+    switch (action) {
+      case 'start':
+        return CheckoutService.start(domain, userId, { deadline });
+      case 'status':
+        return CheckoutService.getState(domain, userId, { deadline });
+      case 'set_address':
+        return CheckoutService.setShippingAddress(domain, userId, address, { deadline });
+      case 'set_shipping_zone':
+        return CheckoutService.setShippingZone(domain, userId, shippingZone, { deadline });
+      case 'set_payment_method':
+        return CheckoutService.setPaymentMethod(domain, userId, paymentMethod, { deadline });
+      case 'set_coupon':
+        return CheckoutService.setCoupon(domain, userId, couponCode, { deadline });
+      case 'confirm':
+        return CheckoutService.confirm(domain, userId, { deadline });
+      case 'cancel':
+        return CheckoutService.cancel(domain, userId);
+      default:
+        throw new ValidationError(`Unknown checkout action: ${action}. Use one of: ${ACTIONS.join(', ')}`);
+    }
+  },
+};
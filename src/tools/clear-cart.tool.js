@@ -0,0 +1,27 @@
+/**
+ * ============================================
+ * TOOL: clear_cart
+ * ============================================
+ */
+
+const CartService = require('../services/cart.service');
+const { ValidationError } = require('../utils/errors');
+
+module.exports = {
+  name: 'clear_cart',
+  description: 'Vacía el carrito del usuario. Úsalo solo si el usuario pide explícitamente vaciarlo',
+  parameters: {
+    type: 'object',
+    properties: {},
+  },
+  exposeToModel: true,
+  sequential: true,
+
+  async handler(args, { domain, userId }) {
+    if (!userId) {
+      throw new ValidationError('The cart requires an identified user');
+    }
+
+    return CartService.clear(domain, userId);
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * ============================================
+ * TOOL: compare_products
+ * ============================================
+ */
+
+const ProductCatalogService = require('../services/product-catalog.service');
+
+module.exports = {
+  name: 'compare_products',
+  description: 'Compara múltiples productos entre sí',
+  parameters: {
+    type: 'object',
+    properties: {
+      productIds: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Array de IDs o slugs de productos a comparar',
+      },
+    },
+    required: ['productIds'],
+  },
+  exposeToModel: true,
+
+  async handler({ productIds }, { domain }) {
+    return ProductCatalogService.compareProducts(productIds, domain);
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * ============================================
+ * TOOL: get_company_info
+ * ============================================
+ */
+
+const BusinessConfigService = require('../services/business-config.service');
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'get_company_info',
+  description: 'Obtiene la información de contacto y descripción de la empresa',
+  parameters: {
+    type: 'object',
+    properties: {},
+  },
+  exposeToModel: false,
+
+  async handler(args, { domain, deadline }) {
+    if (!BusinessConfigService.isEnabled()) {
+      return {
+        name: domain,
+        description: 'Información de la empresa no disponible',
+      };
+    }
+
+    try {
+      const businessConfig = await BusinessConfigService.getConfiguration(domain, { deadline }) || { name: domain };
+
+      return {
+        name: businessConfig.name || domain,
+        description: businessConfig.description || businessConfig.about || '',
+        address: businessConfig.address || '',
+        phone: businessConfig.phone || '',
+        email: businessConfig.email || '',
+      };
+    } catch (error) {
+      logger.error(`[Tool:get_company_info] Error getting company info: ${error.message}`);
+      return {
+        name: domain,
+        description: 'No se pudo obtener la información de la empresa',
+      };
+    }
+  },
+};
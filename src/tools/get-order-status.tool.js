@@ -0,0 +1,35 @@
+/**
+ * ============================================
+ * TOOL: get_order_status
+ * ============================================
+ */
+
+const OrderStatusService = require('../services/order-status.service');
+
+module.exports = {
+  name: 'get_order_status',
+  description: 'Consulta el estado y el seguimiento de un pedido. Requiere el número de pedido y el email o teléfono con el que se hizo la compra (pídeselos al usuario, no los inventes)',
+  parameters: {
+    type: 'object',
+    properties: {
+      orderNumber: {
+        type: 'string',
+        description: 'Número de pedido',
+      },
+      email: {
+        type: 'string',
+        description: 'Email usado en la compra',
+      },
+      phone: {
+        type: 'string',
+        description: 'Teléfono usado en la compra',
+      },
+    },
+    required: ['orderNumber'],
+  },
+  exposeToModel: true,
+
+  async handler(args, { domain, deadline }) {
+    return OrderStatusService.lookup(domain, args, { deadline });
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * ============================================
+ * TOOL: get_product_details
+ * ============================================
+ */
+
+const ProductCatalogService = require('../services/product-catalog.service');
+
+module.exports = {
+  name: 'get_product_details',
+  description: 'Obtiene detalles completos de un producto específico por su ID o slug',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: {
+        type: 'string',
+        description: 'ID o slug del producto',
+      },
+    },
+    required: ['productId'],
+  },
+  exposeToModel: true,
+
+  async handler({ productId }, { domain }) {
+    return ProductCatalogService.getProductDetails(productId, domain);
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * TOOL: get_product_price
+ * ============================================
+ */
+
+const ProductCatalogService = require('../services/product-catalog.service');
+const PromotionService = require('../services/promotion.service');
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'get_product_price',
+  description: 'Obtiene el precio regular, de oferta y final (con promociones vigentes) de un producto por su ID o slug',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: {
+        type: 'string',
+        description: 'ID o slug del producto',
+      },
+    },
+    required: ['productId'],
+  },
+  exposeToModel: false,
+
+  async handler({ productId }, { domain }) {
+    const price = await ProductCatalogService.getProductPrice(productId, domain);
+    if (!price) {
+      return null;
+    }
+
+    try {
+      return {
+        ...price,
+        ...(await PromotionService.getProductOffers(domain, price)),
+      };
+    } catch (error) {
+      // Sin promociones el precio sigue siendo válido
+      logger.warn(`[Tool:get_product_price] Could not load promotions: ${error.message}`);
+      return price;
+    }
+  },
+};
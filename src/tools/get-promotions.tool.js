@@ -0,0 +1,34 @@
+/**
+ * ============================================
+ * TOOL: get_promotions
+ * ============================================
+ */
+
+const PromotionService = require('../services/promotion.service');
+
+module.exports = {
+  name: 'get_promotions',
+  description: 'Promociones vigentes (descuentos, 2x1, packs) que aplican a un producto o, sin producto, al carrito del usuario con el descuento calculado. Sin producto ni carrito devuelve las promociones de la tienda.',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: {
+        type: 'string',
+        description: 'ID o slug del producto',
+      },
+      query: {
+        type: 'string',
+        description: 'Texto para buscar el producto si no se conoce el ID',
+      },
+      code: {
+        type: 'string',
+        description: 'Cupón que dio el usuario (opcional)',
+      },
+    },
+  },
+  exposeToModel: true,
+
+  async handler({ productId, query, code }, { domain, userId }) {
+    return PromotionService.getApplicablePromotions(domain, { productId, query, code }, { userId });
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * ============================================
+ * TOOL: get_shipping_info
+ * ============================================
+ */
+
+const BusinessConfigService = require('../services/business-config.service');
+const logger = require('../utils/logger');
+
+module.exports = {
+  name: 'get_shipping_info',
+  description: 'Obtiene la política de envíos, zonas y el monto para envío gratis',
+  parameters: {
+    type: 'object',
+    properties: {},
+  },
+  exposeToModel: false,
+
+  async handler(args, { domain, deadline }) {
+    if (!BusinessConfigService.isEnabled()) {
+      return {
+        message: 'Información de envío no disponible',
+      };
+    }
+
+    try {
+      const businessConfig = await BusinessConfigService.getConfiguration(domain, { deadline }) || {};
+
+      return {
+        shippingPolicy: businessConfig.shipping_policy || businessConfig.shipping_info || '',
+        freeShippingThreshold: businessConfig.free_shipping_threshold || null,
+        shippingZones: businessConfig.shipping_zones || [],
+      };
+    } catch (error) {
+      logger.error(`[Tool:get_shipping_info] Error getting shipping info: ${error.message}`);
+      return {
+        message: 'No se pudo obtener la información de envío',
+      };
+    }
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * ============================================
+ * TOOLS
+ * ============================================
+ * Definiciones de todos los tools. Cada tool declara una vez:
+ * - name: nombre único (el que ven los LLMs)
+ * - description: para qué sirve (lo lee el LLM)
+ * - parameters: JSON Schema de los argumentos
+ * - exposeToModel: si se ofrece a los LLMs por function calling
+ * - sequential (opcional): true si tiene efectos secundarios; cuando el modelo
+ *   pide varios tools a la vez, no se ejecuta en paralelo con los demás
+ * - handler(args, { domain, userId, deadline }): ejecuta el tool y devuelve los datos
+ *   (null = sin resultado; los tools del carrito necesitan userId)
+ */
+
+module.exports = [
+  require('./search-products.tool'),
+  require('./get-product-details.tool'),
+  require('./compare-products.tool'),
+  require('./recommend-products.tool'),
+  require('./get-product-price.tool'),
+  require('./get-promotions.tool'),
+  require('./validate-coupon.tool'),
+  require('./add-to-cart.tool'),
+  require('./view-cart.tool'),
+  require('./remove-from-cart.tool'),
+  require('./update-cart-item.tool'),
+  require('./clear-cart.tool'),
+  require('./checkout.tool'),
+  require('./get-order-status.tool'),
+  require('./get-company-info.tool'),
+  require('./search-knowledge-base.tool'),
+  require('./get-shipping-info.tool'),
+];
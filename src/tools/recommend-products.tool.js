@@ -0,0 +1,39 @@
+/**
+ * ============================================
+ * TOOL: recommend_products
+ * ============================================
+ */
+
+const RecommendationService = require('../services/recommendation.service');
+
+module.exports = {
+  name: 'recommend_products',
+  description: 'Recomienda productos con stock: similares (alternativas si un producto no está disponible o no convence), complementarios (accesorios que van con el producto) o que otros clientes agregaron junto al producto. Sin producto devuelve los más populares de la tienda.',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: {
+        type: 'string',
+        description: 'ID o slug del producto de referencia',
+      },
+      query: {
+        type: 'string',
+        description: 'Texto para buscar el producto de referencia si no se conoce el ID',
+      },
+      type: {
+        type: 'string',
+        enum: ['similar', 'complementary', 'also_bought'],
+        description: 'Tipo de recomendación (sin tipo: una mezcla de los tres)',
+      },
+      limit: {
+        type: 'number',
+        description: 'Número máximo de productos (default: 5)',
+      },
+    },
+  },
+  exposeToModel: true,
+
+  async handler(args, { domain }) {
+    return RecommendationService.recommend(domain, args);
+  },
+};
@@ -0,0 +1,44 @@
+/**
+ * ============================================
+ * TOOL: remove_from_cart
+ * ============================================
+ */
+
+const CartService = require('../services/cart.service');
+const { ValidationError } = require('../utils/errors');
+
+module.exports = {
+  name: 'remove_from_cart',
+  description: 'Quita un producto del carrito del usuario, indicado por su posición en el carrito, su ID/slug o su nombre',
+  parameters: {
+    type: 'object',
+    properties: {
+      position: {
+        type: 'integer',
+        description: 'Posición del producto en el carrito (1 = el primero, -1 = el último)',
+      },
+      productId: {
+        type: 'string',
+        description: 'ID, slug o SKU (variante) del producto',
+      },
+      query: {
+        type: 'string',
+        description: 'Nombre del producto si no se conoce la posición ni el ID',
+      },
+    },
+  },
+  exposeToModel: true,
+  sequential: true,
+
+  async handler({ position, productId, query }, { domain, userId }) {
+    if (!userId) {
+      throw new ValidationError('The cart requires an identified user');
+    }
+
+    return CartService.removeItem(domain, userId, {
+      position: position !== undefined && position !== null ? Number(position) : undefined,
+      productId,
+      query,
+    });
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * ============================================
+ * TOOL: search_knowledge_base
+ * ============================================
+ */
+
+const KnowledgeBaseService = require('../services/knowledge-base.service');
+
+module.exports = {
+  name: 'search_knowledge_base',
+  description: 'Busca en la base de conocimiento de la tienda (preguntas frecuentes, devoluciones y cambios, garantías, horarios de atención, medios de pago y demás políticas). Responde solo con los fragmentos que devuelve; si no hay resultados, no inventes la política.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Pregunta del usuario o palabras clave (ej: "plazo para devoluciones")',
+      },
+      locale: {
+        type: 'string',
+        enum: ['es', 'en', 'pt'],
+        description: 'Idioma de los artículos (si no hay en ese idioma, busca en todos)',
+      },
+      limit: {
+        type: 'number',
+        description: 'Número máximo de artículos (default: 3)',
+      },
+    },
+    required: ['query'],
+  },
+  exposeToModel: true,
+
+  async handler(args, { domain }) {
+    return KnowledgeBaseService.search(domain, args);
+  },
+};
@@ -0,0 +1,64 @@
+/**
+ * ============================================
+ * TOOL: search_products
+ * ============================================
+ */
+
+const ProductCatalogService = require('../services/product-catalog.service');
+
+module.exports = {
+  name: 'search_products',
+  description: 'Busca productos en el catálogo usando búsqueda inteligente y flexible. Aplica los sinónimos de la tienda y tolera tildes y errores de tipeo. Devuelve total y hasMore; con muchos resultados trae facets (categorías, rangos de precio y tags) para preguntar cómo acotar. Sin resultados devuelve alternativas (alternatives) para sugerir.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Texto de búsqueda flexible. Usa las palabras clave principales del usuario: los sinónimos y expansiones de la tienda se aplican solos (ej: "cargadores portátiles")',
+      },
+      category: {
+        type: 'string',
+        description: 'Categoría del producto',
+      },
+      minPrice: {
+        type: 'number',
+        description: 'Precio mínimo (precio vigente: el de oferta si lo hay)',
+      },
+      maxPrice: {
+        type: 'number',
+        description: 'Precio máximo (precio vigente: el de oferta si lo hay)',
+      },
+      size: {
+        type: 'string',
+        description: 'Talla (solo productos con esa talla en stock)',
+      },
+      color: {
+        type: 'string',
+        description: 'Color (solo productos con ese color en stock)',
+      },
+      locale: {
+        type: 'string',
+        enum: ['es', 'en', 'pt'],
+        description: 'Idioma de la búsqueda (palabras que la tienda ignora en ese idioma)',
+      },
+      sort: {
+        type: 'string',
+        enum: ['relevance', 'price_asc', 'price_desc', 'newest'],
+        description: 'Orden: relevance (default), price_asc (más baratos primero), price_desc (más caros primero), newest (más nuevos). Solo con sort reordena la última búsqueda',
+      },
+      more: {
+        type: 'boolean',
+        description: 'true para la página siguiente de la última búsqueda ("muéstrame más"); no hace falta repetir los demás parámetros',
+      },
+      limit: {
+        type: 'number',
+        description: 'Número máximo de resultados por página (default: 5, máximo: 10)',
+      },
+    },
+  },
+  exposeToModel: true,
+
+  async handler(args, { domain, userId, deadline }) {
+    return ProductCatalogService.searchInConversation(args, domain, { userId, deadline });
+  },
+};
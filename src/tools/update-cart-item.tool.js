@@ -0,0 +1,49 @@
+/**
+ * ============================================
+ * TOOL: update_cart_item
+ * ============================================
+ */
+
+const CartService = require('../services/cart.service');
+const { ValidationError } = require('../utils/errors');
+
+module.exports = {
+  name: 'update_cart_item',
+  description: 'Cambia la cantidad de un producto que ya está en el carrito (cantidad 0 lo quita)',
+  parameters: {
+    type: 'object',
+    properties: {
+      quantity: {
+        type: 'integer',
+        description: 'Nueva cantidad total del producto',
+      },
+      position: {
+        type: 'integer',
+        description: 'Posición del producto en el carrito (1 = el primero, -1 = el último)',
+      },
+      productId: {
+        type: 'string',
+        description: 'ID, slug o SKU (variante) del producto',
+      },
+      query: {
+        type: 'string',
+        description: 'Nombre del producto si no se conoce la posición ni el ID',
+      },
+    },
+    required: ['quantity'],
+  },
+  exposeToModel: true,
+  sequential: true,
+
+  async handler({ quantity, position, productId, query }, { domain, userId }) {
+    if (!userId) {
+      throw new ValidationError('The cart requires an identified user');
+    }
+
+    return CartService.updateQuantity(domain, userId, {
+      position: position !== undefined && position !== null ? Number(position) : undefined,
+      productId,
+      query,
+    }, Number(quantity));
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * ============================================
+ * TOOL: validate_coupon
+ * ============================================
+ */
+
+const PromotionService = require('../services/promotion.service');
+
+module.exports = {
+  name: 'validate_coupon',
+  description: 'Valida un cupón de descuento: si existe y está vigente, qué descuento da y, si el usuario tiene carrito, cuánto le descuenta',
+  parameters: {
+    type: 'object',
+    properties: {
+      code: {
+        type: 'string',
+        description: 'Código del cupón',
+      },
+    },
+    required: ['code'],
+  },
+  exposeToModel: true,
+
+  async handler({ code }, { domain, userId }) {
+    return PromotionService.validateCoupon(domain, code, { userId });
+  },
+};
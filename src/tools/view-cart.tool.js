@@ -0,0 +1,26 @@
+/**
+ * ============================================
+ * TOOL: view_cart
+ * ============================================
+ */
+
+const CartService = require('../services/cart.service');
+const { ValidationError } = require('../utils/errors');
+
+module.exports = {
+  name: 'view_cart',
+  description: 'Muestra el carrito del usuario: productos con su posición, cantidad y subtotal, cantidad de unidades y total',
+  parameters: {
+    type: 'object',
+    properties: {},
+  },
+  exposeToModel: true,
+
+  async handler(args, { domain, userId }) {
+    if (!userId) {
+      throw new ValidationError('The cart requires an identified user');
+    }
+
+    return CartService.getCart(domain, userId);
+  },
+};
@@ -0,0 +1,67 @@
+/**
+ * Llamadas repetidas del loop de tools: las lecturas se reutilizan,
+ * los tools con efectos (sequential) siempre se ejecutan
+ */
+
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost/test';
+process.env.MONGO_URI_CLIENTS = process.env.MONGO_URI_CLIENTS || 'mongodb://localhost/test-clients';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { ToolLoopGuard, STOP_REASONS } = require('../tool-loop-guard');
+
+describe('ToolLoopGuard repeated calls', () => {
+  let guard;
+
+  beforeEach(() => {
+    guard = new ToolLoopGuard('test', { maxRounds: 5, maxTokens: 0 });
+    guard.startRound();
+  });
+
+  it('reuses the result of a repeated read', async () => {
+    const run = jest.fn(async () => ({ count: 2 }));
+
+    await guard.runCall('view_cart', {}, run);
+    const result = await guard.runCall('view_cart', {}, run);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ count: 2 });
+    expect(guard.getSummary().repeatedCalls).toBe(1);
+  });
+
+  it('runs every identical sequential call', async () => {
+    const run = jest.fn(async () => ({ removed: true }));
+
+    await guard.runCall('remove_from_cart', { position: -1 }, run, { sequential: true });
+    await guard.runCall('remove_from_cart', { position: -1 }, run, { sequential: true });
+    guard.endRound();
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(guard.getSummary().repeatedCalls).toBe(0);
+    expect(guard.getSummary().stopReason).toBeNull();
+  });
+
+  it('runs a read again after a sequential call', async () => {
+    let items = 2;
+    const viewCart = jest.fn(async () => ({ count: items }));
+
+    await guard.runCall('view_cart', {}, viewCart);
+    await guard.runCall('clear_cart', {}, async () => {
+      items = 0;
+      return { cleared: true };
+    }, { sequential: true });
+    const result = await guard.runCall('view_cart', {}, viewCart);
+
+    expect(viewCart).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ count: 0 });
+  });
+
+  it('stops the loop when a round only repeats reads', async () => {
+    await guard.runCall('view_cart', {}, async () => ({ count: 2 }));
+    guard.endRound();
+    guard.startRound();
+    await guard.runCall('view_cart', {}, async () => ({ count: 2 }));
+    guard.endRound();
+
+    expect(guard.getSummary().stopReason).toBe(STOP_REASONS.REPEATED_CALLS);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * ============================================
+ * CIRCUIT BREAKER UTILITY
+ * ============================================
+ * Corta las llamadas a una dependencia que está fallando
+ * para no esperar su timeout en cada petición
+ *
+ * ESTADOS:
+ * - closed: las llamadas pasan; se mide error y latencia en una ventana deslizante
+ * - open: las llamadas fallan al instante (CircuitOpenError) durante openDurationMs
+ * - half_open: se dejan pasar llamadas de prueba; un éxito cierra, un fallo reabre
+ *
+ * Se abre cuando, con al menos minRequests en la ventana, la tasa de errores
+ * o la tasa de llamadas lentas (>= slowCallMs) supera su umbral.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit open for ${name}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Dependencia protegida (ej: nombre del proveedor)
+   * @param {Object} options - { windowMs, minRequests, errorRateThreshold,
+   *   slowCallMs, slowCallRateThreshold, openDurationMs, halfOpenMaxCalls,
+   *   isFailure? (error) => boolean: errores que cuentan como fallo (default: todos) }
+   * @param {Function} onStateChange - (name, from, to) al cambiar de estado
+   */
+  constructor(name, options, onStateChange = null) {
+    this.name = name;
+    this.options = options;
+    this.onStateChange = onStateChange;
+
+    this.state = STATES.CLOSED;
+    this.calls = []; // { at, ok, latencyMs }
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.lastError = null;
+  }
+
+  transition(to) {
+    if (this.state === to) return;
+    const from = this.state;
+    this.state = to;
+
+    if (to === STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (to === STATES.CLOSED) {
+      this.calls = [];
+      this.openedAt = null;
+    }
+    this.halfOpenInFlight = 0;
+
+    if (this.onStateChange) this.onStateChange(this.name, from, to);
+  }
+
+  /**
+   * Pasa de open a half_open cuando venció el tiempo de apertura
+   */
+  refreshState() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.options.openDurationMs) {
+      this.transition(STATES.HALF_OPEN);
+    }
+    return this.state;
+  }
+
+  /**
+   * Si una llamada pasaría ahora (sin reservar el cupo de prueba)
+   */
+  isCallAllowed() {
+    const state = this.refreshState();
+    if (state === STATES.CLOSED) return true;
+    if (state === STATES.HALF_OPEN) return this.halfOpenInFlight < this.options.halfOpenMaxCalls;
+    return false;
+  }
+
+  /**
+   * Ejecuta fn protegida por el breaker
+   * @throws {CircuitOpenError} si el circuito está abierto
+   */
+  async execute(fn) {
+    if (!this.isCallAllowed()) {
+      throw new CircuitOpenError(this.name, new Date(this.openedAt + this.options.openDurationMs));
+    }
+
+    const probing = this.state === STATES.HALF_OPEN;
+    if (probing) this.halfOpenInFlight += 1;
+
+    const start = Date.now();
+    try {
+      const result = await fn();
+      this.recordSuccess(Date.now() - start);
+      return result;
+    } catch (error) {
+      if (!this.options.isFailure || this.options.isFailure(error)) {
+        this.recordFailure(Date.now() - start, error);
+      }
+      throw error;
+    } finally {
+      if (probing && this.halfOpenInFlight > 0) this.halfOpenInFlight -= 1;
+    }
+  }
+
+  recordSuccess(latencyMs) {
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.CLOSED);
+      return;
+    }
+    this.record(true, latencyMs);
+  }
+
+  recordFailure(latencyMs, error = null) {
+    this.lastError = error ? { message: error.message, at: new Date() } : null;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.OPEN);
+      return;
+    }
+    this.record(false, latencyMs);
+  }
+
+  record(ok, latencyMs) {
+    this.calls.push({ at: Date.now(), ok, latencyMs });
+    this.pruneWindow();
+
+    if (this.state === STATES.CLOSED && this.shouldOpen()) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  pruneWindow() {
+    const windowStart = Date.now() - this.options.windowMs;
+    while (this.calls.length > 0 && this.calls[0].at < windowStart) {
+      this.calls.shift();
+    }
+  }
+
+  getWindowStats() {
+    this.pruneWindow();
+    const requests = this.calls.length;
+    const failures = this.calls.filter(call => !call.ok).length;
+    const slowCalls = this.calls.filter(call => call.latencyMs >= this.options.slowCallMs).length;
+    const totalLatency = this.calls.reduce((sum, call) => sum + call.latencyMs, 0);
+
+    return {
+      requests,
+      failures,
+      slowCalls,
+      errorRate: requests > 0 ? failures / requests : 0,
+      slowCallRate: requests > 0 ? slowCalls / requests : 0,
+      avgLatencyMs: requests > 0 ? Math.round(totalLatency / requests) : 0,
+    };
+  }
+
+  shouldOpen() {
+    const stats = this.getWindowStats();
+    if (stats.requests < this.options.minRequests) return false;
+
+    return stats.errorRate >= this.options.errorRateThreshold
+      || stats.slowCallRate >= this.options.slowCallRateThreshold;
+  }
+
+  /**
+   * Estado para /health y métricas
+   */
+  getSnapshot() {
+    const state = this.refreshState();
+    return {
+      state,
+      ...this.getWindowStats(),
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: state === STATES.OPEN ? new Date(this.openedAt + this.options.openDurationMs) : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, STATES };
@@ -0,0 +1,42 @@
+/**
+ * ============================================
+ * ERRORS UTILITY
+ * ============================================
+ * Errores de la aplicación reconocidos por el error handler
+ * (se identifican por `name`)
+ */
+
+class ValidationError extends Error {
+  constructor(message = 'Bad Request') {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+class UnauthorizedError extends Error {
+  constructor(message = 'Unauthorized') {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message = 'Forbidden') {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends Error {
+  constructor(message = 'Not Found') {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+module.exports = {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+};
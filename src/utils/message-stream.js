@@ -0,0 +1,135 @@
+/**
+ * ============================================
+ * MESSAGE STREAM UTILITY
+ * ============================================
+ * Extrae de forma incremental el campo "message" de la respuesta
+ * JSON que los modelos generan token a token.
+ *
+ * Los modelos responden con {"message": "...", "audio_description": "...", "action": {...}}
+ * (a veces dentro de un bloque ```json). Para el streaming solo interesa
+ * el texto visible, así que se decodifica el string de "message" a medida
+ * que llegan los fragmentos. Si el modelo responde con texto natural,
+ * se reenvía tal cual.
+ */
+
+const MESSAGE_KEY_REGEX = /"message"\s*:\s*"/;
+
+const SIMPLE_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+class MessageDeltaStreamer {
+  /**
+   * @param {Function} onDelta - Callback que recibe cada fragmento nuevo de texto
+   */
+  constructor(onDelta) {
+    this.onDelta = onDelta;
+    this.buffer = '';
+    this.mode = null; // 'json' | 'text'
+    this.cursor = -1; // Posición de lectura dentro del string "message"
+    this.finished = false;
+    this.emittedText = '';
+  }
+
+  /**
+   * Agrega un fragmento recibido del modelo
+   */
+  push(chunk) {
+    if (!chunk || this.finished) return;
+
+    this.buffer += chunk;
+
+    if (!this.mode) {
+      const firstChar = this.buffer.trimStart().charAt(0);
+      if (!firstChar) return;
+      this.mode = firstChar === '{' || firstChar === '`' ? 'json' : 'text';
+    }
+
+    if (this.mode === 'text') {
+      this.emit(this.buffer.substring(this.emittedText.length));
+      return;
+    }
+
+    this.consumeJson();
+  }
+
+  /**
+   * Decodifica el string "message" desde la última posición leída
+   */
+  consumeJson() {
+    if (this.cursor === -1) {
+      const match = MESSAGE_KEY_REGEX.exec(this.buffer);
+      if (!match) return;
+      this.cursor = match.index + match[0].length;
+    }
+
+    let decoded = '';
+    let i = this.cursor;
+
+    while (i < this.buffer.length) {
+      const char = this.buffer[i];
+
+      if (char === '"') {
+        this.finished = true;
+        i += 1;
+        break;
+      }
+
+      if (char !== '\\') {
+        decoded += char;
+        i += 1;
+        continue;
+      }
+
+      // Secuencia de escape: esperar a tenerla completa
+      const next = this.buffer[i + 1];
+      if (next === undefined) break;
+
+      if (next === 'u') {
+        const hex = this.buffer.substring(i + 2, i + 6);
+        if (hex.length < 4) break;
+        decoded += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+
+      decoded += SIMPLE_ESCAPES[next] !== undefined ? SIMPLE_ESCAPES[next] : next;
+      i += 2;
+    }
+
+    this.cursor = i;
+    this.emit(decoded);
+  }
+
+  emit(text) {
+    if (!text) return;
+    this.emittedText += text;
+    this.onDelta(text);
+  }
+
+  /**
+   * Descarta lo recibido sin emitir (reintento de la llamada al modelo)
+   */
+  reset() {
+    this.buffer = '';
+    this.mode = null;
+    this.cursor = -1;
+    this.finished = false;
+  }
+
+  /**
+   * Indica si ya se emitió algún fragmento
+   */
+  hasEmitted() {
+    return this.emittedText.length > 0;
+  }
+}
+
+module.exports = { MessageDeltaStreamer };
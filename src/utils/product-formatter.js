@@ -0,0 +1,140 @@
+/**
+ * ============================================
+ * PRODUCT FORMATTER
+ * ============================================
+ * Forma única de los productos que devuelven los tools,
+ * sin importar si los pidió el LLM o el executor por intención
+ */
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x300?text=Sin+Imagen';
+
+/**
+ * Normaliza el precio a { regular, sale } (sale = regular si no hay oferta)
+ */
+function formatPrice(price) {
+  if (typeof price === 'object' && price !== null) {
+    return {
+      regular: price.regular || 0,
+      sale: price.sale || price.regular || 0,
+    };
+  }
+
+  return {
+    regular: 0,
+    sale: 0,
+  };
+}
+
+/**
+ * URL absoluta de una imagen del catálogo
+ */
+function formatImageUrl(image) {
+  if (!image) return PLACEHOLDER_IMAGE;
+  return image.startsWith('http') ? image : `https://example.com${image}`;
+}
+
+function formatCategory(category) {
+  return Array.isArray(category) ? category[0]?.slug : category;
+}
+
+/**
+ * Atributos de una variante como objeto plano ({ size: 'M', color: 'negro' })
+ */
+function formatAttributes(attributes) {
+  if (!attributes) return {};
+  return attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+}
+
+/**
+ * Si hay stock (sin número de stock se asume disponible)
+ */
+function hasStock(stock) {
+  return typeof stock !== 'number' || stock > 0;
+}
+
+function isVariantAvailable(variant) {
+  return variant.is_available !== false && hasStock(variant.stock);
+}
+
+/**
+ * Disponible si tiene stock o, con variantes, si alguna lo tiene
+ */
+function isInStock(product) {
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  return variants.length > 0 ? variants.some(isVariantAvailable) : hasStock(product.stock);
+}
+
+/**
+ * Variante con su precio (el del producto si no tiene uno propio)
+ */
+function formatVariant(variant, product) {
+  return {
+    sku: variant.sku,
+    attributes: formatAttributes(variant.attributes),
+    price: formatPrice(variant.price?.regular ? variant.price : product.price),
+    stock: typeof variant.stock === 'number' ? variant.stock : null,
+    inStock: isVariantAvailable(variant),
+  };
+}
+
+/**
+ * Valores disponibles por atributo ({ size: ['S', 'M'], color: ['negro'] }), solo variantes con stock
+ */
+function formatVariantOptions(variants) {
+  const options = {};
+  for (const variant of variants.filter(isVariantAvailable)) {
+    for (const [name, value] of Object.entries(formatAttributes(variant.attributes))) {
+      options[name] = options[name] || [];
+      if (!options[name].includes(value)) options[name].push(value);
+    }
+  }
+  return options;
+}
+
+/**
+ * Producto en listados (búsqueda, comparación)
+ */
+function formatProductSummary(product) {
+  const images = Array.isArray(product.image_default) ? product.image_default : [];
+
+  return {
+    id: product._id.toString(),
+    title: product.title || 'Sin título',
+    description: product.description_short || '',
+    price: formatPrice(product.price),
+    image: formatImageUrl(images[0]),
+    slug: product.slug || product._id.toString(),
+    category: formatCategory(product.category),
+    inStock: isInStock(product),
+    ...(Array.isArray(product.variants) && product.variants.length > 0
+      ? { options: formatVariantOptions(product.variants) }
+      : {}),
+  };
+}
+
+/**
+ * Producto con detalle completo
+ */
+function formatProductDetails(product) {
+  const images = Array.isArray(product.image_default) ? product.image_default : [];
+
+  return {
+    ...formatProductSummary(product),
+    description: product.description_short || product.description_long || '',
+    images: images.map(formatImageUrl),
+    tags: product.tags || [],
+    stock: typeof product.stock === 'number' ? product.stock : null,
+    variants: (product.variants || []).map(variant => formatVariant(variant, product)),
+  };
+}
+
+module.exports = {
+  formatPrice,
+  formatImageUrl,
+  formatCategory,
+  formatAttributes,
+  isVariantAvailable,
+  formatVariant,
+  formatProductSummary,
+  formatProductDetails,
+};
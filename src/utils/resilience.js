@@ -0,0 +1,211 @@
+/**
+ * ============================================
+ * RESILIENCE UTILITY
+ * ============================================
+ * Timeouts por llamada, reintentos con backoff exponencial
+ * y deadline total de la petición para las llamadas externas
+ * (modelos LLM, API de configuraciones, webhook y API de pedidos)
+ *
+ * - withTimeout: aborta la llamada (AbortSignal) si supera el timeout
+ * - withRetry: reintenta errores transitorios (429, 5xx, red, timeout)
+ *   con full jitter y respetando Retry-After; nunca espera más allá del deadline
+ * - Deadline: presupuesto de tiempo de processMessage que se propaga a cada llamada
+ */
+
+const logger = require('./logger');
+
+// 408 Request Timeout, 409 Conflict (Gemini en sobrecarga), 425 Too Early, 429, 5xx
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+const RETRYABLE_NAMES = new Set(['TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError']);
+
+class TimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+class DeadlineExceededError extends Error {
+  constructor(label) {
+    super(`Request deadline exceeded before ${label}`);
+    this.name = 'DeadlineExceededError';
+  }
+}
+
+/**
+ * Presupuesto de tiempo total de una petición
+ */
+class Deadline {
+  /**
+   * @param {number} timeoutMs - Tiempo total disponible (0 o null = sin límite)
+   */
+  constructor(timeoutMs) {
+    this.expiresAt = timeoutMs ? Date.now() + timeoutMs : Infinity;
+  }
+
+  remainingMs() {
+    return Math.max(0, this.expiresAt - Date.now());
+  }
+
+  isExpired() {
+    return this.remainingMs() === 0;
+  }
+
+  /**
+   * @throws {DeadlineExceededError}
+   */
+  assertNotExpired(label) {
+    if (this.isExpired()) {
+      throw new DeadlineExceededError(label);
+    }
+  }
+}
+
+/**
+ * Deadline sin límite (llamadas fuera de processMessage)
+ */
+const NO_DEADLINE = new Deadline(0);
+
+/**
+ * Ejecuta fn(signal) y la aborta si supera timeoutMs
+ * @param {Function} fn - Recibe un AbortSignal que se aborta al vencer el timeout
+ * @throws {TimeoutError}
+ */
+async function withTimeout(fn, timeoutMs, label = 'call') {
+  if (!timeoutMs || timeoutMs === Infinity) {
+    return fn(undefined);
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(label, timeoutMs));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Status HTTP de un error de openai, @google/generative-ai o axios
+ */
+function getErrorStatus(error) {
+  return error?.status || error?.response?.status || null;
+}
+
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.name === 'DeadlineExceededError' || error.name === 'CircuitOpenError') return false;
+
+  const status = getErrorStatus(error);
+  if (status) return RETRYABLE_STATUS.has(status);
+
+  return RETRYABLE_NAMES.has(error.name) || RETRYABLE_CODES.has(error.code) || RETRYABLE_CODES.has(error.cause?.code);
+}
+
+/**
+ * Espera sugerida por el servidor (Retry-After en segundos o fecha HTTP,
+ * retry-after-ms de OpenAI, RetryInfo.retryDelay de Gemini)
+ * @returns {number|null} - Milisegundos o null si no hay indicación
+ */
+function getRetryAfterMs(error) {
+  const rawHeaders = error?.headers || error?.response?.headers || {};
+  const header = name => (typeof rawHeaders.get === 'function' ? rawHeaders.get(name) : rawHeaders[name]);
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = header('retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = (error?.errorDetails || []).find(detail => detail?.retryDelay);
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Backoff exponencial con full jitter: random(0, min(maxDelay, base * 2^attempt))
+ */
+function getBackoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * (2 ** attempt)));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Ejecuta fn con timeout por intento y reintentos con backoff
+ *
+ * @param {Function} fn - (signal, attempt) => Promise
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Timeout de cada intento
+ * @param {number} options.retries - Reintentos tras el primer intento
+ * @param {number} options.baseDelayMs - Base del backoff exponencial
+ * @param {number} options.maxDelayMs - Tope del backoff entre intentos
+ * @param {Deadline} options.deadline - Presupuesto total de la petición
+ * @param {Function} options.isRetryable - (error) => boolean (default: isRetryableError)
+ * @param {string} options.label - Nombre de la llamada para logs y errores
+ */
+async function withRetry(fn, {
+  timeoutMs,
+  retries = 0,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  deadline = NO_DEADLINE,
+  isRetryable = isRetryableError,
+  label = 'call',
+} = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    deadline.assertNotExpired(label);
+    const attemptTimeout = Math.min(timeoutMs || Infinity, deadline.remainingMs());
+
+    try {
+      return await withTimeout(signal => fn(signal, attempt), attemptTimeout, label);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      // Retry-After manda sobre el backoff (reintentar antes solo daría otro 429)
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null ? retryAfterMs : getBackoffMs(attempt, { baseDelayMs, maxDelayMs });
+
+      if (delayMs >= deadline.remainingMs()) {
+        logger.warn(`[Resilience] ${label}: no time left to retry (${error.message})`);
+        throw error;
+      }
+
+      logger.warn(`[Resilience] ${label}: attempt ${attempt + 1}/${retries + 1} failed (${error.message}), retrying in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  Deadline,
+  NO_DEADLINE,
+  TimeoutError,
+  DeadlineExceededError,
+  withTimeout,
+  withRetry,
+  isRetryableError,
+  getRetryAfterMs,
+};
@@ -16,11 +16,20 @@ class ResponseUtil {
     });
   }
 
-  static badRequest(res, message = 'Bad Request') {
-    return res.status(StatusCodes.BAD_REQUEST).json({
+  /**
+   * @param {Array<Object>|null} errors - Errores por campo: [{ field, message, type }]
+   */
+  static badRequest(res, message = 'Bad Request', errors = null) {
+    const body = {
       success: false,
       message,
-    });
+    };
+
+    if (errors) {
+      body.errors = errors;
+    }
+
+    return res.status(StatusCodes.BAD_REQUEST).json(body);
   }
 
   static unauthorized(res, message = 'Unauthorized') {
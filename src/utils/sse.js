@@ -0,0 +1,69 @@
+/**
+ * ============================================
+ * SSE UTILITY
+ * ============================================
+ * Utilidades para responder con Server-Sent Events
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Prepara la respuesta HTTP como stream SSE
+ * @param {Object} res - Response de Express
+ * @returns {Object} - { send(event, data), close(), isClosed() }
+ */
+function createSSEStream(res) {
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Evita buffering en proxies nginx
+  });
+  res.flushHeaders();
+
+  // compression() agrega res.flush(); sin él los eventos quedan en buffer
+  const flush = () => {
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': ping\n\n');
+      flush();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // res 'close' (no req): el request ya se consumió por body-parser
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+      flush();
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+
+    isClosed() {
+      return closed;
+    },
+  };
+}
+
+module.exports = { createSSEStream };
@@ -0,0 +1,167 @@
+/**
+ * ============================================
+ * TOOL LOOP GUARD UTILITY
+ * ============================================
+ * Límites del loop de tool calls de un turno del modelo
+ *
+ * - maxRounds: rondas de tools por mensaje (TOOL_LOOP_MAX_ROUNDS)
+ * - maxTokens: tokens acumulados del turno (TOOL_LOOP_MAX_TOKENS)
+ * - Llamadas repetidas (mismo tool y mismos argumentos) no se vuelven
+ *   a ejecutar; si una ronda solo trae repetidas, el loop se corta.
+ *   Los tools con efectos (sequential) siempre se ejecutan y vacían los
+ *   resultados guardados (una lectura posterior ve el cambio)
+ *
+ * Al cortarse, el proveedor pide una respuesta final sin tools
+ * (o responde con un mensaje genérico si se agotó el presupuesto)
+ * y el motivo queda en la metadata del mensaje del asistente.
+ */
+
+const config = require('../config/env.config');
+const logger = require('./logger');
+
+const STOP_REASONS = {
+  MAX_ROUNDS: 'max_rounds',
+  TOKEN_BUDGET: 'token_budget',
+  REPEATED_CALLS: 'repeated_calls',
+};
+
+// Instrucción para la respuesta final cuando se corta el loop
+const TOOL_LIMIT_INSTRUCTION = 'Se alcanzó el límite de herramientas para este mensaje. No pidas más herramientas: responde ahora en el formato JSON indicado usando solo la información ya obtenida.';
+
+const USAGE_KEYS = ['input', 'output', 'thinking', 'cached', 'total'];
+
+/**
+ * JSON con claves ordenadas (los modelos no respetan el orden de los argumentos)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class ToolLoopGuard {
+  /**
+   * @param {string} provider - Proveedor (para logs)
+   * @param {Object} limits - { maxRounds, maxTokens } (default: config.toolLoop)
+   */
+  constructor(provider, { maxRounds, maxTokens } = config.toolLoop) {
+    this.provider = provider;
+    this.maxRounds = maxRounds;
+    this.maxTokens = maxTokens;
+
+    this.rounds = 0;
+    this.toolCalls = 0;
+    this.repeatedCalls = 0;
+    this.roundCalls = 0;
+    this.roundRepeats = 0;
+    this.stopReason = null;
+    this.results = new Map();
+    this.usage = Object.fromEntries(USAGE_KEYS.map(key => [key, 0]));
+  }
+
+  stop(reason) {
+    if (this.stopReason) return;
+    this.stopReason = reason;
+    logger.warn(`[ToolLoopGuard] ${this.provider}: tool loop stopped (${reason}) after ${this.rounds} rounds, ${this.usage.total} tokens`);
+  }
+
+  /**
+   * Acumula el uso (normalizado) de cada llamada al modelo
+   */
+  addUsage(usage = {}) {
+    for (const key of USAGE_KEYS) {
+      this.usage[key] += Number(usage[key]) || 0;
+    }
+
+    if (this.maxTokens && this.usage.total >= this.maxTokens) {
+      this.stop(STOP_REASONS.TOKEN_BUDGET);
+    }
+  }
+
+  /**
+   * Inicia una ronda de tools
+   * @returns {boolean} - false si el loop debe cortarse
+   */
+  startRound() {
+    if (this.stopReason) return false;
+
+    if (this.rounds >= this.maxRounds) {
+      this.stop(STOP_REASONS.MAX_ROUNDS);
+      return false;
+    }
+
+    this.rounds += 1;
+    this.roundCalls = 0;
+    this.roundRepeats = 0;
+    return true;
+  }
+
+  /**
+   * Cierra la ronda: si todas sus llamadas eran repetidas, corta el loop
+   */
+  endRound() {
+    if (this.roundCalls > 0 && this.roundRepeats === this.roundCalls) {
+      this.stop(STOP_REASONS.REPEATED_CALLS);
+    }
+  }
+
+  callKey(name, args) {
+    return `${name}:${stableStringify(args || {})}`;
+  }
+
+  /**
+   * Ejecuta un tool salvo que sea una llamada repetida (devuelve el resultado anterior)
+   * Se guarda la promesa: dos llamadas iguales en paralelo ejecutan el tool una vez.
+   * Un tool sequential (con efectos) no se deduplica: dos remove_from_cart iguales
+   * quitan dos productos
+   * @param {Function} run - () => Promise<resultado>
+   * @param {Object} options - { sequential }
+   */
+  async runCall(name, args, run, { sequential = false } = {}) {
+    this.toolCalls += 1;
+    this.roundCalls += 1;
+
+    if (sequential) {
+      this.results.clear();
+      return run();
+    }
+
+    const key = this.callKey(name, args);
+    if (this.results.has(key)) {
+      this.repeatedCalls += 1;
+      this.roundRepeats += 1;
+      logger.warn(`[ToolLoopGuard] ${this.provider}: repeated call ${name}, reusing previous result`);
+      return this.results.get(key);
+    }
+
+    const pending = run();
+    this.results.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Si se puede volver a llamar al modelo (no se agotó el presupuesto de tokens)
+   */
+  canCallModel() {
+    return this.stopReason !== STOP_REASONS.TOKEN_BUDGET;
+  }
+
+  /**
+   * Resumen para la metadata del mensaje del asistente
+   */
+  getSummary() {
+    return {
+      rounds: this.rounds,
+      toolCalls: this.toolCalls,
+      repeatedCalls: this.repeatedCalls,
+      tokens: this.usage.total,
+      stopReason: this.stopReason,
+    };
+  }
+}
+
+module.exports = { ToolLoopGuard, STOP_REASONS, TOOL_LIMIT_INSTRUCTION };